@@ -0,0 +1,171 @@
+// =====================================================
+// MOCK DISCORD WEBHOOK SERVER
+// =====================================================
+// Local stand-in for Discord's webhook endpoints, for trying "Send to Discord" and
+// "Update previous post" without spamming a real channel:
+//
+//   npm run mock-webhook            (PORT=9000 npm run mock-webhook to change the port)
+//
+// then paste the printed URL into the planner's webhook field. Supported routes:
+//   POST   /api/webhooks/:id/:token[?wait=true&thread_id=]    execute webhook (204, or the message with wait=true)
+//   PATCH  /api/webhooks/:id/:token/messages/:messageId       edit a message (404 Unknown Message if missing)
+//   GET    /api/webhooks/:id/:token/messages/:messageId       fetch a message
+//   GET    /messages                                          everything posted so far
+//   GET    /attachments/:messageId/:filename                  an uploaded file
+import http from 'node:http';
+
+const PORT = Number(process.env.PORT) || 8787;
+
+// messageId -> { id, webhookId, threadId, payload, files: [{ id, name, type, data }], createdAt, editedAt }
+const messages = new Map();
+
+// Messages and attachments draw ids from one counter, like Discord snowflakes, so an id is never reused
+let lastSnowflake = BigInt(Date.now()) << 22n;
+const nextSnowflake = () => String(++lastSnowflake);
+
+const send = (res, status, body, type = 'application/json') => {
+  res.writeHead(status, {
+    'Content-Type': type,
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  });
+  res.end(status === 204 ? undefined : (type === 'application/json' ? JSON.stringify(body, null, 2) : body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+// Split a multipart/form-data body into { name, filename, type, data } parts
+const parseMultipart = (body, contentType) => {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType);
+  if (!boundary) throw new Error('Missing multipart boundary');
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+  const parts = [];
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+    const part = body.subarray(start + delimiter.length + 2, next - 2); // skip CRLF after delimiter and before the next
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const headers = part.subarray(0, headerEnd).toString();
+    parts.push({
+      name: /name="([^"]*)"/.exec(headers)?.[1],
+      filename: /filename="([^"]*)"/.exec(headers)?.[1],
+      type: /content-type:\s*([^\r\n]+)/i.exec(headers)?.[1],
+      data: part.subarray(headerEnd + 4),
+    });
+    start = next;
+  }
+  return parts;
+};
+
+// Discord accepts a JSON body or multipart with payload_json plus files[n]
+const parseMessageBody = (req, body) => {
+  const contentType = req.headers['content-type'] || '';
+  if (contentType.startsWith('multipart/form-data')) {
+    const parts = parseMultipart(body, contentType);
+    const payloadPart = parts.find(p => p.name === 'payload_json');
+    return {
+      payload: payloadPart ? JSON.parse(payloadPart.data.toString()) : {},
+      files: parts.filter(p => p.filename).map(p => ({ id: nextSnowflake(), name: p.filename, type: p.type, data: p.data })),
+    };
+  }
+  return { payload: body.length ? JSON.parse(body.toString()) : {}, files: [] };
+};
+
+// The message object Discord returns, with attachment URLs served by this server
+const toMessageJson = (message) => ({
+  id: message.id,
+  webhook_id: message.webhookId,
+  channel_id: message.threadId || '0',
+  content: message.payload.content || '',
+  username: message.payload.username,
+  avatar_url: message.payload.avatar_url,
+  embeds: message.payload.embeds || [],
+  attachments: message.files.map(file => ({
+    id: file.id,
+    filename: file.name,
+    size: file.data.length,
+    content_type: file.type,
+    url: `http://localhost:${PORT}/attachments/${message.id}/${encodeURIComponent(file.name)}`,
+  })),
+  timestamp: new Date(message.createdAt).toISOString(),
+  edited_timestamp: message.editedAt ? new Date(message.editedAt).toISOString() : null,
+});
+
+const describe = (message) => {
+  const embeds = message.payload.embeds || [];
+  const files = message.files.map(f => `${f.name} (${(f.data.length / 1024).toFixed(1)} KB)`);
+  return [
+    `  message ${message.id}${message.threadId ? ` in thread ${message.threadId}` : ''}`,
+    `  ${embeds.length} embed(s): ${embeds.map(e => e.title).filter(Boolean).join(' | ') || '(untitled)'}`,
+    `  ${files.length} file(s): ${files.join(', ') || 'none'}`,
+  ].join('\n');
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  try {
+    if (req.method === 'GET' && url.pathname === '/messages') {
+      return send(res, 200, [...messages.values()].map(toMessageJson));
+    }
+
+    const attachment = /^\/attachments\/(\d+)\/([^/]+)$/.exec(url.pathname);
+    if (req.method === 'GET' && attachment) {
+      const file = messages.get(attachment[1])?.files.find(f => f.name === decodeURIComponent(attachment[2]));
+      return file ? send(res, 200, file.data, file.type || 'application/octet-stream') : send(res, 404, { message: 'Unknown Attachment' });
+    }
+
+    const route = /^\/api\/(?:v\d+\/)?webhooks\/(\d+)\/([\w-]+)(?:\/messages\/(\d+))?\/?$/.exec(url.pathname);
+    if (!route) return send(res, 404, { message: '404: Not Found', code: 0 });
+    const [, webhookId, , messageId] = route;
+    const threadId = url.searchParams.get('thread_id');
+
+    if (req.method === 'POST' && !messageId) {
+      const { payload, files } = parseMessageBody(req, await readBody(req));
+      const message = { id: nextSnowflake(), webhookId, threadId, payload, files, createdAt: Date.now(), editedAt: null };
+      messages.set(message.id, message);
+      console.log(`POST new message\n${describe(message)}`);
+      return url.searchParams.get('wait') === 'true' ? send(res, 200, toMessageJson(message)) : send(res, 204);
+    }
+
+    const message = messageId && messages.get(messageId);
+    if (messageId && (!message || message.webhookId !== webhookId)) {
+      console.log(`${req.method} unknown message ${messageId}`);
+      return send(res, 404, { message: 'Unknown Message', code: 10008 });
+    }
+
+    if (req.method === 'GET' && message) return send(res, 200, toMessageJson(message));
+
+    if (req.method === 'PATCH' && message) {
+      const { payload, files } = parseMessageBody(req, await readBody(req));
+      // `attachments` lists what to keep: existing attachments by id, new uploads by their files[n] index
+      const keep = payload.attachments;
+      const kept = keep ? message.files.filter(f => keep.some(a => String(a.id) === f.id)) : message.files;
+      const uploaded = keep ? files.filter((f, i) => keep.some(a => String(a.id) === String(i))) : files;
+      const { attachments: _attachments, ...fields } = payload;
+      message.payload = { ...message.payload, ...fields };
+      message.files = [...kept, ...uploaded];
+      message.editedAt = Date.now();
+      console.log(`PATCH edited message\n${describe(message)}`);
+      return send(res, 200, toMessageJson(message));
+    }
+
+    return send(res, 405, { message: '405: Method Not Allowed', code: 0 });
+  } catch (err) {
+    console.error(`${req.method} ${url.pathname} failed:`, err.message);
+    return send(res, 400, { message: err.message, code: 50109 });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock Discord webhook listening on http://localhost:${PORT}`);
+  console.log(`Webhook URL: http://localhost:${PORT}/api/webhooks/123456789012345678/mock-token`);
+});
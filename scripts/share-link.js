@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+// =====================================================
+// SHARE LINK CLI (decode, audit and render share links without a browser)
+// =====================================================
+//   npm run share-link -- "<share link>" [options]
+//   node scripts/share-link.js "<share link>" [options]
+//
+// The link can be a full planner URL, a "?d=..." query or the bare `d` value. Prints the format
+// version, piece counts, material costs and power/water totals, then writes one SVG per floor.
+//
+// Options:
+//   -o, --out <file>    SVG path (default base.svg); with several floors, "-floor-N" is added per floor
+//   -f, --floor <n>     only render floor n (1-based, as shown in the planner)
+//   -s, --scale <n>     output pixels per world unit (default 1)
+//   --no-svg            print the summary only
+//   --json              print the summary as JSON (for spreadsheets and scripts)
+//   -h, --help
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { parseArgs } from 'node:util';
+import LZString from 'lz-string';
+import { detectShareVersion, decodeShareString } from '../src/shareCodec.js';
+import { buildDesignSvg } from '../src/designSvg.js';
+import { getFiefAreas } from '../src/fief.js';
+import { BUILDING_TYPES } from '../src/constants.js';
+import { BASE_ITEMS } from '../src/items.js';
+import { countWalls } from '../src/walls.js';
+import { getRoomReport, formatRoomArea } from '../src/rooms.js';
+import {
+  countPieces, getBuildingCosts, getItemMaterialTotals, getResourceTotals, countItems, getNonEmptyFloors,
+} from '../src/materials.js';
+
+const USAGE = 'Usage: node scripts/share-link.js "<share link | ?d=... | payload>" [-o base.svg] [-f floor] [-s scale] [--no-svg] [--json]';
+
+// Accept whatever was copied: a full URL, a query string or the raw `d` parameter
+const extractShareString = (input) => {
+  const trimmed = input.trim();
+  const query = trimmed.includes('?') ? trimmed.slice(trimmed.indexOf('?')) : trimmed.startsWith('d=') ? `?${trimmed}` : null;
+  if (query) {
+    const d = new URLSearchParams(query).get('d');
+    if (!d) throw new Error('Link has no "d" parameter');
+    return d;
+  }
+  return trimmed;
+};
+
+// Format version as written in the link, before migration (0 to the current version)
+const readShareVersion = (encoded) => {
+  try {
+    return detectShareVersion(JSON.parse(LZString.decompressFromEncodedURIComponent(encoded)));
+  } catch {
+    return null;
+  }
+};
+
+const summarize = (state, version) => {
+  const floors = getNonEmptyFloors(state.allFloorShapes, state.allFloorItems);
+  const shapes = floors.flatMap(floor => state.allFloorShapes[floor] || []);
+  const items = floors.flatMap(floor => state.allFloorItems[floor] || []);
+  const walls = floors.flatMap(floor => state.allFloorWalls[floor] || []);
+  const roofs = floors.flatMap(floor => state.allFloorRoofs[floor] || []);
+  const rooms = getRoomReport(state.allFloorShapes, state.allFloorWalls, state.allFloorRoofs);
+  const resources = getResourceTotals(items, { fiefMode: state.fiefMode, fiefType: state.fiefType });
+
+  return {
+    version,
+    floors: floors.map(floor => ({
+      floor: floor + 1,
+      ...(state.floorNames[floor] && { name: state.floorNames[floor] }),
+      pieces: countPieces(state.allFloorShapes[floor] || []),
+      walls: (state.allFloorWalls[floor] || []).length,
+      roofs: (state.allFloorRoofs[floor] || []).length,
+      enclosedRooms: (rooms.find(entry => entry.floor === floor)?.rooms || [])
+        .filter(room => room.enclosed)
+        .map(room => ({ pieces: room.shapes.length, area: Math.round(room.area * 10) / 10 })),
+      items: (state.allFloorItems[floor] || []).length,
+    })),
+    pieces: countPieces(shapes),
+    walls: countWalls(walls),
+    roofs: roofs.length,
+    buildingCosts: getBuildingCosts(shapes, walls, roofs),
+    buildings: [...new Set(shapes.map(s => s.building || 'atreides'))],
+    fief: state.fiefMode ? {
+      type: state.fiefType,
+      width: state.fiefWidth,
+      height: state.fiefHeight,
+      claims: state.claimedAreas.length,
+      stakesLeft: state.stakesInventory,
+    } : null,
+    power: {
+      generated: resources.powerGenerated,
+      consumed: resources.powerConsumed,
+      net: resources.powerGenerated - resources.powerConsumed,
+    },
+    water: {
+      mlPerHour: resources.waterPerMinute * 60,
+      storage: resources.waterStorage,
+    },
+    items: Object.fromEntries(countItems(items)),
+    itemMaterials: Object.fromEntries(getItemMaterialTotals(items)),
+  };
+};
+
+const printSummary = (summary) => {
+  const { pieces, walls, power, water } = summary;
+  const enclosed = summary.floors.flatMap(f => f.enclosedRooms.map(room => ({ floor: f.floor, area: room.area })));
+  const lines = [
+    `Format:    v${summary.version ?? '?'}`,
+    `Floors:    ${summary.floors.map(f => `${f.floor}${f.name ? ` "${f.name}"` : ''} (${f.pieces.total} pieces, ${f.items} items)`).join(', ') || 'none'}`,
+    `Pieces:    ${pieces.total} total - ${pieces.square} squares, ${pieces.triangle} triangles, ${pieces.corner} corners, ${pieces.stair} stairs`,
+    ...(walls.total > 0 ? [`Walls:     ${walls.total} total - ${walls.wall} walls, ${walls.door} doorways, ${walls.window} windows`] : []),
+    ...(summary.roofs > 0 ? [`Roofs:     ${summary.roofs}`] : []),
+    ...(enclosed.length > 0 ? [`Rooms:     ${enclosed.length} enclosed - ${enclosed.map(({ floor, area }) => `${formatRoomArea(area)} on floor ${floor}`).join(', ')}`] : []),
+    `Buildings: ${summary.buildings.map(b => BUILDING_TYPES[b]?.label || b).join(', ') || 'none'}`,
+    `Cost:      ${Object.entries(summary.buildingCosts).map(([material, amount]) => `${amount.toLocaleString()} ${material}`).join(', ') || 'nothing'}`,
+  ];
+  if (summary.fief) {
+    const { type, width, height, claims, stakesLeft } = summary.fief;
+    lines.push(`Fief:      ${type} ${width}x${height}, ${claims} claimed area(s), ${stakesLeft} stake(s) left`);
+  }
+  lines.push(`Power:     ${power.net >= 0 ? '+' : ''}${power.net} (+${power.generated} / -${power.consumed})${power.net < 0 ? ' - insufficient' : ''}`);
+  lines.push(`Water:     ${water.mlPerHour.toFixed(1)} ml/hr, ${water.storage} ml storage`);
+
+  const itemEntries = Object.entries(summary.items);
+  lines.push(`Items:     ${itemEntries.map(([type, count]) => `${count}x ${BASE_ITEMS[type].name}`).join(', ') || 'none'}`);
+  const materialEntries = Object.entries(summary.itemMaterials);
+  if (materialEntries.length > 0) {
+    lines.push(`Materials: ${materialEntries.map(([name, amount]) => `${amount.toLocaleString()} ${name}`).join(', ')}`);
+  }
+  console.log(lines.join('\n'));
+};
+
+const PUBLIC_DIR = new URL('../public', import.meta.url);
+const ICON_TYPES = { '.webp': 'image/webp', '.png': 'image/png', '.svg': 'image/svg+xml', '.jpg': 'image/jpeg' };
+
+// Item icons embedded as data URLs, so the SVG shows them wherever it is opened
+const loadIconHrefs = (items) => {
+  const hrefs = {};
+  for (const itemType of new Set(items.map(item => item.itemType))) {
+    const icon = BASE_ITEMS[itemType]?.icon;
+    const file = icon && new URL(`.${icon}`, `${PUBLIC_DIR.href}/`);
+    if (!file || !existsSync(file)) continue;
+    hrefs[itemType] = `data:${ICON_TYPES[extname(icon)] || 'application/octet-stream'};base64,${readFileSync(file).toString('base64')}`;
+  }
+  return hrefs;
+};
+
+// One SVG per floor (fief outline included on every floor, like the planner's image export)
+const writeFloorSvgs = (state, floors, { out, scale }) => {
+  const fiefAreas = state.fiefMode && state.fiefPosition ? getFiefAreas(state).areas : [];
+  const iconHrefs = loadIconHrefs(floors.flatMap(floor => state.allFloorItems[floor] || []));
+  const rooms = getRoomReport(state.allFloorShapes, state.allFloorWalls, state.allFloorRoofs);
+  const written = [];
+  for (const floor of floors) {
+    const file = floors.length > 1 ? out.replace(/(\.svg)?$/i, `-floor-${floor + 1}.svg`) : out;
+    const { svg, width, height } = buildDesignSvg({
+      shapes: state.allFloorShapes[floor] || [],
+      walls: state.allFloorWalls[floor] || [],
+      roofs: state.allFloorRoofs[floor] || [],
+      rooms: rooms.find(entry => entry.floor === floor)?.rooms || [],
+      items: state.allFloorItems[floor] || [],
+      fiefAreas,
+      fiefPadding: state.fiefPadding,
+      scale,
+      iconHrefs,
+    });
+    writeFileSync(file, svg);
+    written.push({ floor: floor + 1, file, width, height });
+  }
+  return written;
+};
+
+const main = () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', short: 'o', default: 'base.svg' },
+      floor: { type: 'string', short: 'f' },
+      scale: { type: 'string', short: 's', default: '1' },
+      'no-svg': { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (values.help || positionals.length !== 1) {
+    console.log(USAGE);
+    process.exit(values.help ? 0 : 1);
+  }
+
+  const scale = Number(values.scale);
+  if (!(scale > 0)) throw new Error(`Invalid scale "${values.scale}"`);
+
+  const encoded = extractShareString(positionals[0]);
+  const state = decodeShareString(encoded, { idBase: 0 });
+  const summary = summarize(state, readShareVersion(encoded));
+
+  let floors = getNonEmptyFloors(state.allFloorShapes, state.allFloorItems);
+  if (values.floor !== undefined) {
+    const floor = Number(values.floor) - 1;
+    if (!floors.includes(floor)) throw new Error(`Floor ${values.floor} is empty or does not exist`);
+    floors = [floor];
+  }
+  const svgs = values['no-svg'] ? [] : writeFloorSvgs(state, floors, { out: values.out, scale });
+
+  if (values.json) {
+    console.log(JSON.stringify({ ...summary, svgs }, null, 2));
+  } else {
+    printSummary(summary);
+    for (const { floor, file, width, height } of svgs) console.log(`Wrote floor ${floor} to ${file} (${width}x${height})`);
+  }
+};
+
+try {
+  main();
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+}
@@ -1,376 +1,187 @@
-import React, { useState, useCallback, useMemo, useEffect, useRef } from 'react';
-import LZString from 'lz-string';
+import React, { useState, useCallback, useMemo, useEffect, useLayoutEffect, useRef } from 'react';
+import { createPortal, flushSync } from 'react-dom';
+import {
+  SHAPE_SIZE, TRI_HEIGHT, SNAP_THRESHOLD, CELL_SIZE, STAKE_COUNTDOWN,
+  BUILDING_TYPES, COLOR_SCHEMES, FIEF_DEFAULTS, MAX_STAKES,
+} from './constants.js';
+import * as geometry from './geometry.js';
+import { createGeometryService } from './geometryService.js';
+import { encodeShareString, decodeShareString } from './shareCodec.js';
+import { serializeProjectFile, parseProjectFile, projectFileName } from './projectFile.js';
+import { ITEM_CATEGORIES, BASE_ITEMS, ITEM_GRID_SIZE, getItemSize } from './items.js';
+import { getCornerPathD, renderShapesSvg, buildDesignSvg } from './designSvg.js';
+import { countPieces, getBuildingCosts, formatBuildingCosts, getItemMaterialTotals, getResourceTotals, countItems, getNonEmptyFloors } from './materials.js';
+import { createSpatialIndex, syncSpatialIndex } from './spatialIndex.js';
+import { getFiefAreas } from './fief.js';
+import { getArrayDirections, getGroupExtent, buildArrayCopies } from './arrayTool.js';
+import { buildIsometricSvg } from './isometric.js';
+import { getSupportReport } from './support.js';
+import { getStairDirection, turnStairVertices, checkStairs } from './stairs.js';
+import { getUsedFloorCount, insertFloor, removeFloor, swapFloors, duplicateFloor, getFloorLabel } from './floors.js';
+import {
+  WALL_TYPES, pruneWalls, findWallOnEdge, toggleWallOnEdge, countWalls, getWallSegments, getWallsOnShapes, addWalls,
+  translateWalls, rotateWallsAroundPoint, mirrorWalls,
+} from './walls.js';
+import {
+  pruneRoofs, findRoofOverShape, buildRoofOverShape, toggleRoofOverShape, moveRoofsWithShapes, findRooms, getRoomReport, formatRoomArea,
+  ROOM_SHADE_COLOR, ENCLOSED_RULE,
+} from './rooms.js';
+import {
+  getSelectionCentre, getMarqueeBounds, selectInBounds, findItemAtPoint, toggleId, mergeIds,
+  translateItems, rotateItemsAroundPoint, mirrorItems, doItemsFit,
+} from './selection.js';
+import { validateWebhookTarget, getWebhookPostUrl, getWebhookMessageUrl, getWebhookIdentity, getWebhookTargetKey } from './discordWebhook.js';
 
 // =====================================================
-// CONSTANTS
+// SHARED RENDER HELPERS
 // =====================================================
-const SHAPE_SIZE = 50;
-const TRI_HEIGHT = (SHAPE_SIZE * Math.sqrt(3)) / 2;
-const SNAP_THRESHOLD = 100;
-const EDGE_TOLERANCE = 2;
-const ARC_SEGMENTS = 12; // Higher = smoother collision detection
-const CELL_SIZE = 50; // Size of one grid cell for fief calculations
-const STAKE_COUNTDOWN = 5; // Seconds for stake to be claimed
-
-const BUILDING_TYPES = {
-  atreides: { label: 'Atreides', cornerStyle: 'stepped', material: 'plastone', cost: 18 },
-  harkonnen: { label: 'Harkonnen', cornerStyle: 'round', material: 'plastone', cost: 18 },
-  choamShelter: { label: 'Choam Shelter', cornerStyle: 'round', material: 'granite', cost: 12 },
-  choamFacility: { label: 'Choam Facility', cornerStyle: 'diagonal', material: 'granite', cost: 15 },
-};
+// Render a small SVG preview of all floors (lowest floor first) for the project browser
+const buildProjectThumbnail = (allFloorShapes, width = 120, height = 80) => {
+  const floors = Object.keys(allFloorShapes || {}).map(Number).sort((a, b) => a - b);
+  const thumbShapes = floors.flatMap(floor => allFloorShapes[floor] || []).filter(s => s._verts && s._verts.length >= 3);
+  if (thumbShapes.length === 0) return null;
+
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const shape of thumbShapes) {
+    for (const v of shape._verts) {
+      if (v.x < minX) minX = v.x;
+      if (v.y < minY) minY = v.y;
+      if (v.x > maxX) maxX = v.x;
+      if (v.y > maxY) maxY = v.y;
+    }
+  }
 
-// Color schemes for each building type - shades differentiate shape types
-const COLOR_SCHEMES = {
-  atreides: {
-    // Green palette
-    square:   { fill: '#22c55e', stroke: '#4ade80' },  // green-500/400
-    triangle: { fill: '#16a34a', stroke: '#22c55e' },  // green-600/500
-    corner:   { fill: '#15803d', stroke: '#16a34a' },  // green-700/600
-    stair:    { fill: '#166534', stroke: '#22c55e' },  // green-800/500
-  },
-  harkonnen: {
-    // Red palette
-    square:   { fill: '#ef4444', stroke: '#f87171' },  // red-500/400
-    triangle: { fill: '#dc2626', stroke: '#ef4444' },  // red-600/500
-    corner:   { fill: '#b91c1c', stroke: '#dc2626' },  // red-700/600
-    stair:    { fill: '#991b1b', stroke: '#ef4444' },  // red-800/500
-  },
-  choamShelter: {
-    // Beige/tan palette
-    square:   { fill: '#d4a574', stroke: '#e4c9a8' },  // warm beige
-    triangle: { fill: '#c4956a', stroke: '#d4a574' },  // medium beige
-    corner:   { fill: '#b08560', stroke: '#c4956a' },  // darker beige
-    stair:    { fill: '#9a7556', stroke: '#d4a574' },  // darker beige
-  },
-  choamFacility: {
-    // Gray palette
-    square:   { fill: '#6b7280', stroke: '#9ca3af' },  // gray-500/400
-    triangle: { fill: '#4b5563', stroke: '#6b7280' },  // gray-600/500
-    corner:   { fill: '#374151', stroke: '#4b5563' },  // gray-700/600
-    stair:    { fill: '#1f2937', stroke: '#6b7280' },  // gray-800/500
-  },
+  const padding = 6;
+  const scale = Math.min((width - padding * 2) / Math.max(maxX - minX, 1), (height - padding * 2) / Math.max(maxY - minY, 1), 1);
+  const offsetX = (width - (maxX - minX) * scale) / 2 - minX * scale;
+  const offsetY = (height - (maxY - minY) * scale) / 2 - minY * scale;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `<rect width="${width}" height="${height}" fill="#1e293b"/>` +
+    `<g transform="translate(${offsetX}, ${offsetY}) scale(${scale})">${renderShapesSvg(thumbShapes)}</g></svg>`;
 };
 
-const CORNER_STEPS = 3; // Number of steps for Atreides stepped corners
-const DIAGONAL_FLAT_RATIO = 0.27; // Size of small flats on Choam Facility corners (27%)
+// Project ids are creation times, bumped past the last id handed out so projects created or imported
+// in the same millisecond still get distinct ids
+let lastProjectId = 0;
+const nextProjectId = () => {
+  lastProjectId = Math.max(Date.now(), lastProjectId + 1);
+  return lastProjectId;
+};
 
-const FIEF_DEFAULTS = {
-  standard: { width: 5.5, height: 5.5, power: 15 },
-  advanced: { width: 10.5, height: 10.5, power: 15 },
+// Keyboard shortcuts stay out of the way while the user types in a field
+const isTypingTarget = (target) => (
+  target.tagName === 'INPUT' || target.tagName === 'SELECT' || target.tagName === 'TEXTAREA' || target.isContentEditable
+);
+
+// Trigger a browser download of a Blob
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 };
-const MAX_STAKES = 5;
 
-// =====================================================
-// BASE MANAGEMENT ITEMS CATALOG
-// =====================================================
-const ITEM_CATEGORIES = {
-  generator: { label: 'Generators', color: '#eab308' },    // yellow - produces power
-  refiner: { label: 'Refiners', color: '#3b82f6' },        // blue - consumes power, produces water
-  utilities: { label: 'Utilities', color: '#a855f7' },     // purple - windtraps, deathstills
-  fabricator: { label: 'Fabricators', color: '#10b981' },  // green - consumes power
-  storage: { label: 'Storage', color: '#06b6d4' },         // cyan - stores water
+// Fetch item icons as data URLs - SVGs drawn onto a canvas cannot load external images
+const loadIconDataUrls = async (itemTypes) => {
+  const hrefs = {};
+  await Promise.all([...new Set(itemTypes)].map(async (itemType) => {
+    const icon = BASE_ITEMS[itemType]?.icon;
+    if (!icon) return;
+    try {
+      const blob = await (await fetch(icon)).blob();
+      hrefs[itemType] = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = reject;
+        reader.readAsDataURL(blob);
+      });
+    } catch (e) {
+      console.warn(`Failed to load icon for ${itemType}:`, e);
+    }
+  }));
+  return hrefs;
 };
 
-const BASE_ITEMS = {
-  'spice-generator': {
-    id: 'spice-generator',
-    name: 'Spice-Powered Generator',
-    category: 'generator',
-    icon: '/items/spice-generator.webp',
-    size: { width: 1, height: 1 },
-    stats: {
-      powerConsumption: 0,
-      powerGeneration: 1000,
-      waterPerMinute: 0,
-      waterStorage: 0,
-    },
-    materials: [
-      { name: 'Plastanium Ingot', amount: 430 },
-      { name: 'Silicone Block', amount: 180 },
-      { name: 'Spice Melange', amount: 270 },
-      { name: 'Complex Machinery', amount: 100 },
-      { name: 'Cobalt Paste', amount: 300 },
-      { name: 'Advanced Machinery', amount: 40 },
-    ],
-  },
-  'wind-turbine': {
-    id: 'wind-turbine',
-    name: 'Wind Turbine Directional',
-    category: 'generator',
-    icon: '/items/wind-turbine.webp',
-    size: { width: 1, height: 1 },
-    stats: {
-      powerConsumption: 0,
-      powerGeneration: 350,
-      waterPerMinute: 0,
-      waterStorage: 0,
-    },
-    materials: [
-      { name: 'Duraluminum Ingot', amount: 120 },
-      { name: 'Cobalt Paste', amount: 160 },
-      { name: 'Calibrated Servok', amount: 50 },
-      { name: 'Spice Melange', amount: 3 },
-    ],
-  },
-  'wind-turbine-omni': {
-    id: 'wind-turbine-omni',
-    name: 'Wind Turbine Omnidirectional',
-    category: 'generator',
-    icon: '/items/wind-turbine-omni.webp',
-    size: { width: 1, height: 1 },
-    stats: {
-      powerConsumption: 0,
-      powerGeneration: 150,
-      waterPerMinute: 0,
-      waterStorage: 0,
-    },
-    materials: [
-      { name: 'Steel Ingot', amount: 45 },
-      { name: 'Cobalt Paste', amount: 65 },
-      { name: 'Calibrated Servok', amount: 20 },
-    ],
-  },
-  'fuel-powered-generator': {
-    id: 'fuel-powered-generator',
-    name: 'Fuel-Powered Generator',
-    category: 'generator',
-    icon: '/items/fuel-powered-generator.webp',
-    size: { width: 1, height: 1 },
-    stats: {
-      powerConsumption: 0,
-      powerGeneration: 75,
-      waterPerMinute: 0,
-      waterStorage: 0,
-    },
-    materials: [
-      { name: 'Salvaged Metal', amount: 45 },
-    ],
-  },
-  'windtrap': {
-    id: 'windtrap',
-    name: 'Windtrap',
-    category: 'utilities',
-    icon: '/items/windtrap.webp',
-    size: { width: 1, height: 1 },
-    stats: {
-      powerConsumption: 75,
-      powerGeneration: 0,
-      waterPerMinute: 45,
-      waterStorage: 500,
-    },
-    materials: [
-      { name: 'Steel Ingot', amount: 90 },
-      { name: 'Silicone Block', amount: 30 },
-      { name: 'Calibrated Servok', amount: 2 },
-    ],
-  },
-  'large-windtrap': {
-    id: 'large-windtrap',
-    name: 'Large Windtrap',
-    category: 'utilities',
-    icon: '/items/large-windtrap.webp',
-    size: { width: 1, height: 1 },
-    stats: {
-      powerConsumption: 135,
-      powerGeneration: 0,
-      waterPerMinute: 105,
-      waterStorage: 500,
-    },
-    materials: [
-      { name: 'Duraluminum Ingot', amount: 240 },
-      { name: 'Silicone Block', amount: 250 },
-      { name: 'Calibrated Servok', amount: 70 },
-      { name: 'Spice Melange', amount: 5 },
-    ],
-  },
-  'deathstill': {
-    id: 'deathstill',
-    name: 'Fremen Deathstill',
-    category: 'utilities',
-    icon: '/items/deathstill.webp',
-    size: { width: 1, height: 1 },
-    stats: {
-      powerConsumption: 200,
-      powerGeneration: 0,
-      waterPerMinute: 416.67,
-      waterStorage: 0,
-      totalYield: 25000,
-      processingTime: 60,
-    },
-    materials: [
-      { name: 'Steel Ingot', amount: 60 },
-      { name: 'Silicone Block', amount: 28 },
-      { name: 'Complex Machinery', amount: 32 },
-    ],
-  },
-  'deathstill-advanced': {
-    id: 'deathstill-advanced',
-    name: 'Advanced Fremen Deathstill',
-    category: 'utilities',
-    icon: '/items/deathstill-advanced.webp',
-    size: { width: 1, height: 1 },
-    stats: {
-      powerConsumption: 350,
-      powerGeneration: 0,
-      waterPerMinute: 900,
-      waterStorage: 0,
-      totalYield: 45000,
-      processingTime: 50,
-    },
-    materials: [
-      { name: 'Duraluminum Ingot', amount: 240 },
-      { name: 'Silicone Block', amount: 170 },
-      { name: 'Complex Machinery', amount: 70 },
-    ],
-  },
-  'water-cistern-medium': {
-    id: 'water-cistern-medium',
-    name: 'Medium Water Cistern',
-    category: 'storage',
-    icon: '/items/water-cistern-medium.webp',
-    size: { width: 1, height: 1 },
-    stats: {
-      powerConsumption: 0,
-      powerGeneration: 0,
-      waterPerMinute: 0,
-      waterStorage: 25000,
-    },
-    materials: [
-      { name: 'Steel Ingot', amount: 60 },
-      { name: 'Silicone Block', amount: 30 },
-    ],
-  },
-  'water-cistern-large': {
-    id: 'water-cistern-large',
-    name: 'Large Water Cistern',
-    category: 'storage',
-    icon: '/items/water-cistern-large.webp',
-    size: { width: 1, height: 1 },
-    stats: {
-      powerConsumption: 0,
-      powerGeneration: 0,
-      waterPerMinute: 0,
-      waterStorage: 100000,
-    },
-    materials: [
-      { name: 'Duraluminum Ingot', amount: 150 },
-      { name: 'Silicone Block', amount: 160 },
-      { name: 'Industrial Pump', amount: 25 },
-    ],
-  },
-  'large-spice-refinery': {
-    id: 'large-spice-refinery',
-    name: 'Large Spice Refinery',
-    category: 'refiner',
-    icon: '/items/large-spice-refinery.webp',
-    size: { width: 1, height: 1 },
-    stats: {
-      powerConsumption: 500,
-      powerGeneration: 0,
-      waterPerMinute: 0,
-      waterStorage: 0,
-    },
-    materials: [
-      { name: 'Plastanium Ingot', amount: 950 },
-      { name: 'Silicone Block', amount: 1080 },
-      { name: 'Complex Machinery', amount: 350 },
-      { name: 'Spice Melange', amount: 1000 },
-      { name: 'Cobalt Paste', amount: 1110 },
-      { name: 'Advanced Machinery', amount: 55 },
-    ],
-  },
-  'large-ore-refinery': {
-    id: 'large-ore-refinery',
-    name: 'Large Ore Refinery',
-    category: 'refiner',
-    icon: '/items/large-ore-refinery.webp',
-    size: { width: 1, height: 1 },
-    stats: {
-      powerConsumption: 350,
-      powerGeneration: 0,
-      waterPerMinute: 0,
-      waterStorage: 0,
-    },
-    materials: [
-      { name: 'Plastanium Ingot', amount: 380 },
-      { name: 'Silicone Block', amount: 540 },
-      { name: 'Spice Melange', amount: 400 },
-      { name: 'Complex Machinery', amount: 200 },
-      { name: 'Cobalt Paste', amount: 745 },
-      { name: 'Advanced Machinery', amount: 40 },
-    ],
-  },
-  'medium-spice-refinery': {
-    id: 'medium-spice-refinery',
-    name: 'Medium Spice Refinery',
-    category: 'refiner',
-    icon: '/items/medium-spice-refinery.webp',
-    size: { width: 1, height: 1 },
-    stats: {
-      powerConsumption: 350,
-      powerGeneration: 0,
-      waterPerMinute: 0,
-      waterStorage: 0,
-    },
-    materials: [
-      { name: 'Plastanium Ingot', amount: 285 },
-      { name: 'Silicone Block', amount: 225 },
-      { name: 'Spice Melange', amount: 135 },
-      { name: 'Complex Machinery', amount: 100 },
-      { name: 'Cobalt Paste', amount: 190 },
-    ],
-  },
-  'medium-ore-refinery': {
-    id: 'medium-ore-refinery',
-    name: 'Medium Ore Refinery',
-    category: 'refiner',
-    icon: '/items/medium-ore-refinery.webp',
-    size: { width: 1, height: 1 },
-    stats: {
-      powerConsumption: 45,
-      powerGeneration: 0,
-      waterPerMinute: 0,
-      waterStorage: 0,
-    },
-    materials: [
-      { name: 'Steel Ingot', amount: 125 },
-      { name: 'Cobalt Paste', amount: 60 },
-      { name: 'Complex Machinery', amount: 50 },
-    ],
-  },
-  'medium-chemical-refinery': {
-    id: 'medium-chemical-refinery',
-    name: 'Medium Chemical Refinery',
-    category: 'refiner',
-    icon: '/items/medium-chemical-refinery.webp',
-    size: { width: 1, height: 1 },
-    stats: {
-      powerConsumption: 350,
-      powerGeneration: 0,
-      waterPerMinute: 0,
-      waterStorage: 0,
-    },
-    materials: [
-      { name: 'Duraluminum Ingot', amount: 150 },
-      { name: 'Silicone Block', amount: 90 },
-      { name: 'Complex Machinery', amount: 50 },
-      { name: 'Spice Melange', amount: 35 },
-    ],
-  },
+// Join lines into a Discord embed field value (max 1024 chars), summarising whatever does not fit
+const truncateFieldLines = (lines, maxLength = 1024) => {
+  const value = lines.join('\n');
+  if (value.length <= maxLength) return value;
+  const kept = [];
+  let length = 0;
+  for (let i = 0; i < lines.length; i++) {
+    const suffix = `…and ${lines.length - i} more`;
+    if (length + lines[i].length + 1 + suffix.length > maxLength) {
+      kept.push(suffix);
+      break;
+    }
+    kept.push(lines[i]);
+    length += lines[i].length + 1;
+  }
+  return kept.join('\n');
 };
 
-const ITEM_GRID_SIZE = 50; // Size of one item grid unit in pixels
+// Discord allows 10 embeds per message: the stats embed plus one image per floor
+const MAX_DISCORD_FLOOR_IMAGES = 9;
+
+// Largest PNG most browsers can allocate (Safari caps canvas area at 16.7M pixels)
+const MAX_CANVAS_PIXELS = 16777216;
+
+// Render an SVG string to a PNG blob via an offscreen canvas
+const rasterizeSvg = async (svg, width, height) => {
+  // Properly encode UTF-8 to base64 (replaces deprecated unescape())
+  const svgBase64 = btoa(encodeURIComponent(svg).replace(/%([0-9A-F]{2})/g,
+    (match, p1) => String.fromCharCode(parseInt(p1, 16))));
+  const img = new Image();
+  await new Promise((resolve, reject) => {
+    img.onload = resolve;
+    img.onerror = reject;
+    img.src = `data:image/svg+xml;base64,${svgBase64}`;
+  });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    throw new Error('Failed to create canvas context');
+  }
+  ctx.drawImage(img, 0, 0, width, height);
+
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+  if (!blob) {
+    throw new Error('Failed to create image blob');
+  }
+  return blob;
+};
 
 export default function App() {
   // Floor system state
   const [currentFloor, setCurrentFloor] = useState(0);
   const [allFloorShapes, setAllFloorShapes] = useState({ 0: [] });
   const [allFloorItems, setAllFloorItems] = useState({ 0: [] });
+  const [allFloorWalls, setAllFloorWalls] = useState({}); // Walls, doorways and windows on piece edges
+  const [allFloorRoofs, setAllFloorRoofs] = useState({}); // Roofs over single pieces
+  const [floorNames, setFloorNames] = useState({}); // { [floor]: name } for floors the user has named
   const [showSilhouette, setShowSilhouette] = useState(true);
+  const [showFloorPanel, setShowFloorPanel] = useState(false);
+  const [renamingFloor, setRenamingFloor] = useState(null);
+  const [floorRenameValue, setFloorRenameValue] = useState('');
+  const [showValidationPanel, setShowValidationPanel] = useState(false);
+  const [wallMode, setWallMode] = useState(null); // null, or what clicks build: 'wall' | 'door' | 'window' | 'roof'
+  const [wallHoverEdge, setWallHoverEdge] = useState(null);
+  const [roofHoverShape, setRoofHoverShape] = useState(null);
+  const [showRoomsPanel, setShowRoomsPanel] = useState(false);
 
   // Derived values for current floor
   const shapes = allFloorShapes[currentFloor] || [];
   const placedItems = allFloorItems[currentFloor] || [];
+  const walls = allFloorWalls[currentFloor] || [];
+  const roofs = allFloorRoofs[currentFloor] || [];
 
   // Floor below for silhouette
   const floorBelowShapes = currentFloor > 0 ? (allFloorShapes[currentFloor - 1] || []) : [];
@@ -393,16 +204,61 @@ export default function App() {
     });
   }, [currentFloor]);
 
+  const setWalls = useCallback((updater) => {
+    setAllFloorWalls(prev => {
+      const currentWalls = prev[currentFloor] || [];
+      const newWalls = typeof updater === 'function' ? updater(currentWalls) : updater;
+      return { ...prev, [currentFloor]: newWalls };
+    });
+  }, [currentFloor]);
+
+  const setRoofs = useCallback((updater) => {
+    setAllFloorRoofs(prev => {
+      const currentRoofs = prev[currentFloor] || [];
+      const newRoofs = typeof updater === 'function' ? updater(currentRoofs) : updater;
+      return { ...prev, [currentFloor]: newRoofs };
+    });
+  }, [currentFloor]);
+
+  // Delete pieces from the current floor together with the walls on their edges and the roofs over them,
+  // in one update so undo, autosave and share links never see one without the other
+  const deleteShapes = useCallback((ids) => {
+    const idSet = new Set(ids);
+    const deleted = shapes.filter(s => idSet.has(s.id));
+    if (deleted.length === 0) return;
+    const remaining = shapes.filter(s => !idSet.has(s.id));
+    const pruneFloor = (prune) => (prev) => {
+      const entries = prev[currentFloor] || [];
+      const kept = prune(entries, remaining, deleted);
+      if (kept === entries) return prev;
+      const next = { ...prev };
+      if (kept.length > 0) next[currentFloor] = kept;
+      else delete next[currentFloor];
+      return next;
+    };
+    setShapes(remaining);
+    setAllFloorWalls(pruneFloor(pruneWalls));
+    setAllFloorRoofs(pruneFloor(pruneRoofs));
+  }, [shapes, currentFloor, setShapes]);
+
   const [shapesHistory, setShapesHistory] = useState([]); // Unified undo history for ALL actions
+  const [redoHistory, setRedoHistory] = useState([]); // Undone states, most recent last (cleared by any new action)
+  const [showHistoryPanel, setShowHistoryPanel] = useState(false);
 
   // Refs to track current state for history saving (avoids stale closures)
   const allFloorShapesRef = useRef(allFloorShapes);
   const allFloorItemsRef = useRef(allFloorItems);
+  const allFloorWallsRef = useRef(allFloorWalls);
+  const allFloorRoofsRef = useRef(allFloorRoofs);
+  const floorNamesRef = useRef(floorNames);
   useEffect(() => { allFloorShapesRef.current = allFloorShapes; }, [allFloorShapes]);
   useEffect(() => { allFloorItemsRef.current = allFloorItems; }, [allFloorItems]);
+  useEffect(() => { allFloorWallsRef.current = allFloorWalls; }, [allFloorWalls]);
+  useEffect(() => { allFloorRoofsRef.current = allFloorRoofs; }, [allFloorRoofs]);
+  useEffect(() => { floorNamesRef.current = floorNames; }, [floorNames]);
 
-  // Save current state to unified history before any modification
-  const saveToHistory = useCallback(() => {
+  // Deep copy of the current undoable state. label names the action about to happen (or that produced it, for redo entries)
+  const takeHistorySnapshot = useCallback((label) => {
     const currentShapes = allFloorShapesRef.current;
     const currentItems = allFloorItemsRef.current;
     // Deep copy shapes and items to prevent mutation
@@ -414,9 +270,35 @@ export default function App() {
     for (const floor in currentItems) {
       itemsCopy[floor] = currentItems[floor].map(i => ({ ...i }));
     }
-    setShapesHistory(prev => [...prev.slice(-49), { shapes: shapesCopy, items: itemsCopy }]); // Keep last 50 states
+    const wallsCopy = {};
+    for (const floor in allFloorWallsRef.current) {
+      wallsCopy[floor] = allFloorWallsRef.current[floor].map(w => ({ ...w }));
+    }
+    const roofsCopy = {};
+    for (const floor in allFloorRoofsRef.current) {
+      roofsCopy[floor] = allFloorRoofsRef.current[floor].map(r => ({ ...r, _verts: r._verts.map(v => ({ ...v })) }));
+    }
+    return {
+      shapes: shapesCopy,
+      items: itemsCopy,
+      walls: wallsCopy,
+      roofs: roofsCopy,
+      floorNames: { ...floorNamesRef.current },
+      claimedAreas: claimedAreasRef.current.map(a => ({ ...a })),
+      stakesInventory: stakesInventoryRef.current,
+      placedStakes: placedStakesRef.current.map(stake => ({ ...stake })),
+      label,
+      timestamp: Date.now(),
+    };
   }, []);
 
+  // Save current state to unified history before any modification
+  const saveToHistory = useCallback((label = 'Edit') => {
+    const snapshot = takeHistorySnapshot(label);
+    setShapesHistory(prev => [...prev.slice(-49), snapshot]); // Keep last 50 states
+    setRedoHistory([]); // A new action invalidates anything that was undone
+  }, [takeHistorySnapshot]);
+
   const [hoverInfo, setHoverInfo] = useState(null);
   const [zoom, setZoom] = useState(1);
   const [pan, setPan] = useState({ x: 0, y: 0 });
@@ -451,6 +333,13 @@ export default function App() {
   const [claimedAreas, setClaimedAreas] = useState([]); // { id, direction, parentId } - completed claims
   const [draggingStake, setDraggingStake] = useState(null); // stake being dragged from inventory
   const [stakeDropZone, setStakeDropZone] = useState(null); // which zone is being hovered
+  // Stake claims are part of the undo history, tracked through refs like shapes and items
+  const claimedAreasRef = useRef(claimedAreas);
+  const stakesInventoryRef = useRef(stakesInventory);
+  const placedStakesRef = useRef(placedStakes);
+  useEffect(() => { claimedAreasRef.current = claimedAreas; }, [claimedAreas]);
+  useEffect(() => { stakesInventoryRef.current = stakesInventory; }, [stakesInventory]);
+  useEffect(() => { placedStakesRef.current = placedStakes; }, [placedStakes]);
   const [linkCopied, setLinkCopied] = useState(false); // feedback for copy link button
   const [urlTooLong, setUrlTooLong] = useState(false); // warning when URL exceeds Discord limit
   const [middleMouseStart, setMiddleMouseStart] = useState(null); // track middle mouse for pan vs click detection
@@ -460,6 +349,33 @@ export default function App() {
   const [webhookUrl, setWebhookUrl] = useState('');
   const [sendingToDiscord, setSendingToDiscord] = useState(false);
   const [discordSent, setDiscordSent] = useState(false);
+  const [showDiscordMenu, setShowDiscordMenu] = useState(false);
+  // Saved webhook targets ({ id, name, url, threadId, username, avatarUrl }) for one-click posting
+  const [savedWebhooks, setSavedWebhooks] = useState(() => {
+    try {
+      const stored = localStorage.getItem('dune-planner-webhooks');
+      return stored ? JSON.parse(stored) : [];
+    } catch { return []; }
+  });
+  const [showWebhooksModal, setShowWebhooksModal] = useState(false);
+  const [webhookForm, setWebhookForm] = useState(null); // Target being added or edited in the manager
+  // Last message posted per project and webhook target, so a post can be edited instead of repeated:
+  // { [projectId]: { [targetKey]: { messageId, postedAt } } }
+  const [discordPosts, setDiscordPosts] = useState(() => {
+    try {
+      const stored = localStorage.getItem('dune-planner-discord-posts');
+      // Older versions shared one record between every unsaved design
+      const { unsaved: _unsaved, ...posts } = stored ? JSON.parse(stored) : {};
+      return posts;
+    } catch { return {}; }
+  });
+
+  // Image export state
+  const [showImageExportModal, setShowImageExportModal] = useState(false);
+  const [imageExportOptions, setImageExportOptions] = useState({ scale: 2, background: true, includeItems: true, includeFief: true });
+  const [exportingImage, setExportingImage] = useState(false);
+  const [printingSheet, setPrintingSheet] = useState(false); // build sheet is only rendered while printing
+  const [isometricView, setIsometricView] = useState(null); // Open 3D preview: { quarterTurns, highlightCurrent }
 
   // Lock mode state
   const [isLocked, setIsLocked] = useState(false);
@@ -472,7 +388,25 @@ export default function App() {
   const [groupRotationAngle, setGroupRotationAngle] = useState(0);
   const [groupRotationCenter, setGroupRotationCenter] = useState({ x: 0, y: 0 });
   const [originalGroupPositions, setOriginalGroupPositions] = useState([]);
-  const [clipboard, setClipboard] = useState(null); // Copied shapes for paste
+  const [groupPreview, setGroupPreview] = useState(null); // Worker answer for the group transform: { key, transformedShapes, hasOverlap }
+  const geometryServiceRef = useRef(null); // Worker-backed lock-mode geometry (see geometryService.js)
+  const hoverGroupRequestRef = useRef(null); // Shape id whose connected group was last requested
+  const groupPreviewRequestRef = useRef(0); // Latest group transform request, older answers are dropped
+  const [selectedShapeIds, setSelectedShapeIds] = useState([]); // Marquee / shift-click selection on the current floor
+  const [selectedItemIds, setSelectedItemIds] = useState([]);
+  const [marquee, setMarquee] = useState(null); // Selection rectangle being dragged: { start, end, additive } in world coords
+  const [draggedItemIds, setDraggedItemIds] = useState([]); // Items moving or rotating along with the group
+  const [arrayTool, setArrayTool] = useState(null); // Open array panel: { mode, angle, count, spacing, rows, rowSpacing }
+  const pendingSelectToggleRef = useRef(null); // Shift-press on a piece: { shapeId | itemId, screenX, screenY }, a toggle unless the pointer moves
+  // Copied { shapes, items, origin, floor } with positions relative to origin (their centre when copied).
+  // Kept in localStorage so pieces can be pasted into another floor or project, even after a reload.
+  const [clipboard, setClipboard] = useState(() => {
+    try {
+      const stored = localStorage.getItem('dune-planner-clipboard');
+      const parsed = stored ? JSON.parse(stored) : null;
+      return parsed && Array.isArray(parsed.shapes) && Array.isArray(parsed.items) ? parsed : null;
+    } catch { return null; }
+  });
   const mousePositionRef = useRef({ x: 0, y: 0 }); // Track mouse position for paste
   const svgRef = useRef(null); // Ref for SVG element to attach non-passive wheel listener
 
@@ -522,138 +456,105 @@ export default function App() {
   const [showRestorePrompt, setShowRestorePrompt] = useState(false);
   const [skipNextSave, setSkipNextSave] = useState(false);
 
+  // Project library state - named designs stored alongside the autosave slot. Thumbnails dropped to
+  // fit a full storage quota are redrawn from each project's design.
+  const [projects, setProjects] = useState(() => {
+    try {
+      const stored = localStorage.getItem('dune-planner-projects');
+      return (stored ? JSON.parse(stored) : []).map(p => (
+        p.thumbnail !== undefined ? p : { ...p, thumbnail: buildProjectThumbnail(p.state?.allFloorShapes || {}) }
+      ));
+    } catch { return []; }
+  });
+  const [activeProjectId, setActiveProjectId] = useState(null); // Project the canvas is currently editing
+  const [showProjectsModal, setShowProjectsModal] = useState(false);
+  const [newProjectName, setNewProjectName] = useState('');
+  const [renamingProjectId, setRenamingProjectId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  const projectFileInputRef = useRef(null);
+
+  // =====================================================
+  // UNDO / REDO TIMELINE
+  // =====================================================
+  const restoreHistorySnapshot = useCallback((snapshot) => {
+    if (!snapshot || !snapshot.shapes || !snapshot.items) return;
+    setAllFloorShapes(snapshot.shapes);
+    setAllFloorItems(snapshot.items);
+    setAllFloorWalls(snapshot.walls || {});
+    setAllFloorRoofs(snapshot.roofs || {});
+    if (snapshot.floorNames) setFloorNames(snapshot.floorNames);
+    if (snapshot.claimedAreas) {
+      setClaimedAreas(snapshot.claimedAreas);
+      setStakesInventory(snapshot.stakesInventory ?? MAX_STAKES);
+      // Pending claims come back with their countdown, so the stakes they hold are never lost
+      setPlacedStakes(snapshot.placedStakes || []);
+    }
+    setSelectedItemId(null);
+  }, []);
+
+  // Move to any point of the timeline: step N means "after the Nth recorded action" (0 = oldest saved state).
+  // Undo and redo are just single steps backwards/forwards.
+  const jumpToHistory = useCallback((step) => {
+    const currentStep = shapesHistory.length;
+    const lastStep = shapesHistory.length + redoHistory.length;
+    if (step === currentStep || step < 0 || step > lastStep) return;
+
+    // Full timeline of states, oldest first, and the label of the action leading out of each state
+    const future = [...redoHistory].reverse();
+    const states = [...shapesHistory, takeHistorySnapshot(null), ...future];
+    const actionLabels = [...shapesHistory.map(h => h.label), ...future.map(h => h.label)];
+
+    restoreHistorySnapshot(states[step]);
+    setShapesHistory(states.slice(0, step).map((state, i) => ({ ...state, label: actionLabels[i] })));
+    setRedoHistory(states.slice(step + 1).map((state, i) => ({ ...state, label: actionLabels[step + i] })).reverse());
+  }, [shapesHistory, redoHistory, takeHistorySnapshot, restoreHistorySnapshot]);
+
+  const undo = useCallback(() => jumpToHistory(shapesHistory.length - 1), [jumpToHistory, shapesHistory.length]);
+  const redo = useCallback(() => jumpToHistory(shapesHistory.length + 1), [jumpToHistory, shapesHistory.length]);
+
   // =====================================================
   // KEYBOARD SHORTCUTS
   // =====================================================
   useEffect(() => {
     const handleKeyDown = (e) => {
-      if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+      if (isTypingTarget(e.target)) return;
 
-      // Ctrl+Z - Undo (unified history - always undoes last action regardless of mode)
-      if ((e.key === 'z' || e.key === 'Z') && (e.ctrlKey || e.metaKey)) {
+      // Ctrl+Shift+Z or Ctrl+Y - Redo
+      if ((((e.key === 'z' || e.key === 'Z') && e.shiftKey) || e.key === 'y' || e.key === 'Y') && (e.ctrlKey || e.metaKey)) {
         e.preventDefault();
-        if (shapesHistory.length > 0) {
-          const lastState = shapesHistory[shapesHistory.length - 1];
-          if (lastState && lastState.shapes && lastState.items) {
-            setAllFloorShapes(lastState.shapes);
-            setAllFloorItems(lastState.items);
-          }
-          setShapesHistory(prev => prev.slice(0, -1));
-        }
+        redo();
+        return;
       }
 
-      // Ctrl+C - Copy group (Lock mode only)
-      if ((e.key === 'c' || e.key === 'C') && (e.ctrlKey || e.metaKey) && isLocked) {
+      // Ctrl+Z - Undo (unified history - always undoes last action regardless of mode)
+      if ((e.key === 'z' || e.key === 'Z') && (e.ctrlKey || e.metaKey)) {
         e.preventDefault();
-        // Find shape at current mouse position
-        const mousePos = mousePositionRef.current;
-        const shapeAtMouse = shapes.find(shape => {
-          const verts = shape._verts || [];
-          if (verts.length < 3) return false;
-          // Point-in-polygon test
-          let inside = false;
-          for (let i = 0, j = verts.length - 1; i < verts.length; j = i++) {
-            const xi = verts[i].x, yi = verts[i].y;
-            const xj = verts[j].x, yj = verts[j].y;
-            if (((yi > mousePos.y) !== (yj > mousePos.y)) &&
-                (mousePos.x < (xj - xi) * (mousePos.y - yi) / (yj - yi) + xi)) {
-              inside = !inside;
-            }
-          }
-          return inside;
-        });
+        undo();
+      }
 
-        if (shapeAtMouse) {
-          // Find connected group
-          const group = new Set([shapeAtMouse.id]);
-          const queue = [shapeAtMouse];
-          while (queue.length > 0) {
-            const current = queue.shift();
-            for (const other of shapes) {
-              if (group.has(other.id)) continue;
-              // Check if shapes share an edge
-              const verts1 = current._verts || [];
-              const verts2 = other._verts || [];
-              const tolerance = EDGE_TOLERANCE * 2;
-              let sharesEdge = false;
-              for (let i = 0; i < verts1.length && !sharesEdge; i++) {
-                const a1 = verts1[i];
-                const a2 = verts1[(i + 1) % verts1.length];
-                for (let j = 0; j < verts2.length && !sharesEdge; j++) {
-                  const b1 = verts2[j];
-                  const b2 = verts2[(j + 1) % verts2.length];
-                  const a1MatchesB1 = Math.hypot(a1.x - b1.x, a1.y - b1.y) < tolerance;
-                  const a1MatchesB2 = Math.hypot(a1.x - b2.x, a1.y - b2.y) < tolerance;
-                  const a2MatchesB1 = Math.hypot(a2.x - b1.x, a2.y - b1.y) < tolerance;
-                  const a2MatchesB2 = Math.hypot(a2.x - b2.x, a2.y - b2.y) < tolerance;
-                  if ((a1MatchesB1 && a2MatchesB2) || (a1MatchesB2 && a2MatchesB1)) {
-                    sharesEdge = true;
-                  }
-                }
-              }
-              if (sharesEdge) {
-                group.add(other.id);
-                queue.push(other);
-              }
-            }
-          }
+      const hasSelection = selectedShapeIds.length > 0 || selectedItemIds.length > 0;
 
-          // Get group shapes and calculate centroid
-          const groupShapes = shapes.filter(s => group.has(s.id));
-          let totalX = 0, totalY = 0, totalVerts = 0;
-          for (const shape of groupShapes) {
-            const verts = shape._verts || [];
-            for (const v of verts) {
-              totalX += v.x;
-              totalY += v.y;
-              totalVerts++;
-            }
-          }
-          const centroidX = totalX / totalVerts;
-          const centroidY = totalY / totalVerts;
-
-          // Store shapes with vertices relative to centroid
-          const clipboardData = groupShapes.map(shape => ({
-            type: shape.type,
-            building: shape.building,
-            rotation: shape.rotation,
-            _verts: (shape._verts || []).map(v => ({
-              x: v.x - centroidX,
-              y: v.y - centroidY
-            }))
-          }));
-          setClipboard(clipboardData);
-        }
+      // Ctrl+A - Select every shape and item on this floor (Lock mode only)
+      if ((e.key === 'a' || e.key === 'A') && (e.ctrlKey || e.metaKey) && isLocked) {
+        e.preventDefault();
+        setSelectedShapeIds(shapes.map(s => s.id));
+        setSelectedItemIds(placedItems.map(item => item.id));
       }
 
-      // Ctrl+V - Paste group (Lock mode only)
-      if ((e.key === 'v' || e.key === 'V') && (e.ctrlKey || e.metaKey) && isLocked && clipboard) {
+      // Delete the lock mode selection with Delete or Backspace
+      if ((e.key === 'Delete' || e.key === 'Backspace') && isLocked && hasSelection) {
         e.preventDefault();
-        const mousePos = mousePositionRef.current;
-        const baseId = Date.now();
-
-        // Create new shapes at mouse position
-        const newShapes = clipboard.map((shape, i) => ({
-          id: baseId + i,
-          type: shape.type,
-          building: shape.building,
-          rotation: shape.rotation,
-          x: mousePos.x,
-          y: mousePos.y,
-          _verts: shape._verts.map(v => ({
-            x: v.x + mousePos.x,
-            y: v.y + mousePos.y
-          }))
-        }));
-
-        saveToHistory();
-        setShapes(prev => [...prev, ...newShapes]);
+        saveToHistory(`Deleted ${selectedShapeIds.length + selectedItemIds.length} selected`);
+        deleteShapes(selectedShapeIds);
+        setPlacedItems(prev => prev.filter(item => !selectedItemIds.includes(item.id)));
+        setSelectedShapeIds([]);
+        setSelectedItemIds([]);
       }
 
       // Delete selected item with Delete or Backspace
       if ((e.key === 'Delete' || e.key === 'Backspace') && selectedItemId !== null) {
         e.preventDefault();
-        saveToHistory();
+        saveToHistory('Deleted item');
         setPlacedItems(prev => prev.filter(item => item.id !== selectedItemId));
         setSelectedItemId(null);
       }
@@ -670,6 +571,9 @@ export default function App() {
           setShowHelpModal(false);
         } else if (selectedItemId !== null) {
           setSelectedItemId(null);
+        } else if (hasSelection) {
+          setSelectedShapeIds([]);
+          setSelectedItemIds([]);
         }
       }
 
@@ -717,7 +621,7 @@ export default function App() {
     };
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [selectedItemId, currentFloor, isLocked, shapes, clipboard, setShapes, setPlacedItems, showHelpModal, itemMode, showToast, saveToHistory, shapesHistory]);
+  }, [selectedItemId, currentFloor, isLocked, shapes, placedItems, selectedShapeIds, selectedItemIds, setShapes, setPlacedItems, deleteShapes, showHelpModal, itemMode, showToast, saveToHistory, undo, redo]);
 
   // Prevent context menu globally when pattern modal is open or in lock mode
   useEffect(() => {
@@ -735,6 +639,40 @@ export default function App() {
   // =====================================================
   const STORAGE_KEY = 'dune-base-planner-autosave';
 
+  // Snapshot of everything needed to bring a design back (autosave slot and project library share this shape)
+  const getSaveState = useCallback(() => ({
+    allFloorShapes,
+    allFloorItems,
+    allFloorWalls,
+    allFloorRoofs,
+    floorNames,
+    currentFloor,
+    buildingType,
+    fiefMode,
+    fiefType,
+    fiefWidth,
+    fiefHeight,
+    fiefPosition,
+    fiefPadding,
+    claimedAreas,
+    stakesInventory,
+    leftClickShape,
+    rightClickShape,
+    middleClickAction,
+    gridEnabled,
+  }), [allFloorShapes, allFloorItems, allFloorWalls, allFloorRoofs, floorNames, currentFloor, buildingType, fiefMode, fiefType, fiefWidth, fiefHeight, fiefPosition, fiefPadding, claimedAreas, stakesInventory, leftClickShape, rightClickShape, middleClickAction, gridEnabled]);
+
+  // Write the canvas into the open library project (only touches it when the design actually changed)
+  const syncActiveProject = useCallback(() => {
+    if (activeProjectId === null) return;
+    const designState = getSaveState();
+    const serialized = JSON.stringify(designState);
+    setProjects(prev => prev.map(p => {
+      if (p.id !== activeProjectId || JSON.stringify(p.state) === serialized) return p;
+      return { ...p, state: designState, updatedAt: Date.now(), thumbnail: buildProjectThumbnail(designState.allFloorShapes) };
+    }));
+  }, [getSaveState, activeProjectId]);
+
   // Save current state to localStorage
   const saveToLocalStorage = useCallback(() => {
     if (skipNextSave) {
@@ -742,21 +680,8 @@ export default function App() {
       return;
     }
     const state = {
-      allFloorShapes,
-      allFloorItems,
-      currentFloor,
-      buildingType,
-      fiefMode,
-      fiefType,
-      fiefWidth,
-      fiefHeight,
-      fiefPosition,
-      claimedAreas,
-      stakesInventory,
-      leftClickShape,
-      rightClickShape,
-      middleClickAction,
-      gridEnabled,
+      ...getSaveState(),
+      projectId: activeProjectId,
       timestamp: Date.now(),
     };
     try {
@@ -764,33 +689,34 @@ export default function App() {
     } catch (e) {
       console.warn('Failed to save to localStorage:', e);
     }
-  }, [allFloorShapes, allFloorItems, currentFloor, buildingType, fiefMode, fiefType, fiefWidth, fiefHeight, fiefPosition, claimedAreas, stakesInventory, leftClickShape, rightClickShape, middleClickAction, gridEnabled, skipNextSave]);
+    syncActiveProject();
+  }, [getSaveState, activeProjectId, skipNextSave, syncActiveProject]);
 
-  // Auto-save every 30 seconds when there are shapes
+  // Auto-save every 30 seconds when there are shapes (always for a library project, which may be emptied)
   useEffect(() => {
     const hasContent = Object.values(allFloorShapes).some(s => s.length > 0) ||
                        Object.values(allFloorItems).some(i => i.length > 0);
-    if (!hasContent) return;
+    if (!hasContent && activeProjectId === null) return;
 
     const interval = setInterval(() => {
       saveToLocalStorage();
     }, 30000);
 
     return () => clearInterval(interval);
-  }, [saveToLocalStorage, allFloorShapes, allFloorItems]);
+  }, [saveToLocalStorage, allFloorShapes, allFloorItems, activeProjectId]);
 
-  // Also save on significant changes (debounced)
+  // Also save on any change to the design - pieces, items, walls, roofs, floor names or the fief (debounced)
   useEffect(() => {
     const hasContent = Object.values(allFloorShapes).some(s => s.length > 0) ||
                        Object.values(allFloorItems).some(i => i.length > 0);
-    if (!hasContent) return;
+    if (!hasContent && activeProjectId === null) return;
 
     const timeout = setTimeout(() => {
       saveToLocalStorage();
     }, 2000);
 
     return () => clearTimeout(timeout);
-  }, [allFloorShapes, allFloorItems, saveToLocalStorage]);
+  }, [allFloorShapes, allFloorItems, allFloorWalls, allFloorRoofs, floorNames, fiefMode, fiefType, fiefWidth, fiefHeight, fiefPosition, fiefPadding, claimedAreas, stakesInventory, activeProjectId, saveToLocalStorage]);
 
   // Save patterns to localStorage whenever they change
   useEffect(() => {
@@ -801,6 +727,48 @@ export default function App() {
     }
   }, [savedPatterns]);
 
+  // Save project library to localStorage whenever it changes. When the quota runs out the thumbnails
+  // (the bulk of the library) are left out; if even that fails the user is told the library was not saved.
+  useEffect(() => {
+    try {
+      localStorage.setItem('dune-planner-projects', JSON.stringify(projects));
+    } catch (e) {
+      console.warn('Failed to save projects:', e);
+      try {
+        localStorage.setItem('dune-planner-projects', JSON.stringify(projects.map(({ thumbnail: _thumbnail, ...project }) => project)));
+        showToast('Browser storage is nearly full - saved projects without their thumbnails', 'warning', 6000);
+      } catch (e2) {
+        console.warn('Failed to save projects without thumbnails:', e2);
+        showToast('Browser storage is full - project changes were not saved. Export your projects to keep them.', 'error', 8000);
+      }
+    }
+  }, [projects, showToast]);
+
+  // Save webhook targets to localStorage whenever they change
+  useEffect(() => {
+    try {
+      localStorage.setItem('dune-planner-webhooks', JSON.stringify(savedWebhooks));
+    } catch (e) {
+      console.warn('Failed to save webhooks:', e);
+    }
+  }, [savedWebhooks]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem('dune-planner-discord-posts', JSON.stringify(discordPosts));
+    } catch (e) {
+      console.warn('Failed to save Discord post ids:', e);
+    }
+  }, [discordPosts]);
+
+  useEffect(() => {
+    try {
+      if (clipboard) localStorage.setItem('dune-planner-clipboard', JSON.stringify(clipboard));
+    } catch (e) {
+      console.warn('Failed to save clipboard:', e);
+    }
+  }, [clipboard]);
+
   // Save a pattern from a group of shapes
   const savePattern = useCallback((name, groupShapes) => {
     // Calculate centroid of the group (average of all shape centers)
@@ -843,6 +811,24 @@ export default function App() {
     showToast('Pattern deleted', 'info');
   }, [showToast]);
 
+  // Mirror a saved pattern in place ('horizontal' flips left-right); it stays centred on the drop point
+  const mirrorPattern = useCallback((patternId, direction) => {
+    setSavedPatterns(prev => prev.map(pattern => {
+      if (pattern.id !== patternId) return pattern;
+      return {
+        ...pattern,
+        shapes: pattern.shapes.map(ps => {
+          const verts = ps.localVerts
+            ? ps.localVerts.map(v => ({ x: ps.relX + v.x, y: ps.relY + v.y }))
+            : geometry.getShapeVertices({ type: ps.type, x: ps.relX, y: ps.relY, rotation: ps.rotation });
+          const mirrored = geometry.mirrorVertices(verts, direction, 0, 0);
+          const { x, y, rotation } = geometry.verticesToShape(mirrored, ps.type);
+          return { type: ps.type, relX: x, relY: y, rotation, localVerts: mirrored.map(v => ({ x: v.x - x, y: v.y - y })) };
+        }),
+      };
+    }));
+  }, []);
+
   // Place a pattern on the canvas
   const placePattern = useCallback((pattern, worldX, worldY) => {
     const newShapes = pattern.shapes.map((ps, i) => {
@@ -897,7 +883,7 @@ export default function App() {
       return shape;
     });
 
-    saveToHistory();
+    saveToHistory(`Placed pattern "${pattern.name}"`);
     setShapes(prev => [...prev, ...newShapes]);
     showToast(`Placed "${pattern.name}"`, 'success');
   }, [buildingType, showToast, setShapes, saveToHistory]);
@@ -923,27 +909,43 @@ export default function App() {
     }
   }, []);
 
+  // Apply a saved design snapshot (autosave slot or library project) - missing fields fall back to defaults
+  const applySaveState = useCallback((state) => {
+    setAllFloorShapes(state.allFloorShapes || { 0: [] });
+    setAllFloorItems(state.allFloorItems || { 0: [] });
+    setAllFloorWalls(state.allFloorWalls || {});
+    setAllFloorRoofs(state.allFloorRoofs || {});
+    setFloorNames(state.floorNames || {});
+    setCurrentFloor(state.currentFloor ?? 0);
+    setBuildingType(state.buildingType || 'atreides');
+    setFiefMode(state.fiefMode ?? false);
+    setFiefType(state.fiefType || 'standard');
+    setFiefWidth(state.fiefWidth || FIEF_DEFAULTS[state.fiefType || 'standard'].width);
+    setFiefHeight(state.fiefHeight || FIEF_DEFAULTS[state.fiefType || 'standard'].height);
+    setFiefPosition(state.fiefPosition || null);
+    setFiefPadding(state.fiefPadding ?? 0);
+    setClaimedAreas(state.claimedAreas || []);
+    setStakesInventory(state.stakesInventory ?? MAX_STAKES);
+    setPlacedStakes([]);
+    setLeftClickShape(state.leftClickShape || 'square');
+    setRightClickShape(state.rightClickShape || 'triangle');
+    setMiddleClickAction(state.middleClickAction || 'delete');
+    setGridEnabled(state.gridEnabled ?? false);
+    setSelectedItemId(null);
+    setHoverInfo(null);
+  }, []);
+
   // Restore state from localStorage
   const restoreFromLocalStorage = useCallback(() => {
     try {
       const saved = localStorage.getItem(STORAGE_KEY);
       if (saved) {
         const state = JSON.parse(saved);
-        if (state.allFloorShapes) setAllFloorShapes(state.allFloorShapes);
-        if (state.allFloorItems) setAllFloorItems(state.allFloorItems);
-        if (state.currentFloor !== undefined) setCurrentFloor(state.currentFloor);
-        if (state.buildingType) setBuildingType(state.buildingType);
-        if (state.fiefMode !== undefined) setFiefMode(state.fiefMode);
-        if (state.fiefType) setFiefType(state.fiefType);
-        if (state.fiefWidth) setFiefWidth(state.fiefWidth);
-        if (state.fiefHeight) setFiefHeight(state.fiefHeight);
-        if (state.fiefPosition) setFiefPosition(state.fiefPosition);
-        if (state.claimedAreas) setClaimedAreas(state.claimedAreas);
-        if (state.stakesInventory !== undefined) setStakesInventory(state.stakesInventory);
-        if (state.leftClickShape) setLeftClickShape(state.leftClickShape);
-        if (state.rightClickShape) setRightClickShape(state.rightClickShape);
-        if (state.middleClickAction) setMiddleClickAction(state.middleClickAction);
-        if (state.gridEnabled !== undefined) setGridEnabled(state.gridEnabled);
+        applySaveState(state);
+        // Reattach to the library project the session was editing (if it still exists)
+        if (state.projectId && projects.some(p => p.id === state.projectId)) {
+          setActiveProjectId(state.projectId);
+        }
         showToast('Design restored!', 'success');
       }
     } catch (e) {
@@ -951,7 +953,7 @@ export default function App() {
       showToast('Failed to restore design', 'error');
     }
     setShowRestorePrompt(false);
-  }, [showToast]);
+  }, [showToast, applySaveState, projects]);
 
   // Dismiss restore prompt (Start Fresh)
   const dismissRestorePrompt = useCallback(() => {
@@ -960,337 +962,146 @@ export default function App() {
     localStorage.removeItem(STORAGE_KEY);
   }, []);
 
+  // =====================================================
+  // PROJECT LIBRARY
+  // =====================================================
+  // Save the current design as a new named project and start editing it
+  const createProject = useCallback((name) => {
+    const now = Date.now();
+    const state = getSaveState();
+    const project = {
+      id: nextProjectId(),
+      name,
+      createdAt: now,
+      updatedAt: now,
+      thumbnail: buildProjectThumbnail(state.allFloorShapes),
+      state,
+    };
+    setProjects(prev => [project, ...prev]);
+    setActiveProjectId(project.id);
+    showToast(`Project "${name}" saved!`, 'success');
+  }, [getSaveState, showToast]);
+
+  // Open a project from the library, replacing the canvas
+  const openProject = useCallback((projectId) => {
+    const project = projects.find(p => p.id === projectId);
+    if (!project) return;
+    // Flush pending edits of the project being left before switching
+    syncActiveProject();
+    applySaveState(project.state || {});
+    setActiveProjectId(project.id);
+    setShapesHistory([]); // Undo should not cross project boundaries
+    setRedoHistory([]);
+    setShowProjectsModal(false);
+    showToast(`Opened "${project.name}"`, 'success');
+  }, [projects, syncActiveProject, applySaveState, showToast]);
+
+  // Start an empty, unsaved design
+  const startNewProject = useCallback(() => {
+    syncActiveProject();
+    applySaveState({});
+    setActiveProjectId(null);
+    setShapesHistory([]);
+    setRedoHistory([]);
+    setShowProjectsModal(false);
+  }, [syncActiveProject, applySaveState]);
+
+  const duplicateProject = useCallback((projectId) => {
+    const project = projects.find(p => p.id === projectId);
+    if (!project) return;
+    const now = Date.now();
+    setProjects(prev => [{ ...project, id: nextProjectId(), name: `${project.name} (copy)`, createdAt: now, updatedAt: now }, ...prev]);
+    showToast(`Duplicated "${project.name}"`, 'success');
+  }, [projects, showToast]);
+
+  const renameProject = useCallback((projectId, name) => {
+    setProjects(prev => prev.map(p => p.id === projectId ? { ...p, name, updatedAt: Date.now() } : p));
+    setRenamingProjectId(null);
+    setRenameValue('');
+  }, []);
+
+  const deleteProject = useCallback((projectId) => {
+    const project = projects.find(p => p.id === projectId);
+    if (!project || !window.confirm(`Delete project "${project.name}"? This cannot be undone.`)) return;
+    setProjects(prev => prev.filter(p => p.id !== projectId));
+    setDiscordPosts(prev => {
+      const { [projectId]: _posts, ...rest } = prev;
+      return rest;
+    });
+    // The canvas keeps the design, it just no longer belongs to a project
+    if (activeProjectId === projectId) setActiveProjectId(null);
+    showToast('Project deleted', 'info');
+  }, [projects, activeProjectId, showToast]);
+
+  const activeProject = projects.find(p => p.id === activeProjectId) || null;
+
+  // Download the design (all floors, fief, stakes and saved patterns) as a .json project file
+  const exportProjectFile = useCallback(() => {
+    const name = activeProject ? activeProject.name : 'Dune base';
+    const json = serializeProjectFile({ name, state: getSaveState(), savedPatterns });
+    downloadBlob(new Blob([json], { type: 'application/json' }), projectFileName(name));
+    showToast(`Exported "${name}"`, 'success');
+  }, [activeProject, getSaveState, savedPatterns, showToast]);
+
+  // Import a project file as a new library project and open it
+  const importProjectFile = useCallback(async (file) => {
+    try {
+      const { name, state, savedPatterns: filePatterns } = parseProjectFile(await file.text());
+      syncActiveProject();
+      const now = Date.now();
+      const id = nextProjectId();
+      setProjects(prev => [{
+        id,
+        name,
+        createdAt: now,
+        updatedAt: now,
+        thumbnail: buildProjectThumbnail(state.allFloorShapes),
+        state,
+      }, ...prev]);
+      applySaveState(state);
+      setActiveProjectId(id);
+      setShapesHistory([]);
+      setRedoHistory([]);
+      // Merge patterns, skipping ones that are already in the library
+      const newPatterns = filePatterns.filter(fp => !savedPatterns.some(p => p.id === fp.id));
+      if (newPatterns.length > 0) setSavedPatterns(prev => [...prev, ...newPatterns]);
+      setShowProjectsModal(false);
+      showToast(`Imported "${name}"${newPatterns.length > 0 ? ` with ${newPatterns.length} pattern${newPatterns.length === 1 ? '' : 's'}` : ''}`, 'success');
+    } catch (e) {
+      console.warn('Failed to import project file:', e);
+      showToast(`Could not import ${file.name}: ${e.message}`, 'error', 6000);
+    }
+  }, [syncActiveProject, applySaveState, savedPatterns, showToast]);
+
+  // Project files dropped onto the canvas are imported
+  const handleProjectFileDrop = useCallback((e) => {
+    const file = e.dataTransfer.files && e.dataTransfer.files[0];
+    if (!file) return;
+    e.preventDefault();
+    importProjectFile(file);
+  }, [importProjectFile]);
+
   // =====================================================
   // SHARE FUNCTIONALITY
   // =====================================================
-  // Load shared state from URL on mount
+  // Load shared state from URL on mount (any historical link format is migrated by shareCodec)
   useEffect(() => {
     const params = new URLSearchParams(window.location.search);
     const sharedData = params.get('d');
     if (sharedData) {
       try {
-        const decompressed = LZString.decompressFromEncodedURIComponent(sharedData);
-        if (decompressed) {
-          const state = JSON.parse(decompressed);
-
-          // Type maps for different formats
-          const typeFromCode = ['square', 'triangle', 'corner', 'stair'];
-          const typeFromChar = { s: 'square', t: 'triangle', c: 'corner', st: 'stair' };
-          const buildingFromCode = ['atreides', 'harkonnen', 'choamShelter', 'choamFacility'];
-          const buildingFromChar = { a: 'atreides', h: 'harkonnen', cs: 'choamShelter', cf: 'choamFacility' };
-          const shapeFromCode = ['square', 'triangle', 'corner', 'delete', 'stair'];
-          const shapeFromChar = { s: 'square', t: 'triangle', c: 'corner', d: 'delete', st: 'stair' };
-          const dirFromCode = ['top', 'bottom', 'left', 'right'];
-          const dirFromChar = { t: 'top', b: 'bottom', l: 'left', r: 'right' };
-
-          // Get default building type from state (for backward compatibility)
-          const defaultBuilding = state.b !== undefined
-            ? (typeof state.b === 'number' ? buildingFromCode[state.b] : buildingFromChar[state.b] || 'atreides')
-            : 'atreides';
-
-          // Helper to expand compressed shapes
-          const expandCompressedShapes = (compressedShapes, startId = 0) => {
-            if (!compressedShapes || compressedShapes.length === 0) return [];
-            const isUltraCompact = Array.isArray(compressedShapes[0]);
-            return compressedShapes.map((s, i) => {
-              let type, verts = [], building = defaultBuilding;
-              if (isUltraCompact) {
-                type = typeFromCode[s[0]] || 'square';
-                let vertStart = 1;
-                if (s.length >= 2 && s[1] >= 0 && s[1] <= 3 && (s.length - 2) % 2 === 0) {
-                  building = buildingFromCode[s[1]] || defaultBuilding;
-                  vertStart = 2;
-                }
-                for (let j = vertStart; j < s.length; j += 2) {
-                  verts.push({ x: s[j], y: s[j + 1] });
-                }
-              } else {
-                type = typeFromChar[s.t] || 'square';
-                if (s.b !== undefined) {
-                  building = typeof s.b === 'number' ? buildingFromCode[s.b] : buildingFromChar[s.b] || defaultBuilding;
-                }
-                if (s.v && s.v.length >= 4) {
-                  for (let j = 0; j < s.v.length; j += 2) {
-                    verts.push({ x: s.v[j], y: s.v[j + 1] });
-                  }
-                }
-              }
-              const cx = verts.length > 0 ? verts.reduce((sum, v) => sum + v.x, 0) / verts.length : 0;
-              const cy = verts.length > 0 ? verts.reduce((sum, v) => sum + v.y, 0) / verts.length : 0;
-              let rotation = 0;
-              if (verts.length >= 2) {
-                if (type === 'square' || type === 'stair') {
-                  const dx = verts[1].x - verts[0].x;
-                  const dy = verts[1].y - verts[0].y;
-                  rotation = (Math.atan2(dy, dx) * 180 / Math.PI) + 180;
-                } else if (type === 'corner') {
-                  const dx = verts[1].x - verts[0].x;
-                  const dy = verts[1].y - verts[0].y;
-                  rotation = Math.atan2(dy, dx) * 180 / Math.PI;
-                } else {
-                  const dx = verts[0].x - cx;
-                  const dy = verts[0].y - cy;
-                  rotation = (Math.atan2(dy, dx) * 180 / Math.PI) + 90;
-                }
-              }
-              return { id: Date.now() + startId + i, type, x: cx, y: cy, rotation, building, _verts: verts };
-            });
-          };
-
-          // Helper to expand compressed items
-          const expandCompressedItems = (compressedItems, startId = 0) => {
-            if (!compressedItems || compressedItems.length === 0) return [];
-            return compressedItems.map((item, i) => ({
-              id: Date.now() + startId + i,
-              itemType: item[0],
-              x: item[1],
-              y: item[2],
-            }));
-          };
-
-          // Check for multi-floor format first
-          if (state.fs || state.fi) {
-            // Multi-floor format
-            const newFloorShapes = { 0: [] };
-            const newFloorItems = { 0: [] };
-            let idOffset = 0;
-
-            if (state.fs) {
-              for (const [floor, shapes] of Object.entries(state.fs)) {
-                newFloorShapes[parseInt(floor)] = expandCompressedShapes(shapes, idOffset);
-                idOffset += shapes.length;
-              }
-            }
-            if (state.fi) {
-              for (const [floor, items] of Object.entries(state.fi)) {
-                newFloorItems[parseInt(floor)] = expandCompressedItems(items, 2000 + idOffset);
-                idOffset += items.length;
-              }
-            }
-
-            setAllFloorShapes(newFloorShapes);
-            setAllFloorItems(newFloorItems);
-            if (state.cf !== undefined) setCurrentFloor(state.cf);
-          } else if (state.s && state.s.length > 0) {
-            // Single floor format (backward compatible)
-            const isUltraCompact = Array.isArray(state.s[0]);
-
-            // Restore shapes from vertex data
-            const expandedShapes = state.s.map((s, i) => {
-              let type, verts = [], building = defaultBuilding;
-
-              if (isUltraCompact) {
-                // Ultra-compact: [typeCode, x1, y1, x2, y2, ...] or [typeCode, buildingCode, x1, y1, ...]
-                type = typeFromCode[s[0]] || 'square';
-                let vertStart = 1;
-                // Check if second element is a building code (0-3) and we have odd number of remaining elements
-                if (s.length >= 2 && s[1] >= 0 && s[1] <= 3 && (s.length - 2) % 2 === 0) {
-                  building = buildingFromCode[s[1]] || defaultBuilding;
-                  vertStart = 2;
-                }
-                for (let j = vertStart; j < s.length; j += 2) {
-                  verts.push({ x: s[j], y: s[j + 1] });
-                }
-              } else {
-                // Compact: {t: 's', v: [x1, y1, x2, y2, ...], b: 'a'}
-                type = typeFromChar[s.t] || 'square';
-                if (s.b !== undefined) {
-                  building = typeof s.b === 'number' ? buildingFromCode[s.b] : buildingFromChar[s.b] || defaultBuilding;
-                }
-                if (s.v && s.v.length >= 4) {
-                  for (let j = 0; j < s.v.length; j += 2) {
-                    verts.push({ x: s.v[j], y: s.v[j + 1] });
-                  }
-                }
-              }
-
-              // Calculate centroid for x, y
-              const cx = verts.length > 0 ? verts.reduce((sum, v) => sum + v.x, 0) / verts.length : 0;
-              const cy = verts.length > 0 ? verts.reduce((sum, v) => sum + v.y, 0) / verts.length : 0;
-
-              // Calculate rotation from vertices
-              let rotation = 0;
-              if (verts.length >= 2) {
-                if (type === 'square' || type === 'stair') {
-                  const dx = verts[1].x - verts[0].x;
-                  const dy = verts[1].y - verts[0].y;
-                  rotation = (Math.atan2(dy, dx) * 180 / Math.PI) + 180;
-                } else if (type === 'corner') {
-                  const dx = verts[1].x - verts[0].x;
-                  const dy = verts[1].y - verts[0].y;
-                  rotation = Math.atan2(dy, dx) * 180 / Math.PI;
-                } else {
-                  const dx = verts[0].x - cx;
-                  const dy = verts[0].y - cy;
-                  rotation = (Math.atan2(dy, dx) * 180 / Math.PI) + 90;
-                }
-              }
-
-              return {
-                id: Date.now() + i,
-                type,
-                x: cx,
-                y: cy,
-                rotation,
-                building,
-                _verts: verts,
-              };
-            });
-            setAllFloorShapes({ 0: expandedShapes });
-
-            // Restore other settings (handle both numeric codes and char codes)
-            if (state.b !== undefined) {
-              setBuildingType(typeof state.b === 'number' ? buildingFromCode[state.b] : buildingFromChar[state.b] || 'atreides');
-            }
-            if (state.l !== undefined) {
-              setLeftClickShape(typeof state.l === 'number' ? shapeFromCode[state.l] : shapeFromChar[state.l] || 'square');
-            }
-            if (state.r !== undefined) {
-              setRightClickShape(typeof state.r === 'number' ? shapeFromCode[state.r] : shapeFromChar[state.r] || 'triangle');
-            }
-            if (state.m !== undefined) {
-              // New format: middle click action (0=square, 1=triangle, 2=corner, 3=delete, 4=stair)
-              const actionFromCode = ['square', 'triangle', 'corner', 'delete', 'stair'];
-              setMiddleClickAction(actionFromCode[state.m] || 'delete');
-            }
-            if (state.fm !== undefined) setFiefMode(state.fm === 1);
-            if (state.fx !== undefined && state.fy !== undefined) {
-              setFiefPosition({ x: state.fx, y: state.fy });
-            }
-            if (state.ft !== undefined) setFiefType(state.ft === 1 || state.ft === 'a' ? 'advanced' : 'standard');
-            if (state.fw) setFiefWidth(state.fw);
-            if (state.fh) setFiefHeight(state.fh);
-            if (state.fp !== undefined) setFiefPadding(state.fp);
-            if (state.si !== undefined) setStakesInventory(state.si);
-            if (state.ca && state.ca.length > 0) {
-              const isUltraCompactClaimed = Array.isArray(state.ca[0]);
-              const expandedClaimed = state.ca.map((a, i) => ({
-                id: Date.now() + 1000 + i,
-                direction: isUltraCompactClaimed ? dirFromCode[a[0]] : dirFromChar[a.d] || 'top',
-                parentId: isUltraCompactClaimed ? (a[1] === 0 ? 'main' : a[1]) : (a.p === 'm' ? 'main' : a.p),
-              }));
-              setClaimedAreas(expandedClaimed);
-            }
-
-            // Restore placed items from URL
-            if (state.pi && state.pi.length > 0) {
-              const expandedItems = state.pi.map((item, i) => ({
-                id: Date.now() + 2000 + i,
-                itemType: item[0],
-                x: item[1],
-                y: item[2],
-              }));
-              setAllFloorItems({ 0: expandedItems });
-            }
-          } else if (state.s && state.s.length === 0) {
-            // Empty design
-            setAllFloorShapes({ 0: [] });
-          } else {
-            // Old format - direct mapping
-            if (state.shapes) setAllFloorShapes({ 0: state.shapes });
-            if (state.buildingType) setBuildingType(state.buildingType);
-            if (state.leftClickShape) setLeftClickShape(state.leftClickShape);
-            if (state.rightClickShape) setRightClickShape(state.rightClickShape);
-            if (state.middleClickAction) setMiddleClickAction(state.middleClickAction);
-            if (state.fiefMode !== undefined) setFiefMode(state.fiefMode);
-            if (state.fiefType) setFiefType(state.fiefType);
-            if (state.fiefWidth) setFiefWidth(state.fiefWidth);
-            if (state.fiefHeight) setFiefHeight(state.fiefHeight);
-            if (state.fiefPadding !== undefined) setFiefPadding(state.fiefPadding);
-            if (state.stakesInventory !== undefined) setStakesInventory(state.stakesInventory);
-            if (state.claimedAreas) setClaimedAreas(state.claimedAreas);
-            if (state.placedItems) setAllFloorItems({ 0: state.placedItems });
-          }
-
-          // Clear URL after loading
-          window.history.replaceState({}, '', window.location.pathname);
-        }
+        applySaveState(decodeShareString(sharedData));
+        // Clear URL after loading
+        window.history.replaceState({}, '', window.location.pathname);
       } catch (e) {
         console.error('Failed to load shared design:', e);
+        showToast(`Could not load shared design: ${e.message}`, 'error', 6000);
       }
     }
   }, []);
 
-  // Compress state for sharing (ultra-compact format)
-  const getCompressedState = useCallback(() => {
-    // Helper to compress shapes for a floor
-    const compressShapes = (floorShapes) => floorShapes.map(s => {
-      const verts = s._verts || [];
-      const typeCode = s.type === 'square' ? 0 : s.type === 'triangle' ? 1 : s.type === 'corner' ? 2 : s.type === 'stair' ? 3 : 0;
-      const buildingCode = s.building === 'atreides' ? 0 : s.building === 'harkonnen' ? 1 : s.building === 'choamShelter' ? 2 : s.building === 'choamFacility' ? 3 : 0;
-      return [typeCode, buildingCode, ...verts.flatMap(pt => [Math.round(pt.x), Math.round(pt.y)])];
-    });
-
-    // Helper to compress items for a floor
-    const compressItems = (floorItems) => floorItems.map(item => [
-      item.itemType,
-      Math.round(item.x),
-      Math.round(item.y),
-    ]);
-
-    // Minimal claimed areas as arrays [direction, parentId]
-    const minClaimed = claimedAreas.map(a => [
-      a.direction === 'top' ? 0 : a.direction === 'bottom' ? 1 : a.direction === 'left' ? 2 : 3,
-      a.parentId === 'main' ? 0 : a.parentId,
-    ]);
-
-    // Check if we have multiple floors with data
-    const floorsWithShapes = Object.entries(allFloorShapes).filter(([_, s]) => s.length > 0);
-    const floorsWithItems = Object.entries(allFloorItems).filter(([_, i]) => i.length > 0);
-    const hasMultipleFloors = floorsWithShapes.length > 1 || floorsWithItems.length > 1 ||
-      floorsWithShapes.some(([f]) => f !== '0') || floorsWithItems.some(([f]) => f !== '0');
-
-    // Build state object
-    const state = {};
-
-    if (hasMultipleFloors) {
-      // Multi-floor format: fs = {floorNum: shapes}, fi = {floorNum: items}
-      const fs = {};
-      const fi = {};
-      for (const [floor, floorShapes] of Object.entries(allFloorShapes)) {
-        if (floorShapes.length > 0) {
-          fs[floor] = compressShapes(floorShapes);
-        }
-      }
-      for (const [floor, floorItems] of Object.entries(allFloorItems)) {
-        if (floorItems.length > 0) {
-          fi[floor] = compressItems(floorItems);
-        }
-      }
-      if (Object.keys(fs).length > 0) state.fs = fs;
-      if (Object.keys(fi).length > 0) state.fi = fi;
-      if (currentFloor !== 0) state.cf = currentFloor;
-    } else {
-      // Single floor format (backward compatible)
-      state.s = compressShapes(allFloorShapes[0] || []);
-      if ((allFloorItems[0] || []).length > 0) {
-        state.pi = compressItems(allFloorItems[0]);
-      }
-    }
-
-    // Building type: 0=atreides, 1=harkonnen, 2=choamShelter, 3=choamFacility
-    const btCode = buildingType === 'atreides' ? 0 : buildingType === 'harkonnen' ? 1 : buildingType === 'choamShelter' ? 2 : 3;
-    if (btCode !== 0) state.b = btCode;
-
-    // Only include if different from defaults
-    const shapeToCode = { square: 0, triangle: 1, corner: 2, delete: 3, stair: 4 };
-    if (leftClickShape !== 'square') state.l = shapeToCode[leftClickShape];
-    if (rightClickShape !== 'triangle') state.r = shapeToCode[rightClickShape];
-    if (middleClickAction !== 'delete') state.m = shapeToCode[middleClickAction];
-    if (fiefMode && fiefPosition) {
-      state.fm = 1;
-      state.fx = Math.round(fiefPosition.x);
-      state.fy = Math.round(fiefPosition.y);
-      if (fiefType !== 'standard') state.ft = 1;
-      if (fiefWidth !== FIEF_DEFAULTS[fiefType].width) state.fw = fiefWidth;
-      if (fiefHeight !== FIEF_DEFAULTS[fiefType].height) state.fh = fiefHeight;
-      if (fiefPadding !== 0) state.fp = Math.round(fiefPadding * 10) / 10;
-      if (stakesInventory !== MAX_STAKES) state.si = stakesInventory;
-      if (minClaimed.length > 0) state.ca = minClaimed;
-    }
-
-    return LZString.compressToEncodedURIComponent(JSON.stringify(state));
-  }, [allFloorShapes, allFloorItems, currentFloor, buildingType, leftClickShape, rightClickShape, middleClickAction, fiefMode, fiefPosition, fiefType, fiefWidth, fiefHeight, fiefPadding, stakesInventory, claimedAreas]);
+  // Compress state for sharing (versioned format, see shareCodec.js)
+  const getCompressedState = useCallback(() => encodeShareString(getSaveState()), [getSaveState]);
 
   // Generate and copy share link
   const handleCopyLink = useCallback(() => {
@@ -1318,31 +1129,6 @@ export default function App() {
     setUrlTooLong(url.length > 2048);
   }, [generateShareUrl]);
 
-  // Update fief dimensions when type changes, reset stakes for standard fief
-  useEffect(() => {
-    setFiefWidth(FIEF_DEFAULTS[fiefType].width);
-    setFiefHeight(FIEF_DEFAULTS[fiefType].height);
-    // Reset stakes when switching to standard (no expansions allowed)
-    if (fiefType === 'standard') {
-      setStakesInventory(MAX_STAKES);
-      setPlacedStakes([]);
-      setClaimedAreas([]);
-      setDraggingStake(null);
-      setStakeDropZone(null);
-    }
-  }, [fiefType]);
-
-  // Reset stakes when fief mode is disabled
-  useEffect(() => {
-    if (!fiefMode) {
-      setStakesInventory(MAX_STAKES);
-      setPlacedStakes([]);
-      setClaimedAreas([]);
-      setDraggingStake(null);
-      setStakeDropZone(null);
-    }
-  }, [fiefMode]);
-
   // Sync Item Mode with sidebar open state
   useEffect(() => {
     setItemMode(itemSidebarOpen);
@@ -1457,100 +1243,8 @@ export default function App() {
   // Calculate all buildable areas (main fief + claimed stakes)
   const getBuildableAreas = useCallback(() => {
     if (!fiefMode || !fiefPosition) return [];
-
-    const areas = [];
-    const fiefW = fiefWidth * CELL_SIZE;
-    const fiefH = fiefHeight * CELL_SIZE;
-
-    // Main fief area - positioned where user placed it
-    const mainFief = {
-      id: 'main',
-      x: fiefPosition.x,
-      y: fiefPosition.y,
-      width: fiefW,
-      height: fiefH,
-    };
-    areas.push(mainFief);
-
-    // Build a map of areas by ID for chaining
-    const areaMap = { main: mainFief };
-
-    // Add claimed areas
-    for (const claim of claimedAreas) {
-      const parent = areaMap[claim.parentId];
-      if (!parent) continue;
-
-      let newArea;
-      switch (claim.direction) {
-        case 'top':
-          newArea = {
-            id: claim.id,
-            x: parent.x,
-            y: parent.y - fiefH,
-            width: fiefW,
-            height: fiefH,
-          };
-          break;
-        case 'bottom':
-          newArea = {
-            id: claim.id,
-            x: parent.x,
-            y: parent.y + parent.height,
-            width: fiefW,
-            height: fiefH,
-          };
-          break;
-        case 'left':
-          newArea = {
-            id: claim.id,
-            x: parent.x - fiefW,
-            y: parent.y,
-            width: fiefW,
-            height: fiefH,
-          };
-          break;
-        case 'right':
-          newArea = {
-            id: claim.id,
-            x: parent.x + parent.width,
-            y: parent.y,
-            width: fiefW,
-            height: fiefH,
-          };
-          break;
-        default:
-          continue;
-      }
-      areas.push(newArea);
-      areaMap[claim.id] = newArea;
-    }
-
-    // Add pending stakes (not yet claimed) for drop zone calculation
-    for (const stake of placedStakes) {
-      const parent = areaMap[stake.parentId];
-      if (!parent) continue;
-
-      let pendingArea;
-      switch (stake.direction) {
-        case 'top':
-          pendingArea = { id: stake.id, x: parent.x, y: parent.y - fiefH, width: fiefW, height: fiefH };
-          break;
-        case 'bottom':
-          pendingArea = { id: stake.id, x: parent.x, y: parent.y + parent.height, width: fiefW, height: fiefH };
-          break;
-        case 'left':
-          pendingArea = { id: stake.id, x: parent.x - fiefW, y: parent.y, width: fiefW, height: fiefH };
-          break;
-        case 'right':
-          pendingArea = { id: stake.id, x: parent.x + parent.width, y: parent.y, width: fiefW, height: fiefH };
-          break;
-        default:
-          continue;
-      }
-      areaMap[stake.id] = pendingArea;
-    }
-
-    return { areas, areaMap };
+    // Pending stakes (not yet claimed) are included in areaMap for drop zone calculation
+    return getFiefAreas({ fiefPosition, fiefWidth, fiefHeight, claimedAreas, pendingStakes: placedStakes });
   }, [fiefMode, fiefPosition, fiefWidth, fiefHeight, claimedAreas, placedStakes]);
 
   // Check if a point is inside any buildable area (with padding to EXPAND the area)
@@ -1680,481 +1374,294 @@ export default function App() {
   }, [fiefMode, fiefType, getBuildableAreas, placedStakes, fiefWidth, fiefHeight]);
 
   // =====================================================
-  // COLLISION POLYGON FOR CORNERS
-  // Creates collision vertices based on corner style
+  // VERTEX CALCULATIONS
   // =====================================================
-  const getCornerCollisionVerts = useCallback((corner, end1, end2, cornerStyle = 'round') => {
-    if (cornerStyle === 'diagonal') {
-      // Clipped diagonal - small flats parallel to opposite edges
-      const d1x = end1.x - corner.x;
-      const d1y = end1.y - corner.y;
-      const d2x = end2.x - corner.x;
-      const d2y = end2.y - corner.y;
-
-      // From end1, go in d2 direction (parallel to edge 2)
-      const flat1End = {
-        x: end1.x + d2x * DIAGONAL_FLAT_RATIO,
-        y: end1.y + d2y * DIAGONAL_FLAT_RATIO,
-      };
-      // From end2, go in d1 direction (parallel to edge 1)
-      const flat2Start = {
-        x: end2.x + d1x * DIAGONAL_FLAT_RATIO,
-        y: end2.y + d1y * DIAGONAL_FLAT_RATIO,
-      };
+  const getVertices = useCallback((shape) => geometry.getShapeVertices(shape), []);
 
-      return [corner, end1, flat1End, flat2Start, end2];
-    }
+  // =====================================================
+  // GROUP HELPERS (for lock mode)
+  // =====================================================
 
-    if (cornerStyle === 'stepped') {
-      // Stepped/staircase pattern
-      const d1x = end1.x - corner.x;
-      const d1y = end1.y - corner.y;
-      const d2x = end2.x - corner.x;
-      const d2y = end2.y - corner.y;
-
-      const points = [corner, end1];
-      let currentX = end1.x;
-      let currentY = end1.y;
-
-      for (let i = 0; i < CORNER_STEPS; i++) {
-        // Move toward end2 direction
-        currentX += d2x / CORNER_STEPS;
-        currentY += d2y / CORNER_STEPS;
-        points.push({ x: currentX, y: currentY });
-
-        // Move toward corner (negative d1 direction)
-        currentX -= d1x / CORNER_STEPS;
-        currentY -= d1y / CORNER_STEPS;
-        points.push({ x: currentX, y: currentY });
-      }
+  // Get shapes by their IDs
+  const getShapesByIds = useCallback((ids) => {
+    return shapes.filter(s => ids.includes(s.id));
+  }, [shapes]);
 
-      return points;
-    }
+  // Transform vertices by offset (for dragging)
+  const offsetVertices = useCallback((verts, dx, dy) => {
+    return verts.map(v => ({ x: v.x + dx, y: v.y + dy }));
+  }, []);
 
-    // Round corner (default) - arc approximation
-    const angle1 = Math.atan2(end1.y - corner.y, end1.x - corner.x);
-    const angle2 = Math.atan2(end2.y - corner.y, end2.x - corner.x);
-
-    let angleDiff = angle2 - angle1;
-    while (angleDiff > Math.PI) angleDiff -= 2 * Math.PI;
-    while (angleDiff < -Math.PI) angleDiff += 2 * Math.PI;
-
-    const arcPoints = [];
-    for (let i = 0; i <= ARC_SEGMENTS; i++) {
-      const t = i / ARC_SEGMENTS;
-      const angle = angle1 + t * angleDiff;
-      arcPoints.push({
-        x: corner.x + Math.cos(angle) * SHAPE_SIZE,
-        y: corner.y + Math.sin(angle) * SHAPE_SIZE,
-      });
+  // Rotate vertices around a center point
+  const rotateVertsAroundPoint = useCallback((verts, cx, cy, angleDeg) => geometry.rotateVerticesAroundPoint(verts, cx, cy, angleDeg), []);
+
+  // Proposed vertices of the dragged or rotated group, before vertex snapping (drags also get grid snap)
+  const getGroupTransformShapes = useCallback(() => {
+    const transformedShapes = getShapesByIds(draggedGroupIds).map(shape => {
+      const verts = shape._verts || getVertices(shape);
+      const newVerts = isRotatingGroup
+        ? rotateVertsAroundPoint(verts, groupRotationCenter.x, groupRotationCenter.y, groupRotationAngle)
+        : offsetVertices(verts, dragOffset.x, dragOffset.y);
+      return { ...shape, newVerts };
+    });
+    return isDraggingGroup && gridEnabled ? snapGroupBoundingBoxToGrid(transformedShapes) : transformedShapes;
+  }, [getShapesByIds, draggedGroupIds, getVertices, isRotatingGroup, isDraggingGroup, rotateVertsAroundPoint, groupRotationCenter, groupRotationAngle, offsetVertices, dragOffset, gridEnabled, snapGroupBoundingBoxToGrid]);
+
+  // How far a dragged group's shapes finally moved, edge and grid snap included (null without shapes)
+  const getGroupDragOffset = useCallback((transformedShapes) => {
+    const lead = transformedShapes[0];
+    const leadShape = lead && shapes.find(s => s.id === lead.id);
+    if (!leadShape) return null;
+    const verts = leadShape._verts || getVertices(leadShape);
+    return { x: lead.newVerts[0].x - verts[0].x, y: lead.newVerts[0].y - verts[0].y };
+  }, [shapes, getVertices]);
+
+  // Where the dragged items land. On a drag they follow the shapes' final offset, so they keep their
+  // place on the tiles; items dragged on their own snap to the item grid.
+  const getTransformedItems = useCallback((transformedShapes) => {
+    const movingItems = placedItems.filter(item => draggedItemIds.includes(item.id));
+    if (movingItems.length === 0) return [];
+    if (isRotatingGroup) {
+      return rotateItemsAroundPoint(movingItems, groupRotationCenter.x, groupRotationCenter.y, groupRotationAngle);
+    }
+    const offset = getGroupDragOffset(transformedShapes);
+    if (offset) return translateItems(movingItems, offset.x, offset.y);
+    return translateItems(
+      movingItems,
+      Math.round(dragOffset.x / ITEM_GRID_SIZE) * ITEM_GRID_SIZE,
+      Math.round(dragOffset.y / ITEM_GRID_SIZE) * ITEM_GRID_SIZE,
+    );
+  }, [placedItems, draggedItemIds, isRotatingGroup, groupRotationCenter, groupRotationAngle, getGroupDragOffset, dragOffset]);
+
+  // Where the walls on the dragged pieces land; a wall shared with a piece that stays put stays too
+  const getTransformedWalls = useCallback((transformedShapes) => {
+    const movingWalls = getWallsOnShapes(walls, getShapesByIds(draggedGroupIds), shapes.filter(s => !draggedGroupIds.includes(s.id)));
+    if (movingWalls.length === 0) return [];
+    if (isRotatingGroup) {
+      return rotateWallsAroundPoint(movingWalls, groupRotationCenter.x, groupRotationCenter.y, groupRotationAngle);
     }
+    const offset = getGroupDragOffset(transformedShapes);
+    return offset ? translateWalls(movingWalls, offset.x, offset.y) : [];
+  }, [walls, getShapesByIds, draggedGroupIds, shapes, isRotatingGroup, groupRotationCenter, groupRotationAngle, getGroupDragOffset]);
 
-    return [corner, ...arcPoints];
-  }, []);
+  // Moved items must stay clear of the items left behind, and inside the fief
+  const canPlaceItems = useCallback((movedItems) => (
+    doItemsFit(movedItems, placedItems) &&
+    movedItems.every(item => !BASE_ITEMS[item.itemType] || isItemInBuildableArea(item.x, item.y, BASE_ITEMS[item.itemType]))
+  ), [placedItems, isItemInBuildableArea]);
 
-  // =====================================================
-  // VERTEX CALCULATIONS
-  // =====================================================
-  const getVertices = useCallback((shape) => {
-    const { x, y, type, rotation } = shape;
-    const rad = (rotation * Math.PI) / 180;
-
-    let localVerts;
-    if (type === 'square' || type === 'stair') {
-      const h = SHAPE_SIZE / 2;
-      localVerts = [
-        { x: -h, y: -h }, { x: h, y: -h },
-        { x: h, y: h }, { x: -h, y: h },
-      ];
-    } else if (type === 'corner') {
-      const h = SHAPE_SIZE / 2;
-      localVerts = [
-        { x: -h, y: -h },  // corner vertex
-        { x: h, y: -h },   // end of edge 1
-        { x: -h, y: h },   // end of edge 2
-      ];
-    } else {
-      const apexY = -TRI_HEIGHT * 2 / 3;
-      const baseY = TRI_HEIGHT / 3;
-      localVerts = [
-        { x: 0, y: apexY },
-        { x: SHAPE_SIZE / 2, y: baseY },
-        { x: -SHAPE_SIZE / 2, y: baseY },
-      ];
-    }
-
-    return localVerts.map(v => ({
-      x: x + v.x * Math.cos(rad) - v.y * Math.sin(rad),
-      y: y + v.x * Math.sin(rad) + v.y * Math.cos(rad),
-    }));
-  }, []);
+  // Identifies the group transform a worker answer belongs to
+  const groupPreviewKey = `${draggedGroupIds.join(',')}|${isRotatingGroup ? `r${groupRotationAngle}` : `d${dragOffset.x},${dragOffset.y}`}|${gridEnabled}`;
 
-  // Snap a group to external vertices (vertex-to-vertex snapping for perfect tessellation)
-  const snapGroupToEdges = useCallback((transformedShapes, groupIds) => {
-    if (transformedShapes.length === 0) return transformedShapes;
+  // The selection belongs to one floor in lock mode
+  useEffect(() => {
+    setSelectedShapeIds([]);
+    setSelectedItemIds([]);
+    setMarquee(null);
+    setArrayTool(null);
+  }, [currentFloor, isLocked]);
 
-    // Get all vertices from shapes NOT in the group
-    const externalVertices = [];
-    for (const shape of shapes) {
-      if (groupIds.includes(shape.id)) continue;
-      const verts = shape._verts || getVertices(shape);
-      for (const v of verts) {
-        externalVertices.push({ x: v.x, y: v.y });
-      }
+  // Ask the worker where the group lands (snap + overlap) whenever the drag or rotation moves
+  useEffect(() => {
+    if (!isLocked || (!isDraggingGroup && !isRotatingGroup) || draggedGroupIds.length === 0 || !geometryServiceRef.current) {
+      setGroupPreview(null);
+      return;
     }
-
-    if (externalVertices.length === 0) return transformedShapes;
-
-    // Collect all vertices from the group
-    const groupVertices = [];
-    for (const shape of transformedShapes) {
-      for (const v of shape.newVerts) {
-        groupVertices.push(v);
-      }
+    const requestId = ++groupPreviewRequestRef.current;
+    const key = groupPreviewKey;
+    geometryServiceRef.current.resolveGroupTransform(getGroupTransformShapes(), draggedGroupIds, { snap: isDraggingGroup })
+      .then(result => {
+        if (groupPreviewRequestRef.current === requestId) setGroupPreview({ key, ...result });
+      })
+      .catch(err => console.warn('Group preview failed:', err));
+  }, [isLocked, isDraggingGroup, isRotatingGroup, draggedGroupIds, groupPreviewKey, getGroupTransformShapes]);
+
+  // Build the Discord message for the whole base: one embed with stats and the bill of materials,
+  // followed by one image embed per non-empty floor. Totals cover every floor; only the images are capped.
+  const buildDiscordMessage = useCallback(async () => {
+    const floors = getNonEmptyFloors(allFloorShapes, allFloorItems);
+    const imagedFloors = floors.slice(0, MAX_DISCORD_FLOOR_IMAGES);
+    const unimagedFloors = floors.slice(MAX_DISCORD_FLOOR_IMAGES);
+    const allShapes = floors.flatMap(floor => allFloorShapes[floor] || []);
+    const allItems = floors.flatMap(floor => allFloorItems[floor] || []);
+    const allWalls = floors.flatMap(floor => allFloorWalls[floor] || []);
+    const allRoofs = floors.flatMap(floor => allFloorRoofs[floor] || []);
+    const rooms = getRoomReport(allFloorShapes, allFloorWalls, allFloorRoofs);
+    const fiefAreas = fiefMode ? (getBuildableAreas().areas || []) : [];
+    const iconHrefs = allItems.length > 0 ? await loadIconDataUrls(allItems.map(i => i.itemType)) : {};
+
+    // Render each floor
+    const files = [];
+    const floorEmbeds = [];
+    for (const floor of imagedFloors) {
+      const design = {
+        shapes: allFloorShapes[floor] || [],
+        walls: allFloorWalls[floor] || [],
+        roofs: allFloorRoofs[floor] || [],
+        rooms: rooms.find(entry => entry.floor === floor)?.rooms || [],
+        items: allFloorItems[floor] || [],
+        fiefAreas,
+        fiefPadding,
+        iconHrefs,
+      };
+      const unscaled = buildDesignSvg(design);
+      const scale = Math.min(1, Math.sqrt(MAX_CANVAS_PIXELS / (unscaled.width * unscaled.height)));
+      const { svg, width, height } = scale < 1 ? buildDesignSvg({ ...design, scale }) : unscaled;
+      const name = `floor-${floor + 1}.png`;
+      files.push({ blob: await rasterizeSvg(svg, width, height), name });
+      floorEmbeds.push({
+        title: getFloorLabel(floor, floorNames),
+        description: `${(allFloorShapes[floor] || []).length} pieces · ${(allFloorItems[floor] || []).length} items`,
+        color: 0xf59e0b,
+        image: { url: `attachment://${name}` },
+      });
     }
 
-    // Find the closest external vertex to any group vertex
-    let bestSnap = null;
-    let minDist = SNAP_THRESHOLD;
-
-    for (const gv of groupVertices) {
-      for (const ev of externalVertices) {
-        const dist = Math.sqrt((gv.x - ev.x) ** 2 + (gv.y - ev.y) ** 2);
-        if (dist < minDist) {
-          minDist = dist;
-          bestSnap = {
-            dx: ev.x - gv.x,
-            dy: ev.y - gv.y
-          };
-        }
-      }
+    // Stats for all floors
+    const pieces = countPieces(allShapes);
+    const costs = getBuildingCosts(allShapes, allWalls, allRoofs);
+    const wallCounts = countWalls(allWalls);
+    const enclosed = rooms.flatMap(entry => entry.rooms.filter(room => room.enclosed));
+    const costString = formatBuildingCosts(costs);
+
+    const descLines = [
+      `**Building Style:** ${BUILDING_TYPES[buildingType].label}`,
+      `**Floors:** ${floors.length}`,
+      `**Pieces:** ${pieces.total} total`,
+      `  • ${pieces.square} squares, ${pieces.triangle} triangles, ${pieces.corner} corners, ${pieces.stair} stairs`,
+      ...(wallCounts.total > 0 ? [`**Walls:** ${wallCounts.wall} walls, ${wallCounts.door} doorways, ${wallCounts.window} windows`] : []),
+      ...(allRoofs.length > 0 ? [`**Roofs:** ${allRoofs.length}`] : []),
+      ...(enclosed.length > 0 ? [`**Enclosed Rooms:** ${enclosed.length} (${formatRoomArea(enclosed.reduce((sum, room) => sum + room.area, 0))})`] : []),
+      `**Material Cost:** ${costString}`,
+    ];
+    if (unimagedFloors.length > 0) {
+      descLines.push(`**Not Pictured:** ${unimagedFloors.map(floor => getFloorLabel(floor, floorNames)).join(', ')} (Discord allows ${MAX_DISCORD_FLOOR_IMAGES} floor images)`);
     }
-
-    // If we found a snap, apply it to all shapes
-    if (bestSnap) {
-      return transformedShapes.map(shape => ({
-        ...shape,
-        newVerts: shape.newVerts.map(v => ({
-          x: v.x + bestSnap.dx,
-          y: v.y + bestSnap.dy
-        }))
-      }));
+    if (fiefMode) {
+      const stakesUsed = MAX_STAKES - stakesInventory;
+      descLines.push(`**Fief:** ${fiefType} (${fiefWidth}x${fiefHeight})`);
+      descLines.push(`**Stakes Used:** ${stakesUsed}/${MAX_STAKES}`);
     }
 
-    return transformedShapes;
-  }, [shapes, getVertices]);
-
-  // =====================================================
-  // CONNECTED GROUP DETECTION (for lock mode)
-  // =====================================================
-
-  // Check if two shapes share an edge (not just a point)
-  const shapesShareEdge = useCallback((shape1, shape2) => {
-    const verts1 = shape1._verts || getVertices(shape1);
-    const verts2 = shape2._verts || getVertices(shape2);
-    const tolerance = EDGE_TOLERANCE * 2;
-
-    // For each edge of shape1, check if it overlaps with any edge of shape2
-    for (let i = 0; i < verts1.length; i++) {
-      const a1 = verts1[i];
-      const a2 = verts1[(i + 1) % verts1.length];
-
-      for (let j = 0; j < verts2.length; j++) {
-        const b1 = verts2[j];
-        const b2 = verts2[(j + 1) % verts2.length];
-
-        // Check if edges share at least 2 points (endpoints match within tolerance)
-        const a1MatchesB1 = Math.hypot(a1.x - b1.x, a1.y - b1.y) < tolerance;
-        const a1MatchesB2 = Math.hypot(a1.x - b2.x, a1.y - b2.y) < tolerance;
-        const a2MatchesB1 = Math.hypot(a2.x - b1.x, a2.y - b1.y) < tolerance;
-        const a2MatchesB2 = Math.hypot(a2.x - b2.x, a2.y - b2.y) < tolerance;
-
-        // Edges share if endpoints match (in either direction)
-        if ((a1MatchesB1 && a2MatchesB2) || (a1MatchesB2 && a2MatchesB1)) {
-          return true;
-        }
-      }
+    const fields = [];
+    if (allItems.length > 0 || fiefMode) {
+      const resources = getResourceTotals(allItems, { fiefMode, fiefType });
+      const net = resources.powerGenerated - resources.powerConsumed;
+      fields.push({
+        name: '⚡ Power',
+        value: `${net >= 0 ? '+' : ''}${net}${net < 0 ? ' ⚠ insufficient' : ''}\n+${resources.powerGenerated} / -${resources.powerConsumed}`,
+        inline: true,
+      });
+      fields.push({
+        name: '💧 Water',
+        value: `${(resources.waterPerMinute * 60).toFixed(1)} ml/hr\n${resources.waterStorage} ml storage`,
+        inline: true,
+      });
     }
-    return false;
-  }, [getVertices]);
-
-  // Find all shapes connected to a given shape (flood-fill)
-  const findConnectedGroup = useCallback((startShape) => {
-    const group = new Set([startShape.id]);
-    const queue = [startShape];
-
-    while (queue.length > 0) {
-      const current = queue.shift();
-
-      for (const other of shapes) {
-        if (group.has(other.id)) continue;
-
-        if (shapesShareEdge(current, other)) {
-          group.add(other.id);
-          queue.push(other);
-        }
-      }
+    if (allItems.length > 0) {
+      fields.push({
+        name: `Items (${allItems.length})`,
+        value: truncateFieldLines(countItems(allItems).map(([itemType, count]) => `${count}× ${BASE_ITEMS[itemType].name}`)),
+      });
+      fields.push({
+        name: 'Item Materials',
+        value: truncateFieldLines(getItemMaterialTotals(allItems).map(([name, amount]) => `${name}: ${amount.toLocaleString()}`)),
+      });
     }
 
-    return Array.from(group);
-  }, [shapes, shapesShareEdge]);
-
-  // Get shapes by their IDs
-  const getShapesByIds = useCallback((ids) => {
-    return shapes.filter(s => ids.includes(s.id));
-  }, [shapes]);
+    // Discord embed URL limit is 2048 chars
+    const shareUrl = generateShareUrl();
+    const canIncludeUrl = shareUrl.length <= 2048;
 
-  // Calculate centroid of a group of shapes
-  const getGroupCentroid = useCallback((groupShapes) => {
-    if (groupShapes.length === 0) return { x: 0, y: 0 };
+    const embed = {
+      title: canIncludeUrl ? 'Open this design in the planner' : 'Dune Base Design',
+      description: descLines.join('\n'),
+      color: 0xf59e0b,
+      fields,
+      footer: { text: canIncludeUrl ? 'Dune: Awakening Base Planner' : 'Design too complex for share link - use Copy Link button instead' }
+    };
 
-    let totalX = 0, totalY = 0, totalVerts = 0;
-    for (const shape of groupShapes) {
-      const verts = shape._verts || getVertices(shape);
-      for (const v of verts) {
-        totalX += v.x;
-        totalY += v.y;
-        totalVerts++;
-      }
+    // Only add URL if it's within Discord's limit
+    if (canIncludeUrl) {
+      embed.url = shareUrl;
     }
-    return { x: totalX / totalVerts, y: totalY / totalVerts };
-  }, [getVertices]);
 
-  // Transform vertices by offset (for dragging)
-  const offsetVertices = useCallback((verts, dx, dy) => {
-    return verts.map(v => ({ x: v.x + dx, y: v.y + dy }));
-  }, []);
-
-  // Rotate vertices around a center point
-  const rotateVertsAroundPoint = useCallback((verts, cx, cy, angleDeg) => {
-    const rad = (angleDeg * Math.PI) / 180;
-    const cos = Math.cos(rad);
-    const sin = Math.sin(rad);
-    return verts.map(v => ({
-      x: cx + (v.x - cx) * cos - (v.y - cy) * sin,
-      y: cy + (v.x - cx) * sin + (v.y - cy) * cos,
-    }));
-  }, []);
+    return { payload: { embeds: [embed, ...floorEmbeds] }, files };
+  }, [allFloorShapes, allFloorItems, allFloorWalls, allFloorRoofs, floorNames, fiefMode, fiefPadding, buildingType, fiefType, fiefWidth, fiefHeight, stakesInventory, generateShareUrl, getBuildableAreas]);
+
+  // Message id of this project's last post to a webhook target, if any. Posts are only remembered
+  // for saved projects: unsaved designs have no identity, so they always post a new message.
+  const getPreviousPost = useCallback((target) => (
+    activeProjectId === null ? null : discordPosts[activeProjectId]?.[getWebhookTargetKey(target)] || null
+  ), [discordPosts, activeProjectId]);
+
+  const rememberDiscordPost = useCallback((target, messageId) => {
+    if (activeProjectId === null) return;
+    const targetKey = getWebhookTargetKey(target);
+    setDiscordPosts(prev => {
+      const posts = { ...prev[activeProjectId] };
+      if (messageId) posts[targetKey] = { messageId, postedAt: Date.now() };
+      else delete posts[targetKey];
+      return { ...prev, [activeProjectId]: posts };
+    });
+  }, [activeProjectId]);
 
-  // Send to Discord webhook
-  const handleSendToDiscord = useCallback(async () => {
-    if (!webhookUrl || shapes.length === 0) return;
+  // Send to a Discord webhook target: a saved webhook, or { url } for the one-off URL field.
+  // With update, the design's previous post to that target is edited in place instead of posting again.
+  const handleSendToDiscord = useCallback(async (target, { update = false } = {}) => {
+    if (!target?.url || getNonEmptyFloors(allFloorShapes, allFloorItems).length === 0) return;
 
-    // Clean and validate webhook URL
-    const cleanUrl = webhookUrl.trim();
-    if (!cleanUrl.includes('discord.com/api/webhooks/') && !cleanUrl.includes('discordapp.com/api/webhooks/')) {
-      alert('Invalid webhook URL. It should look like:\nhttps://discord.com/api/webhooks/...');
+    const error = validateWebhookTarget({ ...target, name: undefined });
+    if (error) {
+      alert(error);
       return;
     }
+    const previousPost = update ? getPreviousPost(target) : null;
 
+    setShowDiscordMenu(false);
     setSendingToDiscord(true);
     try {
-      // Generate share URL
-      const shareUrl = generateShareUrl();
-
-      // Prepare stats
-      const currentBuilding = BUILDING_TYPES[buildingType];
-      const sqCount = shapes.filter(s => s.type === 'square').length;
-      const triCount = shapes.filter(s => s.type === 'triangle').length;
-      const cornCount = shapes.filter(s => s.type === 'corner').length;
-      const stairCount = shapes.filter(s => s.type === 'stair').length;
-
-      // Calculate costs per material type
-      const exportMaterialCosts = shapes.reduce((acc, shape) => {
-        const shapeBuilding = BUILDING_TYPES[shape.building] || BUILDING_TYPES.atreides;
-        const material = shapeBuilding.material;
-        acc[material] = (acc[material] || 0) + shapeBuilding.cost;
-        return acc;
-      }, {});
-      const exportPlastoneCost = exportMaterialCosts.plastone || 0;
-      const exportGraniteCost = exportMaterialCosts.granite || 0;
-
-      // Create a clean SVG for export
-      const svgNS = 'http://www.w3.org/2000/svg';
-      const exportSvg = document.createElementNS(svgNS, 'svg');
-      exportSvg.setAttribute('width', '900');
-      exportSvg.setAttribute('height', '600');
-      exportSvg.setAttribute('xmlns', svgNS);
-
-      // Background
-      const bg = document.createElementNS(svgNS, 'rect');
-      bg.setAttribute('width', '900');
-      bg.setAttribute('height', '600');
-      bg.setAttribute('fill', '#1e293b');
-      exportSvg.appendChild(bg);
-
-      // Create a group for transformed content
-      const g = document.createElementNS(svgNS, 'g');
-      g.setAttribute('transform', `translate(${pan.x}, ${pan.y}) scale(${zoom})`);
-
-      // Add fief areas if enabled
-      if (fiefMode) {
-        const { areas } = getBuildableAreas();
-        const paddingFraction = fiefPadding / 100;
-
-        for (const area of areas) {
-          const padX = area.width * paddingFraction;
-          const padY = area.height * paddingFraction;
-
-          const baseRect = document.createElementNS(svgNS, 'rect');
-          baseRect.setAttribute('x', String(area.x));
-          baseRect.setAttribute('y', String(area.y));
-          baseRect.setAttribute('width', String(area.width));
-          baseRect.setAttribute('height', String(area.height));
-          baseRect.setAttribute('fill', 'rgba(34, 197, 94, 0.1)');
-          baseRect.setAttribute('stroke', 'rgba(34, 197, 94, 0.3)');
-          baseRect.setAttribute('stroke-width', '2');
-          baseRect.setAttribute('stroke-dasharray', '8,4');
-          g.appendChild(baseRect);
-
-          const expandRect = document.createElementNS(svgNS, 'rect');
-          expandRect.setAttribute('x', String(area.x - padX));
-          expandRect.setAttribute('y', String(area.y - padY));
-          expandRect.setAttribute('width', String(area.width + padX * 2));
-          expandRect.setAttribute('height', String(area.height + padY * 2));
-          expandRect.setAttribute('fill', 'rgba(34, 197, 94, 0.15)');
-          expandRect.setAttribute('stroke', 'rgba(34, 197, 94, 0.5)');
-          expandRect.setAttribute('stroke-width', '1');
-          g.appendChild(expandRect);
-        }
-      }
-
-      // Add shapes
-      for (const shape of shapes) {
-        const verts = shape._verts || getVertices(shape);
-        const shapeBuilding = shape.building || 'atreides';
-        const cStyle = BUILDING_TYPES[shapeBuilding]?.cornerStyle || 'round';
-        const colors = COLOR_SCHEMES[shapeBuilding]?.[shape.type] || COLOR_SCHEMES.atreides[shape.type];
-
-        if (shape.type === 'corner') {
-          const [corner, end1, end2] = verts;
-          const v1x = end1.x - corner.x, v1y = end1.y - corner.y;
-          const v2x = end2.x - corner.x, v2y = end2.y - corner.y;
-
-          let pathD;
-          if (cStyle === 'diagonal') {
-            const flat1End = { x: end1.x + v2x * DIAGONAL_FLAT_RATIO, y: end1.y + v2y * DIAGONAL_FLAT_RATIO };
-            const flat2Start = { x: end2.x + v1x * DIAGONAL_FLAT_RATIO, y: end2.y + v1y * DIAGONAL_FLAT_RATIO };
-            pathD = `M ${corner.x} ${corner.y} L ${end1.x} ${end1.y} L ${flat1End.x} ${flat1End.y} L ${flat2Start.x} ${flat2Start.y} L ${end2.x} ${end2.y} Z`;
-          } else if (cStyle === 'stepped') {
-            let pathPoints = `M ${corner.x} ${corner.y} L ${end1.x} ${end1.y}`;
-            let currentX = end1.x, currentY = end1.y;
-            for (let i = 0; i < CORNER_STEPS; i++) {
-              currentX += v2x / CORNER_STEPS; currentY += v2y / CORNER_STEPS;
-              pathPoints += ` L ${currentX} ${currentY}`;
-              currentX -= v1x / CORNER_STEPS; currentY -= v1y / CORNER_STEPS;
-              pathPoints += ` L ${currentX} ${currentY}`;
-            }
-            pathD = pathPoints + ' Z';
-          } else {
-            const cross = v1x * v2y - v1y * v2x;
-            const sweepFlag = cross > 0 ? 1 : 0;
-            pathD = `M ${corner.x} ${corner.y} L ${end1.x} ${end1.y} A ${SHAPE_SIZE} ${SHAPE_SIZE} 0 0 ${sweepFlag} ${end2.x} ${end2.y} Z`;
-          }
-
-          const path = document.createElementNS(svgNS, 'path');
-          path.setAttribute('d', pathD);
-          path.setAttribute('fill', colors.fill);
-          path.setAttribute('stroke', '#0f172a');
-          path.setAttribute('stroke-width', '1.5');
-          g.appendChild(path);
-        } else {
-          const polygon = document.createElementNS(svgNS, 'polygon');
-          polygon.setAttribute('points', verts.map(v => `${v.x},${v.y}`).join(' '));
-          polygon.setAttribute('fill', colors.fill);
-          polygon.setAttribute('stroke', '#0f172a');
-          polygon.setAttribute('stroke-width', '1.5');
-          g.appendChild(polygon);
-        }
-      }
-
-      exportSvg.appendChild(g);
-
-      // Convert SVG to PNG using canvas
-      const svgString = new XMLSerializer().serializeToString(exportSvg);
-      // Properly encode UTF-8 to base64 (replaces deprecated unescape())
-      const svgBase64 = btoa(encodeURIComponent(svgString).replace(/%([0-9A-F]{2})/g,
-        (match, p1) => String.fromCharCode(parseInt(p1, 16))));
-      const dataUrl = `data:image/svg+xml;base64,${svgBase64}`;
-
-      // Create image and canvas
-      const img = new Image();
-
-      await new Promise((resolve, reject) => {
-        img.onload = resolve;
-        img.onerror = reject;
-        img.src = dataUrl;
-      });
-
-      const canvas = document.createElement('canvas');
-      canvas.width = 900;
-      canvas.height = 600;
-      const ctx = canvas.getContext('2d');
-      if (!ctx) {
-        throw new Error('Failed to create canvas context');
-      }
-      ctx.drawImage(img, 0, 0);
-
-      // Get blob from canvas
-      const blob = await new Promise((resolve) => {
-        canvas.toBlob(resolve, 'image/png');
-      });
-
-      if (!blob) {
-        throw new Error('Failed to create image blob');
-      }
+      const { payload, files } = await buildDiscordMessage();
 
       // Create form data for Discord
-      const formData = new FormData();
-
-      // Build description lines
-      const costParts = [];
-      if (exportPlastoneCost > 0) costParts.push(`${exportPlastoneCost.toLocaleString()} plastone`);
-      if (exportGraniteCost > 0) costParts.push(`${exportGraniteCost.toLocaleString()} granite`);
-      const costString = costParts.length > 0 ? costParts.join(' + ') : '0';
-
-      const descLines = [
-        `**Building Style:** ${currentBuilding.label}`,
-        `**Pieces:** ${shapes.length} total`,
-        `  • ${sqCount} squares, ${triCount} triangles, ${cornCount} corners, ${stairCount} stairs`,
-        `**Material Cost:** ${costString}`,
-      ];
-      if (fiefMode) {
-        const stakesUsed = MAX_STAKES - stakesInventory;
-        descLines.push(`**Fief:** ${fiefType} (${fiefWidth}x${fiefHeight})`);
-        descLines.push(`**Stakes Used:** ${stakesUsed}/${MAX_STAKES}`);
-      }
-
-      // Discord embed URL limit is 2048 chars
-      const canIncludeUrl = shareUrl.length <= 2048;
-
-      const embed = {
-        title: canIncludeUrl ? 'Open this design in the planner' : 'Dune Base Design',
-        description: descLines.join('\n'),
-        color: 0xf59e0b,
-        image: { url: 'attachment://design.png' },
-        footer: { text: canIncludeUrl ? 'Dune: Awakening Base Planner' : 'Design too complex for share link - use Copy Link button instead' }
+      const createFormData = (body) => {
+        const formData = new FormData();
+        formData.append('payload_json', JSON.stringify(body));
+        files.forEach((file, i) => formData.append(`files[${i}]`, file.blob, file.name));
+        return formData;
       };
 
-      // Only add URL if it's within Discord's limit
-      if (canIncludeUrl) {
-        embed.url = shareUrl;
+      let response;
+      if (previousPost) {
+        // Listing only the new uploads in `attachments` replaces the old floor images
+        // (the poster's name and avatar cannot be changed on an existing message)
+        response = await fetch(getWebhookMessageUrl(target, previousPost.messageId), {
+          method: 'PATCH',
+          body: createFormData({ ...payload, attachments: files.map((file, i) => ({ id: i, filename: file.name })) }),
+        });
+        if (response.status === 404) {
+          rememberDiscordPost(target, null);
+          if (!window.confirm('The previous post no longer exists. Post a new message instead?')) return;
+          response = null;
+        }
       }
 
-      const payload = { embeds: [embed] };
-
-      formData.append('payload_json', JSON.stringify(payload));
-      formData.append('files[0]', blob, 'design.png');
-
       // Send to Discord
-      const response = await fetch(cleanUrl, {
-        method: 'POST',
-        body: formData,
-      });
+      if (!response) {
+        response = await fetch(getWebhookPostUrl(target), {
+          method: 'POST',
+          body: createFormData({ ...payload, ...getWebhookIdentity(target) }),
+        });
+      }
 
       if (response.ok) {
+        const message = await response.json().catch(() => null);
+        if (message?.id) rememberDiscordPost(target, message.id);
         setDiscordSent(true);
         setTimeout(() => setDiscordSent(false), 2000);
+        if (target.name || previousPost) {
+          showToast(`${previousPost && message?.id === previousPost.messageId ? 'Updated post in' : 'Posted to'} ${target.name || 'Discord'}`, 'success');
+        }
       } else {
         const text = await response.text();
         throw new Error(`Discord error ${response.status}: ${text}`);
@@ -2165,411 +1672,640 @@ export default function App() {
     } finally {
       setSendingToDiscord(false);
     }
-  }, [webhookUrl, shapes, pan, zoom, fiefMode, fiefPadding, buildingType, fiefType, fiefWidth, fiefHeight, stakesInventory, generateShareUrl, getBuildableAreas, getVertices]);
-
-  const getCollisionVertices = useCallback((shape) => {
-    const verts = shape._verts || getVertices(shape);
-    if (shape.type === 'corner') {
-      // Use the shape's own building type for collision detection
-      const shapeBuilding = shape.building || 'atreides';
-      const style = BUILDING_TYPES[shapeBuilding]?.cornerStyle || 'round';
-      return getCornerCollisionVerts(verts[0], verts[1], verts[2], style);
+  }, [allFloorShapes, allFloorItems, buildDiscordMessage, getPreviousPost, rememberDiscordPost, showToast]);
+
+  // Add or update the webhook target in the manager form
+  const saveWebhookForm = useCallback(() => {
+    if (!webhookForm) return;
+    const target = {
+      id: webhookForm.id || `webhook-${Date.now()}`,
+      name: webhookForm.name.trim(),
+      url: webhookForm.url.trim(),
+      threadId: webhookForm.threadId.trim(),
+      username: webhookForm.username.trim(),
+      avatarUrl: webhookForm.avatarUrl.trim(),
+    };
+    const error = validateWebhookTarget(target);
+    if (error) {
+      alert(error);
+      return;
     }
-    return verts;
-  }, [getVertices, getCornerCollisionVerts]);
+    setSavedWebhooks(prev => webhookForm.id
+      ? prev.map(w => w.id === target.id ? target : w)
+      : [...prev, target]);
+    setWebhookForm(null);
+    showToast(webhookForm.id ? `Updated "${target.name}"` : `Saved "${target.name}"`, 'success');
+  }, [webhookForm, showToast]);
+
+  const deleteWebhook = useCallback((webhookId) => {
+    const webhook = savedWebhooks.find(w => w.id === webhookId);
+    if (!webhook || !window.confirm(`Delete webhook "${webhook.name}"?`)) return;
+    setSavedWebhooks(prev => prev.filter(w => w.id !== webhookId));
+    if (webhookForm?.id === webhookId) setWebhookForm(null);
+  }, [savedWebhooks, webhookForm]);
+
+  // Open the manager with a blank form, optionally prefilled with a URL
+  const openWebhookManager = useCallback((url = '') => {
+    setShowDiscordMenu(false);
+    setWebhookForm({ id: null, name: '', url, threadId: '', username: '', avatarUrl: '' });
+    setShowWebhooksModal(true);
+  }, []);
 
   // =====================================================
-  // EDGE CALCULATIONS WITH CORRECT OUTWARD NORMALS
-  // For corners, we compute normals that point AWAY from the arc
+  // IMAGE EXPORT
   // =====================================================
-  const getShapeEdges = useCallback((shape) => {
-    const verts = shape._verts || getVertices(shape);
-    const edges = [];
-
-    if (shape.type === 'corner') {
-      const [cornerV, end1, end2] = verts;
-
-      // Edge A: corner → end1
-      // Normal should point AWAY from end2 (toward exterior)
-      {
-        const dx = end1.x - cornerV.x;
-        const dy = end1.y - cornerV.y;
-        const len = Math.sqrt(dx * dx + dy * dy);
-        if (len > 0.001) {
-          const ux = dx / len, uy = dy / len;
-          let nx = uy, ny = -ux; // default normal (perpendicular, rotated CW)
-
-          // Check if normal points toward end2 (interior)
-          const midX = (cornerV.x + end1.x) / 2;
-          const midY = (cornerV.y + end1.y) / 2;
-          const toEnd2X = end2.x - midX;
-          const toEnd2Y = end2.y - midY;
-
-          // If normal points toward end2, flip it
-          if (nx * toEnd2X + ny * toEnd2Y > 0) {
-            nx = -nx; ny = -ny;
-          }
-
-          edges.push({
-            v1: { ...cornerV }, v2: { ...end1 },
-            midX, midY, ux, uy, nx, ny, length: len,
-            shapeId: shape.id, edgeIndex: 0,
-          });
-        }
-      }
-
-      // Edge B: end2 → corner
-      // Normal should point AWAY from end1 (toward exterior)
-      {
-        const dx = cornerV.x - end2.x;
-        const dy = cornerV.y - end2.y;
-        const len = Math.sqrt(dx * dx + dy * dy);
-        if (len > 0.001) {
-          const ux = dx / len, uy = dy / len;
-          let nx = uy, ny = -ux;
-
-          const midX = (end2.x + cornerV.x) / 2;
-          const midY = (end2.y + cornerV.y) / 2;
-          const toEnd1X = end1.x - midX;
-          const toEnd1Y = end1.y - midY;
-
-          if (nx * toEnd1X + ny * toEnd1Y > 0) {
-            nx = -nx; ny = -ny;
-          }
+  // Download the current floor as SVG or PNG, cropped to the design instead of the viewport
+  const handleDownloadImage = useCallback(async (format) => {
+    const { scale, background, includeItems, includeFief } = imageExportOptions;
+    setExportingImage(true);
+    try {
+      const exportItems = includeItems ? placedItems : [];
+      const iconHrefs = exportItems.length > 0 ? await loadIconDataUrls(exportItems.map(i => i.itemType)) : {};
+      const design = {
+        shapes,
+        walls,
+        roofs,
+        rooms: findRooms(shapes, walls, roofs, allFloorShapes[currentFloor + 1] || []),
+        items: exportItems,
+        fiefAreas: includeFief && fiefMode ? getBuildableAreas().areas : [],
+        fiefPadding,
+        background,
+        iconHrefs,
+      };
+      const baseName = projectFileName(`${activeProject ? activeProject.name : 'dune-base'}-floor-${currentFloor + 1}`, format);
 
-          edges.push({
-            v1: { ...end2 }, v2: { ...cornerV },
-            midX, midY, ux, uy, nx, ny, length: len,
-            shapeId: shape.id, edgeIndex: 2,
-          });
+      if (format === 'svg') {
+        const { svg } = buildDesignSvg({ ...design, scale });
+        downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), baseName);
+      } else {
+        // Large bases at 4x can exceed what the browser will allocate for a canvas
+        const unscaled = buildDesignSvg({ ...design, scale: 1 });
+        const maxScale = Math.sqrt(MAX_CANVAS_PIXELS / (unscaled.width * unscaled.height));
+        const pngScale = Math.min(scale, maxScale);
+        if (pngScale < scale) {
+          showToast(`Design too large for ${scale}x, exported at ${pngScale.toFixed(1)}x`, 'info');
         }
+        const { svg, width, height } = buildDesignSvg({ ...design, scale: pngScale });
+        downloadBlob(await rasterizeSvg(svg, width, height), baseName);
       }
-    } else {
-      // Standard polygon edges
-      for (let i = 0; i < verts.length; i++) {
-        const v1 = verts[i];
-        const v2 = verts[(i + 1) % verts.length];
-
-        const dx = v2.x - v1.x;
-        const dy = v2.y - v1.y;
-        const len = Math.sqrt(dx * dx + dy * dy);
-        if (len < 0.001) continue;
-
-        const ux = dx / len, uy = dy / len;
-        const nx = uy, ny = -ux;
-
-        edges.push({
-          v1: { ...v1 }, v2: { ...v2 },
-          midX: (v1.x + v2.x) / 2, midY: (v1.y + v2.y) / 2,
-          ux, uy, nx, ny, length: len,
-          shapeId: shape.id, edgeIndex: i,
-        });
-      }
+      setShowImageExportModal(false);
+    } catch (err) {
+      console.error('Failed to export image:', err);
+      showToast('Failed to export image: ' + err.message, 'error');
+    } finally {
+      setExportingImage(false);
     }
-    return edges;
-  }, [getVertices]);
-
-  const allEdges = useMemo(() => shapes.flatMap(s => getShapeEdges(s)), [shapes, getShapeEdges]);
+  }, [imageExportOptions, placedItems, shapes, walls, roofs, allFloorShapes, fiefMode, fiefPadding, getBuildableAreas, activeProject, currentFloor, showToast]);
 
   // =====================================================
-  // DISTANCE & EDGE FINDING
+  // 3D PREVIEW (isometric view of every floor)
   // =====================================================
-  const pointToEdgeDistance = useCallback((px, py, edge) => {
-    const { v1, v2 } = edge;
-    const dx = v2.x - v1.x, dy = v2.y - v1.y;
-    const lenSq = dx * dx + dy * dy;
-    if (lenSq < 0.001) return Math.hypot(px - v1.x, py - v1.y);
-    const t = Math.max(0, Math.min(1, ((px - v1.x) * dx + (py - v1.y) * dy) / lenSq));
-    return Math.hypot(px - (v1.x + t * dx), py - (v1.y + t * dy));
+  const isometricSvg = useMemo(() => (isometricView ? buildIsometricSvg({
+    allFloorShapes,
+    allFloorItems,
+    allFloorWalls,
+    allFloorRoofs,
+    floorNames,
+    quarterTurns: isometricView.quarterTurns,
+    highlightFloor: isometricView.highlightCurrent ? currentFloor : null,
+  }) : null), [isometricView, allFloorShapes, allFloorItems, allFloorWalls, allFloorRoofs, floorNames, currentFloor]);
+
+  const turnIsometricView = useCallback((step) => {
+    setIsometricView(prev => prev && { ...prev, quarterTurns: (prev.quarterTurns + step + 4) % 4 });
   }, []);
 
-  const findClosestEdge = useCallback((px, py) => {
-    let closest = null, minDist = Infinity;
-    for (const edge of allEdges) {
-      const dist = pointToEdgeDistance(px, py, edge);
-      if (dist < minDist) { minDist = dist; closest = edge; }
-    }
-    return { edge: closest, distance: minDist };
-  }, [allEdges, pointToEdgeDistance]);
+  const downloadIsometricSvg = useCallback(() => {
+    if (!isometricSvg) return;
+    downloadBlob(new Blob([isometricSvg.svg], { type: 'image/svg+xml' }), projectFileName(`${activeProject ? activeProject.name : 'dune-base'}-3d`, 'svg'));
+  }, [isometricSvg, activeProject]);
+
+  // Render the build sheet synchronously when the browser prints (Print button or Ctrl+P)
+  useEffect(() => {
+    const handleBeforePrint = () => flushSync(() => setPrintingSheet(true));
+    const handleAfterPrint = () => setPrintingSheet(false);
+    window.addEventListener('beforeprint', handleBeforePrint);
+    window.addEventListener('afterprint', handleAfterPrint);
+    return () => {
+      window.removeEventListener('beforeprint', handleBeforePrint);
+      window.removeEventListener('afterprint', handleAfterPrint);
+    };
+  }, []);
 
   // =====================================================
-  // SNAPPING CALCULATIONS
+  // SPATIAL INDEX (shape geometry itself lives in geometry.js)
   // =====================================================
-  const calculateSnappedVertices = useCallback((edge, shapeType, mouseX = null, mouseY = null) => {
-    const { v1, v2, nx, ny, midX, midY, ux, uy } = edge;
-
-    if (shapeType === 'square' || shapeType === 'stair') {
-      const offsetX = nx * SHAPE_SIZE;
-      const offsetY = ny * SHAPE_SIZE;
-      return [
-        { x: v2.x, y: v2.y },
-        { x: v1.x, y: v1.y },
-        { x: v1.x + offsetX, y: v1.y + offsetY },
-        { x: v2.x + offsetX, y: v2.y + offsetY },
-      ];
-    } else if (shapeType === 'corner') {
-      // Corner placement based on mouse quadrant
-      let perpOutward = true;
-      let cornerAtV1 = true;
-
-      if (mouseX !== null && mouseY !== null) {
-        const relX = mouseX - midX;
-        const relY = mouseY - midY;
-        perpOutward = (relX * nx + relY * ny) >= 0;
-        cornerAtV1 = (relX * ux + relY * uy) < 0;
-      }
+  // Grid index of collision polygons and snap edges for the current floor, updated only for changed shapes.
+  // The index is mutated in place, so it is synced after render (before paint) rather than while rendering.
+  const spatialIndexRef = useRef(null);
+  if (spatialIndexRef.current === null) spatialIndexRef.current = createSpatialIndex();
+  const [shapeIndex, setShapeIndex] = useState(() => ({ ...spatialIndexRef.current }));
+  useLayoutEffect(() => {
+    setShapeIndex(syncSpatialIndex(spatialIndexRef.current, shapes, geometry.describeShapeGeometry));
+  }, [shapes]);
 
-      const perpMult = perpOutward ? 1 : -1;
-      const offsetX = nx * SHAPE_SIZE * perpMult;
-      const offsetY = ny * SHAPE_SIZE * perpMult;
+  // Find all shapes connected to a given shape (flood-fill). Lock-mode hovering asks the geometry
+  // worker instead; this synchronous version is for clicks that land before the worker has answered.
+  const findConnectedGroup = useCallback((startShape) => geometry.findConnectedGroup(shapeIndex, startShape), [shapeIndex]);
 
-      if (cornerAtV1) {
-        return [
-          { x: v1.x, y: v1.y },
-          { x: v2.x, y: v2.y },
-          { x: v1.x + offsetX, y: v1.y + offsetY },
-        ];
-      } else {
-        return [
-          { x: v2.x, y: v2.y },
-          { x: v1.x, y: v1.y },
-          { x: v2.x + offsetX, y: v2.y + offsetY },
-        ];
-      }
-    } else {
-      const apexX = midX + nx * TRI_HEIGHT;
-      const apexY = midY + ny * TRI_HEIGHT;
-      return [
-        { x: apexX, y: apexY },
-        { x: v2.x, y: v2.y },
-        { x: v1.x, y: v1.y },
-      ];
-    }
+  useEffect(() => {
+    const service = createGeometryService();
+    geometryServiceRef.current = service;
+    return () => {
+      service.terminate();
+      geometryServiceRef.current = null;
+    };
   }, []);
 
+  // Keep the worker's copy of the floor in sync; cached hover groups may have changed shape
+  useEffect(() => {
+    geometryServiceRef.current?.setShapes(shapes);
+    hoverGroupRequestRef.current = null;
+    setHoveredGroup(prev => prev.length > 0 ? [] : prev);
+  }, [shapes]);
+
+  // =====================================================
+  // DISTANCE & EDGE FINDING
+  // =====================================================
+  const findClosestEdge = useCallback((px, py, maxDistance = SNAP_THRESHOLD) => (
+    geometry.findClosestEdge(shapeIndex, px, py, maxDistance)
+  ), [shapeIndex]);
+
+  // =====================================================
+  // SNAPPING CALCULATIONS
+  // =====================================================
+  const calculateSnappedVertices = useCallback((edge, shapeType, mouseX = null, mouseY = null) => (
+    geometry.calculateSnappedVertices(edge, shapeType, mouseX, mouseY)
+  ), []);
+
   // Rotate vertices around their centroid
-  const rotateVertices = useCallback((verts, angleDeg) => {
-    const cx = verts.reduce((s, v) => s + v.x, 0) / verts.length;
-    const cy = verts.reduce((s, v) => s + v.y, 0) / verts.length;
-    const rad = (angleDeg * Math.PI) / 180;
-    const cos = Math.cos(rad);
-    const sin = Math.sin(rad);
-    return verts.map(v => ({
-      x: cx + (v.x - cx) * cos - (v.y - cy) * sin,
-      y: cy + (v.x - cx) * sin + (v.y - cy) * cos,
-    }));
-  }, []);
+  const rotateVertices = useCallback((verts, angleDeg) => geometry.rotateVertices(verts, angleDeg), []);
 
   // Snap angle to nearest degree for clean rotation
   const snapAngle = useCallback((angle) => {
     return Math.round(angle);
   }, []);
 
-  const verticesToShape = useCallback((verts, shapeType, id, building) => {
-    const cx = verts.reduce((s, v) => s + v.x, 0) / verts.length;
-    const cy = verts.reduce((s, v) => s + v.y, 0) / verts.length;
+  const verticesToShape = useCallback((verts, shapeType, id, building) => geometry.verticesToShape(verts, shapeType, id, building), []);
 
-    let rotation = 0;
-    if (shapeType === 'square' || shapeType === 'stair') {
-      const dx = verts[1].x - verts[0].x;
-      const dy = verts[1].y - verts[0].y;
-      rotation = (Math.atan2(dy, dx) * 180 / Math.PI) + 180;
-    } else if (shapeType === 'corner') {
-      const dx = verts[1].x - verts[0].x;
-      const dy = verts[1].y - verts[0].y;
-      rotation = Math.atan2(dy, dx) * 180 / Math.PI;
-    } else {
-      const dx = verts[0].x - cx;
-      const dy = verts[0].y - cy;
-      rotation = (Math.atan2(dy, dx) * 180 / Math.PI) + 90;
+  // =====================================================
+  // OVERLAP DETECTION
+  // =====================================================
+  const checkOverlap = useCallback((newVerts, newType) => {
+    // Check if shape is within buildable area when fief mode is enabled
+    if (fiefMode && !isShapeInBuildableArea(newVerts)) {
+      return true; // Treat as "overlap" to prevent placement
     }
-
-    return { id, type: shapeType, x: cx, y: cy, rotation, building, _verts: verts };
-  }, []);
+    // The new shape uses the current building type for its collision outline
+    return geometry.checkOverlap(shapeIndex, newVerts, newType, buildingType);
+  }, [shapeIndex, buildingType, fiefMode, isShapeInBuildableArea]);
 
   // =====================================================
-  // OVERLAP DETECTION
+  // MIRRORING (lock mode)
   // =====================================================
-  const pointStrictlyInPolygon = useCallback((px, py, verts) => {
-    // First, determine if point is inside using ray casting
-    let inside = false;
-    for (let i = 0, j = verts.length - 1; i < verts.length; j = i++) {
-      const xi = verts[i].x, yi = verts[i].y;
-      const xj = verts[j].x, yj = verts[j].y;
-      if (((yi > py) !== (yj > py)) && (px < (xj - xi) * (py - yi) / (yj - yi) + xi)) {
-        inside = !inside;
-      }
+  // Mirror the selection across its centre; the keyboard shortcut falls back to the hovered group
+  const mirrorGroup = useCallback((direction, allowHovered = false) => {
+    const hasSelection = selectedShapeIds.length > 0 || selectedItemIds.length > 0;
+    const groupShapes = getShapesByIds(hasSelection ? selectedShapeIds : allowHovered ? hoveredGroup : []);
+    const groupItems = hasSelection ? placedItems.filter(item => selectedItemIds.includes(item.id)) : [];
+    if (groupShapes.length === 0 && groupItems.length === 0) {
+      showToast('Select pieces or hover a group to mirror it', 'info');
+      return;
     }
 
-    // If not inside by ray casting, definitely not inside
-    if (!inside) return false;
+    const groupIds = groupShapes.map(s => s.id);
+    const centre = getSelectionCentre(groupShapes, groupItems);
+    const transformedShapes = groupShapes.map(shape => ({
+      ...shape,
+      newVerts: geometry.mirrorVertices(shape._verts || getVertices(shape), direction, centre.x, centre.y),
+    }));
+    const movedItems = mirrorItems(groupItems, direction, centre.x, centre.y);
+    const movedWalls = mirrorWalls(getWallsOnShapes(walls, groupShapes, shapes.filter(s => !groupIds.includes(s.id))), direction, centre.x, centre.y);
+    if (geometry.checkGroupOverlap(shapeIndex, transformedShapes, groupIds) || !canPlaceItems(movedItems)) {
+      showToast('Mirrored pieces would overlap other pieces', 'error');
+      return;
+    }
 
-    // Point is inside - but we allow points very close to the boundary (for edge-sharing)
-    const boundaryTolerance = EDGE_TOLERANCE; // 2 units (tight tolerance for true boundary)
+    saveToHistory(`Mirrored ${hasSelection ? 'selection' : 'group'} ${direction === 'horizontal' ? 'left-right' : 'top-bottom'}`);
+    setShapes(prev => prev.map(shape => {
+      const transformed = transformedShapes.find(t => t.id === shape.id);
+      return transformed ? { ...shape, ...verticesToShape(transformed.newVerts, shape.type, shape.id, shape.building) } : shape;
+    }));
+    if (movedItems.length > 0) {
+      setPlacedItems(prev => prev.map(item => movedItems.find(moved => moved.id === item.id) || item));
+    }
+    if (movedWalls.length > 0) {
+      setWalls(prev => prev.map(wall => movedWalls.find(moved => moved.id === wall.id) || wall));
+    }
+    const roofMoves = transformedShapes.map(({ newVerts, ...shape }) => ({
+      from: shape,
+      to: verticesToShape(newVerts, shape.type, shape.id, shape.building),
+    }));
+    setRoofs(prev => moveRoofsWithShapes(prev, roofMoves));
+  }, [selectedShapeIds, selectedItemIds, hoveredGroup, getShapesByIds, placedItems, walls, shapes, getVertices, shapeIndex, canPlaceItems, verticesToShape, saveToHistory, setShapes, setPlacedItems, setWalls, setRoofs, showToast]);
 
-    // Check if point is very close to any vertex (shared vertices OK)
-    for (const v of verts) {
-      if (Math.hypot(px - v.x, py - v.y) < boundaryTolerance) {
-        return false; // On a shared vertex, allow
+  // X / Y - Mirror left-right / top-bottom (Lock mode only)
+  useEffect(() => {
+    if (!isLocked) return;
+    const handleKeyDown = (e) => {
+      if (isTypingTarget(e.target) || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (e.key === 'x' || e.key === 'X') {
+        e.preventDefault();
+        mirrorGroup('horizontal', true);
+      } else if (e.key === 'y' || e.key === 'Y') {
+        e.preventDefault();
+        mirrorGroup('vertical', true);
       }
-    }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isLocked, mirrorGroup]);
 
-    // Check if point is very close to any edge (shared edges OK)
-    for (let i = 0; i < verts.length; i++) {
-      const v1 = verts[i];
-      const v2 = verts[(i + 1) % verts.length];
-      const dx = v2.x - v1.x, dy = v2.y - v1.y;
-      const lenSq = dx * dx + dy * dy;
-      if (lenSq > 0.001) {
-        const t = Math.max(0, Math.min(1, ((px - v1.x) * dx + (py - v1.y) * dy) / lenSq));
-        const dist = Math.hypot(px - (v1.x + t * dx), py - (v1.y + t * dy));
-        if (dist < boundaryTolerance) return false; // On an edge, allow
+  // =====================================================
+  // ARRAY TOOL (lock mode)
+  // =====================================================
+  const selectedShapes = useMemo(() => shapes.filter(s => selectedShapeIds.includes(s.id)), [shapes, selectedShapeIds]);
+  const selectedItems = useMemo(() => placedItems.filter(item => selectedItemIds.includes(item.id)), [placedItems, selectedItemIds]);
+
+  // Open the array panel for the selection, spaced so the copies just touch
+  const openArrayTool = useCallback(() => {
+    setArrayTool({
+      mode: 'linear',
+      angle: 0,
+      count: 3,
+      spacing: getGroupExtent(selectedShapes, selectedItems, 0),
+      rows: 2,
+      rowSpacing: getGroupExtent(selectedShapes, selectedItems, 90),
+    });
+  }, [selectedShapes, selectedItems]);
+
+  // Change one array setting; a new direction resets the spacings to the group's extent along it
+  const updateArrayTool = useCallback((changes) => {
+    setArrayTool(prev => {
+      const next = { ...prev, ...changes };
+      if (changes.angle !== undefined && changes.angle !== prev.angle) {
+        next.spacing = getGroupExtent(selectedShapes, selectedItems, next.angle);
+        next.rowSpacing = getGroupExtent(selectedShapes, selectedItems, next.angle + 90);
       }
+      return next;
+    });
+  }, [selectedShapes, selectedItems]);
+
+  const getArrayCopies = useCallback((idBase) => {
+    if (!arrayTool || (selectedShapes.length === 0 && selectedItems.length === 0)) return [];
+    return buildArrayCopies({
+      ...arrayTool,
+      shapes: selectedShapes,
+      items: selectedItems,
+      floorShapes: shapes,
+      floorItems: placedItems,
+      idBase,
+      canPlace: (copy) => (
+        copy.shapes.every(shape => isShapeInBuildableArea(shape.newVerts)) &&
+        copy.items.every(item => !BASE_ITEMS[item.itemType] || isItemInBuildableArea(item.x, item.y, BASE_ITEMS[item.itemType]))
+      ),
+    });
+  }, [arrayTool, selectedShapes, selectedItems, shapes, placedItems, isShapeInBuildableArea, isItemInBuildableArea]);
+
+  // Ghost copies for the canvas (ids only serve as keys here)
+  const arrayPreview = useMemo(() => (isLocked ? getArrayCopies(0) : []), [isLocked, getArrayCopies]);
+
+  // Place every copy that fits in one undo step, then select the originals and the copies together
+  const placeArray = useCallback(() => {
+    const copies = getArrayCopies(Date.now());
+    const placed = copies.filter(copy => !copy.blocked);
+    if (placed.length === 0) {
+      showToast('Every copy would overlap existing pieces', 'error');
+      return;
     }
 
-    // Point is clearly inside the polygon interior - this is an overlap
+    const newShapes = placed.flatMap(copy => copy.shapes.map(({ newVerts, ...shape }) => ({ ...shape, _verts: newVerts })));
+    const newItems = placed.flatMap(copy => copy.items);
+    // Ids continue after the copies' shapes and items
+    let nextId = Math.max(...newShapes.map(s => s.id), ...newItems.map(item => item.id)) + 1;
+    const groupWalls = getWallsOnShapes(walls, selectedShapes);
+    const newWalls = placed.flatMap(copy => translateWalls(groupWalls, copy.offset.x, copy.offset.y).map(wall => ({ ...wall, id: nextId++ })));
+    const newRoofs = placed.flatMap(copy => copy.shapes.flatMap(({ newVerts, ...shape }, i) => {
+      const roof = findRoofOverShape(roofs, selectedShapes[i]);
+      return roof ? [buildRoofOverShape({ ...shape, _verts: newVerts }, roof.building, nextId++)] : [];
+    }));
+    saveToHistory(`Arrayed ${placed.length} ${placed.length === 1 ? 'copy' : 'copies'}`);
+    setShapes(prev => [...prev, ...newShapes]);
+    if (newItems.length > 0) setPlacedItems(prev => [...prev, ...newItems]);
+    if (newWalls.length > 0) setWalls(prev => addWalls(prev, newWalls));
+    if (newRoofs.length > 0) setRoofs(prev => [...prev, ...newRoofs]);
+    setSelectedShapeIds(prev => [...prev, ...newShapes.map(s => s.id)]);
+    setSelectedItemIds(prev => [...prev, ...newItems.map(item => item.id)]);
+    setArrayTool(null);
+
+    const skipped = copies.length - placed.length;
+    showToast(`Placed ${placed.length} ${placed.length === 1 ? 'copy' : 'copies'}${skipped > 0 ? ` (${skipped} skipped: overlap)` : ''}`, skipped > 0 ? 'info' : 'success');
+  }, [getArrayCopies, walls, roofs, selectedShapes, saveToHistory, setShapes, setPlacedItems, setWalls, setRoofs, showToast]);
+
+  // =====================================================
+  // CLIPBOARD (copy / paste in every mode, across floors and projects)
+  // =====================================================
+  // Copy the lock mode selection, else the selected item in item mode, else the group under the mouse
+  const copyToClipboard = useCallback(() => {
+    let groupShapes = [];
+    let groupItems = [];
+    if (isLocked && (selectedShapes.length > 0 || selectedItems.length > 0)) {
+      groupShapes = selectedShapes;
+      groupItems = selectedItems;
+    } else if (itemMode) {
+      groupItems = placedItems.filter(item => item.id === selectedItemId);
+    } else {
+      const { x, y } = mousePositionRef.current;
+      const shape = geometry.findShapeAtPoint(shapeIndex, x, y);
+      if (shape) groupShapes = getShapesByIds(geometry.findConnectedGroup(shapeIndex, shape));
+    }
+    if (groupShapes.length === 0 && groupItems.length === 0) return false;
+
+    const origin = getSelectionCentre(groupShapes, groupItems);
+    setClipboard({
+      shapes: groupShapes.map(shape => ({
+        type: shape.type,
+        building: shape.building,
+        rotation: shape.rotation,
+        _verts: (shape._verts || getVertices(shape)).map(v => ({ x: v.x - origin.x, y: v.y - origin.y })),
+        roof: findRoofOverShape(roofs, shape)?.building,
+      })),
+      items: groupItems.map(item => ({ itemType: item.itemType, x: item.x - origin.x, y: item.y - origin.y })),
+      walls: translateWalls(getWallsOnShapes(walls, groupShapes), -origin.x, -origin.y).map(({ id: _id, ...wall }) => wall),
+      origin,
+      floor: currentFloor,
+    });
+    const parts = [
+      groupShapes.length > 0 && `${groupShapes.length} piece${groupShapes.length === 1 ? '' : 's'}`,
+      groupItems.length > 0 && `${groupItems.length} item${groupItems.length === 1 ? '' : 's'}`,
+    ].filter(Boolean);
+    showToast(`Copied ${parts.join(' and ')}`, 'info', 1500);
     return true;
-  }, []);
+  }, [isLocked, itemMode, selectedShapes, selectedItems, placedItems, selectedItemId, shapeIndex, getShapesByIds, getVertices, walls, roofs, currentFloor, showToast]);
+
+  // Paste at the mouse, or at the copied coordinates ("in place", e.g. on another floor). Refused when
+  // anything would overlap what is already on this floor or leave the fief.
+  const pasteClipboard = useCallback((inPlace) => {
+    if (!clipboard) return;
+    const { x: ox, y: oy } = inPlace ? clipboard.origin : mousePositionRef.current;
+    const baseId = Date.now();
+
+    const newShapes = clipboard.shapes.map((shape, i) => {
+      const verts = shape._verts.map(v => ({ x: v.x + ox, y: v.y + oy }));
+      return { ...verticesToShape(verts, shape.type, baseId + i, shape.building), rotation: shape.rotation };
+    });
+    const newItems = clipboard.items.map((item, i) => ({
+      id: baseId + newShapes.length + i,
+      itemType: item.itemType,
+      x: item.x + ox,
+      y: item.y + oy,
+    }));
+    const newWalls = translateWalls(clipboard.walls || [], ox, oy).map((wall, i) => ({
+      ...wall,
+      id: baseId + newShapes.length + newItems.length + i,
+    }));
+    let nextRoofId = baseId + newShapes.length + newItems.length + newWalls.length;
+    const newRoofs = newShapes.flatMap((shape, i) => {
+      const building = clipboard.shapes[i].roof;
+      return building ? [buildRoofOverShape(shape, building, nextRoofId++)] : [];
+    });
 
-  const segmentsIntersect = useCallback((a1, a2, b1, b2) => {
-    // First check if segments share an endpoint (common at shape junctions)
-    const shareEndpoint = (
-      (Math.hypot(a1.x - b1.x, a1.y - b1.y) < 1) ||
-      (Math.hypot(a1.x - b2.x, a1.y - b2.y) < 1) ||
-      (Math.hypot(a2.x - b1.x, a2.y - b1.y) < 1) ||
-      (Math.hypot(a2.x - b2.x, a2.y - b2.y) < 1)
-    );
-    if (shareEndpoint) return false; // Shared endpoints don't count as intersection
-
-    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
-    const d1 = cross(b1, b2, a1), d2 = cross(b1, b2, a2);
-    const d3 = cross(a1, a2, b1), d4 = cross(a1, a2, b2);
-    const eps = 0.1; // Increased tolerance
-    return ((d1 > eps && d2 < -eps) || (d1 < -eps && d2 > eps)) &&
-           ((d3 > eps && d4 < -eps) || (d3 < -eps && d4 > eps));
-  }, []);
+    const blocked = newShapes.some(shape => !isShapeInBuildableArea(shape._verts) ||
+      geometry.checkOverlap(shapeIndex, shape._verts, shape.type, shape.building)) || !canPlaceItems(newItems);
+    if (blocked) {
+      showToast(inPlace ? 'Pieces already occupy that spot on this floor' : 'Pasted pieces would overlap existing ones', 'error');
+      return;
+    }
 
-  const checkOverlap = useCallback((newVerts, newType) => {
-    // Check if shape is within buildable area when fief mode is enabled
-    if (fiefMode && !isShapeInBuildableArea(newVerts)) {
-      return true; // Treat as "overlap" to prevent placement
+    saveToHistory(inPlace ? `Pasted in place from floor ${clipboard.floor + 1}` : 'Pasted');
+    setShapes(prev => [...prev, ...newShapes]);
+    if (newItems.length > 0) setPlacedItems(prev => [...prev, ...newItems]);
+    if (newWalls.length > 0) setWalls(prev => addWalls(prev, newWalls));
+    if (newRoofs.length > 0) setRoofs(prev => [...prev, ...newRoofs]);
+    if (isLocked) {
+      setSelectedShapeIds(newShapes.map(s => s.id));
+      setSelectedItemIds(newItems.map(item => item.id));
     }
+  }, [clipboard, verticesToShape, isShapeInBuildableArea, shapeIndex, canPlaceItems, isLocked, saveToHistory, setShapes, setPlacedItems, setWalls, setRoofs, showToast]);
 
-    // Use current building type for the new shape being placed
-    const newCornerStyle = BUILDING_TYPES[buildingType]?.cornerStyle || 'round';
-    const newCollisionVerts = newType === 'corner'
-      ? getCornerCollisionVerts(newVerts[0], newVerts[1], newVerts[2], newCornerStyle)
-      : newVerts;
-
-    // Calculate centroid of new shape for coincidence check
-    const newCx = newVerts.reduce((s, v) => s + v.x, 0) / newVerts.length;
-    const newCy = newVerts.reduce((s, v) => s + v.y, 0) / newVerts.length;
-
-    for (const shape of shapes) {
-      // Each existing shape uses its own building type for collision
-      const existingVerts = getCollisionVertices(shape);
-
-      // Check for nearly coincident shapes (same position)
-      // This catches the case where shapes overlap exactly and vertices lie on edges
-      // Only trigger for truly overlapping shapes (centroids nearly identical), not edge-sharing
-      const existingCx = existingVerts.reduce((s, v) => s + v.x, 0) / existingVerts.length;
-      const existingCy = existingVerts.reduce((s, v) => s + v.y, 0) / existingVerts.length;
-      const centroidDist = Math.hypot(newCx - existingCx, newCy - existingCy);
-      if (centroidDist < EDGE_TOLERANCE * 3) {
-        // Centroids are nearly identical - this is a duplicate placement
-        return true;
+  // Ctrl+C copy, Ctrl+V paste at the mouse, Ctrl+Shift+V paste in place
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (isTypingTarget(e.target) || !(e.ctrlKey || e.metaKey)) return;
+      if (e.key === 'c' || e.key === 'C') {
+        if (copyToClipboard()) e.preventDefault();
+      } else if ((e.key === 'v' || e.key === 'V') && clipboard) {
+        e.preventDefault();
+        pasteClipboard(e.shiftKey);
       }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [clipboard, copyToClipboard, pasteClipboard]);
 
-      // Check if any new vertex is strictly inside existing shape
-      for (const v of newCollisionVerts) {
-        if (pointStrictlyInPolygon(v.x, v.y, existingVerts)) return true;
-      }
+  // =====================================================
+  // FLOOR MANAGER (insert, delete, duplicate, reorder and name floors)
+  // =====================================================
+  // Floors listed in the floor panel: every floor holding pieces, items or a name, plus the one in view
+  const floorCount = Math.max(getUsedFloorCount(allFloorShapes, allFloorItems, floorNames), currentFloor + 1);
+
+  // Renumber pieces, items and names together as one undo step, then show `nextFloor`
+  const changeFloors = useCallback((label, renumber, nextFloor) => {
+    saveToHistory(label);
+    setAllFloorShapes(renumber(allFloorShapes));
+    setAllFloorItems(renumber(allFloorItems));
+    setAllFloorWalls(renumber(allFloorWalls));
+    setAllFloorRoofs(renumber(allFloorRoofs));
+    setFloorNames(renumber(floorNames));
+    setCurrentFloor(nextFloor);
+    setSelectedShapeIds([]);
+    setSelectedItemIds([]);
+    setSelectedItemId(null);
+  }, [allFloorShapes, allFloorItems, allFloorWalls, allFloorRoofs, floorNames, saveToHistory]);
+
+  const insertFloorAt = useCallback((at) => {
+    changeFloors(`Inserted floor ${at + 1}`, floors => insertFloor(floors, at), at);
+  }, [changeFloors]);
+
+  const deleteFloor = useCallback((floor) => {
+    changeFloors(`Deleted floor ${floor + 1}`, floors => removeFloor(floors, floor), Math.max(0, Math.min(floor, floorCount - 2)));
+    showToast(`Deleted floor ${floor + 1} (Ctrl+Z to undo)`, 'info');
+  }, [changeFloors, floorCount, showToast]);
+
+  // The copy goes directly above the original and gets fresh ids; its name is kept
+  const duplicateFloorAt = useCallback((floor) => {
+    let nextId = Date.now();
+    const copyEntries = value => (Array.isArray(value)
+      ? value.map(entry => ({ ...entry, id: nextId++, ...(entry._verts && { _verts: entry._verts.map(v => ({ ...v })) }) }))
+      : value);
+    changeFloors(`Duplicated floor ${floor + 1}`, floors => duplicateFloor(floors, floor, copyEntries), floor + 1);
+  }, [changeFloors]);
+
+  // direction: 1 moves the floor up a level, -1 down
+  const moveFloor = useCallback((floor, direction) => {
+    const target = floor + direction;
+    if (target < 0) return;
+    changeFloors(`Moved floor ${floor + 1} ${direction > 0 ? 'up' : 'down'}`, floors => swapFloors(floors, floor, target), target);
+  }, [changeFloors]);
+
+  // An empty name removes it
+  const renameFloor = useCallback((floor, name) => {
+    setRenamingFloor(null);
+    setFloorRenameValue('');
+    if (name === (floorNames[floor] || '')) return;
+    saveToHistory(name ? `Renamed floor ${floor + 1}` : `Cleared name of floor ${floor + 1}`);
+    setFloorNames(prev => {
+      const next = { ...prev };
+      if (name) next[floor] = name;
+      else delete next[floor];
+      return next;
+    });
+  }, [floorNames, saveToHistory]);
 
-      // Check if any existing vertex is strictly inside new shape
-      for (const v of existingVerts) {
-        if (pointStrictlyInPolygon(v.x, v.y, newCollisionVerts)) return true;
-      }
+  // =====================================================
+  // VALIDATION (upper floor pieces over empty air, stairs that lead nowhere)
+  // =====================================================
+  const supportReport = useMemo(() => getSupportReport(allFloorShapes), [allFloorShapes]);
+  const unsupportedCount = supportReport.reduce((sum, entry) => sum + entry.shapes.length, 0);
+  const unsupportedShapeIds = useMemo(() => new Set(
+    (supportReport.find(entry => entry.floor === currentFloor)?.shapes || []).map(shape => shape.id)
+  ), [supportReport, currentFloor]);
+
+  const stairReport = useMemo(() => checkStairs(allFloorShapes, allFloorItems), [allFloorShapes, allFloorItems]);
+  const brokenStairs = stairReport.stairs.filter(stair => !stair.ok);
+  const brokenStairIds = useMemo(() => new Set(
+    stairReport.stairs.filter(stair => !stair.ok && stair.floor === currentFloor).map(stair => stair.shape.id)
+  ), [stairReport, currentFloor]);
+  const validationIssueCount = unsupportedCount + brokenStairs.length + stairReport.unreachable.length;
+
+  // Turn the up-direction of the stair under the mouse 90° clockwise (same footprint, new vertex order)
+  const turnHoveredStair = useCallback(() => {
+    const { x, y } = mousePositionRef.current;
+    const stair = geometry.findShapeAtPoint(shapeIndex, x, y);
+    if (!stair || stair.type !== 'stair') return false;
+    saveToHistory('Turned stair');
+    setShapes(prev => prev.map(shape => (shape.id === stair.id
+      ? { ...shape, ...verticesToShape(turnStairVertices(shape._verts || getVertices(shape)), shape.type, shape.id, shape.building) }
+      : shape)));
+    return true;
+  }, [shapeIndex, verticesToShape, getVertices, saveToHistory, setShapes]);
 
-      // Check for edge intersections
-      for (let i = 0; i < newCollisionVerts.length; i++) {
-        const a1 = newCollisionVerts[i];
-        const a2 = newCollisionVerts[(i + 1) % newCollisionVerts.length];
-        for (let j = 0; j < existingVerts.length; j++) {
-          const b1 = existingVerts[j];
-          const b2 = existingVerts[(j + 1) % existingVerts.length];
-          if (segmentsIntersect(a1, a2, b1, b2)) return true;
-        }
-      }
+  // T - Turn the hovered stair
+  useEffect(() => {
+    if (itemMode) return;
+    const handleKeyDown = (e) => {
+      if (isTypingTarget(e.target) || e.ctrlKey || e.metaKey || e.altKey) return;
+      if ((e.key === 't' || e.key === 'T') && turnHoveredStair()) e.preventDefault();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [itemMode, turnHoveredStair]);
 
-      // Interior sampling: check if centroid of new shape is inside existing shape
-      // This catches overlaps where vertices land exactly on edges
-      if (pointStrictlyInPolygon(newCx, newCy, existingVerts)) return true;
+  // Show a flagged piece: switch to its floor and centre the view on it
+  const focusShape = useCallback((floor, shape) => {
+    setCurrentFloor(floor);
+    const rect = svgRef.current?.getBoundingClientRect();
+    if (!rect) return;
+    const { x, y } = getSelectionCentre([shape], []);
+    setPan({ x: rect.width / 2 - x * zoom, y: rect.height / 2 - y * zoom });
+  }, [zoom]);
 
-      // Check if centroid of existing shape is inside new shape
-      if (pointStrictlyInPolygon(existingCx, existingCy, newCollisionVerts)) return true;
+  // =====================================================
+  // WALLS AND ROOFS (walls, doorways and windows on piece edges, roofs over pieces)
+  // =====================================================
+  // Moves, mirrors, arrays and pastes carry walls and roofs along with their pieces; deleteShapes takes the
+  // walls on deleted pieces' edges and the roofs over them in the same update.
+
+  // Picking a wall type (or 'roof') turns wall mode on; picking the active one (or null) turns it off
+  const setWallTool = useCallback((type) => {
+    const next = type === wallMode ? null : type;
+    setWallMode(next);
+    setWallHoverEdge(null);
+    setRoofHoverShape(null);
+    if (next) {
+      setIsLocked(false);
+      setItemSidebarOpen(false);
+      setHoverInfo(null);
+    }
+  }, [wallMode]);
 
-      // Sample edge midpoints of new shape to catch partial overlaps
-      for (let i = 0; i < newCollisionVerts.length; i++) {
-        const v1 = newCollisionVerts[i];
-        const v2 = newCollisionVerts[(i + 1) % newCollisionVerts.length];
-        const midX = (v1.x + v2.x) / 2;
-        const midY = (v1.y + v2.y) / 2;
-        if (pointStrictlyInPolygon(midX, midY, existingVerts)) return true;
-      }
+  // Lock mode and item mode take over the mouse
+  useEffect(() => {
+    if (isLocked || itemMode) {
+      setWallMode(null);
+      setWallHoverEdge(null);
+      setRoofHoverShape(null);
+    }
+  }, [isLocked, itemMode]);
+
+  const findWallEdge = useCallback((px, py) => {
+    const { edge, distance } = findClosestEdge(px, py, SHAPE_SIZE / 3);
+    return edge && distance <= SHAPE_SIZE / 3 ? edge : null;
+  }, [findClosestEdge]);
+
+  // Left click roofs the piece (or swaps, or removes the same roof), right click removes any roof on it
+  const handleRoofClick = useCallback((px, py, button) => {
+    const shape = geometry.findShapeAtPoint(shapeIndex, px, py);
+    if (!shape) return;
+    const existing = findRoofOverShape(roofs, shape);
+    if (button === 2 || (existing && existing.building === buildingType)) {
+      if (!existing) return;
+      saveToHistory('Removed roof');
+      setRoofs(prev => prev.filter(roof => roof.id !== existing.id));
+      return;
+    }
+    saveToHistory(existing ? 'Replaced roof' : 'Built roof');
+    setRoofs(prev => toggleRoofOverShape(prev, shape, buildingType, Date.now()));
+  }, [shapeIndex, roofs, buildingType, saveToHistory, setRoofs]);
+
+  // Left click builds (or swaps, or removes the same) wall on the edge, right click removes any wall there
+  const handleWallClick = useCallback((px, py, button) => {
+    if (wallMode === 'roof') {
+      handleRoofClick(px, py, button);
+      return;
+    }
+    const edge = findWallEdge(px, py);
+    if (!edge) return;
+    const existing = findWallOnEdge(walls, edge);
+    if (button === 2) {
+      if (!existing) return;
+      saveToHistory(`Removed ${WALL_TYPES[existing.type].label.toLowerCase()}`);
+      setWalls(prev => prev.filter(wall => wall.id !== existing.id));
+      return;
+    }
+    const label = WALL_TYPES[wallMode].label.toLowerCase();
+    const removing = existing && existing.type === wallMode && existing.building === buildingType;
+    saveToHistory(`${removing ? 'Removed' : existing ? 'Replaced with' : 'Built'} ${label}`);
+    setWalls(prev => toggleWallOnEdge(prev, edge, wallMode, buildingType, Date.now()));
+  }, [handleRoofClick, findWallEdge, walls, wallMode, buildingType, saveToHistory, setWalls]);
 
-      // Sample edge midpoints of existing shape
-      for (let i = 0; i < existingVerts.length; i++) {
-        const v1 = existingVerts[i];
-        const v2 = existingVerts[(i + 1) % existingVerts.length];
-        const midX = (v1.x + v2.x) / 2;
-        const midY = (v1.y + v2.y) / 2;
-        if (pointStrictlyInPolygon(midX, midY, newCollisionVerts)) return true;
+  // W - Toggle wall mode
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (isTypingTarget(e.target) || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (e.key === 'w' || e.key === 'W') {
+        e.preventDefault();
+        setWallTool(wallMode ? null : 'wall');
       }
-    }
-    return false;
-  }, [shapes, getCollisionVertices, getCornerCollisionVerts, pointStrictlyInPolygon, segmentsIntersect, buildingType, fiefMode, isShapeInBuildableArea]);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [wallMode, setWallTool]);
 
   // =====================================================
-  // EVENT HANDLERS
+  // ROOMS (pieces closed off by walls, enclosed when fully walled and roofed)
   // =====================================================
-  const pointInPolygon = useCallback((px, py, verts) => {
-    let inside = false;
-    for (let i = 0, j = verts.length - 1; i < verts.length; j = i++) {
-      const xi = verts[i].x, yi = verts[i].y;
-      const xj = verts[j].x, yj = verts[j].y;
-      if (((yi > py) !== (yj > py)) && (px < (xj - xi) * (py - yi) / (yj - yi) + xi)) {
-        inside = !inside;
-      }
-    }
-    return inside;
-  }, []);
+  const roomReport = useMemo(() => getRoomReport(allFloorShapes, allFloorWalls, allFloorRoofs), [allFloorShapes, allFloorWalls, allFloorRoofs]);
+  const currentRooms = roomReport.find(entry => entry.floor === currentFloor)?.rooms || [];
+  const enclosedRooms = roomReport.flatMap(({ floor, rooms }) => rooms.filter(room => room.enclosed).map(room => ({ floor, room })));
 
-  const findShapeAtPoint = useCallback((px, py) => {
-    for (let i = shapes.length - 1; i >= 0; i--) {
-      const shape = shapes[i];
-      if (pointInPolygon(px, py, getCollisionVertices(shape))) return shape;
-    }
-    return null;
-  }, [shapes, getCollisionVertices, pointInPolygon]);
+  // =====================================================
+  // EVENT HANDLERS
+  // =====================================================
+  // Topmost (last placed) shape under a point
+  const findShapeAtPoint = useCallback((px, py) => geometry.findShapeAtPoint(shapeIndex, px, py), [shapeIndex]);
 
   // Helper to get free-place vertices for a shape type
-  const getFreeVertices = useCallback((px, py, shapeType) => {
-    const h = SHAPE_SIZE / 2;
-    if (shapeType === 'square' || shapeType === 'stair') {
-      return [
-        { x: px - h, y: py - h }, { x: px + h, y: py - h },
-        { x: px + h, y: py + h }, { x: px - h, y: py + h },
-      ];
-    } else if (shapeType === 'corner') {
-      return [{ x: px - h, y: py - h }, { x: px + h, y: py - h }, { x: px - h, y: py + h }];
-    } else {
-      return [
-        { x: px, y: py - TRI_HEIGHT * 2/3 },
-        { x: px + SHAPE_SIZE/2, y: py + TRI_HEIGHT/3 },
-        { x: px - SHAPE_SIZE/2, y: py + TRI_HEIGHT/3 },
-      ];
-    }
-  }, []);
+  const getFreeVertices = useCallback((px, py, shapeType) => geometry.getFreeVertices(px, py, shapeType), []);
 
   const handleMouseMove = useCallback((e) => {
     const rect = e.currentTarget.getBoundingClientRect();
@@ -2585,6 +2321,13 @@ export default function App() {
       return;
     }
 
+    if (wallMode) {
+      if (wallMode === 'roof') setRoofHoverShape(findShapeAtPoint(worldPos.x, worldPos.y));
+      else setWallHoverEdge(findWallEdge(worldPos.x, worldPos.y));
+      setHoverInfo(null);
+      return;
+    }
+
     // Item mode: handle dragging placed items
     if (itemMode && isDraggingPlacedItem && selectedItemId !== null) {
       const mouseX = (screenX - pan.x) / zoom;
@@ -2632,6 +2375,12 @@ export default function App() {
 
     // Lock mode handling
     if (isLocked) {
+      // Grow the selection box
+      if (marquee) {
+        setMarquee(prev => prev && { ...prev, end: { x: px, y: py } });
+        return;
+      }
+
       // Handle group dragging
       if (isDraggingGroup && !isRotatingGroup) {
         const dx = px - dragStart.x;
@@ -2648,13 +2397,18 @@ export default function App() {
         return;
       }
 
-      // Update hovered group
+      // Update hovered group (flood-filled in the geometry worker; only the latest hovered shape's answer is kept)
       const shape = findShapeAtPoint(px, py);
-      if (shape) {
-        const groupIds = findConnectedGroup(shape);
-        setHoveredGroup(groupIds);
-      } else {
-        setHoveredGroup([]);
+      if (!shape) {
+        hoverGroupRequestRef.current = null;
+        setHoveredGroup(prev => prev.length > 0 ? [] : prev);
+      } else if (!hoveredGroup.includes(shape.id) && hoverGroupRequestRef.current !== shape.id && geometryServiceRef.current) {
+        hoverGroupRequestRef.current = shape.id;
+        geometryServiceRef.current.findConnectedGroup(shape.id)
+          .then(groupIds => {
+            if (hoverGroupRequestRef.current === shape.id) setHoveredGroup(groupIds);
+          })
+          .catch(err => console.warn('Failed to find connected group:', err));
       }
       setHoverInfo(null);
       return;
@@ -2696,7 +2450,7 @@ export default function App() {
       rightVerts = calculateSnappedVertices(edge, rightClickShape, px, py);
       setHoverInfo({ freePlace: false, edge, leftVerts, rightVerts });
     }
-  }, [findClosestEdge, calculateSnappedVertices, screenToWorld, isPanning, panStart, isRotating, baseVertices, rotationStartX, snapAngle, leftClickShape, rightClickShape, getFreeVertices, isLocked, isDraggingGroup, isRotatingGroup, dragStart, findShapeAtPoint, findConnectedGroup, gridEnabled, snapVerticesToGrid, itemMode, isDraggingPlacedItem, selectedItemId, pan, zoom, itemDragOffset, placedItems, fiefMode, isItemInBuildableArea, doesItemOverlap, shapes]);
+  }, [findClosestEdge, calculateSnappedVertices, screenToWorld, isPanning, panStart, isRotating, baseVertices, rotationStartX, snapAngle, leftClickShape, rightClickShape, getFreeVertices, isLocked, marquee, isDraggingGroup, isRotatingGroup, dragStart, findShapeAtPoint, hoveredGroup, gridEnabled, snapVerticesToGrid, itemMode, isDraggingPlacedItem, selectedItemId, pan, zoom, itemDragOffset, placedItems, fiefMode, isItemInBuildableArea, doesItemOverlap, shapes, wallMode, findWallEdge]);
 
   const handleWheel = useCallback((e) => {
     e.preventDefault();
@@ -2735,7 +2489,15 @@ export default function App() {
       return;
     }
 
-    // Lock mode - handle group dragging, rotation, and right-click for pattern save
+    if (wallMode && (e.button === 0 || e.button === 2)) {
+      e.preventDefault();
+      const rect = e.currentTarget.getBoundingClientRect();
+      const { x: px, y: py } = screenToWorld(e.clientX - rect.left, e.clientY - rect.top);
+      handleWallClick(px, py, e.button);
+      return;
+    }
+
+    // Lock mode - handle selection, group dragging, rotation, and right-click for pattern save
     if (isLocked && (e.button === 0 || e.button === 2)) {
       e.preventDefault();
       const rect = e.currentTarget.getBoundingClientRect();
@@ -2743,20 +2505,47 @@ export default function App() {
       const screenY = e.clientY - rect.top;
       const { x: px, y: py } = screenToWorld(screenX, screenY);
 
-      const shape = findShapeAtPoint(px, py);
-      if (!shape) return;
+      // Items sit on top of the shapes they stand on
+      const item = findItemAtPoint(placedItems, px, py);
+      const shape = item ? null : findShapeAtPoint(px, py);
+
+      // Empty canvas - drag out a selection box (Shift adds to the selection)
+      if (!item && !shape) {
+        if (e.button === 0) setMarquee({ start: { x: px, y: py }, end: { x: px, y: py }, additive: e.shiftKey });
+        return;
+      }
 
-      const groupIds = findConnectedGroup(shape);
+      const inSelection = item ? selectedItemIds.includes(item.id) : selectedShapeIds.includes(shape.id);
+      let groupIds, itemIds;
+      if (inSelection) {
+        groupIds = selectedShapeIds.filter(id => shapes.some(s => s.id === id));
+        itemIds = selectedItemIds;
+      } else if (item) {
+        groupIds = [];
+        itemIds = [item.id];
+      } else {
+        groupIds = hoveredGroup.includes(shape.id) ? hoveredGroup : findConnectedGroup(shape);
+        itemIds = [];
+      }
       const groupShapes = getShapesByIds(groupIds);
 
       // Right-click in lock mode - save pattern
       if (e.button === 2) {
+        if (groupShapes.length === 0) return;
         setPendingPatternShapes(groupShapes);
         setPatternName('');
         setShowPatternNameModal(true);
         return;
       }
 
+      // Shift-press toggles the piece in the selection unless the pointer moves (then it rotates)
+      pendingSelectToggleRef.current = !e.shiftKey ? null
+        : item ? { itemId: item.id, screenX, screenY } : { shapeId: shape.id, screenX, screenY };
+      if (!e.shiftKey && !inSelection) {
+        setSelectedShapeIds([]);
+        setSelectedItemIds(item ? [item.id] : []);
+      }
+
       // Store original positions for potential reset
       const originals = groupShapes.map(s => ({
         id: s.id,
@@ -2767,10 +2556,11 @@ export default function App() {
       }));
       setOriginalGroupPositions(originals);
       setDraggedGroupIds(groupIds);
+      setDraggedItemIds(itemIds);
 
       if (e.shiftKey) {
         // Shift+drag = rotate group
-        const centroid = getGroupCentroid(groupShapes);
+        const centroid = getSelectionCentre(groupShapes, placedItems.filter(i => itemIds.includes(i.id)));
         setGroupRotationCenter(centroid);
         setIsRotatingGroup(true);
         setRotationStartX(screenX);
@@ -2819,8 +2609,8 @@ export default function App() {
       if (shapeType === 'delete') {
         const shape = findShapeAtPoint(px, py);
         if (shape) {
-          saveToHistory();
-          setShapes(prev => prev.filter(s => s.id !== shape.id));
+          saveToHistory(`Deleted ${shape.type}`);
+          deleteShapes([shape.id]);
         }
         return;
       }
@@ -2848,66 +2638,20 @@ export default function App() {
         // Edge-snapped placement: place immediately without rotation
         const verts = calculateSnappedVertices(edge, shapeType, px, py);
         if (!checkOverlap(verts, shapeType)) {
-          saveToHistory();
-          setShapes(prev => [...prev, verticesToShape(verts, shapeType, Date.now(), buildingType)]);
-        }
-      }
-    }
-  }, [pan, isRotating, rotatingButton, screenToWorld, findClosestEdge, calculateSnappedVertices, leftClickShape, rightClickShape, getFreeVertices, findShapeAtPoint, isLocked, itemMode, findConnectedGroup, getShapesByIds, getGroupCentroid, gridEnabled, snapVerticesToGrid, shapes, saveToHistory, checkOverlap, verticesToShape, buildingType]);
-
-  // Check if transformed group shapes overlap with any shapes outside the group
-  const checkGroupOverlap = useCallback((transformedShapes, groupIds) => {
-    const nonGroupShapes = shapes.filter(s => !groupIds.includes(s.id));
-
-    for (const transformed of transformedShapes) {
-      const newVerts = transformed.newVerts;
-      const shapeBuilding = transformed.building || 'atreides';
-      const cornerStyle = BUILDING_TYPES[shapeBuilding]?.cornerStyle || 'round';
-      const newCollisionVerts = transformed.type === 'corner'
-        ? getCornerCollisionVerts(newVerts[0], newVerts[1], newVerts[2], cornerStyle)
-        : newVerts;
-
-      for (const other of nonGroupShapes) {
-        const existingVerts = getCollisionVertices(other);
-
-        // Check vertex containment
-        for (const v of newCollisionVerts) {
-          if (pointStrictlyInPolygon(v.x, v.y, existingVerts)) return true;
-        }
-        for (const v of existingVerts) {
-          if (pointStrictlyInPolygon(v.x, v.y, newCollisionVerts)) return true;
-        }
-
-        // Check edge intersections
-        for (let i = 0; i < newCollisionVerts.length; i++) {
-          const a1 = newCollisionVerts[i];
-          const a2 = newCollisionVerts[(i + 1) % newCollisionVerts.length];
-          for (let j = 0; j < existingVerts.length; j++) {
-            const b1 = existingVerts[j];
-            const b2 = existingVerts[(j + 1) % existingVerts.length];
-            if (segmentsIntersect(a1, a2, b1, b2)) return true;
-          }
-        }
-
-        // Check for coincident shapes (centroids nearly identical = duplicate)
-        const newCx = newVerts.reduce((s, v) => s + v.x, 0) / newVerts.length;
-        const newCy = newVerts.reduce((s, v) => s + v.y, 0) / newVerts.length;
-        const existingCx = existingVerts.reduce((s, v) => s + v.x, 0) / existingVerts.length;
-        const existingCy = existingVerts.reduce((s, v) => s + v.y, 0) / existingVerts.length;
-        if (Math.hypot(newCx - existingCx, newCy - existingCy) < EDGE_TOLERANCE * 3) {
-          return true;
+          saveToHistory(`Placed ${shapeType}`);
+          setShapes(prev => [...prev, verticesToShape(verts, shapeType, Date.now(), buildingType)]);
         }
       }
     }
-    return false;
-  }, [shapes, getCollisionVertices, getCornerCollisionVerts, pointStrictlyInPolygon, segmentsIntersect]);
+  }, [pan, isRotating, rotatingButton, screenToWorld, findClosestEdge, calculateSnappedVertices, leftClickShape, rightClickShape, getFreeVertices, findShapeAtPoint, isLocked, itemMode, placedItems, selectedShapeIds, selectedItemIds, hoveredGroup, findConnectedGroup, getShapesByIds, gridEnabled, snapVerticesToGrid, shapes, saveToHistory, checkOverlap, verticesToShape, buildingType, wallMode, handleWallClick, deleteShapes]);
+
 
   const handleMouseUp = useCallback((e) => {
     // Handle middle mouse button release
     if (e.button === 1) {
       setIsPanning(false);
       // If minimal movement, perform middle click action - NOT in lock mode or item mode
-      if (!isLocked && !itemMode && middleMouseStart) {
+      if (!isLocked && !itemMode && !wallMode && middleMouseStart) {
         const rect = e.currentTarget.getBoundingClientRect();
         const endX = e.clientX - rect.left;
         const endY = e.clientY - rect.top;
@@ -2919,8 +2663,8 @@ export default function App() {
             // Delete shape
             const shape = findShapeAtPoint(px, py);
             if (shape) {
-              saveToHistory();
-              setShapes(prev => prev.filter(s => s.id !== shape.id));
+              saveToHistory(`Deleted ${shape.type}`);
+              deleteShapes([shape.id]);
             }
           } else {
             // Place shape (square, triangle, or corner)
@@ -2938,7 +2682,7 @@ export default function App() {
               verts = calculateSnappedVertices(edge, middleClickAction, px, py);
             }
             if (!checkOverlap(verts, middleClickAction)) {
-              saveToHistory();
+              saveToHistory(`Placed ${middleClickAction}`);
               setShapes(prev => [...prev, verticesToShape(verts, middleClickAction, Date.now(), buildingType)]);
             }
           }
@@ -2956,82 +2700,92 @@ export default function App() {
       return;
     }
 
-    // Handle lock mode group operations
-    if (isLocked && (isDraggingGroup || isRotatingGroup) && draggedGroupIds.length > 0) {
-      const groupShapes = getShapesByIds(draggedGroupIds);
+    // Finish the selection box; a click on empty canvas (no box) clears the selection
+    if (isLocked && marquee) {
+      const bounds = getMarqueeBounds(marquee.start, marquee.end);
+      const isClick = (bounds.maxX - bounds.minX) * zoom < 4 && (bounds.maxY - bounds.minY) * zoom < 4;
+      const picked = isClick ? { shapeIds: [], itemIds: [] } : selectInBounds(shapeIndex, placedItems, bounds);
+      if (marquee.additive) {
+        setSelectedShapeIds(prev => mergeIds(prev, picked.shapeIds));
+        setSelectedItemIds(prev => mergeIds(prev, picked.itemIds));
+      } else {
+        setSelectedShapeIds(picked.shapeIds);
+        setSelectedItemIds(picked.itemIds);
+      }
+      setMarquee(null);
+      return;
+    }
 
-      // Calculate transformed vertices for each shape in the group
-      let transformedShapes = groupShapes.map(shape => {
-        const verts = shape._verts || getVertices(shape);
-        let newVerts;
+    // Handle lock mode group operations
+    if (isLocked && (isDraggingGroup || isRotatingGroup) && (draggedGroupIds.length > 0 || draggedItemIds.length > 0)) {
+      const rect = e.currentTarget.getBoundingClientRect();
+      const toggle = pendingSelectToggleRef.current;
+      pendingSelectToggleRef.current = null;
 
-        if (isRotatingGroup) {
-          // Rotate around group centroid
-          newVerts = rotateVertsAroundPoint(verts, groupRotationCenter.x, groupRotationCenter.y, groupRotationAngle);
+      if (toggle && Math.hypot(e.clientX - rect.left - toggle.screenX, e.clientY - rect.top - toggle.screenY) < 5) {
+        // Shift-click without moving - add or remove the piece instead of rotating
+        if (toggle.itemId !== undefined) {
+          setSelectedItemIds(prev => toggleId(prev, toggle.itemId));
         } else {
-          // Translate by drag offset
-          newVerts = offsetVertices(verts, dragOffset.x, dragOffset.y);
+          setSelectedShapeIds(prev => toggleId(prev, toggle.shapeId));
         }
+      } else {
+        // Use the worker's answer for this exact position when it has arrived, otherwise resolve it here once
+        const { transformedShapes, hasOverlap } = draggedGroupIds.length === 0
+          ? { transformedShapes: [], hasOverlap: false }
+          : groupPreview?.key === groupPreviewKey
+            ? groupPreview
+            : geometry.resolveGroupTransform(shapeIndex, getGroupTransformShapes(), draggedGroupIds, { snap: isDraggingGroup });
+        const movedItems = getTransformedItems(transformedShapes);
+        const movedWalls = getTransformedWalls(transformedShapes);
+
+        if (!hasOverlap && canPlaceItems(movedItems)) {
+          // Apply the transformation (use lock mode history)
+          const what = movedItems.length > 0 || draggedGroupIds.some(id => selectedShapeIds.includes(id)) ? 'selection' : 'group';
+          saveToHistory(`${isRotatingGroup ? 'Rotated' : 'Moved'} ${what}`);
+          setShapes(prev => prev.map(shape => {
+            if (!draggedGroupIds.includes(shape.id)) return shape;
+
+            // Find the transformed shape data
+            const transformed = transformedShapes.find(t => t.id === shape.id);
+            if (!transformed) return shape;
+
+            const newVerts = transformed.newVerts;
+
+            // Recalculate center and rotation from new vertices
+            const cx = newVerts.reduce((s, v) => s + v.x, 0) / newVerts.length;
+            const cy = newVerts.reduce((s, v) => s + v.y, 0) / newVerts.length;
+
+            let newRotation = shape.rotation;
+            if (isRotatingGroup) {
+              newRotation = shape.rotation + groupRotationAngle;
+            }
 
-        return { ...shape, newVerts };
-      });
-
-      // Apply bounding box grid snap for dragging (not rotation)
-      if (isDraggingGroup && gridEnabled) {
-        transformedShapes = snapGroupBoundingBoxToGrid(transformedShapes);
-      }
-
-      // Save pre-snap position in case snap causes overlap
-      const preSnapShapes = transformedShapes.map(s => ({
-        ...s,
-        newVerts: s.newVerts.map(v => ({ ...v }))
-      }));
-
-      // Apply edge snapping for dragging (snap to external shape vertices)
-      if (isDraggingGroup) {
-        transformedShapes = snapGroupToEdges(transformedShapes, draggedGroupIds);
-      }
-
-      // Check if snapped position causes overlap - if so, revert to pre-snap position
-      let hasOverlap = checkGroupOverlap(transformedShapes, draggedGroupIds);
-      if (hasOverlap && isDraggingGroup) {
-        // Snap caused overlap, try without snap
-        transformedShapes = preSnapShapes;
-        hasOverlap = checkGroupOverlap(transformedShapes, draggedGroupIds);
-      }
-
-      if (!hasOverlap) {
-        // Apply the transformation (use lock mode history)
-        saveToHistory();
-        setShapes(prev => prev.map(shape => {
-          if (!draggedGroupIds.includes(shape.id)) return shape;
-
-          // Find the transformed shape data
-          const transformed = transformedShapes.find(t => t.id === shape.id);
-          if (!transformed) return shape;
-
-          const newVerts = transformed.newVerts;
-
-          // Recalculate center and rotation from new vertices
-          const cx = newVerts.reduce((s, v) => s + v.x, 0) / newVerts.length;
-          const cy = newVerts.reduce((s, v) => s + v.y, 0) / newVerts.length;
-
-          let newRotation = shape.rotation;
-          if (isRotatingGroup) {
-            newRotation = shape.rotation + groupRotationAngle;
+            return { ...shape, x: cx, y: cy, rotation: newRotation, _verts: newVerts };
+          }));
+          if (movedItems.length > 0) {
+            setPlacedItems(prev => prev.map(item => movedItems.find(moved => moved.id === item.id) || item));
           }
-
-          return { ...shape, x: cx, y: cy, rotation: newRotation, _verts: newVerts };
-        }));
+          if (movedWalls.length > 0) {
+            setWalls(prev => prev.map(wall => movedWalls.find(moved => moved.id === wall.id) || wall));
+          }
+          const roofMoves = transformedShapes.map(({ newVerts, ...shape }) => ({
+            from: shape,
+            to: verticesToShape(newVerts, shape.type, shape.id, shape.building),
+          }));
+          setRoofs(prev => moveRoofsWithShapes(prev, roofMoves));
+        }
       }
 
       // Reset group dragging state
       setIsDraggingGroup(false);
       setIsRotatingGroup(false);
       setDraggedGroupIds([]);
+      setDraggedItemIds([]);
       setDragOffset({ x: 0, y: 0 });
       setGroupRotationAngle(0);
       setOriginalGroupPositions([]);
+      setGroupPreview(null);
       return;
     }
 
@@ -3041,7 +2795,7 @@ export default function App() {
       if (releasedButton === rotatingButton) {
         const rotatedVerts = rotateVertices(baseVertices, rotationAngle);
         if (!checkOverlap(rotatedVerts, rotationShapeType)) {
-          saveToHistory();
+          saveToHistory(`Placed ${rotationShapeType}`);
           setShapes(prev => [...prev, verticesToShape(rotatedVerts, rotationShapeType, Date.now(), buildingType)]);
         }
       }
@@ -3051,14 +2805,17 @@ export default function App() {
       setRotationAngle(0);
       setIsFreePlacement(false);
     }
-  }, [isRotating, rotatingButton, baseVertices, rotationAngle, rotationShapeType, rotateVertices, checkOverlap, verticesToShape, middleMouseStart, middleClickAction, screenToWorld, findShapeAtPoint, buildingType, isLocked, isDraggingGroup, isRotatingGroup, draggedGroupIds, dragOffset, groupRotationAngle, groupRotationCenter, getShapesByIds, getVertices, offsetVertices, rotateVertsAroundPoint, checkGroupOverlap, findClosestEdge, getFreeVertices, calculateSnappedVertices, gridEnabled, snapVerticesToGrid, snapGroupBoundingBoxToGrid, snapGroupToEdges, isDraggingPlacedItem, saveToHistory]);
+  }, [isRotating, rotatingButton, baseVertices, rotationAngle, rotationShapeType, rotateVertices, checkOverlap, verticesToShape, middleMouseStart, middleClickAction, screenToWorld, findShapeAtPoint, deleteShapes, buildingType, isLocked, marquee, zoom, placedItems, selectedShapeIds, isDraggingGroup, isRotatingGroup, draggedGroupIds, draggedItemIds, groupRotationAngle, groupPreview, groupPreviewKey, shapeIndex, getGroupTransformShapes, getTransformedItems, getTransformedWalls, setWalls, setRoofs, canPlaceItems, findClosestEdge, getFreeVertices, calculateSnappedVertices, gridEnabled, snapVerticesToGrid, isDraggingPlacedItem, saveToHistory, wallMode]);
 
   const handleClear = () => {
     // Save current state to history before clearing
-    saveToHistory();
+    saveToHistory('Cleared design');
     // Clear all floors
     setAllFloorShapes({ 0: [] });
     setAllFloorItems({ 0: [] });
+    setAllFloorWalls({});
+    setAllFloorRoofs({});
+    setFloorNames({});
     setCurrentFloor(0);
     setHoverInfo(null);
     // Reset fief stakes
@@ -3106,16 +2863,18 @@ export default function App() {
       claimed: false,
     };
 
+    saveToHistory('Claimed stake');
     setPlacedStakes(prev => [...prev, newStake]);
     setStakesInventory(prev => prev - 1);
     setDraggingStake(null);
     setStakeDropZone(null);
-  }, [draggingStake, stakesInventory]);
+  }, [draggingStake, stakesInventory, saveToHistory]);
 
   const handleCancelStake = useCallback((stakeId) => {
+    saveToHistory('Cancelled stake');
     setPlacedStakes(prev => prev.filter(s => s.id !== stakeId));
     setStakesInventory(prev => prev + 1);
-  }, []);
+  }, [saveToHistory]);
 
   // =====================================================
   // FIEF DRAG HANDLERS
@@ -3175,50 +2934,7 @@ export default function App() {
   // RENDERING
   // =====================================================
   const renderCorner = (verts, color, stroke, key, opacity = 1, dashed = false, cornerStyle = 'round') => {
-    const [corner, end1, end2] = verts;
-    const v1x = end1.x - corner.x, v1y = end1.y - corner.y;
-    const v2x = end2.x - corner.x, v2y = end2.y - corner.y;
-
-    let pathD;
-
-    if (cornerStyle === 'diagonal') {
-      // Clipped diagonal - small flats parallel to opposite edges
-      // From end1, go in v2 direction (parallel to edge 2)
-      const flat1End = {
-        x: end1.x + v2x * DIAGONAL_FLAT_RATIO,
-        y: end1.y + v2y * DIAGONAL_FLAT_RATIO,
-      };
-      // From end2, go in v1 direction (parallel to edge 1)
-      const flat2Start = {
-        x: end2.x + v1x * DIAGONAL_FLAT_RATIO,
-        y: end2.y + v1y * DIAGONAL_FLAT_RATIO,
-      };
-      pathD = `M ${corner.x} ${corner.y} L ${end1.x} ${end1.y} L ${flat1End.x} ${flat1End.y} L ${flat2Start.x} ${flat2Start.y} L ${end2.x} ${end2.y} Z`;
-    } else if (cornerStyle === 'stepped') {
-      // Stepped/staircase pattern
-      let pathPoints = `M ${corner.x} ${corner.y} L ${end1.x} ${end1.y}`;
-      let currentX = end1.x;
-      let currentY = end1.y;
-
-      for (let i = 0; i < CORNER_STEPS; i++) {
-        // Move toward end2 direction
-        currentX += v2x / CORNER_STEPS;
-        currentY += v2y / CORNER_STEPS;
-        pathPoints += ` L ${currentX} ${currentY}`;
-
-        // Move toward corner (negative v1 direction)
-        currentX -= v1x / CORNER_STEPS;
-        currentY -= v1y / CORNER_STEPS;
-        pathPoints += ` L ${currentX} ${currentY}`;
-      }
-
-      pathD = pathPoints + ' Z';
-    } else {
-      // Round corner (default) - arc
-      const cross = v1x * v2y - v1y * v2x;
-      const sweepFlag = cross > 0 ? 1 : 0;
-      pathD = `M ${corner.x} ${corner.y} L ${end1.x} ${end1.y} A ${SHAPE_SIZE} ${SHAPE_SIZE} 0 0 ${sweepFlag} ${end2.x} ${end2.y} Z`;
-    }
+    const pathD = getCornerPathD(verts, cornerStyle);
 
     return (
       <path
@@ -3286,6 +3002,26 @@ export default function App() {
               />
             );
           })}
+          {/* Up arrow */}
+          {(() => {
+            const up = getStairDirection(verts);
+            const tipX = centerX + up.x * size * 0.3, tipY = centerY + up.y * size * 0.3;
+            const head = size * 0.14;
+            return (
+              <path
+                d={`M ${centerX - up.x * size * 0.3} ${centerY - up.y * size * 0.3} L ${tipX} ${tipY} ` +
+                  `M ${tipX - up.x * head - up.y * head} ${tipY - up.y * head + up.x * head} L ${tipX} ${tipY} ` +
+                  `L ${tipX - up.x * head + up.y * head} ${tipY - up.y * head - up.x * head}`}
+                fill="none"
+                stroke="#f8fafc"
+                strokeWidth={2.5}
+                strokeOpacity={opacity * 0.9}
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                style={{ pointerEvents: 'none' }}
+              />
+            );
+          })()}
         </g>
       );
     }
@@ -3316,14 +3052,48 @@ export default function App() {
       const cornerStyle = BUILDING_TYPES[shapeBuilding]?.cornerStyle || 'round';
       const colors = COLOR_SCHEMES[shapeBuilding]?.[shape.type] || COLOR_SCHEMES.atreides[shape.type];
 
-      // Highlight if part of hovered group in lock mode
+      // Highlight if part of hovered group or the selection in lock mode
       const isHovered = isLocked && hoveredGroup.includes(shape.id) && !isDraggingGroup && !isRotatingGroup;
+      const isSelected = isLocked && selectedShapeIds.includes(shape.id);
+      const isUnsupported = unsupportedShapeIds.has(shape.id);
+      const isBrokenStair = brokenStairIds.has(shape.id);
       const strokeColor = isHovered ? '#fbbf24' : '#0f172a';
       const strokeWidth = isHovered ? 3 : 1.5;
 
       return (
         <g key={shape.id}>
           {renderPolygon(verts, colors.fill, strokeColor, shape.id, 1, false, shape.type, cornerStyle)}
+          {isUnsupported && (
+            <polygon
+              points={verts.map(v => `${v.x},${v.y}`).join(' ')}
+              fill="#ef4444"
+              fillOpacity={0.35}
+              stroke="#f87171"
+              strokeWidth={2}
+              strokeDasharray="4,3"
+              style={{ pointerEvents: 'none' }}
+            />
+          )}
+          {isBrokenStair && (
+            <polygon
+              points={verts.map(v => `${v.x},${v.y}`).join(' ')}
+              fill="none"
+              stroke="#f59e0b"
+              strokeWidth={2.5}
+              strokeDasharray="4,3"
+              style={{ pointerEvents: 'none' }}
+            />
+          )}
+          {isSelected && (
+            <polygon
+              points={verts.map(v => `${v.x},${v.y}`).join(' ')}
+              fill="#38bdf8"
+              fillOpacity={0.2}
+              stroke="#38bdf8"
+              strokeWidth={2.5}
+              style={{ pointerEvents: 'none' }}
+            />
+          )}
           {isHovered && (
             <polygon
               points={verts.map(v => `${v.x},${v.y}`).join(' ')}
@@ -3338,6 +3108,88 @@ export default function App() {
     });
   };
 
+  // Enclosed rooms of the current floor shaded, with their area in the middle
+  const renderRooms = () => currentRooms.filter(room => room.enclosed).map((room, i) => (
+    <g key={`room-${i}`} style={{ pointerEvents: 'none' }}>
+      {room.shapes.map(shape => (
+        <polygon
+          key={shape.id}
+          points={geometry.getCollisionVertices(shape).map(v => `${v.x},${v.y}`).join(' ')}
+          fill={ROOM_SHADE_COLOR}
+          fillOpacity={0.25}
+        />
+      ))}
+      <text x={room.centre.x} y={room.centre.y} textAnchor="middle" dominantBaseline="middle" fill="#f8fafc" fontSize="12" fontWeight="bold">
+        {formatRoomArea(room.area)}
+      </text>
+    </g>
+  ));
+
+  // Roofs of the current floor, plus the piece a click in roof mode would roof (red when it would remove)
+  const renderRoofs = () => {
+    const drawn = roofs.map(roof => {
+      const colors = COLOR_SCHEMES[roof.building] || COLOR_SCHEMES.atreides;
+      return (
+        <polygon
+          key={roof.id}
+          points={geometry.getCollisionVertices(roof).map(v => `${v.x},${v.y}`).join(' ')}
+          fill={colors.square.stroke}
+          fillOpacity={0.3}
+          stroke={colors.square.stroke}
+          strokeWidth={1.5}
+          strokeDasharray="4,3"
+          style={{ pointerEvents: 'none' }}
+        />
+      );
+    });
+    if (wallMode !== 'roof' || !roofHoverShape) return drawn;
+
+    const existing = findRoofOverShape(roofs, roofHoverShape);
+    const removing = existing && existing.building === buildingType;
+    const color = removing ? '#ef4444' : (COLOR_SCHEMES[buildingType] || COLOR_SCHEMES.atreides).square.stroke;
+    return [
+      ...drawn,
+      <polygon
+        key="roof-preview"
+        points={geometry.getCollisionVertices(roofHoverShape).map(v => `${v.x},${v.y}`).join(' ')}
+        fill={color}
+        fillOpacity={0.3}
+        stroke={color}
+        strokeWidth={2}
+        style={{ pointerEvents: 'none' }}
+      />,
+    ];
+  };
+
+  // Walls of the current floor, plus a preview of what a click in wall mode would do
+  const renderWalls = () => {
+    const drawn = walls.flatMap(wall => getWallSegments(wall).map((segment, i) => (
+      <line
+        key={`${wall.id}-${i}`}
+        x1={segment.x1} y1={segment.y1} x2={segment.x2} y2={segment.y2}
+        stroke={segment.color}
+        strokeWidth={segment.width}
+        strokeLinecap="round"
+        style={{ pointerEvents: 'none' }}
+      />
+    )));
+    if (!wallMode || !wallHoverEdge) return drawn;
+
+    const existing = findWallOnEdge(walls, wallHoverEdge);
+    const removing = existing && existing.type === wallMode && existing.building === buildingType;
+    const { v1, v2 } = wallHoverEdge;
+    const preview = removing
+      ? [{ x1: v1.x, y1: v1.y, x2: v2.x, y2: v2.y, color: '#ef4444', width: 6 }]
+      : getWallSegments({ type: wallMode, building: buildingType, x1: v1.x, y1: v1.y, x2: v2.x, y2: v2.y });
+    return [
+      ...drawn,
+      <g key="wall-preview" opacity="0.6" style={{ pointerEvents: 'none' }}>
+        {preview.map((segment, i) => (
+          <line key={i} x1={segment.x1} y1={segment.y1} x2={segment.x2} y2={segment.y2} stroke={segment.color} strokeWidth={segment.width} strokeLinecap="round" />
+        ))}
+      </g>,
+    ];
+  };
 
   // Render silhouette of floor below (faded shapes and items)
   const renderFloorBelowSilhouette = () => {
@@ -3380,29 +3232,90 @@ export default function App() {
     );
   };
 
+  // Items travelling with the dragged or rotated group, and whether they may land there
+  const getGroupPreviewItems = () => {
+    if (!isLocked || (!isDraggingGroup && !isRotatingGroup) || draggedItemIds.length === 0) {
+      return { movedItems: [], blocked: false };
+    }
+    const movedItems = getTransformedItems(groupPreview ? groupPreview.transformedShapes : getGroupTransformShapes());
+    return { movedItems, blocked: !canPlaceItems(movedItems) };
+  };
+
+  // Ghost copies from the array panel, red where a copy will be skipped
+  const renderArrayPreview = () => {
+    if (arrayPreview.length === 0) return null;
+    return (
+      <g style={{ pointerEvents: 'none' }}>
+        {arrayPreview.map((copy, i) => (
+          <g key={`array-${i}`}>
+            {copy.shapes.map(shape => {
+              const shapeBuilding = shape.building || 'atreides';
+              const cornerStyle = BUILDING_TYPES[shapeBuilding]?.cornerStyle || 'round';
+              const colors = COLOR_SCHEMES[shapeBuilding]?.[shape.type] || COLOR_SCHEMES.atreides[shape.type];
+              return renderPolygon(
+                shape.newVerts,
+                copy.blocked ? '#ef4444' : colors.fill,
+                copy.blocked ? '#f87171' : '#38bdf8',
+                `array-${i}-${shape.id}`,
+                0.5,
+                true,
+                shape.type,
+                cornerStyle
+              );
+            })}
+            {copy.items.map(item => {
+              const { width, height } = getItemSize(item);
+              return (
+                <rect
+                  key={`array-${i}-item-${item.id}`}
+                  x={item.x}
+                  y={item.y}
+                  width={width}
+                  height={height}
+                  fill={copy.blocked ? '#ef4444' : '#38bdf8'}
+                  fillOpacity={0.25}
+                  stroke={copy.blocked ? '#f87171' : '#38bdf8'}
+                  strokeWidth={2}
+                  strokeDasharray="5,5"
+                />
+              );
+            })}
+          </g>
+        ))}
+      </g>
+    );
+  };
+
+  // Selection box being dragged in lock mode
+  const renderMarquee = () => {
+    if (!isLocked || !marquee) return null;
+    const { minX, minY, maxX, maxY } = getMarqueeBounds(marquee.start, marquee.end);
+    return (
+      <rect
+        x={minX}
+        y={minY}
+        width={maxX - minX}
+        height={maxY - minY}
+        fill="#38bdf8"
+        fillOpacity={0.1}
+        stroke="#38bdf8"
+        strokeWidth={1.5 / zoom}
+        strokeDasharray={`${6 / zoom},${4 / zoom}`}
+        style={{ pointerEvents: 'none' }}
+      />
+    );
+  };
+
   // Render group being dragged or rotated
   const renderGroupPreview = () => {
     if (!isLocked || (!isDraggingGroup && !isRotatingGroup) || draggedGroupIds.length === 0) {
       return null;
     }
 
-    const groupShapes = getShapesByIds(draggedGroupIds);
-
-    // Calculate transformed shapes and check for overlap
-    const transformedShapes = groupShapes.map(shape => {
-      const verts = shape._verts || getVertices(shape);
-      let newVerts;
-
-      if (isRotatingGroup) {
-        newVerts = rotateVertsAroundPoint(verts, groupRotationCenter.x, groupRotationCenter.y, groupRotationAngle);
-      } else {
-        newVerts = offsetVertices(verts, dragOffset.x, dragOffset.y);
-      }
-
-      return { ...shape, newVerts };
-    });
-
-    const hasOverlap = checkGroupOverlap(transformedShapes, draggedGroupIds);
+    // Draw where the worker says the group lands (snapped, with its overlap verdict); this trails the
+    // pointer by at most a frame. Until the first answer arrives, draw the unsnapped transform.
+    const transformedShapes = groupPreview ? groupPreview.transformedShapes : getGroupTransformShapes();
+    const hasOverlap = (groupPreview ? groupPreview.hasOverlap : false) || getGroupPreviewItems().blocked;
 
     return (
       <g>
@@ -3440,8 +3353,8 @@ export default function App() {
   };
 
   const renderHoverPreview = () => {
-    // Don't show shape preview in item mode
-    if (itemMode) return null;
+    // Don't show shape preview in item mode or wall mode
+    if (itemMode || wallMode) return null;
 
     const cornerStyle = BUILDING_TYPES[buildingType]?.cornerStyle || 'round';
 
@@ -3782,6 +3695,143 @@ export default function App() {
     );
   };
 
+  // Printable build sheet: one page per non-empty floor plus a bill of materials for the whole base
+  const renderPrintSheet = () => {
+    const floors = getNonEmptyFloors(allFloorShapes, allFloorItems);
+    const fiefAreas = fiefMode ? (getBuildableAreas().areas || []) : [];
+    const title = activeProject ? activeProject.name : 'Dune Base Plan';
+    const allShapes = floors.flatMap(floor => allFloorShapes[floor] || []);
+    const allItems = floors.flatMap(floor => allFloorItems[floor] || []);
+    const allWalls = floors.flatMap(floor => allFloorWalls[floor] || []);
+    const allRoofs = floors.flatMap(floor => allFloorRoofs[floor] || []);
+    const totalPieces = countPieces(allShapes);
+    const totalWalls = countWalls(allWalls);
+    const totalCosts = getBuildingCosts(allShapes, allWalls, allRoofs);
+    const totalResources = getResourceTotals(allItems, { fiefMode, fiefType });
+
+    const renderMaterialList = (entries) => entries.length === 0
+      ? <p className="text-gray-500">None</p>
+      : (
+        <table className="w-full">
+          <tbody>
+            {entries.map(([name, amount]) => (
+              <tr key={name}><td className="pr-2">{name}</td><td className="text-right font-medium">{amount.toLocaleString()}</td></tr>
+            ))}
+          </tbody>
+        </table>
+      );
+
+    const renderBuildingCosts = (costs) => renderMaterialList(
+      Object.entries(costs).map(([material, amount]) => [material.charAt(0).toUpperCase() + material.slice(1), amount])
+    );
+
+    return (
+      <div className="hidden print:block bg-white text-black text-sm">
+        {floors.map(floor => {
+          const floorShapes = allFloorShapes[floor] || [];
+          const floorItems = allFloorItems[floor] || [];
+          const floorWalls = allFloorWalls[floor] || [];
+          const floorRoofs = allFloorRoofs[floor] || [];
+          const floorRooms = roomReport.find(entry => entry.floor === floor)?.rooms || [];
+          const enclosed = floorRooms.filter(room => room.enclosed);
+          const pieces = countPieces(floorShapes);
+          const wallCounts = countWalls(floorWalls);
+          const { svg } = buildDesignSvg({ shapes: floorShapes, walls: floorWalls, roofs: floorRoofs, rooms: floorRooms, items: floorItems, fiefAreas, fiefPadding, background: false, gridLines: true });
+          return (
+            <section key={floor} className="break-after-page">
+              <div className="flex items-baseline justify-between border-b-2 border-black pb-1 mb-3">
+                <h1 className="text-xl font-bold">{title}</h1>
+                <span className="text-lg font-semibold">{getFloorLabel(floor, floorNames)}</span>
+              </div>
+              <div className="print-design mb-4" dangerouslySetInnerHTML={{ __html: svg }} />
+              <div className="grid grid-cols-3 gap-6">
+                <div>
+                  <h2 className="font-bold mb-1">Pieces ({pieces.total})</h2>
+                  {renderMaterialList([['Squares', pieces.square], ['Triangles', pieces.triangle], ['Corners', pieces.corner], ['Stairs', pieces.stair]])}
+                  {(wallCounts.total > 0 || floorRoofs.length > 0) && (
+                    <>
+                      <h2 className="font-bold mt-3 mb-1">Walls and roofs ({wallCounts.total + floorRoofs.length})</h2>
+                      {renderMaterialList([['Walls', wallCounts.wall], ['Doorways', wallCounts.door], ['Windows', wallCounts.window], ['Roofs', floorRoofs.length]])}
+                    </>
+                  )}
+                  {enclosed.length > 0 && (
+                    <>
+                      <h2 className="font-bold mt-3 mb-1">Enclosed rooms ({enclosed.length})</h2>
+                      {renderMaterialList(enclosed.map((room, i) => [`Room ${i + 1}`, formatRoomArea(room.area)]))}
+                    </>
+                  )}
+                  <h2 className="font-bold mt-3 mb-1">Building materials</h2>
+                  {renderBuildingCosts(getBuildingCosts(floorShapes, floorWalls, floorRoofs))}
+                </div>
+                <div>
+                  <h2 className="font-bold mb-1">Items ({floorItems.length})</h2>
+                  {renderMaterialList(countItems(floorItems).map(([itemType, count]) => [BASE_ITEMS[itemType].name, count]))}
+                </div>
+                <div>
+                  <h2 className="font-bold mb-1">Item materials</h2>
+                  {renderMaterialList(getItemMaterialTotals(floorItems))}
+                </div>
+              </div>
+            </section>
+          );
+        })}
+
+        <section>
+          <div className="flex items-baseline justify-between border-b-2 border-black pb-1 mb-3">
+            <h1 className="text-xl font-bold">{title}</h1>
+            <span className="text-lg font-semibold">Bill of materials</span>
+          </div>
+          <table className="w-full mb-6">
+            <thead>
+              <tr className="border-b border-black text-left">
+                <th>Floor</th><th className="text-right">Squares</th><th className="text-right">Triangles</th>
+                <th className="text-right">Corners</th><th className="text-right">Stairs</th><th className="text-right">Walls</th><th className="text-right">Items</th>
+              </tr>
+            </thead>
+            <tbody>
+              {floors.map(floor => {
+                const pieces = countPieces(allFloorShapes[floor] || []);
+                return (
+                  <tr key={floor}>
+                    <td>{getFloorLabel(floor, floorNames)}</td><td className="text-right">{pieces.square}</td><td className="text-right">{pieces.triangle}</td>
+                    <td className="text-right">{pieces.corner}</td><td className="text-right">{pieces.stair}</td>
+                    <td className="text-right">{(allFloorWalls[floor] || []).length}</td>
+                    <td className="text-right">{(allFloorItems[floor] || []).length}</td>
+                  </tr>
+                );
+              })}
+              <tr className="border-t border-black font-bold">
+                <td>Total</td><td className="text-right">{totalPieces.square}</td><td className="text-right">{totalPieces.triangle}</td>
+                <td className="text-right">{totalPieces.corner}</td><td className="text-right">{totalPieces.stair}</td>
+                <td className="text-right">{totalWalls.total}</td>
+                <td className="text-right">{allItems.length}</td>
+              </tr>
+            </tbody>
+          </table>
+          <div className="grid grid-cols-3 gap-6">
+            <div>
+              <h2 className="font-bold mb-1">Building materials</h2>
+              {renderBuildingCosts(totalCosts)}
+            </div>
+            <div>
+              <h2 className="font-bold mb-1">Item materials</h2>
+              {renderMaterialList(getItemMaterialTotals(allItems))}
+            </div>
+            <div>
+              <h2 className="font-bold mb-1">Resources</h2>
+              {renderMaterialList([
+                ['Power generated', totalResources.powerGenerated],
+                ['Power consumed', totalResources.powerConsumed],
+                ['Water/hr (ml)', totalResources.waterPerMinute * 60],
+                ['Water storage (ml)', totalResources.waterStorage],
+              ])}
+            </div>
+          </div>
+        </section>
+      </div>
+    );
+  };
+
   const squareCount = shapes.filter(s => s.type === 'square').length;
   const triangleCount = shapes.filter(s => s.type === 'triangle').length;
   const cornerCount = shapes.filter(s => s.type === 'corner').length;
@@ -3789,55 +3839,13 @@ export default function App() {
   const currentBuilding = BUILDING_TYPES[buildingType];
 
   // Calculate costs per material type based on each shape's building type
-  const materialCosts = shapes.reduce((acc, shape) => {
-    const shapeBuilding = BUILDING_TYPES[shape.building] || BUILDING_TYPES.atreides;
-    const material = shapeBuilding.material;
-    acc[material] = (acc[material] || 0) + shapeBuilding.cost;
-    return acc;
-  }, {});
-  const plastoneCost = materialCosts.plastone || 0;
-  const graniteCost = materialCosts.granite || 0;
+  const materialCosts = Object.entries(getBuildingCosts(shapes, walls, roofs)).filter(([, amount]) => amount > 0);
 
   // Calculate resource totals from placed items
-  const resourceTotals = useMemo(() => {
-    const totals = placedItems.reduce((totals, placedItem) => {
-      const itemDef = BASE_ITEMS[placedItem.itemType];
-      if (!itemDef) return totals;
-
-      totals.powerGenerated += itemDef.stats.powerGeneration || 0;
-      totals.powerConsumed += itemDef.stats.powerConsumption || 0;
-      totals.waterPerMinute += itemDef.stats.waterPerMinute || 0;
-      totals.waterStorage += itemDef.stats.waterStorage || 0;
-      return totals;
-    }, {
-      powerGenerated: 0,
-      powerConsumed: 0,
-      waterPerMinute: 0,
-      waterStorage: 0,
-    });
-
-    // Add fief power consumption if fief is enabled
-    if (fiefMode) {
-      totals.powerConsumed += FIEF_DEFAULTS[fiefType].power || 0;
-    }
-
-    return totals;
-  }, [placedItems, fiefMode, fiefType]);
+  const resourceTotals = useMemo(() => getResourceTotals(placedItems, { fiefMode, fiefType }), [placedItems, fiefMode, fiefType]);
 
   // Calculate material totals from placed items
-  const materialTotals = useMemo(() => {
-    const totals = {};
-    placedItems.forEach(placedItem => {
-      const itemDef = BASE_ITEMS[placedItem.itemType];
-      if (!itemDef || !itemDef.materials) return;
-
-      itemDef.materials.forEach(mat => {
-        totals[mat.name] = (totals[mat.name] || 0) + mat.amount;
-      });
-    });
-    // Sort by amount descending
-    return Object.entries(totals).sort((a, b) => b[1] - a[1]);
-  }, [placedItems]);
+  const materialTotals = useMemo(() => getItemMaterialTotals(placedItems), [placedItems]);
 
   const netPower = resourceTotals.powerGenerated - resourceTotals.powerConsumed;
   const waterPerHour = resourceTotals.waterPerMinute * 60;
@@ -3900,7 +3908,7 @@ export default function App() {
       y,
     };
 
-    saveToHistory();
+    saveToHistory(`Dropped ${itemDef.name}`);
     setPlacedItems(prev => [...prev, newItem]);
     setDraggingItem(null);
   }, [draggingItem, pan, zoom, fiefMode, isItemInBuildableArea, doesItemOverlap, saveToHistory, shapes, getVertices]);
@@ -3919,7 +3927,7 @@ export default function App() {
 
   // Handle item deletion
   const handleItemDelete = useCallback((itemId) => {
-    saveToHistory();
+    saveToHistory('Deleted item');
     setPlacedItems(prev => prev.filter(item => item.id !== itemId));
     if (selectedItemId === itemId) {
       setSelectedItemId(null);
@@ -3932,7 +3940,7 @@ export default function App() {
     e.stopPropagation();
 
     // Save history before moving item
-    saveToHistory();
+    saveToHistory('Moved item');
 
     // Select the item
     setSelectedItemId(item.id);
@@ -3951,6 +3959,8 @@ export default function App() {
 
   // Render placed items on canvas
   const renderPlacedItems = () => {
+    const { movedItems, blocked } = getGroupPreviewItems();
+
     return placedItems.map(item => {
       const itemDef = BASE_ITEMS[item.itemType];
       if (!itemDef) return null;
@@ -3958,9 +3968,26 @@ export default function App() {
       const width = (itemDef.size?.width || 1) * ITEM_GRID_SIZE;
       const height = (itemDef.size?.height || 1) * ITEM_GRID_SIZE;
       const isSelected = selectedItemId === item.id;
+      const isLockSelected = isLocked && selectedItemIds.includes(item.id);
+      // Items moving with a lock mode group are drawn where they will land
+      const moved = movedItems.find(m => m.id === item.id);
+      const { x, y } = moved || item;
 
       return (
-        <g key={item.id} transform={`translate(${item.x}, ${item.y})`}>
+        <g key={item.id} transform={`translate(${x}, ${y})`} opacity={moved ? 0.7 : 1}>
+          {isLockSelected && !moved && (
+            <rect
+              x={-4}
+              y={-4}
+              width={width + 8}
+              height={height + 8}
+              fill="#38bdf8"
+              fillOpacity={0.15}
+              stroke="#38bdf8"
+              strokeWidth={2.5}
+              pointerEvents="none"
+            />
+          )}
           {/* Selection highlight */}
           {isSelected && (
             <rect
@@ -3986,7 +4013,7 @@ export default function App() {
               if (itemMode) {
                 // In item mode, click to select
                 setSelectedItemId(item.id);
-              } else if (e.button === 0 && leftClickShape === 'delete') {
+              } else if (!isLocked && e.button === 0 && leftClickShape === 'delete') {
                 handleItemDelete(item.id);
               }
             }}
@@ -3996,7 +4023,7 @@ export default function App() {
               if (itemMode) {
                 // In item mode, right-click to delete
                 handleItemDelete(item.id);
-              } else if (rightClickShape === 'delete') {
+              } else if (!isLocked && rightClickShape === 'delete') {
                 handleItemDelete(item.id);
               }
             }}
@@ -4012,13 +4039,16 @@ export default function App() {
             strokeWidth={isSelected ? 3 : 2}
             pointerEvents="none"
           />
+          {moved && blocked && (
+            <rect width={width} height={height} fill="#ef4444" fillOpacity={0.5} stroke="#f87171" strokeWidth={2} pointerEvents="none" />
+          )}
         </g>
       );
     });
   };
 
   return (
-    <div className={`min-h-screen bg-gradient-to-b from-slate-900 to-slate-950 p-4 flex flex-col items-center ${isWideMode ? 'px-2' : ''}`}>
+    <div className={`min-h-screen bg-gradient-to-b from-slate-900 to-slate-950 p-4 flex flex-col items-center print:hidden ${isWideMode ? 'px-2' : ''}`}>
       <div className="mb-4 text-center w-full relative">
         <div className="flex items-center justify-center gap-3">
           <div>
@@ -4152,6 +4182,89 @@ export default function App() {
             )}
           </button>
 
+          {isLocked && (
+            <>
+              <button
+                onClick={() => mirrorGroup('horizontal')}
+                disabled={selectedShapeIds.length === 0 && selectedItemIds.length === 0}
+                className="bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-white w-8 h-8 rounded text-base transition-colors flex items-center justify-center"
+                title="Mirror selection left-right (X, or hover a group)"
+              >
+                ↔
+              </button>
+              <button
+                onClick={() => mirrorGroup('vertical')}
+                disabled={selectedShapeIds.length === 0 && selectedItemIds.length === 0}
+                className="bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-white w-8 h-8 rounded text-base transition-colors flex items-center justify-center"
+                title="Mirror selection top-bottom (Y, or hover a group)"
+              >
+                ↕
+              </button>
+              <button
+                onClick={() => (arrayTool ? setArrayTool(null) : openArrayTool())}
+                disabled={!arrayTool && selectedShapeIds.length === 0 && selectedItemIds.length === 0}
+                className={`${arrayTool ? 'bg-sky-600 hover:bg-sky-500' : 'bg-slate-700 hover:bg-slate-600'} disabled:opacity-40 text-white w-8 h-8 rounded text-sm transition-colors flex items-center justify-center`}
+                title="Repeat the selection in a line or grid"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <rect x="3" y="9" width="5" height="6" rx="1" strokeWidth={2} />
+                  <rect x="10" y="9" width="5" height="6" rx="1" strokeWidth={2} strokeDasharray="2,2" />
+                  <rect x="17" y="9" width="5" height="6" rx="1" strokeWidth={2} strokeDasharray="2,2" />
+                </svg>
+              </button>
+            </>
+          )}
+
+          <div className="w-px h-6 bg-slate-600" />
+
+          {/* Walls, doorways and windows */}
+          {Object.entries(WALL_TYPES).map(([type, { label, icon }]) => (
+            <button
+              key={type}
+              onClick={() => setWallTool(type)}
+              className={`${wallMode === type ? 'bg-orange-600 hover:bg-orange-500' : 'bg-slate-700 hover:bg-slate-600'} text-white w-8 h-8 rounded text-base transition-colors flex items-center justify-center`}
+              title={wallMode === type ? `Stop building ${label.toLowerCase()}s (W)` : `Build ${label.toLowerCase()}s on piece edges${type === 'wall' ? ' (W)' : ''}`}
+            >
+              {icon}
+            </button>
+          ))}
+          <button
+            onClick={() => setWallTool('roof')}
+            className={`${wallMode === 'roof' ? 'bg-orange-600 hover:bg-orange-500' : 'bg-slate-700 hover:bg-slate-600'} text-white w-8 h-8 rounded text-base transition-colors flex items-center justify-center`}
+            title={wallMode === 'roof' ? 'Stop building roofs' : 'Build roofs over pieces'}
+          >
+            ⌂
+          </button>
+
+          <div className="w-px h-6 bg-slate-600" />
+
+          {/* Undo / Redo / History */}
+          <button onClick={undo} disabled={shapesHistory.length === 0}
+            className="bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-white w-8 h-8 rounded text-sm transition-colors flex items-center justify-center"
+            title={shapesHistory.length > 0 ? `Undo: ${shapesHistory[shapesHistory.length - 1].label} (Ctrl+Z)` : 'Nothing to undo'}
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h10a8 8 0 018 8v2M3 10l6 6m-6-6l6-6" />
+            </svg>
+          </button>
+          <button onClick={redo} disabled={redoHistory.length === 0}
+            className="bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-white w-8 h-8 rounded text-sm transition-colors flex items-center justify-center"
+            title={redoHistory.length > 0 ? `Redo: ${redoHistory[redoHistory.length - 1].label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 10H11a8 8 0 00-8 8v2m18-10l-6 6m6-6l-6-6" />
+            </svg>
+          </button>
+          <button
+            onClick={() => setShowHistoryPanel(!showHistoryPanel)}
+            className={`${showHistoryPanel ? 'bg-violet-600 hover:bg-violet-500' : 'bg-slate-700 hover:bg-slate-600'} text-white w-8 h-8 rounded text-sm transition-colors flex items-center justify-center`}
+            title={showHistoryPanel ? 'Hide history' : 'Show history'}
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+            </svg>
+          </button>
+
           <div className="w-px h-6 bg-slate-600" />
 
           {/* Floor selector */}
@@ -4167,12 +4280,21 @@ export default function App() {
               onChange={(e) => setCurrentFloor(parseInt(e.target.value))}
               className="bg-slate-700 text-white text-sm px-2 py-1 rounded border border-slate-600 focus:outline-none focus:border-emerald-500"
             >
-              {Array.from({ length: 10 }, (_, i) => (
+              {Array.from({ length: Math.max(10, floorCount + 1) }, (_, i) => (
                 <option key={i} value={i}>
-                  {i + 1}
+                  {floorNames[i] ? `${i + 1} · ${floorNames[i]}` : i + 1}
                 </option>
               ))}
             </select>
+            <button
+              onClick={() => setShowFloorPanel(!showFloorPanel)}
+              className={`${showFloorPanel ? 'bg-emerald-600 hover:bg-emerald-500' : 'bg-slate-700 hover:bg-slate-600'} text-white w-6 h-6 rounded flex items-center justify-center`}
+              title={showFloorPanel ? 'Hide floor manager' : 'Manage floors (insert, duplicate, reorder, rename)'}
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h16M4 18h7" />
+              </svg>
+            </button>
             <button
               onClick={() => setShowSilhouette(!showSilhouette)}
               className={`${showSilhouette ? 'bg-emerald-600 hover:bg-emerald-500' : 'bg-slate-700 hover:bg-slate-600'} text-white w-6 h-6 rounded flex items-center justify-center`}
@@ -4389,6 +4511,7 @@ export default function App() {
                               key={i}
                               onClick={() => {
                                 if (claimedArea) {
+                                  saveToHistory('Removed stake');
                                   setClaimedAreas(prev => prev.filter(a => a.id !== claimedArea.id));
                                   setStakesInventory(prev => prev + 1);
                                 }
@@ -4430,9 +4553,9 @@ export default function App() {
           onMouseDown={handleMouseDown}
           onMouseMove={handleMouseMove}
           onMouseUp={handleMouseUp}
-          onMouseLeave={() => { setHoverInfo(null); setIsPanning(false); setIsRotating(false); setBaseVertices(null); setRotationAngle(0); }}
+          onMouseLeave={() => { setHoverInfo(null); setIsPanning(false); setIsRotating(false); setBaseVertices(null); setRotationAngle(0); setMarquee(null); }}
           onDragOver={(e) => { e.preventDefault(); handleItemDragOver(e); }}
-          onDrop={(e) => { handleItemDrop(e); handleFiefDrop(e); handlePatternDrop(e); }}
+          onDrop={(e) => { handleProjectFileDrop(e); handleItemDrop(e); handleFiefDrop(e); handlePatternDrop(e); }}
           className={isPanning ? "cursor-grabbing" : "cursor-crosshair"}
         >
           <defs>
@@ -4449,8 +4572,13 @@ export default function App() {
             {renderStakeDropZones()}
             {renderFloorBelowSilhouette()}
             {renderShapes()}
+            {renderRooms()}
+            {renderRoofs()}
+            {renderWalls()}
             {renderPlacedItems()}
             {renderHoverPreview()}
+            {renderArrayPreview()}
+            {renderMarquee()}
 
             {shapes.length === 0 && !fiefMode && (
               <text x="450" y="300" textAnchor="middle" fill="#64748b" fontSize="16">
@@ -4558,7 +4686,7 @@ export default function App() {
             {/* Clear Items button */}
             {placedItems.length > 0 && (
               <button
-                onClick={() => { saveToHistory(); setPlacedItems([]); }}
+                onClick={() => { saveToHistory('Cleared items'); setPlacedItems([]); }}
                 className="w-full bg-red-600/80 hover:bg-red-500 text-white text-sm py-1.5 rounded-lg transition-colors flex items-center justify-center gap-2 mt-3"
                 title="Clear all items on this floor"
               >
@@ -4572,6 +4700,108 @@ export default function App() {
         )}
       </div>
 
+      {/* Array Panel - repeat the lock mode selection, previewed on the canvas */}
+      {isLocked && arrayTool && (
+        <div className={`mt-3 ${isWideMode ? 'w-full px-48' : 'ml-[96px]'}`} style={isWideMode ? {} : { width: '900px' }}>
+          <div className="bg-slate-800 rounded-xl border-2 border-sky-700 p-4">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-sky-400 font-bold text-lg">Array</h3>
+              <span className="text-slate-500 text-xs">
+                {arrayPreview.length === 0
+                  ? 'Select pieces to repeat'
+                  : `${arrayPreview.filter(c => !c.blocked).length} of ${arrayPreview.length} copies fit`}
+              </span>
+            </div>
+            <div className="flex flex-wrap items-end gap-3">
+              <div className="flex flex-col gap-1">
+                <label className="text-slate-400 text-xs">Layout</label>
+                <select
+                  value={arrayTool.mode}
+                  onChange={(e) => updateArrayTool({ mode: e.target.value })}
+                  className="bg-slate-700 text-white text-sm px-2 py-1 rounded border border-slate-600 focus:outline-none focus:border-sky-500"
+                >
+                  <option value="linear">Line</option>
+                  <option value="grid">Grid</option>
+                </select>
+              </div>
+              <div className="flex flex-col gap-1">
+                <label className="text-slate-400 text-xs">Direction</label>
+                <select
+                  value={arrayTool.angle}
+                  onChange={(e) => updateArrayTool({ angle: parseFloat(e.target.value) })}
+                  className="bg-slate-700 text-white text-sm px-2 py-1 rounded border border-slate-600 focus:outline-none focus:border-sky-500"
+                >
+                  {getArrayDirections(selectedShapes).map(d => (
+                    <option key={d.angle} value={d.angle}>{d.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex flex-col gap-1">
+                <label className="text-slate-400 text-xs">Count</label>
+                <input
+                  type="number"
+                  value={arrayTool.count}
+                  onChange={(e) => updateArrayTool({ count: Math.min(50, Math.max(1, parseInt(e.target.value) || 1)) })}
+                  min="1"
+                  max="50"
+                  className="bg-slate-700 text-white text-sm px-2 py-1 rounded border border-slate-600 focus:outline-none focus:border-sky-500 w-20"
+                />
+              </div>
+              <div className="flex flex-col gap-1">
+                <label className="text-slate-400 text-xs">Spacing (cells)</label>
+                <input
+                  type="number"
+                  value={arrayTool.spacing}
+                  onChange={(e) => updateArrayTool({ spacing: parseFloat(e.target.value) || 0 })}
+                  step="0.5"
+                  className="bg-slate-700 text-white text-sm px-2 py-1 rounded border border-slate-600 focus:outline-none focus:border-sky-500 w-24"
+                />
+              </div>
+              {arrayTool.mode === 'grid' && (
+                <>
+                  <div className="flex flex-col gap-1">
+                    <label className="text-slate-400 text-xs">Rows</label>
+                    <input
+                      type="number"
+                      value={arrayTool.rows}
+                      onChange={(e) => updateArrayTool({ rows: Math.min(50, Math.max(1, parseInt(e.target.value) || 1)) })}
+                      min="1"
+                      max="50"
+                      className="bg-slate-700 text-white text-sm px-2 py-1 rounded border border-slate-600 focus:outline-none focus:border-sky-500 w-20"
+                    />
+                  </div>
+                  <div className="flex flex-col gap-1">
+                    <label className="text-slate-400 text-xs">Row spacing (cells)</label>
+                    <input
+                      type="number"
+                      value={arrayTool.rowSpacing}
+                      onChange={(e) => updateArrayTool({ rowSpacing: parseFloat(e.target.value) || 0 })}
+                      step="0.5"
+                      className="bg-slate-700 text-white text-sm px-2 py-1 rounded border border-slate-600 focus:outline-none focus:border-sky-500 w-24"
+                    />
+                  </div>
+                </>
+              )}
+              <div className="flex gap-2 ml-auto">
+                <button
+                  onClick={() => setArrayTool(null)}
+                  className="bg-slate-700 hover:bg-slate-600 text-white px-3 py-1.5 rounded text-sm transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={placeArray}
+                  disabled={!arrayPreview.some(copy => !copy.blocked)}
+                  className="bg-sky-600 hover:bg-sky-500 disabled:opacity-40 text-white px-3 py-1.5 rounded text-sm font-medium transition-colors"
+                >
+                  Place copies
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Saved Patterns Panel - visible only in lock mode, right under canvas */}
       {isLocked && (
         <div className={`mt-3 ${isWideMode ? 'w-full px-48' : 'ml-[96px]'}`} style={isWideMode ? {} : { width: '900px' }}>
@@ -4674,6 +4904,29 @@ export default function App() {
                           {pattern.name}
                         </div>
                       </div>
+                      {/* Mirror buttons */}
+                      <div className="absolute -top-1 -left-1 flex gap-0.5 opacity-0 group-hover:opacity-100 transition-opacity">
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            mirrorPattern(pattern.id, 'horizontal');
+                          }}
+                          className="w-5 h-5 bg-slate-600 hover:bg-amber-600 text-white rounded-full text-xs font-bold flex items-center justify-center"
+                          title="Mirror left-right"
+                        >
+                          ↔
+                        </button>
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            mirrorPattern(pattern.id, 'vertical');
+                          }}
+                          className="w-5 h-5 bg-slate-600 hover:bg-amber-600 text-white rounded-full text-xs font-bold flex items-center justify-center"
+                          title="Mirror top-bottom"
+                        >
+                          ↕
+                        </button>
+                      </div>
                       {/* Delete button */}
                       <button
                         onClick={(e) => {
@@ -4683,13 +4936,263 @@ export default function App() {
                         className="absolute -top-1 -right-1 w-5 h-5 bg-red-600 hover:bg-red-500 text-white rounded-full text-xs font-bold opacity-0 group-hover:opacity-100 transition-opacity flex items-center justify-center"
                         title="Delete pattern"
                       >
-                        ×
+                        ×
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* History Panel - timeline of recorded actions, click any entry to jump there */}
+      {showHistoryPanel && (
+        <div className={`mt-3 ${isWideMode ? 'w-full px-48' : 'ml-[96px]'}`} style={isWideMode ? {} : { width: '900px' }}>
+          <div className="bg-slate-800 rounded-xl border-2 border-slate-700 p-4">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-violet-400 font-bold text-lg">History</h3>
+              <span className="text-slate-500 text-xs">Click an entry to jump to it · Ctrl+Z / Ctrl+Shift+Z to step</span>
+            </div>
+            <div className="flex gap-2 overflow-x-auto custom-scrollbar pb-2">
+              {(() => {
+                // Entry N is the state after the Nth action; entry 0 is the oldest state still kept
+                const entries = [
+                  { label: shapesHistory.length === 50 ? 'Oldest kept state' : 'Initial state', timestamp: null },
+                  ...shapesHistory.map(h => ({ label: h.label, timestamp: h.timestamp })),
+                  ...[...redoHistory].reverse().map(h => ({ label: h.label, timestamp: h.timestamp })),
+                ];
+                return entries.map((entry, step) => {
+                  const isCurrent = step === shapesHistory.length;
+                  const isFuture = step > shapesHistory.length;
+                  return (
+                    <button
+                      key={step}
+                      onClick={() => jumpToHistory(step)}
+                      className={`flex-shrink-0 px-3 py-1.5 rounded-lg border text-xs transition-colors text-left ${
+                        isCurrent
+                          ? 'bg-violet-600/30 border-violet-500 text-white'
+                          : isFuture
+                            ? 'bg-slate-800 border-slate-700 text-slate-500 hover:border-violet-500'
+                            : 'bg-slate-700 border-slate-600 text-slate-300 hover:border-violet-500'
+                      }`}
+                      title={isCurrent ? 'Current state' : isFuture ? 'Undone - click to redo up to here' : 'Click to undo back to here'}
+                    >
+                      <div className="font-medium whitespace-nowrap">{entry.label}</div>
+                      {entry.timestamp && (
+                        <div className="text-[10px] text-slate-500">{new Date(entry.timestamp).toLocaleTimeString()}</div>
+                      )}
+                    </button>
+                  );
+                });
+              })()}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Floor Panel - floors listed top-down with counts; insert, duplicate, reorder, rename and delete */}
+      {showFloorPanel && (
+        <div className={`mt-3 ${isWideMode ? 'w-full px-48' : 'ml-[96px]'}`} style={isWideMode ? {} : { width: '900px' }}>
+          <div className="bg-slate-800 rounded-xl border-2 border-slate-700 p-4">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-emerald-400 font-bold text-lg">Floors</h3>
+              <span className="text-slate-500 text-xs">Click a floor to view it · double-click its name to rename</span>
+            </div>
+            <div className="flex flex-col gap-1">
+              {Array.from({ length: floorCount }, (_, i) => floorCount - 1 - i).map(floor => {
+                const floorShapes = allFloorShapes[floor] || [];
+                const floorItems = allFloorItems[floor] || [];
+                const isCurrent = floor === currentFloor;
+                const floorButtonClass = 'bg-slate-700 hover:bg-slate-600 disabled:opacity-30 disabled:hover:bg-slate-700 text-white h-6 px-2 rounded text-xs transition-colors';
+                return (
+                  <div
+                    key={floor}
+                    onClick={() => setCurrentFloor(floor)}
+                    className={`flex items-center gap-3 px-3 py-1.5 rounded-lg border cursor-pointer ${isCurrent ? 'bg-emerald-600/20 border-emerald-500' : 'bg-slate-700/50 border-slate-600 hover:border-emerald-500'}`}
+                  >
+                    <span className="text-slate-300 font-bold text-sm w-5 text-right">{floor + 1}</span>
+                    <div className="flex-1 min-w-0">
+                      {renamingFloor === floor ? (
+                        <input
+                          type="text"
+                          value={floorRenameValue}
+                          onChange={(e) => setFloorRenameValue(e.target.value)}
+                          onClick={(e) => e.stopPropagation()}
+                          autoFocus
+                          maxLength={40}
+                          placeholder={`Floor ${floor + 1}`}
+                          className="w-full px-2 py-0.5 bg-slate-700 border border-slate-600 rounded text-white text-sm focus:outline-none focus:border-emerald-500"
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter') renameFloor(floor, floorRenameValue.trim());
+                            else if (e.key === 'Escape') { setRenamingFloor(null); setFloorRenameValue(''); }
+                          }}
+                          onBlur={() => renameFloor(floor, floorRenameValue.trim())}
+                        />
+                      ) : (
+                        <div
+                          className={`text-sm truncate ${floorNames[floor] ? 'text-white' : 'text-slate-500 italic'}`}
+                          title="Double-click to rename"
+                          onDoubleClick={(e) => { e.stopPropagation(); setRenamingFloor(floor); setFloorRenameValue(floorNames[floor] || ''); }}
+                        >
+                          {floorNames[floor] || 'Unnamed'}
+                        </div>
+                      )}
+                    </div>
+                    <span className="text-slate-400 text-xs whitespace-nowrap">
+                      {floorShapes.length} piece{floorShapes.length === 1 ? '' : 's'} · {floorItems.length} item{floorItems.length === 1 ? '' : 's'}
+                    </span>
+                    <div className="flex items-center gap-1" onClick={(e) => e.stopPropagation()}>
+                      <button onClick={() => moveFloor(floor, 1)} disabled={floor === floorCount - 1} className={floorButtonClass} title="Move up a level">↑</button>
+                      <button onClick={() => moveFloor(floor, -1)} disabled={floor === 0} className={floorButtonClass} title="Move down a level">↓</button>
+                      <button onClick={() => insertFloorAt(floor + 1)} className={floorButtonClass} title={`Insert an empty floor above floor ${floor + 1}`}>+ Above</button>
+                      <button onClick={() => insertFloorAt(floor)} className={floorButtonClass} title={`Insert an empty floor below floor ${floor + 1}, shifting it and the floors above up`}>+ Below</button>
+                      <button onClick={() => duplicateFloorAt(floor)} className={floorButtonClass} title={`Copy floor ${floor + 1} to a new floor directly above it`}>Duplicate</button>
+                      <button
+                        onClick={() => deleteFloor(floor)}
+                        disabled={floorCount === 1}
+                        className="bg-red-600/80 hover:bg-red-500 disabled:opacity-30 disabled:hover:bg-red-600/80 text-white h-6 px-2 rounded text-xs transition-colors"
+                        title={`Delete floor ${floor + 1} and move the floors above it down`}
+                      >
+                        Delete
                       </button>
                     </div>
-                  );
-                })}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Validation Panel - unsupported pieces and stair circulation, click a piece to go to it */}
+      {showValidationPanel && (
+        <div className={`mt-3 ${isWideMode ? 'w-full px-48' : 'ml-[96px]'}`} style={isWideMode ? {} : { width: '900px' }}>
+          <div className="bg-slate-800 rounded-xl border-2 border-slate-700 p-4">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-red-400 font-bold text-lg">Validation</h3>
+              <div className="flex items-center gap-3">
+                <span className="text-slate-500 text-xs">Click a piece to show it</span>
+                <button onClick={() => setShowValidationPanel(false)} className="text-slate-400 hover:text-white" title="Close">
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
               </div>
-            )}
+            </div>
+            {(() => {
+              const renderShapeButton = (floor, shape, borderClass) => {
+                const { x, y } = getSelectionCentre([shape], []);
+                return (
+                  <button
+                    key={shape.id}
+                    onClick={() => focusShape(floor, shape)}
+                    className={`bg-slate-700 hover:bg-slate-600 border ${borderClass} text-slate-200 px-2 py-0.5 rounded text-xs transition-colors`}
+                  >
+                    {shape.type.charAt(0).toUpperCase() + shape.type.slice(1)} at {Math.round(x / CELL_SIZE)}, {Math.round(y / CELL_SIZE)}
+                  </button>
+                );
+              };
+              return (
+                <div className="flex flex-col gap-3">
+                  <div>
+                    <h4 className="text-slate-400 font-medium text-sm mb-1">Support <span className="text-slate-500 text-xs font-normal">- upper floor pieces must overlap a piece on the floor below</span></h4>
+                    {supportReport.length === 0 ? (
+                      <div className="text-emerald-400 text-sm">Every upper floor piece rests on the floor below.</div>
+                    ) : (
+                      <div className="flex flex-col gap-2">
+                        {supportReport.map(({ floor, shapes: floorShapes }) => (
+                          <div key={floor}>
+                            <div className="text-slate-300 text-sm mb-1">
+                              {getFloorLabel(floor, floorNames)}: {floorShapes.length} unsupported piece{floorShapes.length === 1 ? '' : 's'}
+                            </div>
+                            <div className="flex flex-wrap gap-1">
+                              {floorShapes.map(shape => renderShapeButton(floor, shape, 'border-red-500/50'))}
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                  <div>
+                    <h4 className="text-slate-400 font-medium text-sm mb-1">Stairs <span className="text-slate-500 text-xs font-normal">- every floor must be reachable from floor 1; a stair leads up when the spot past its arrow is on a piece of the floor above (T turns a stair)</span></h4>
+                    {brokenStairs.length === 0 && stairReport.unreachable.length === 0 ? (
+                      <div className="text-emerald-400 text-sm">
+                        {stairReport.stairs.length === 0 ? 'Single floor base, no stairs needed.' : 'Every floor can be reached from floor 1.'}
+                      </div>
+                    ) : (
+                      <div className="flex flex-col gap-2">
+                        {stairReport.unreachable.length > 0 && (
+                          <div className="text-slate-300 text-sm">
+                            Unreachable: {stairReport.unreachable.map(floor => getFloorLabel(floor, floorNames)).join(', ')}
+                          </div>
+                        )}
+                        {brokenStairs.length > 0 && (
+                          <div>
+                            <div className="text-slate-300 text-sm mb-1">
+                              {brokenStairs.length} stair{brokenStairs.length === 1 ? '' : 's'} with nothing to step onto on the floor above
+                            </div>
+                            <div className="flex flex-wrap gap-1">
+                              {brokenStairs.map(({ floor, shape }) => renderShapeButton(floor, shape, 'border-amber-500/50'))}
+                            </div>
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              );
+            })()}
+          </div>
+        </div>
+      )}
+
+      {showRoomsPanel && (
+        <div className={`mt-3 ${isWideMode ? 'w-full px-48' : 'ml-[96px]'}`} style={isWideMode ? {} : { width: '900px' }}>
+          <div className="bg-slate-800 rounded-xl border-2 border-slate-700 p-4">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-sky-400 font-bold text-lg">Rooms</h3>
+              <div className="flex items-center gap-3">
+                <span className="text-slate-500 text-xs max-w-xl text-right">{ENCLOSED_RULE}. Click a room to show it</span>
+                <button onClick={() => setShowRoomsPanel(false)} className="text-slate-400 hover:text-white" title="Close">
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+              </div>
+            </div>
+            <div className="flex flex-col gap-2">
+              {roomReport.map(({ floor, rooms }) => {
+                const enclosedArea = rooms.filter(room => room.enclosed).reduce((sum, room) => sum + room.area, 0);
+                return (
+                  <div key={floor}>
+                    <div className="text-slate-300 text-sm mb-1">
+                      {getFloorLabel(floor, floorNames)}: {rooms.length} room{rooms.length === 1 ? '' : 's'}
+                      {enclosedArea > 0 && <span className="text-sky-300"> · {formatRoomArea(enclosedArea)} enclosed</span>}
+                    </div>
+                    <div className="flex flex-wrap gap-1">
+                      {rooms.map((room, i) => {
+                        const problems = [
+                          room.openEdges.length > 0 && `${room.openEdges.length} open edge${room.openEdges.length === 1 ? '' : 's'}`,
+                          room.uncovered.length > 0 && `${room.uncovered.length} piece${room.uncovered.length === 1 ? '' : 's'} without a ceiling`,
+                        ].filter(Boolean);
+                        return (
+                          <button
+                            key={room.shapes[0].id}
+                            onClick={() => focusShape(floor, room.shapes[0])}
+                            className={`bg-slate-700 hover:bg-slate-600 border ${room.enclosed ? 'border-sky-500/60' : 'border-slate-600'} text-slate-200 px-2 py-0.5 rounded text-xs transition-colors`}
+                            title={room.enclosed ? 'Enclosed' : problems.join(', ')}
+                          >
+                            Room {i + 1} · {formatRoomArea(room.area)} · {room.enclosed ? <span className="text-sky-300">enclosed</span> : <span className="text-slate-400">{problems.join(', ')}</span>}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
           </div>
         </div>
       )}
@@ -4710,6 +5213,24 @@ export default function App() {
             {gridEnabled && (
               <span className="text-cyan-400 font-medium text-sm">Grid Snap</span>
             )}
+            {validationIssueCount > 0 && (
+              <button
+                onClick={() => setShowValidationPanel(!showValidationPanel)}
+                className="bg-red-600/20 hover:bg-red-600/30 border border-red-500/60 text-red-300 px-2 py-0.5 rounded text-xs font-medium transition-colors"
+                title={showValidationPanel ? 'Hide validation' : 'Show unsupported pieces and stair problems'}
+              >
+                ⚠ {validationIssueCount} issue{validationIssueCount === 1 ? '' : 's'}
+              </button>
+            )}
+            {roomReport.length > 0 && (
+              <button
+                onClick={() => setShowRoomsPanel(!showRoomsPanel)}
+                className="bg-sky-600/20 hover:bg-sky-600/30 border border-sky-500/60 text-sky-300 px-2 py-0.5 rounded text-xs font-medium transition-colors"
+                title={showRoomsPanel ? 'Hide rooms' : 'Show rooms and which are enclosed'}
+              >
+                ⌂ {enclosedRooms.length} enclosed room{enclosedRooms.length === 1 ? '' : 's'}
+              </button>
+            )}
           </div>
           <div className="flex items-center gap-2">
           {/* Pieces and Cost */}
@@ -4718,17 +5239,57 @@ export default function App() {
             <span className="text-orange-400 font-medium">{triangleCount}</span><span className="text-slate-500">△</span>
             <span className="text-green-400 font-medium">{cornerCount}</span><span className="text-slate-500">◗</span>
             <span className="text-purple-400 font-medium">{stairCount}</span><span className="text-slate-500">≡</span>
-            <span className="text-slate-600">|</span>
-            <span className="text-slate-400">Cost:</span>
-            {plastoneCost > 0 && (
-              <><span className="text-amber-400 font-bold">{plastoneCost.toLocaleString()}</span><span className="text-slate-500">p</span></>
+            {walls.length > 0 && (
+              <><span className="text-orange-300 font-medium">{walls.length}</span><span className="text-slate-500">▬</span></>
             )}
-            {plastoneCost > 0 && graniteCost > 0 && <span className="text-slate-600">+</span>}
-            {graniteCost > 0 && (
-              <><span className="text-amber-400 font-bold">{graniteCost.toLocaleString()}</span><span className="text-slate-500">g</span></>
+            {roofs.length > 0 && (
+              <><span className="text-sky-300 font-medium">{roofs.length}</span><span className="text-slate-500">⌂</span></>
             )}
-            {plastoneCost === 0 && graniteCost === 0 && <span className="text-slate-500">0</span>}
+            <span className="text-slate-600">|</span>
+            <span className="text-slate-400">Cost:</span>
+            {materialCosts.map(([material, amount], i) => (
+              <span key={material} className="flex items-center gap-2">
+                {i > 0 && <span className="text-slate-600">+</span>}
+                <span className="text-amber-400 font-bold">{amount.toLocaleString()}</span><span className="text-slate-500">{material}</span>
+              </span>
+            ))}
+            {materialCosts.length === 0 && <span className="text-slate-500">0</span>}
           </div>
+          <button onClick={() => setShowProjectsModal(true)}
+            className="bg-slate-700 hover:bg-slate-600 text-white px-3 py-1.5 rounded-lg text-sm transition-colors flex items-center gap-1 max-w-[180px]"
+            title={activeProject ? `Editing "${activeProject.name}" - open project browser` : 'Open project browser'}>
+            <svg className="w-4 h-4 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 7a2 2 0 012-2h4l2 2h8a2 2 0 012 2v8a2 2 0 01-2 2H5a2 2 0 01-2-2V7z" />
+            </svg>
+            <span className="truncate">{activeProject ? activeProject.name : 'Projects'}</span>
+          </button>
+          <button onClick={() => setShowImageExportModal(true)}
+            disabled={shapes.length === 0 && placedItems.length === 0 && !fiefMode}
+            className="bg-slate-700 hover:bg-slate-600 disabled:opacity-50 disabled:cursor-not-allowed text-white px-3 py-1.5 rounded-lg text-sm transition-colors flex items-center gap-1"
+            title="Download this floor as PNG or SVG">
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
+            </svg>
+            Image
+          </button>
+          <button onClick={() => setIsometricView({ quarterTurns: 0, highlightCurrent: false })}
+            disabled={getNonEmptyFloors(allFloorShapes, allFloorItems).length === 0}
+            className="bg-slate-700 hover:bg-slate-600 disabled:opacity-50 disabled:cursor-not-allowed text-white px-3 py-1.5 rounded-lg text-sm transition-colors flex items-center gap-1"
+            title="Isometric view of every floor stacked">
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M20 7l-8-4-8 4m16 0l-8 4m8-4v10l-8 4m0-10L4 7m8 4v10M4 7v10l8 4" />
+            </svg>
+            3D
+          </button>
+          <button onClick={() => window.print()}
+            disabled={getNonEmptyFloors(allFloorShapes, allFloorItems).length === 0}
+            className="bg-slate-700 hover:bg-slate-600 disabled:opacity-50 disabled:cursor-not-allowed text-white px-3 py-1.5 rounded-lg text-sm transition-colors flex items-center gap-1"
+            title="Print a build sheet with every floor and the bill of materials">
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 17h2a2 2 0 002-2v-4a2 2 0 00-2-2H5a2 2 0 00-2 2v4a2 2 0 002 2h2m2 4h6a2 2 0 002-2v-4a2 2 0 00-2-2H9a2 2 0 00-2 2v4a2 2 0 002 2zm8-12V5a2 2 0 00-2-2H9a2 2 0 00-2 2v4h10z" />
+            </svg>
+            Print
+          </button>
           <button onClick={handleCopyLink}
             className={`${linkCopied ? 'bg-green-600' : 'bg-amber-600 hover:bg-amber-500'} text-white px-3 py-1.5 rounded-lg text-sm transition-colors flex items-center gap-1`}>
             {linkCopied ? (
@@ -4752,13 +5313,67 @@ export default function App() {
               URL exceeds Discord limit
             </span>
           )}
-          <button onClick={() => setShowWebhookField(!showWebhookField)}
-            className={`${showWebhookField ? 'bg-indigo-600' : 'bg-slate-700 hover:bg-slate-600'} text-white px-3 py-1.5 rounded-lg text-sm transition-colors flex items-center gap-1`}>
-            <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 24 24">
-              <path d="M20.317 4.37a19.791 19.791 0 0 0-4.885-1.515.074.074 0 0 0-.079.037c-.21.375-.444.864-.608 1.25a18.27 18.27 0 0 0-5.487 0 12.64 12.64 0 0 0-.617-1.25.077.077 0 0 0-.079-.037A19.736 19.736 0 0 0 3.677 4.37a.07.07 0 0 0-.032.027C.533 9.046-.32 13.58.099 18.057a.082.082 0 0 0 .031.057 19.9 19.9 0 0 0 5.993 3.03.078.078 0 0 0 .084-.028 14.09 14.09 0 0 0 1.226-1.994.076.076 0 0 0-.041-.106 13.107 13.107 0 0 1-1.872-.892.077.077 0 0 1-.008-.128 10.2 10.2 0 0 0 .372-.292.074.074 0 0 1 .077-.01c3.928 1.793 8.18 1.793 12.062 0a.074.074 0 0 1 .078.01c.12.098.246.198.373.292a.077.077 0 0 1-.006.127 12.299 12.299 0 0 1-1.873.892.077.077 0 0 0-.041.107c.36.698.772 1.362 1.225 1.993a.076.076 0 0 0 .084.028 19.839 19.839 0 0 0 6.002-3.03.077.077 0 0 0 .032-.054c.5-5.177-.838-9.674-3.549-13.66a.061.061 0 0 0-.031-.03zM8.02 15.33c-1.183 0-2.157-1.085-2.157-2.419 0-1.333.956-2.419 2.157-2.419 1.21 0 2.176 1.096 2.157 2.42 0 1.333-.956 2.418-2.157 2.418zm7.975 0c-1.183 0-2.157-1.085-2.157-2.419 0-1.333.955-2.419 2.157-2.419 1.21 0 2.176 1.096 2.157 2.42 0 1.333-.946 2.418-2.157 2.418z"/>
-            </svg>
-            Discord
-          </button>
+          <div className="relative">
+            <button onClick={() => setShowDiscordMenu(!showDiscordMenu)}
+              className={`${showWebhookField || showDiscordMenu ? 'bg-indigo-600' : 'bg-slate-700 hover:bg-slate-600'} text-white px-3 py-1.5 rounded-lg text-sm transition-colors flex items-center gap-1`}>
+              <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 24 24">
+                <path d="M20.317 4.37a19.791 19.791 0 0 0-4.885-1.515.074.074 0 0 0-.079.037c-.21.375-.444.864-.608 1.25a18.27 18.27 0 0 0-5.487 0 12.64 12.64 0 0 0-.617-1.25.077.077 0 0 0-.079-.037A19.736 19.736 0 0 0 3.677 4.37a.07.07 0 0 0-.032.027C.533 9.046-.32 13.58.099 18.057a.082.082 0 0 0 .031.057 19.9 19.9 0 0 0 5.993 3.03.078.078 0 0 0 .084-.028 14.09 14.09 0 0 0 1.226-1.994.076.076 0 0 0-.041-.106 13.107 13.107 0 0 1-1.872-.892.077.077 0 0 1-.008-.128 10.2 10.2 0 0 0 .372-.292.074.074 0 0 1 .077-.01c3.928 1.793 8.18 1.793 12.062 0a.074.074 0 0 1 .078.01c.12.098.246.198.373.292a.077.077 0 0 1-.006.127 12.299 12.299 0 0 1-1.873.892.077.077 0 0 0-.041.107c.36.698.772 1.362 1.225 1.993a.076.076 0 0 0 .084.028 19.839 19.839 0 0 0 6.002-3.03.077.077 0 0 0 .032-.054c.5-5.177-.838-9.674-3.549-13.66a.061.061 0 0 0-.031-.03zM8.02 15.33c-1.183 0-2.157-1.085-2.157-2.419 0-1.333.956-2.419 2.157-2.419 1.21 0 2.176 1.096 2.157 2.42 0 1.333-.956 2.418-2.157 2.418zm7.975 0c-1.183 0-2.157-1.085-2.157-2.419 0-1.333.955-2.419 2.157-2.419 1.21 0 2.176 1.096 2.157 2.42 0 1.333-.946 2.418-2.157 2.418z"/>
+              </svg>
+              Discord
+              <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+              </svg>
+            </button>
+            {/* Saved webhook targets: click one to post immediately */}
+            {showDiscordMenu && (
+              <div className="absolute right-0 bottom-full mb-2 z-40 w-64 bg-slate-800 border border-slate-600 rounded-lg shadow-xl py-1">
+                {savedWebhooks.length === 0 ? (
+                  <div className="px-3 py-2 text-slate-500 text-xs">No saved webhooks yet</div>
+                ) : savedWebhooks.map(webhook => (
+                  <div key={webhook.id} className="flex items-center">
+                    <button
+                      onClick={() => handleSendToDiscord(webhook)}
+                      disabled={getNonEmptyFloors(allFloorShapes, allFloorItems).length === 0 || sendingToDiscord}
+                      className="flex-1 min-w-0 truncate text-left px-3 py-1.5 text-sm text-white hover:bg-indigo-600 disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:bg-transparent"
+                      title={`Post to ${webhook.name}${webhook.threadId ? ' (thread)' : ''}`}
+                    >
+                      {webhook.name}
+                      {webhook.threadId && <span className="ml-2 text-slate-400 text-xs">thread</span>}
+                    </button>
+                    {getPreviousPost(webhook) && (
+                      <button
+                        onClick={() => handleSendToDiscord(webhook, { update: true })}
+                        disabled={getNonEmptyFloors(allFloorShapes, allFloorItems).length === 0 || sendingToDiscord}
+                        className="flex-shrink-0 mr-1 px-2 py-1 rounded text-xs text-indigo-300 hover:bg-indigo-600 hover:text-white disabled:opacity-40 disabled:cursor-not-allowed"
+                        title={`Edit the post from ${new Date(getPreviousPost(webhook).postedAt).toLocaleString()} instead of posting again`}
+                      >
+                        Update
+                      </button>
+                    )}
+                  </div>
+                ))}
+                {activeProjectId === null && savedWebhooks.length > 0 && (
+                  <div className="px-3 py-1 text-slate-500 text-xs">Save as a project to update posts later</div>
+                )}
+                <div className="border-t border-slate-700 my-1" />
+                <button
+                  onClick={() => {
+                    setShowDiscordMenu(false);
+                    setShowWebhookField(!showWebhookField);
+                  }}
+                  className="w-full text-left px-3 py-1.5 text-sm text-slate-300 hover:bg-slate-700"
+                >
+                  {showWebhookField ? 'Hide one-off URL' : 'One-off URL...'}
+                </button>
+                <button
+                  onClick={() => openWebhookManager()}
+                  className="w-full text-left px-3 py-1.5 text-sm text-slate-300 hover:bg-slate-700"
+                >
+                  Manage webhooks...
+                </button>
+              </div>
+            )}
+          </div>
         </div>
       </div>
 
@@ -4773,8 +5388,8 @@ export default function App() {
             className="bg-slate-700 text-white text-sm px-3 py-1.5 rounded-lg border border-slate-600 focus:outline-none focus:border-indigo-500 w-80"
           />
           <button
-            onClick={handleSendToDiscord}
-            disabled={!webhookUrl || shapes.length === 0 || sendingToDiscord}
+            onClick={() => handleSendToDiscord({ url: webhookUrl })}
+            disabled={!webhookUrl || getNonEmptyFloors(allFloorShapes, allFloorItems).length === 0 || sendingToDiscord}
             className={`${discordSent ? 'bg-green-600' : 'bg-indigo-600 hover:bg-indigo-500'} disabled:opacity-40 disabled:cursor-not-allowed text-white px-3 py-1.5 rounded-lg text-sm transition-colors flex items-center gap-1`}
           >
             {sendingToDiscord ? (
@@ -4796,6 +5411,24 @@ export default function App() {
               'Send to Discord'
             )}
           </button>
+          {webhookUrl.trim() && getPreviousPost({ url: webhookUrl }) && (
+            <button
+              onClick={() => handleSendToDiscord({ url: webhookUrl }, { update: true })}
+              disabled={getNonEmptyFloors(allFloorShapes, allFloorItems).length === 0 || sendingToDiscord}
+              className="bg-slate-700 hover:bg-slate-600 disabled:opacity-40 disabled:cursor-not-allowed text-white px-3 py-1.5 rounded-lg text-sm transition-colors"
+              title="Edit the last post sent to this webhook instead of posting again"
+            >
+              Update previous post
+            </button>
+          )}
+          <button
+            onClick={() => openWebhookManager(webhookUrl.trim())}
+            disabled={!webhookUrl.trim()}
+            className="bg-slate-700 hover:bg-slate-600 disabled:opacity-40 disabled:cursor-not-allowed text-white px-3 py-1.5 rounded-lg text-sm transition-colors"
+            title="Save this URL as a named webhook"
+          >
+            Save...
+          </button>
         </div>
       )}
         {/* Bottom row: Mode-specific instructions */}
@@ -4806,11 +5439,29 @@ export default function App() {
               <span className="ml-2">Drag</span> to move ·
               <span className="ml-2">Right-click</span> to delete
             </p>
+          ) : wallMode === 'roof' ? (
+            <p className="text-slate-400 text-sm text-center">
+              <span className="text-orange-400 font-medium">Roof Mode:</span>
+              <span className="ml-2">Click piece</span> to roof ·
+              <span className="ml-2">Click again</span> to remove ·
+              <span className="ml-2">Right-click</span> to remove any ·
+              <span className="ml-2">W</span> to leave
+            </p>
+          ) : wallMode ? (
+            <p className="text-slate-400 text-sm text-center">
+              <span className="text-orange-400 font-medium">{WALL_TYPES[wallMode].label} Mode:</span>
+              <span className="ml-2">Click edge</span> to build ·
+              <span className="ml-2">Click again</span> to remove ·
+              <span className="ml-2">Right-click</span> to remove any ·
+              <span className="ml-2">W</span> to leave
+            </p>
           ) : isLocked ? (
             <p className="text-slate-400 text-sm text-center">
               <span className="text-amber-400 font-medium">Lock Mode:</span>
               <span className="ml-2">Drag</span> to move ·
               <span className="ml-2">Shift+drag</span> to rotate ·
+              <span className="ml-2">X / Y</span> to mirror ·
+              <span className="ml-2">Drag empty space / Shift+click</span> to select ·
               <span className="ml-2">Right-click</span> to save pattern
             </p>
           ) : (
@@ -4908,10 +5559,46 @@ export default function App() {
                     <span className="text-slate-300">Undo</span>
                     <kbd className="bg-slate-600 px-2 py-0.5 rounded text-xs text-white">Ctrl+Z</kbd>
                   </div>
+                  <div className="flex justify-between bg-slate-700/50 px-3 py-1.5 rounded">
+                    <span className="text-slate-300">Redo</span>
+                    <kbd className="bg-slate-600 px-2 py-0.5 rounded text-xs text-white">Ctrl+Shift+Z / Ctrl+Y</kbd>
+                  </div>
+                  <div className="flex justify-between bg-slate-700/50 px-3 py-1.5 rounded">
+                    <span className="text-slate-300">Copy / Paste at mouse</span>
+                    <kbd className="bg-slate-600 px-2 py-0.5 rounded text-xs text-white">Ctrl+C / Ctrl+V</kbd>
+                  </div>
+                  <div className="flex justify-between bg-slate-700/50 px-3 py-1.5 rounded">
+                    <span className="text-slate-300">Paste in place (any floor)</span>
+                    <kbd className="bg-slate-600 px-2 py-0.5 rounded text-xs text-white">Ctrl+Shift+V</kbd>
+                  </div>
                   <div className="flex justify-between bg-slate-700/50 px-3 py-1.5 rounded">
                     <span className="text-slate-300">Toggle grid snap</span>
                     <kbd className="bg-slate-600 px-2 py-0.5 rounded text-xs text-white">G</kbd>
                   </div>
+                  <div className="flex justify-between bg-slate-700/50 px-3 py-1.5 rounded">
+                    <span className="text-slate-300">Turn stair under mouse (arrow points up)</span>
+                    <kbd className="bg-slate-600 px-2 py-0.5 rounded text-xs text-white">T</kbd>
+                  </div>
+                  <div className="flex justify-between bg-slate-700/50 px-3 py-1.5 rounded">
+                    <span className="text-slate-300">Wall mode on / off</span>
+                    <kbd className="bg-slate-600 px-2 py-0.5 rounded text-xs text-white">W</kbd>
+                  </div>
+                  <div className="flex justify-between bg-slate-700/50 px-3 py-1.5 rounded">
+                    <span className="text-slate-300">Build / remove wall, doorway, window</span>
+                    <span className="text-slate-400 text-xs">Click / right-click an edge</span>
+                  </div>
+                  <div className="flex justify-between bg-slate-700/50 px-3 py-1.5 rounded">
+                    <span className="text-slate-300">Build / remove roof (⌂ tool)</span>
+                    <span className="text-slate-400 text-xs">Click / right-click a piece</span>
+                  </div>
+                  <div className="flex justify-between bg-slate-700/50 px-3 py-1.5 rounded">
+                    <span className="text-slate-300">Enclosed rooms (shaded, with area)</span>
+                    <span className="text-slate-400 text-xs" title={ENCLOSED_RULE}>Walled all round (doorways and windows count) and roofed</span>
+                  </div>
+                  <div className="flex justify-between bg-slate-700/50 px-3 py-1.5 rounded">
+                    <span className="text-slate-300">Insert / duplicate / rename floors</span>
+                    <span className="text-slate-400 text-xs">Floor manager next to the floor selector</span>
+                  </div>
                 </div>
               </div>
 
@@ -4945,7 +5632,7 @@ export default function App() {
               {/* Lock Mode */}
               <div>
                 <h4 className="text-amber-400 font-medium mb-2">Lock Mode <kbd className="bg-slate-600 px-1.5 py-0.5 rounded text-xs text-white ml-2">L</kbd></h4>
-                <p className="text-slate-500 text-xs mb-2">Move and copy connected shape groups</p>
+                <p className="text-slate-500 text-xs mb-2">Move and copy connected shape groups, or any selection of shapes and items</p>
                 <div className="grid grid-cols-2 gap-2 text-sm">
                   <div className="flex justify-between bg-slate-700/50 px-3 py-1.5 rounded">
                     <span className="text-slate-300">Move group</span>
@@ -4956,8 +5643,32 @@ export default function App() {
                     <span className="text-slate-400 text-xs">Shift + drag</span>
                   </div>
                   <div className="flex justify-between bg-slate-700/50 px-3 py-1.5 rounded">
-                    <span className="text-slate-300">Copy/Paste group</span>
-                    <span className="text-slate-400 text-xs">Ctrl+C / Ctrl+V</span>
+                    <span className="text-slate-300">Mirror left-right / top-bottom</span>
+                    <span className="text-slate-400 text-xs">X / Y</span>
+                  </div>
+                  <div className="flex justify-between bg-slate-700/50 px-3 py-1.5 rounded">
+                    <span className="text-slate-300">Repeat in a line/grid</span>
+                    <span className="text-slate-400 text-xs">Array button</span>
+                  </div>
+                  <div className="flex justify-between bg-slate-700/50 px-3 py-1.5 rounded">
+                    <span className="text-slate-300">Box select</span>
+                    <span className="text-slate-400 text-xs">Drag empty space</span>
+                  </div>
+                  <div className="flex justify-between bg-slate-700/50 px-3 py-1.5 rounded">
+                    <span className="text-slate-300">Add/remove piece</span>
+                    <span className="text-slate-400 text-xs">Shift + click</span>
+                  </div>
+                  <div className="flex justify-between bg-slate-700/50 px-3 py-1.5 rounded">
+                    <span className="text-slate-300">Select all</span>
+                    <span className="text-slate-400 text-xs">Ctrl+A</span>
+                  </div>
+                  <div className="flex justify-between bg-slate-700/50 px-3 py-1.5 rounded">
+                    <span className="text-slate-300">Delete selection</span>
+                    <span className="text-slate-400 text-xs">Delete</span>
+                  </div>
+                  <div className="flex justify-between bg-slate-700/50 px-3 py-1.5 rounded">
+                    <span className="text-slate-300">Copy selection</span>
+                    <span className="text-slate-400 text-xs">Ctrl+C</span>
                   </div>
                   <div className="flex justify-between bg-slate-700/50 px-3 py-1.5 rounded">
                     <span className="text-slate-300">Save as pattern</span>
@@ -5008,11 +5719,436 @@ export default function App() {
                 <h4 className="text-cyan-400 font-medium mb-2">Saving & Sharing</h4>
                 <div className="text-sm text-slate-300 space-y-1">
                   <p>• Your design <span className="text-green-400">auto-saves</span> every 30 seconds</p>
+                  <p>• Use <span className="text-amber-400">Projects</span> to keep several named designs and switch between them</p>
+                  <p>• <span className="text-amber-400">Export project (.json)</span> saves everything to a file; import it from Projects or drop it onto the canvas</p>
+                  <p>• Click <span className="text-amber-400">Image</span> to download the current floor as PNG or SVG</p>
+                  <p>• Click <span className="text-amber-400">Print</span> for a build sheet with every floor and the full bill of materials</p>
                   <p>• Click <span className="text-amber-400">Share</span> to copy a link to your design</p>
                   <p>• Use the <span className="text-indigo-400">Discord</span> button to post directly to a channel</p>
+                  <p>• <span className="text-indigo-400">Manage webhooks</span> saves named channels and threads so you can post to them in one click</p>
+                  <p>• <span className="text-indigo-400">Update</span> edits this design's last post to a webhook instead of posting a new one</p>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Image Export Modal */}
+      {showImageExportModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60" onClick={() => setShowImageExportModal(false)}>
+          <div className="bg-slate-800 rounded-xl p-6 shadow-2xl border-2 border-slate-700 w-[380px]" onClick={e => e.stopPropagation()}>
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-xl font-bold text-white">Download Image</h3>
+              <button onClick={() => setShowImageExportModal(false)} className="text-slate-400 hover:text-white">
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+            <p className="text-slate-400 text-sm mb-4">Floor {currentFloor + 1}, cropped to fit the design.</p>
+
+            <div className="flex items-center justify-between mb-3">
+              <span className="text-slate-300 text-sm">Scale</span>
+              <div className="flex gap-1">
+                {[1, 2, 4].map(scale => (
+                  <button
+                    key={scale}
+                    onClick={() => setImageExportOptions(prev => ({ ...prev, scale }))}
+                    className={`${imageExportOptions.scale === scale ? 'bg-amber-600' : 'bg-slate-700 hover:bg-slate-600'} text-white px-3 py-1 rounded text-sm transition-colors`}
+                  >
+                    {scale}x
+                  </button>
+                ))}
+              </div>
+            </div>
+            {[
+              { key: 'background', label: 'Background' },
+              { key: 'includeItems', label: 'Include items' },
+              { key: 'includeFief', label: 'Include fief areas' },
+            ].map(({ key, label }) => (
+              <label key={key} className="flex items-center justify-between mb-2 text-slate-300 text-sm cursor-pointer">
+                {label}
+                <input
+                  type="checkbox"
+                  checked={imageExportOptions[key]}
+                  onChange={(e) => setImageExportOptions(prev => ({ ...prev, [key]: e.target.checked }))}
+                  className="accent-amber-500"
+                />
+              </label>
+            ))}
+
+            <div className="flex gap-2 mt-5">
+              <button
+                onClick={() => handleDownloadImage('png')}
+                disabled={exportingImage}
+                className="flex-1 bg-amber-600 hover:bg-amber-500 disabled:opacity-50 text-white px-3 py-2 rounded-lg text-sm transition-colors"
+              >
+                {exportingImage ? 'Exporting...' : 'Download PNG'}
+              </button>
+              <button
+                onClick={() => handleDownloadImage('svg')}
+                disabled={exportingImage}
+                className="flex-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-white px-3 py-2 rounded-lg text-sm transition-colors"
+              >
+                Download SVG
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* 3D Preview Modal */}
+      {isometricView && isometricSvg && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60" onClick={() => setIsometricView(null)}>
+          <div className="bg-slate-800 rounded-xl p-6 shadow-2xl border-2 border-slate-700 w-[90vw] max-w-[1100px] max-h-[90vh] flex flex-col" onClick={e => e.stopPropagation()}>
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-xl font-bold text-white">3D Preview</h3>
+              <button onClick={() => setIsometricView(null)} className="text-slate-400 hover:text-white">
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+            <div className="flex items-center gap-2 mb-3">
+              <button onClick={() => turnIsometricView(-1)}
+                className="bg-slate-700 hover:bg-slate-600 text-white px-3 py-1 rounded text-sm transition-colors" title="Turn the view 90° anticlockwise">
+                ⟲ Turn left
+              </button>
+              <button onClick={() => turnIsometricView(1)}
+                className="bg-slate-700 hover:bg-slate-600 text-white px-3 py-1 rounded text-sm transition-colors" title="Turn the view 90° clockwise">
+                Turn right ⟳
+              </button>
+              <span className="text-slate-500 text-xs">{isometricView.quarterTurns * 90}°</span>
+              <label className="flex items-center gap-2 ml-4 text-slate-300 text-sm cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={isometricView.highlightCurrent}
+                  onChange={(e) => setIsometricView(prev => ({ ...prev, highlightCurrent: e.target.checked }))}
+                  className="accent-amber-500"
+                />
+                Highlight {getFloorLabel(currentFloor, floorNames)}
+              </label>
+              <button onClick={downloadIsometricSvg}
+                className="ml-auto bg-slate-700 hover:bg-slate-600 text-white px-3 py-1 rounded text-sm transition-colors">
+                Download SVG
+              </button>
+            </div>
+            <div
+              className="flex-1 min-h-0 overflow-auto custom-scrollbar rounded-lg [&>svg]:w-full [&>svg]:h-auto [&>svg]:max-h-[70vh]"
+              dangerouslySetInnerHTML={{ __html: isometricSvg.svg }}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Project Browser Modal */}
+      {/* Saved Discord webhooks manager */}
+      {showWebhooksModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60" onClick={() => setShowWebhooksModal(false)}>
+          <div className="bg-slate-800 rounded-xl p-6 shadow-2xl border-2 border-slate-700 w-[560px] max-h-[80vh] flex flex-col" onClick={e => e.stopPropagation()}>
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-xl font-bold text-white">Discord Webhooks</h3>
+              <button onClick={() => setShowWebhooksModal(false)} className="text-slate-400 hover:text-white">
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+
+            {savedWebhooks.length === 0 ? (
+              <div className="text-slate-500 text-sm py-4 text-center">
+                No saved webhooks yet. Add one below to post to it from the Discord button.
+              </div>
+            ) : (
+              <div className="flex flex-col gap-2 overflow-y-auto custom-scrollbar pr-1 mb-4">
+                {savedWebhooks.map(webhook => (
+                  <div
+                    key={webhook.id}
+                    className={`flex items-center gap-3 bg-slate-700/50 rounded-lg p-2 border ${webhookForm?.id === webhook.id ? 'border-indigo-500' : 'border-slate-600'}`}
+                  >
+                    <div className="flex-1 min-w-0">
+                      <div className="text-white font-medium truncate" title={webhook.name}>{webhook.name}</div>
+                      <div className="text-slate-400 text-xs truncate" title={webhook.url}>
+                        {webhook.url.replace(/\/[\w-]+\/?$/, '/…')}
+                        {webhook.threadId && ` · thread ${webhook.threadId}`}
+                        {webhook.username && ` · as ${webhook.username}`}
+                      </div>
+                    </div>
+                    <div className="flex gap-1 flex-shrink-0">
+                      <button
+                        onClick={() => setWebhookForm({ threadId: '', username: '', avatarUrl: '', ...webhook })}
+                        className="bg-slate-600 hover:bg-slate-500 text-white px-2 py-1 rounded text-xs transition-colors"
+                        title="Edit webhook"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => deleteWebhook(webhook.id)}
+                        className="bg-red-600/80 hover:bg-red-500 text-white px-2 py-1 rounded text-xs transition-colors"
+                        title="Delete webhook"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {webhookForm ? (
+              <div className="flex flex-col gap-2 border-t border-slate-700 pt-4">
+                <div className="text-white text-sm font-medium">{webhookForm.id ? 'Edit webhook' : 'Add webhook'}</div>
+                <label className="flex flex-col gap-1 text-xs text-slate-400">
+                  Name
+                  <input
+                    type="text"
+                    value={webhookForm.name}
+                    onChange={(e) => setWebhookForm(prev => ({ ...prev, name: e.target.value }))}
+                    placeholder="guild-builds"
+                    className="px-3 py-1.5 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm placeholder-slate-500 focus:outline-none focus:border-indigo-500"
+                    autoFocus
+                  />
+                </label>
+                <label className="flex flex-col gap-1 text-xs text-slate-400">
+                  Webhook URL
+                  <input
+                    type="text"
+                    value={webhookForm.url}
+                    onChange={(e) => setWebhookForm(prev => ({ ...prev, url: e.target.value }))}
+                    placeholder="https://discord.com/api/webhooks/..."
+                    className="px-3 py-1.5 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm placeholder-slate-500 focus:outline-none focus:border-indigo-500"
+                  />
+                </label>
+                <div className="grid grid-cols-3 gap-2">
+                  <label className="flex flex-col gap-1 text-xs text-slate-400">
+                    Thread ID (optional)
+                    <input
+                      type="text"
+                      value={webhookForm.threadId}
+                      onChange={(e) => setWebhookForm(prev => ({ ...prev, threadId: e.target.value }))}
+                      placeholder="Post into a thread"
+                      className="px-3 py-1.5 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm placeholder-slate-500 focus:outline-none focus:border-indigo-500"
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1 text-xs text-slate-400">
+                    Username (optional)
+                    <input
+                      type="text"
+                      value={webhookForm.username}
+                      onChange={(e) => setWebhookForm(prev => ({ ...prev, username: e.target.value }))}
+                      placeholder="Override poster name"
+                      className="px-3 py-1.5 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm placeholder-slate-500 focus:outline-none focus:border-indigo-500"
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1 text-xs text-slate-400">
+                    Avatar URL (optional)
+                    <input
+                      type="text"
+                      value={webhookForm.avatarUrl}
+                      onChange={(e) => setWebhookForm(prev => ({ ...prev, avatarUrl: e.target.value }))}
+                      placeholder="https://..."
+                      className="px-3 py-1.5 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm placeholder-slate-500 focus:outline-none focus:border-indigo-500"
+                    />
+                  </label>
+                </div>
+                <div className="flex justify-end gap-2 mt-2">
+                  <button
+                    onClick={() => setWebhookForm(null)}
+                    className="bg-slate-700 hover:bg-slate-600 text-white px-3 py-1.5 rounded-lg text-sm transition-colors"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={saveWebhookForm}
+                    disabled={!webhookForm.name.trim() || !webhookForm.url.trim()}
+                    className="bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed text-white px-3 py-1.5 rounded-lg text-sm transition-colors"
+                  >
+                    {webhookForm.id ? 'Save Changes' : 'Add Webhook'}
+                  </button>
                 </div>
               </div>
+            ) : (
+              <button
+                onClick={() => openWebhookManager()}
+                className="bg-indigo-600 hover:bg-indigo-500 text-white px-3 py-1.5 rounded-lg text-sm transition-colors"
+              >
+                Add Webhook
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {showProjectsModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60" onClick={() => setShowProjectsModal(false)}>
+          <div className="bg-slate-800 rounded-xl p-6 shadow-2xl border-2 border-slate-700 w-[640px] max-h-[80vh] flex flex-col" onClick={e => e.stopPropagation()}>
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-xl font-bold text-white">Open Project</h3>
+              <button onClick={() => setShowProjectsModal(false)} className="text-slate-400 hover:text-white">
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+
+            {/* Save current design as a new project */}
+            <div className="flex gap-2 mb-4">
+              <input
+                type="text"
+                value={newProjectName}
+                onChange={(e) => setNewProjectName(e.target.value)}
+                placeholder="Name for current design..."
+                className="flex-1 px-3 py-1.5 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm placeholder-slate-400 focus:outline-none focus:border-amber-500"
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' && newProjectName.trim()) {
+                    createProject(newProjectName.trim());
+                    setNewProjectName('');
+                  }
+                }}
+              />
+              <button
+                onClick={() => {
+                  createProject(newProjectName.trim());
+                  setNewProjectName('');
+                }}
+                disabled={!newProjectName.trim()}
+                className="bg-amber-600 hover:bg-amber-500 disabled:opacity-50 disabled:cursor-not-allowed text-white px-3 py-1.5 rounded-lg text-sm transition-colors"
+              >
+                Save as New
+              </button>
+              <button
+                onClick={startNewProject}
+                className="bg-slate-700 hover:bg-slate-600 text-white px-3 py-1.5 rounded-lg text-sm transition-colors"
+                title="Start an empty design that is not part of a project"
+              >
+                New Design
+              </button>
             </div>
+
+            {/* Project files */}
+            <div className="flex gap-2 mb-4">
+              <button
+                onClick={exportProjectFile}
+                className="flex-1 bg-slate-700 hover:bg-slate-600 text-white px-3 py-1.5 rounded-lg text-sm transition-colors"
+                title="Download the current design, including all floors and saved patterns"
+              >
+                Export project (.json)
+              </button>
+              <button
+                onClick={() => projectFileInputRef.current?.click()}
+                className="flex-1 bg-slate-700 hover:bg-slate-600 text-white px-3 py-1.5 rounded-lg text-sm transition-colors"
+                title="Open a .json project file (you can also drop it onto the canvas)"
+              >
+                Import project...
+              </button>
+              <input
+                ref={projectFileInputRef}
+                type="file"
+                accept=".json,application/json"
+                className="hidden"
+                onChange={(e) => {
+                  if (e.target.files[0]) importProjectFile(e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+            </div>
+
+            {projects.length === 0 ? (
+              <div className="text-slate-500 text-sm py-8 text-center">
+                No saved projects yet. Name the current design above to add it to your library.
+              </div>
+            ) : (
+              <div className="flex flex-col gap-2 overflow-y-auto custom-scrollbar pr-1">
+                {[...projects].sort((a, b) => b.updatedAt - a.updatedAt).map(project => {
+                  const isActive = project.id === activeProjectId;
+                  const isRenaming = project.id === renamingProjectId;
+                  return (
+                    <div
+                      key={project.id}
+                      className={`flex items-center gap-3 bg-slate-700/50 rounded-lg p-2 border ${isActive ? 'border-amber-500' : 'border-slate-600'}`}
+                    >
+                      <div className="w-[120px] h-[80px] flex-shrink-0 rounded overflow-hidden bg-slate-900">
+                        {project.thumbnail ? (
+                          <img
+                            src={`data:image/svg+xml;utf8,${encodeURIComponent(project.thumbnail)}`}
+                            alt={project.name}
+                            className="w-full h-full"
+                            draggable={false}
+                          />
+                        ) : (
+                          <div className="w-full h-full flex items-center justify-center text-slate-600 text-xs">Empty</div>
+                        )}
+                      </div>
+                      <div className="flex-1 min-w-0">
+                        {isRenaming ? (
+                          <input
+                            type="text"
+                            value={renameValue}
+                            onChange={(e) => setRenameValue(e.target.value)}
+                            autoFocus
+                            className="w-full px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white text-sm focus:outline-none focus:border-amber-500"
+                            onKeyDown={(e) => {
+                              if (e.key === 'Enter' && renameValue.trim()) {
+                                renameProject(project.id, renameValue.trim());
+                              } else if (e.key === 'Escape') {
+                                setRenamingProjectId(null);
+                                setRenameValue('');
+                              }
+                            }}
+                            onBlur={() => {
+                              if (renameValue.trim()) renameProject(project.id, renameValue.trim());
+                              else setRenamingProjectId(null);
+                            }}
+                          />
+                        ) : (
+                          <div className="text-white font-medium truncate" title={project.name}>
+                            {project.name}
+                            {isActive && <span className="ml-2 text-amber-400 text-xs font-normal">(open)</span>}
+                          </div>
+                        )}
+                        <div className="text-slate-400 text-xs mt-1">Created {new Date(project.createdAt).toLocaleString()}</div>
+                        <div className="text-slate-400 text-xs">Modified {new Date(project.updatedAt).toLocaleString()}</div>
+                      </div>
+                      <div className="flex flex-col gap-1 flex-shrink-0">
+                        <button
+                          onClick={() => openProject(project.id)}
+                          className="bg-amber-600 hover:bg-amber-500 text-white px-3 py-1 rounded text-xs transition-colors"
+                        >
+                          Open
+                        </button>
+                        <div className="flex gap-1">
+                          <button
+                            onClick={() => {
+                              setRenamingProjectId(project.id);
+                              setRenameValue(project.name);
+                            }}
+                            className="bg-slate-600 hover:bg-slate-500 text-white px-2 py-1 rounded text-xs transition-colors"
+                            title="Rename project"
+                          >
+                            Rename
+                          </button>
+                          <button
+                            onClick={() => duplicateProject(project.id)}
+                            className="bg-slate-600 hover:bg-slate-500 text-white px-2 py-1 rounded text-xs transition-colors"
+                            title="Duplicate project"
+                          >
+                            Copy
+                          </button>
+                          <button
+                            onClick={() => deleteProject(project.id)}
+                            className="bg-red-600/80 hover:bg-red-500 text-white px-2 py-1 rounded text-xs transition-colors"
+                            title="Delete project"
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -5071,6 +6207,9 @@ export default function App() {
           </div>
         </div>
       )}
+
+      {/* Print build sheet - portalled outside the app root, which is hidden when printing */}
+      {printingSheet && createPortal(renderPrintSheet(), document.body)}
     </div>
   );
 }
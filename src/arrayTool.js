@@ -0,0 +1,109 @@
+import { CELL_SIZE } from './constants.js';
+import { getShapeVertices, getShapeEdges, checkOverlap, describeShapeGeometry } from './geometry.js';
+import { createSpatialIndex, syncSpatialIndex } from './spatialIndex.js';
+import { translateItems, doItemsFit } from './selection.js';
+import { getItemSize } from './items.js';
+
+// =====================================================
+// ARRAY TOOL (repeat a group in a line or a grid)
+// =====================================================
+// Copies are offset by whole steps along a direction (angle in degrees, 0 = right, 90 = down). A grid
+// repeats the line again along the direction turned 90°. Spacing is the centre-to-centre step in cells.
+
+const CARDINAL_DIRECTIONS = [
+  { angle: 0, label: 'Right' },
+  { angle: 90, label: 'Down' },
+  { angle: 180, label: 'Left' },
+  { angle: 270, label: 'Up' },
+];
+
+const normalizeAngle = (angle) => Math.round((((angle % 360) + 360) % 360) * 10) / 10 % 360;
+
+// Directions offered for a group: the four screen directions, then every other direction one of its
+// edges runs in (e.g. 60° steps for triangle strips or a rotated building's own axes)
+export const getArrayDirections = (shapes) => {
+  const directions = [...CARDINAL_DIRECTIONS];
+  for (const shape of shapes) {
+    for (const edge of getShapeEdges(shape)) {
+      const angle = normalizeAngle(Math.atan2(edge.uy, edge.ux) * 180 / Math.PI);
+      if (!directions.some(d => Math.abs(d.angle - angle) < 0.5)) {
+        directions.push({ angle, label: `Along edge ${angle}°` });
+      }
+    }
+  }
+  return directions;
+};
+
+const toVector = (angle) => {
+  const rad = angle * Math.PI / 180;
+  return { x: Math.cos(rad), y: Math.sin(rad) };
+};
+
+// Width of the group measured along a direction, in cells (the step that makes copies touch)
+export const getGroupExtent = (shapes, items, angle) => {
+  const dir = toVector(angle);
+  const points = [
+    ...shapes.flatMap(shape => shape._verts || getShapeVertices(shape)),
+    ...items.flatMap(item => {
+      const { width, height } = getItemSize(item);
+      return [{ x: item.x, y: item.y }, { x: item.x + width, y: item.y + height }, { x: item.x + width, y: item.y }, { x: item.x, y: item.y + height }];
+    }),
+  ];
+  if (points.length === 0) return 1;
+  const projections = points.map(p => p.x * dir.x + p.y * dir.y);
+  return Math.round((Math.max(...projections) - Math.min(...projections)) / CELL_SIZE * 100) / 100;
+};
+
+// Every copy of the group for the given settings, excluding the original:
+// [{ shapes: [{ ...shape, id, newVerts }], items, offset: { x, y }, blocked }], where copy.shapes[i] is the
+// copy of shapes[i] and offset is how far the copy sits from the original. Each copy is checked like a newly placed
+// piece: it is blocked when it would overlap the floor's shapes or items or an earlier unblocked copy,
+// or when canPlace(copy) says no (e.g. outside the fief).
+export const buildArrayCopies = ({
+  shapes, items, floorShapes, floorItems,
+  mode = 'linear', angle = 0, count = 3, spacing = 1, rows = 1, rowSpacing = 1,
+  idBase = 0, canPlace = () => true,
+}) => {
+  const along = toVector(angle);
+  const across = toVector(angle + 90);
+  const rowCount = mode === 'grid' ? Math.max(1, rows) : 1;
+
+  const index = syncSpatialIndex(createSpatialIndex(), floorShapes, describeShapeGeometry);
+  const placedShapes = [...floorShapes];
+  let placedItems = [...floorItems];
+  let nextId = idBase;
+  const copies = [];
+
+  for (let row = 0; row < rowCount; row++) {
+    for (let col = 0; col < Math.max(1, count); col++) {
+      if (row === 0 && col === 0) continue;
+      const dx = (along.x * col * spacing + across.x * row * rowSpacing) * CELL_SIZE;
+      const dy = (along.y * col * spacing + across.y * row * rowSpacing) * CELL_SIZE;
+
+      const copy = {
+        shapes: shapes.map(shape => ({
+          ...shape,
+          id: nextId++,
+          x: shape.x + dx,
+          y: shape.y + dy,
+          newVerts: (shape._verts || getShapeVertices(shape)).map(v => ({ x: v.x + dx, y: v.y + dy })),
+        })),
+        items: translateItems(items, dx, dy).map(item => ({ ...item, id: nextId++ })),
+        offset: { x: dx, y: dy },
+        blocked: false,
+      };
+
+      syncSpatialIndex(index, placedShapes, describeShapeGeometry);
+      copy.blocked = copy.shapes.some(shape => checkOverlap(index, shape.newVerts, shape.type, shape.building)) ||
+        !doItemsFit(copy.items, placedItems) ||
+        !canPlace(copy);
+
+      if (!copy.blocked) {
+        placedShapes.push(...copy.shapes.map(({ newVerts, ...shape }) => ({ ...shape, _verts: newVerts })));
+        placedItems = [...placedItems, ...copy.items];
+      }
+      copies.push(copy);
+    }
+  }
+  return copies;
+};
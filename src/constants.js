@@ -0,0 +1,80 @@
+// =====================================================
+// CONSTANTS
+// =====================================================
+export const SHAPE_SIZE = 50;
+export const TRI_HEIGHT = (SHAPE_SIZE * Math.sqrt(3)) / 2;
+export const SNAP_THRESHOLD = 100;
+export const EDGE_TOLERANCE = 2;
+export const ARC_SEGMENTS = 12; // Higher = smoother collision detection
+export const CELL_SIZE = 50; // Size of one grid cell for fief calculations
+export const STAKE_COUNTDOWN = 5; // Seconds for stake to be claimed
+
+export const BUILDING_TYPES = {
+  atreides: { label: 'Atreides', cornerStyle: 'stepped' },
+  harkonnen: { label: 'Harkonnen', cornerStyle: 'round' },
+  choamShelter: { label: 'Choam Shelter', cornerStyle: 'round' },
+  choamFacility: { label: 'Choam Facility', cornerStyle: 'diagonal' },
+};
+
+// Materials per piece, by building style and piece type: { [material]: amount }. A piece that needs
+// several materials lists each of them. Walls, doorways and windows are keyed by wall type, roofs by 'roof'.
+// Triangles take about half a square's materials, corners about three quarters and stairs one and a half.
+export const PIECE_COSTS = {
+  atreides: {
+    square: { plastone: 18 }, triangle: { plastone: 9 }, corner: { plastone: 14 }, stair: { plastone: 27 },
+    wall: { plastone: 18 }, door: { plastone: 14 }, window: { plastone: 14 }, roof: { plastone: 18 },
+  },
+  harkonnen: {
+    square: { plastone: 18 }, triangle: { plastone: 9 }, corner: { plastone: 14 }, stair: { plastone: 27 },
+    wall: { plastone: 18 }, door: { plastone: 14 }, window: { plastone: 14 }, roof: { plastone: 18 },
+  },
+  choamShelter: {
+    square: { granite: 12 }, triangle: { granite: 6 }, corner: { granite: 9 }, stair: { granite: 18 },
+    wall: { granite: 12 }, door: { granite: 9 }, window: { granite: 9 }, roof: { granite: 12 },
+  },
+  choamFacility: {
+    square: { granite: 15 }, triangle: { granite: 8 }, corner: { granite: 12 }, stair: { granite: 23 },
+    wall: { granite: 15 }, door: { granite: 12 }, window: { granite: 12 }, roof: { granite: 15 },
+  },
+};
+
+// Color schemes for each building type - shades differentiate shape types
+export const COLOR_SCHEMES = {
+  atreides: {
+    // Green palette
+    square:   { fill: '#22c55e', stroke: '#4ade80' },  // green-500/400
+    triangle: { fill: '#16a34a', stroke: '#22c55e' },  // green-600/500
+    corner:   { fill: '#15803d', stroke: '#16a34a' },  // green-700/600
+    stair:    { fill: '#166534', stroke: '#22c55e' },  // green-800/500
+  },
+  harkonnen: {
+    // Red palette
+    square:   { fill: '#ef4444', stroke: '#f87171' },  // red-500/400
+    triangle: { fill: '#dc2626', stroke: '#ef4444' },  // red-600/500
+    corner:   { fill: '#b91c1c', stroke: '#dc2626' },  // red-700/600
+    stair:    { fill: '#991b1b', stroke: '#ef4444' },  // red-800/500
+  },
+  choamShelter: {
+    // Beige/tan palette
+    square:   { fill: '#d4a574', stroke: '#e4c9a8' },  // warm beige
+    triangle: { fill: '#c4956a', stroke: '#d4a574' },  // medium beige
+    corner:   { fill: '#b08560', stroke: '#c4956a' },  // darker beige
+    stair:    { fill: '#9a7556', stroke: '#d4a574' },  // darker beige
+  },
+  choamFacility: {
+    // Gray palette
+    square:   { fill: '#6b7280', stroke: '#9ca3af' },  // gray-500/400
+    triangle: { fill: '#4b5563', stroke: '#6b7280' },  // gray-600/500
+    corner:   { fill: '#374151', stroke: '#4b5563' },  // gray-700/600
+    stair:    { fill: '#1f2937', stroke: '#6b7280' },  // gray-800/500
+  },
+};
+
+export const CORNER_STEPS = 3; // Number of steps for Atreides stepped corners
+export const DIAGONAL_FLAT_RATIO = 0.27; // Size of small flats on Choam Facility corners (27%)
+
+export const FIEF_DEFAULTS = {
+  standard: { width: 5.5, height: 5.5, power: 15 },
+  advanced: { width: 10.5, height: 10.5, power: 15 },
+};
+export const MAX_STAKES = 5;
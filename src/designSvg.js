@@ -0,0 +1,208 @@
+import {
+  SHAPE_SIZE, BUILDING_TYPES, COLOR_SCHEMES, CORNER_STEPS, DIAGONAL_FLAT_RATIO,
+} from './constants.js';
+import { ITEM_CATEGORIES, BASE_ITEMS, getItemSize } from './items.js';
+import { getShapeVertices, getCollisionVertices } from './geometry.js';
+import { getWallSegments } from './walls.js';
+import { ROOM_SHADE_COLOR, formatRoomArea } from './rooms.js';
+
+// =====================================================
+// DESIGN SVG RENDERING (pure string output, no DOM)
+// =====================================================
+// Used for image downloads and Discord posts in the browser and by the Node CLI, so everything
+// here must run without a document: shapes, items and fief areas in, SVG markup out.
+
+const CANVAS_BACKGROUND = '#1e293b';
+const GRID_DOT_COLOR = '#334155';
+const GRID_LINE_COLOR = '#cbd5e1';
+
+// Build the SVG path for a corner piece - verts are [corner, end1, end2]
+export const getCornerPathD = (verts, cornerStyle = 'round') => {
+  const [corner, end1, end2] = verts;
+  const v1x = end1.x - corner.x, v1y = end1.y - corner.y;
+  const v2x = end2.x - corner.x, v2y = end2.y - corner.y;
+
+  if (cornerStyle === 'diagonal') {
+    // Clipped diagonal - small flats parallel to opposite edges
+    // From end1, go in v2 direction (parallel to edge 2)
+    const flat1End = {
+      x: end1.x + v2x * DIAGONAL_FLAT_RATIO,
+      y: end1.y + v2y * DIAGONAL_FLAT_RATIO,
+    };
+    // From end2, go in v1 direction (parallel to edge 1)
+    const flat2Start = {
+      x: end2.x + v1x * DIAGONAL_FLAT_RATIO,
+      y: end2.y + v1y * DIAGONAL_FLAT_RATIO,
+    };
+    return `M ${corner.x} ${corner.y} L ${end1.x} ${end1.y} L ${flat1End.x} ${flat1End.y} L ${flat2Start.x} ${flat2Start.y} L ${end2.x} ${end2.y} Z`;
+  }
+
+  if (cornerStyle === 'stepped') {
+    // Stepped/staircase pattern
+    let pathPoints = `M ${corner.x} ${corner.y} L ${end1.x} ${end1.y}`;
+    let currentX = end1.x;
+    let currentY = end1.y;
+
+    for (let i = 0; i < CORNER_STEPS; i++) {
+      // Move toward end2 direction
+      currentX += v2x / CORNER_STEPS;
+      currentY += v2y / CORNER_STEPS;
+      pathPoints += ` L ${currentX} ${currentY}`;
+
+      // Move toward corner (negative v1 direction)
+      currentX -= v1x / CORNER_STEPS;
+      currentY -= v1y / CORNER_STEPS;
+      pathPoints += ` L ${currentX} ${currentY}`;
+    }
+
+    return pathPoints + ' Z';
+  }
+
+  // Round corner (default) - arc
+  const cross = v1x * v2y - v1y * v2x;
+  const sweepFlag = cross > 0 ? 1 : 0;
+  return `M ${corner.x} ${corner.y} L ${end1.x} ${end1.y} A ${SHAPE_SIZE} ${SHAPE_SIZE} 0 0 ${sweepFlag} ${end2.x} ${end2.y} Z`;
+};
+
+export const escapeXml = (value) => String(value).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]);
+
+// Bounding box of everything that will be drawn, or null for an empty design
+export const getDesignBounds = ({ shapes = [], items = [], fiefAreas = [], fiefPadding = 0 }) => {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  const include = (x, y) => {
+    if (x < minX) minX = x;
+    if (y < minY) minY = y;
+    if (x > maxX) maxX = x;
+    if (y > maxY) maxY = y;
+  };
+  for (const shape of shapes) {
+    for (const v of shape._verts || getShapeVertices(shape)) include(v.x, v.y);
+  }
+  for (const item of items) {
+    if (!BASE_ITEMS[item.itemType]) continue;
+    const { width, height } = getItemSize(item);
+    include(item.x, item.y);
+    include(item.x + width, item.y + height);
+  }
+  const paddingFraction = fiefPadding / 100;
+  for (const area of fiefAreas) {
+    const padX = area.width * paddingFraction;
+    const padY = area.height * paddingFraction;
+    include(area.x - padX, area.y - padY);
+    include(area.x + area.width + padX, area.y + area.height + padY);
+  }
+  if (minX === Infinity) return null;
+  return { minX, minY, maxX, maxY };
+};
+
+// Fief areas: dashed base boundary plus the padded buildable boundary, same as the canvas
+export const renderFiefAreasSvg = (fiefAreas, fiefPadding = 0) => {
+  const paddingFraction = fiefPadding / 100;
+  return fiefAreas.map(area => {
+    const padX = area.width * paddingFraction;
+    const padY = area.height * paddingFraction;
+    return `<rect x="${area.x}" y="${area.y}" width="${area.width}" height="${area.height}" fill="rgba(34, 197, 94, 0.1)" stroke="rgba(34, 197, 94, 0.3)" stroke-width="2" stroke-dasharray="8,4"/>` +
+      `<rect x="${area.x - padX}" y="${area.y - padY}" width="${area.width + padX * 2}" height="${area.height + padY * 2}" fill="rgba(34, 197, 94, 0.15)" stroke="rgba(34, 197, 94, 0.5)" stroke-width="1"/>`;
+  }).join('');
+};
+
+// Foundation pieces coloured by their own building style
+export const renderShapesSvg = (shapes) => shapes.map(shape => {
+  const verts = shape._verts || getShapeVertices(shape);
+  const shapeBuilding = shape.building || 'atreides';
+  const cornerStyle = BUILDING_TYPES[shapeBuilding]?.cornerStyle || 'round';
+  const colors = COLOR_SCHEMES[shapeBuilding]?.[shape.type] || COLOR_SCHEMES.atreides[shape.type] || COLOR_SCHEMES.atreides.square;
+  if (shape.type === 'corner') {
+    return `<path d="${getCornerPathD(verts, cornerStyle)}" fill="${colors.fill}" stroke="#0f172a" stroke-width="1.5"/>`;
+  }
+  return `<polygon points="${verts.map(v => `${v.x},${v.y}`).join(' ')}" fill="${colors.fill}" stroke="#0f172a" stroke-width="1.5"/>`;
+}).join('');
+
+// Walls, doorways and windows as thick lines along their edges
+export const renderWallsSvg = (walls) => walls.flatMap(getWallSegments).map(seg => (
+  `<line x1="${seg.x1}" y1="${seg.y1}" x2="${seg.x2}" y2="${seg.y2}" stroke="${seg.color}" stroke-width="${seg.width}" stroke-linecap="round"/>`
+)).join('');
+
+// Roofs as a see-through layer in their building's colour, so the plan underneath stays readable
+export const renderRoofsSvg = (roofs) => roofs.map(roof => {
+  const colors = COLOR_SCHEMES[roof.building] || COLOR_SCHEMES.atreides;
+  const points = getCollisionVertices(roof).map(v => `${v.x},${v.y}`).join(' ');
+  return `<polygon points="${points}" fill="${colors.square.stroke}" fill-opacity="0.3" stroke="${colors.square.stroke}" stroke-width="1.5" stroke-dasharray="4,3"/>`;
+}).join('');
+
+// Enclosed rooms shaded, with their area in the middle (rooms as returned by findRooms)
+export const renderRoomsSvg = (rooms) => rooms.filter(room => room.enclosed).map(room => (
+  room.shapes.map(shape => `<polygon points="${getCollisionVertices(shape).map(v => `${v.x},${v.y}`).join(' ')}" fill="${ROOM_SHADE_COLOR}" fill-opacity="0.25"/>`).join('') +
+  `<text x="${room.centre.x}" y="${room.centre.y}" fill="#f8fafc" font-family="sans-serif" font-size="12" font-weight="bold" text-anchor="middle" dominant-baseline="middle">${formatRoomArea(room.area)}</text>`
+)).join('');
+
+// Placed items as icon + category border. iconHrefs maps itemType to an href to use instead of the
+// item's icon path (browsers only rasterize SVG images that are embedded as data URLs).
+export const renderItemsSvg = (items, iconHrefs = {}) => items.map(item => {
+  const itemDef = BASE_ITEMS[item.itemType];
+  if (!itemDef) return '';
+  const { width, height } = getItemSize(item);
+  const href = iconHrefs[item.itemType] || itemDef.icon;
+  const border = ITEM_CATEGORIES[itemDef.category]?.color || '#888';
+  return `<g transform="translate(${item.x}, ${item.y})">` +
+    (href ? `<image href="${escapeXml(href)}" width="${width}" height="${height}"/>` : '') +
+    `<rect x="0" y="0" width="${width}" height="${height}" fill="none" stroke="${border}" stroke-width="2"/></g>`;
+}).join('');
+
+// Standalone SVG of a design, cropped to its bounds with `margin` world units around it.
+// Options: background (canvas colour and grid dots, else transparent), gridLines (light cell grid for
+// printing on white), scale (output pixels per world unit), rooms (from findRooms, enclosed ones shaded).
+export const buildDesignSvg = ({
+  shapes = [],
+  walls = [],
+  roofs = [],
+  rooms = [],
+  items = [],
+  fiefAreas = [],
+  fiefPadding = 0,
+  background = true,
+  gridLines = false,
+  scale = 1,
+  margin = 40,
+  iconHrefs = {},
+}) => {
+  const bounds = getDesignBounds({ shapes, items, fiefAreas, fiefPadding }) || { minX: 0, minY: 0, maxX: 400, maxY: 300 };
+  const viewX = bounds.minX - margin;
+  const viewY = bounds.minY - margin;
+  const viewW = bounds.maxX - bounds.minX + margin * 2;
+  const viewH = bounds.maxY - bounds.minY + margin * 2;
+  const width = Math.ceil(viewW * scale);
+  const height = Math.ceil(viewH * scale);
+
+  const backgroundSvg = background
+    ? `<defs><pattern id="grid" width="${SHAPE_SIZE}" height="${SHAPE_SIZE}" patternUnits="userSpaceOnUse"><circle cx="25" cy="25" r="1" fill="${GRID_DOT_COLOR}"/></pattern></defs>` +
+      `<rect x="${viewX}" y="${viewY}" width="${viewW}" height="${viewH}" fill="${CANVAS_BACKGROUND}"/>` +
+      `<rect x="${viewX}" y="${viewY}" width="${viewW}" height="${viewH}" fill="url(#grid)"/>`
+    : '';
+
+  // Grid lines on cell boundaries covering the whole view
+  let gridSvg = '';
+  if (gridLines) {
+    const lines = [];
+    for (let x = Math.ceil(viewX / SHAPE_SIZE) * SHAPE_SIZE; x <= viewX + viewW; x += SHAPE_SIZE) {
+      lines.push(`M ${x} ${viewY} V ${viewY + viewH}`);
+    }
+    for (let y = Math.ceil(viewY / SHAPE_SIZE) * SHAPE_SIZE; y <= viewY + viewH; y += SHAPE_SIZE) {
+      lines.push(`M ${viewX} ${y} H ${viewX + viewW}`);
+    }
+    gridSvg = `<path d="${lines.join(' ')}" fill="none" stroke="${GRID_LINE_COLOR}" stroke-width="0.75"/>`;
+  }
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${viewX} ${viewY} ${viewW} ${viewH}">` +
+    backgroundSvg +
+    gridSvg +
+    renderFiefAreasSvg(fiefAreas, fiefPadding) +
+    renderShapesSvg(shapes) +
+    renderRoomsSvg(rooms) +
+    renderRoofsSvg(roofs) +
+    renderWallsSvg(walls) +
+    renderItemsSvg(items, iconHrefs) +
+    '</svg>';
+
+  return { svg, width, height };
+};
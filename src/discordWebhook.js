@@ -0,0 +1,59 @@
+// =====================================================
+// DISCORD WEBHOOKS (saved targets and request URLs)
+// =====================================================
+// A saved target is { id, name, url, threadId, username, avatarUrl }; only name and url are required.
+
+const WEBHOOK_HOSTS = ['discord.com', 'discordapp.com', 'ptb.discord.com', 'canary.discord.com'];
+// Local hosts are accepted over plain http so posting can be tried against scripts/mock-webhook-server.js
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const WEBHOOK_PATH = /^\/api\/(?:v\d+\/)?webhooks\/\d+\/[\w-]+\/?$/;
+
+export const isDiscordWebhookUrl = (url) => {
+  try {
+    const parsed = new URL((url || '').trim());
+    const isDiscord = parsed.protocol === 'https:' && WEBHOOK_HOSTS.includes(parsed.hostname);
+    const isLocal = /^https?:$/.test(parsed.protocol) && LOCAL_HOSTS.includes(parsed.hostname);
+    return (isDiscord || isLocal) && WEBHOOK_PATH.test(parsed.pathname);
+  } catch {
+    return false;
+  }
+};
+
+// Check a target before saving or sending; returns an error message, or null when it is usable
+export const validateWebhookTarget = ({ name, url, threadId, avatarUrl }) => {
+  if (name !== undefined && !name.trim()) return 'Give the webhook a name';
+  if (!isDiscordWebhookUrl(url)) return 'Invalid webhook URL. It should look like:\nhttps://discord.com/api/webhooks/...';
+  if (threadId && !/^\d+$/.test(threadId.trim())) return 'Thread ID must be the numeric ID of a thread in that channel';
+  if (avatarUrl && !/^https?:\/\//.test(avatarUrl.trim())) return 'Avatar URL must start with http:// or https://';
+  return null;
+};
+
+// URL to POST a message to, posting into the target's thread when one is set.
+// wait=true makes Discord answer with the created message, whose id is needed to edit it later.
+export const getWebhookPostUrl = ({ url, threadId }) => {
+  const postUrl = new URL(url.trim());
+  postUrl.searchParams.set('wait', 'true');
+  if (threadId?.trim()) postUrl.searchParams.set('thread_id', threadId.trim());
+  return postUrl.toString();
+};
+
+// URL to PATCH an earlier message sent through the same webhook (and thread)
+export const getWebhookMessageUrl = ({ url, threadId }, messageId) => {
+  const messageUrl = new URL(url.trim());
+  messageUrl.search = '';
+  messageUrl.pathname = `${messageUrl.pathname.replace(/\/$/, '')}/messages/${messageId}`;
+  if (threadId?.trim()) messageUrl.searchParams.set('thread_id', threadId.trim());
+  return messageUrl.toString();
+};
+
+// Identifies the channel/thread a message went to, so "Update previous post" edits the right message
+export const getWebhookTargetKey = ({ url, threadId }) => {
+  const base = (url || '').trim().split('?')[0].replace(/\/$/, '');
+  return threadId?.trim() ? `${base}#${threadId.trim()}` : base;
+};
+
+// Per-target overrides for the poster's name and avatar, merged into the message payload
+export const getWebhookIdentity = ({ username, avatarUrl }) => ({
+  ...(username?.trim() ? { username: username.trim().slice(0, 80) } : {}),
+  ...(avatarUrl?.trim() ? { avatar_url: avatarUrl.trim() } : {}),
+});
@@ -0,0 +1,46 @@
+import { CELL_SIZE } from './constants.js';
+
+// =====================================================
+// FIEF AREAS (pure helpers, no React)
+// =====================================================
+
+// World-space rectangle one fief-size step from its parent area in a direction
+const getAdjacentArea = (id, parent, direction, fiefW, fiefH) => {
+  switch (direction) {
+    case 'top': return { id, x: parent.x, y: parent.y - fiefH, width: fiefW, height: fiefH };
+    case 'bottom': return { id, x: parent.x, y: parent.y + parent.height, width: fiefW, height: fiefH };
+    case 'left': return { id, x: parent.x - fiefW, y: parent.y, width: fiefW, height: fiefH };
+    case 'right': return { id, x: parent.x + parent.width, y: parent.y, width: fiefW, height: fiefH };
+    default: return null;
+  }
+};
+
+// Buildable rectangles of a fief: the main area at fiefPosition, then each claimed area next to its
+// parent. Pending stakes are placed the same way but only added to areaMap (for drop zones), not areas.
+// Returns { areas, areaMap } where areaMap is keyed by 'main' and claim/stake ids.
+export const getFiefAreas = ({ fiefPosition, fiefWidth, fiefHeight, claimedAreas = [], pendingStakes = [] }) => {
+  const fiefW = fiefWidth * CELL_SIZE;
+  const fiefH = fiefHeight * CELL_SIZE;
+
+  // Main fief area - positioned where user placed it
+  const mainFief = { id: 'main', x: fiefPosition.x, y: fiefPosition.y, width: fiefW, height: fiefH };
+  const areas = [mainFief];
+  const areaMap = { main: mainFief };
+
+  // Claimed areas chain off their parents (parents always come first)
+  for (const claim of claimedAreas) {
+    const parent = areaMap[claim.parentId];
+    const area = parent && getAdjacentArea(claim.id, parent, claim.direction, fiefW, fiefH);
+    if (!area) continue;
+    areas.push(area);
+    areaMap[claim.id] = area;
+  }
+
+  for (const stake of pendingStakes) {
+    const parent = areaMap[stake.parentId];
+    const area = parent && getAdjacentArea(stake.id, parent, stake.direction, fiefW, fiefH);
+    if (area) areaMap[stake.id] = area;
+  }
+
+  return { areas, areaMap };
+};
@@ -0,0 +1,42 @@
+// =====================================================
+// FLOOR MANAGER (insert / delete / duplicate / reorder floors)
+// =====================================================
+// Floor data lives in objects keyed by 0-based floor number (allFloorShapes, allFloorItems, floorNames).
+// Each helper renumbers one such object without mutating it; the planner applies the same operation
+// to every floor-keyed object so pieces, items and names stay together.
+
+const floorEntries = (floors) => Object.entries(floors || {}).map(([floor, value]) => [parseInt(floor), value]);
+
+const hasContent = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+// Number of floors in use: up to the highest floor holding anything (pieces, items or a name)
+export const getUsedFloorCount = (...floorMaps) => Math.max(0, ...floorMaps.flatMap(floors => (
+  floorEntries(floors).filter(([, value]) => hasContent(value)).map(([floor]) => floor + 1)
+)));
+
+// Every floor from `at` upwards moves up one level, leaving `at` empty
+export const insertFloor = (floors, at) => Object.fromEntries(
+  floorEntries(floors).map(([floor, value]) => [floor >= at ? floor + 1 : floor, value])
+);
+
+// Drop floor `at`; every floor above it moves down one level
+export const removeFloor = (floors, at) => Object.fromEntries(
+  floorEntries(floors).filter(([floor]) => floor !== at).map(([floor, value]) => [floor > at ? floor - 1 : floor, value])
+);
+
+// Exchange two floors (moving a floor up or down a level)
+export const swapFloors = (floors, a, b) => Object.fromEntries(
+  floorEntries(floors).map(([floor, value]) => [floor === a ? b : floor === b ? a : floor, value])
+);
+
+// Insert a copy of floor `from` directly above it. copyValue clones the floor's value (e.g. with fresh ids).
+export const duplicateFloor = (floors, from, copyValue = value => value) => {
+  const shifted = insertFloor(floors, from + 1);
+  if (floors?.[from] !== undefined) shifted[from + 1] = copyValue(floors[from]);
+  return shifted;
+};
+
+// "Floor 3" or "Floor 3 · Storage level"
+export const getFloorLabel = (floor, floorNames) => (
+  floorNames?.[floor] ? `Floor ${floor + 1} · ${floorNames[floor]}` : `Floor ${floor + 1}`
+);
@@ -0,0 +1,662 @@
+import {
+  SHAPE_SIZE, TRI_HEIGHT, SNAP_THRESHOLD, EDGE_TOLERANCE, ARC_SEGMENTS, BUILDING_TYPES, CORNER_STEPS, DIAGONAL_FLAT_RATIO,
+} from './constants.js';
+import { queryShapes, queryEdges, getPointsBounds } from './spatialIndex.js';
+
+// =====================================================
+// SHAPE GEOMETRY ENGINE (pure functions, no React)
+// =====================================================
+// Everything the planner needs to place, snap and collide pieces. Functions that look at the other
+// shapes on a floor take a spatial index of them (createSpatialIndex + syncSpatialIndex with
+// describeShapeGeometry, see spatialIndex.js) instead of the shapes array.
+
+// World-space vertices of a shape from its center and rotation.
+// Squares/stairs: 4 corners clockwise. Corners: [corner vertex, end of edge 1, end of edge 2].
+// Triangles: [apex, base right, base left].
+export const getShapeVertices = (shape) => {
+  const { x, y, type, rotation } = shape;
+  const rad = (rotation * Math.PI) / 180;
+
+  let localVerts;
+  if (type === 'square' || type === 'stair') {
+    const h = SHAPE_SIZE / 2;
+    localVerts = [
+      { x: -h, y: -h }, { x: h, y: -h },
+      { x: h, y: h }, { x: -h, y: h },
+    ];
+  } else if (type === 'corner') {
+    const h = SHAPE_SIZE / 2;
+    localVerts = [
+      { x: -h, y: -h },  // corner vertex
+      { x: h, y: -h },   // end of edge 1
+      { x: -h, y: h },   // end of edge 2
+    ];
+  } else {
+    const apexY = -TRI_HEIGHT * 2 / 3;
+    const baseY = TRI_HEIGHT / 3;
+    localVerts = [
+      { x: 0, y: apexY },
+      { x: SHAPE_SIZE / 2, y: baseY },
+      { x: -SHAPE_SIZE / 2, y: baseY },
+    ];
+  }
+
+  return localVerts.map(v => ({
+    x: x + v.x * Math.cos(rad) - v.y * Math.sin(rad),
+    y: y + v.x * Math.sin(rad) + v.y * Math.cos(rad),
+  }));
+};
+
+// Vertices for a piece placed freely (not snapped to an edge), centered on a point
+export const getFreeVertices = (px, py, shapeType) => {
+  const h = SHAPE_SIZE / 2;
+  if (shapeType === 'square' || shapeType === 'stair') {
+    return [
+      { x: px - h, y: py - h }, { x: px + h, y: py - h },
+      { x: px + h, y: py + h }, { x: px - h, y: py + h },
+    ];
+  } else if (shapeType === 'corner') {
+    return [{ x: px - h, y: py - h }, { x: px + h, y: py - h }, { x: px - h, y: py + h }];
+  } else {
+    return [
+      { x: px, y: py - TRI_HEIGHT * 2/3 },
+      { x: px + SHAPE_SIZE/2, y: py + TRI_HEIGHT/3 },
+      { x: px - SHAPE_SIZE/2, y: py + TRI_HEIGHT/3 },
+    ];
+  }
+};
+
+// Rotate vertices around a center point
+export const rotateVerticesAroundPoint = (verts, cx, cy, angleDeg) => {
+  const rad = (angleDeg * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  return verts.map(v => ({
+    x: cx + (v.x - cx) * cos - (v.y - cy) * sin,
+    y: cy + (v.x - cx) * sin + (v.y - cy) * cos,
+  }));
+};
+
+// Rotate vertices around their centroid
+export const rotateVertices = (verts, angleDeg) => {
+  const cx = verts.reduce((s, v) => s + v.x, 0) / verts.length;
+  const cy = verts.reduce((s, v) => s + v.y, 0) / verts.length;
+  return rotateVerticesAroundPoint(verts, cx, cy, angleDeg);
+};
+
+// Mirror vertices across a line through (cx, cy): 'horizontal' flips left-right, 'vertical' flips top-bottom.
+// A reflection reverses the winding, so the vertex order is reversed to stay clockwise (outward edge
+// normals). Triangles and corners keep their first vertex, so a corner swaps end1/end2 and keeps the
+// handedness of getShapeVertices that stepped and diagonal outlines and verticesToShape's rotation assume.
+// Four-sided pieces keep their first edge (just reversed), so a stair still climbs away from it.
+export const mirrorVertices = (verts, direction, cx, cy) => {
+  const reflected = verts.map(v => (direction === 'horizontal' ? { x: 2 * cx - v.x, y: v.y } : { x: v.x, y: 2 * cy - v.y }));
+  if (reflected.length === 4) return [reflected[1], reflected[0], reflected[3], reflected[2]];
+  return [reflected[0], ...reflected.slice(1).reverse()];
+};
+
+// Build a shape record from its world vertices (center from the centroid, rotation from the first edge)
+export const verticesToShape = (verts, shapeType, id, building) => {
+  const cx = verts.reduce((s, v) => s + v.x, 0) / verts.length;
+  const cy = verts.reduce((s, v) => s + v.y, 0) / verts.length;
+
+  let rotation = 0;
+  if (shapeType === 'square' || shapeType === 'stair') {
+    const dx = verts[1].x - verts[0].x;
+    const dy = verts[1].y - verts[0].y;
+    rotation = (Math.atan2(dy, dx) * 180 / Math.PI) + 180;
+  } else if (shapeType === 'corner') {
+    const dx = verts[1].x - verts[0].x;
+    const dy = verts[1].y - verts[0].y;
+    rotation = Math.atan2(dy, dx) * 180 / Math.PI;
+  } else {
+    const dx = verts[0].x - cx;
+    const dy = verts[0].y - cy;
+    rotation = (Math.atan2(dy, dx) * 180 / Math.PI) + 90;
+  }
+
+  return { id, type: shapeType, x: cx, y: cy, rotation, building, _verts: verts };
+};
+
+// =====================================================
+// COLLISION POLYGONS
+// =====================================================
+
+// Collision outline of a corner piece for its building's corner style
+export const getCornerCollisionVerts = (corner, end1, end2, cornerStyle = 'round') => {
+  if (cornerStyle === 'diagonal') {
+    // Clipped diagonal - small flats parallel to opposite edges
+    const d1x = end1.x - corner.x;
+    const d1y = end1.y - corner.y;
+    const d2x = end2.x - corner.x;
+    const d2y = end2.y - corner.y;
+
+    // From end1, go in d2 direction (parallel to edge 2)
+    const flat1End = {
+      x: end1.x + d2x * DIAGONAL_FLAT_RATIO,
+      y: end1.y + d2y * DIAGONAL_FLAT_RATIO,
+    };
+    // From end2, go in d1 direction (parallel to edge 1)
+    const flat2Start = {
+      x: end2.x + d1x * DIAGONAL_FLAT_RATIO,
+      y: end2.y + d1y * DIAGONAL_FLAT_RATIO,
+    };
+
+    return [corner, end1, flat1End, flat2Start, end2];
+  }
+
+  if (cornerStyle === 'stepped') {
+    // Stepped/staircase pattern
+    const d1x = end1.x - corner.x;
+    const d1y = end1.y - corner.y;
+    const d2x = end2.x - corner.x;
+    const d2y = end2.y - corner.y;
+
+    const points = [corner, end1];
+    let currentX = end1.x;
+    let currentY = end1.y;
+
+    for (let i = 0; i < CORNER_STEPS; i++) {
+      // Move toward end2 direction
+      currentX += d2x / CORNER_STEPS;
+      currentY += d2y / CORNER_STEPS;
+      points.push({ x: currentX, y: currentY });
+
+      // Move toward corner (negative d1 direction)
+      currentX -= d1x / CORNER_STEPS;
+      currentY -= d1y / CORNER_STEPS;
+      points.push({ x: currentX, y: currentY });
+    }
+
+    return points;
+  }
+
+  // Round corner (default) - arc approximation
+  const angle1 = Math.atan2(end1.y - corner.y, end1.x - corner.x);
+  const angle2 = Math.atan2(end2.y - corner.y, end2.x - corner.x);
+
+  let angleDiff = angle2 - angle1;
+  while (angleDiff > Math.PI) angleDiff -= 2 * Math.PI;
+  while (angleDiff < -Math.PI) angleDiff += 2 * Math.PI;
+
+  const arcPoints = [];
+  for (let i = 0; i <= ARC_SEGMENTS; i++) {
+    const t = i / ARC_SEGMENTS;
+    const angle = angle1 + t * angleDiff;
+    arcPoints.push({
+      x: corner.x + Math.cos(angle) * SHAPE_SIZE,
+      y: corner.y + Math.sin(angle) * SHAPE_SIZE,
+    });
+  }
+
+  return [corner, ...arcPoints];
+};
+
+const getCornerStyle = (building) => BUILDING_TYPES[building || 'atreides']?.cornerStyle || 'round';
+
+// Collision outline of a placed shape; corners use their own building's corner style
+export const getCollisionVertices = (shape) => {
+  const verts = shape._verts || getShapeVertices(shape);
+  if (shape.type === 'corner') {
+    return getCornerCollisionVerts(verts[0], verts[1], verts[2], getCornerStyle(shape.building));
+  }
+  return verts;
+};
+
+// =====================================================
+// EDGES WITH OUTWARD NORMALS
+// =====================================================
+
+// Snap edges of a shape: { v1, v2, midX, midY, ux, uy, nx, ny, length, shapeId, edgeIndex }, where
+// (ux, uy) runs from v1 to v2 and (nx, ny) points away from the piece. A corner's curved side is not
+// an edge; its two straight edges get normals pointing away from the arc.
+export const getShapeEdges = (shape) => {
+  const verts = shape._verts || getShapeVertices(shape);
+  const edges = [];
+
+  if (shape.type === 'corner') {
+    const [cornerV, end1, end2] = verts;
+
+    // Edge A: corner → end1, normal points away from end2
+    {
+      const dx = end1.x - cornerV.x;
+      const dy = end1.y - cornerV.y;
+      const len = Math.sqrt(dx * dx + dy * dy);
+      if (len > 0.001) {
+        const ux = dx / len, uy = dy / len;
+        let nx = uy, ny = -ux;
+
+        const midX = (cornerV.x + end1.x) / 2;
+        const midY = (cornerV.y + end1.y) / 2;
+        if (nx * (end2.x - midX) + ny * (end2.y - midY) > 0) {
+          nx = -nx; ny = -ny;
+        }
+
+        edges.push({
+          v1: { ...cornerV }, v2: { ...end1 },
+          midX, midY, ux, uy, nx, ny, length: len,
+          shapeId: shape.id, edgeIndex: 0,
+        });
+      }
+    }
+
+    // Edge B: end2 → corner, normal points away from end1
+    {
+      const dx = cornerV.x - end2.x;
+      const dy = cornerV.y - end2.y;
+      const len = Math.sqrt(dx * dx + dy * dy);
+      if (len > 0.001) {
+        const ux = dx / len, uy = dy / len;
+        let nx = uy, ny = -ux;
+
+        const midX = (end2.x + cornerV.x) / 2;
+        const midY = (end2.y + cornerV.y) / 2;
+        if (nx * (end1.x - midX) + ny * (end1.y - midY) > 0) {
+          nx = -nx; ny = -ny;
+        }
+
+        edges.push({
+          v1: { ...end2 }, v2: { ...cornerV },
+          midX, midY, ux, uy, nx, ny, length: len,
+          shapeId: shape.id, edgeIndex: 2,
+        });
+      }
+    }
+  } else {
+    // Standard polygon edges
+    for (let i = 0; i < verts.length; i++) {
+      const v1 = verts[i];
+      const v2 = verts[(i + 1) % verts.length];
+
+      const dx = v2.x - v1.x;
+      const dy = v2.y - v1.y;
+      const len = Math.sqrt(dx * dx + dy * dy);
+      if (len < 0.001) continue;
+
+      const ux = dx / len, uy = dy / len;
+      const nx = uy, ny = -ux;
+
+      edges.push({
+        v1: { ...v1 }, v2: { ...v2 },
+        midX: (v1.x + v2.x) / 2, midY: (v1.y + v2.y) / 2,
+        ux, uy, nx, ny, length: len,
+        shapeId: shape.id, edgeIndex: i,
+      });
+    }
+  }
+  return edges;
+};
+
+// What the spatial index caches per shape for overlap checks, hit tests and edge snapping
+export const describeShapeGeometry = (shape) => ({
+  polygon: getCollisionVertices(shape),
+  edges: getShapeEdges(shape),
+});
+
+// =====================================================
+// DISTANCE & SNAPPING
+// =====================================================
+
+export const pointToEdgeDistance = (px, py, edge) => {
+  const { v1, v2 } = edge;
+  const dx = v2.x - v1.x, dy = v2.y - v1.y;
+  const lenSq = dx * dx + dy * dy;
+  if (lenSq < 0.001) return Math.hypot(px - v1.x, py - v1.y);
+  const t = Math.max(0, Math.min(1, ((px - v1.x) * dx + (py - v1.y) * dy) / lenSq));
+  return Math.hypot(px - (v1.x + t * dx), py - (v1.y + t * dy));
+};
+
+// Closest snap edge to a point as { edge, distance }. Edges further than maxDistance may be missed,
+// so the result is only exact up to that distance (anything beyond SNAP_THRESHOLD is free placement).
+export const findClosestEdge = (index, px, py, maxDistance = SNAP_THRESHOLD) => {
+  let closest = null, minDist = Infinity;
+  for (const edge of queryEdges(index, px, py, maxDistance)) {
+    const dist = pointToEdgeDistance(px, py, edge);
+    if (dist < minDist) { minDist = dist; closest = edge; }
+  }
+  return { edge: closest, distance: minDist };
+};
+
+// Vertices of a new piece attached to the outside of an edge. Corners pick their orientation from
+// the mouse: which side of the edge (perpendicular) and which end the right angle sits at.
+export const calculateSnappedVertices = (edge, shapeType, mouseX = null, mouseY = null) => {
+  const { v1, v2, nx, ny, midX, midY, ux, uy } = edge;
+
+  if (shapeType === 'square' || shapeType === 'stair') {
+    const offsetX = nx * SHAPE_SIZE;
+    const offsetY = ny * SHAPE_SIZE;
+    return [
+      { x: v2.x, y: v2.y },
+      { x: v1.x, y: v1.y },
+      { x: v1.x + offsetX, y: v1.y + offsetY },
+      { x: v2.x + offsetX, y: v2.y + offsetY },
+    ];
+  } else if (shapeType === 'corner') {
+    let perpOutward = true;
+    let cornerAtV1 = true;
+
+    if (mouseX !== null && mouseY !== null) {
+      const relX = mouseX - midX;
+      const relY = mouseY - midY;
+      perpOutward = (relX * nx + relY * ny) >= 0;
+      cornerAtV1 = (relX * ux + relY * uy) < 0;
+    }
+
+    const perpMult = perpOutward ? 1 : -1;
+    const offsetX = nx * SHAPE_SIZE * perpMult;
+    const offsetY = ny * SHAPE_SIZE * perpMult;
+
+    if (cornerAtV1) {
+      return [
+        { x: v1.x, y: v1.y },
+        { x: v2.x, y: v2.y },
+        { x: v1.x + offsetX, y: v1.y + offsetY },
+      ];
+    }
+    return [
+      { x: v2.x, y: v2.y },
+      { x: v1.x, y: v1.y },
+      { x: v2.x + offsetX, y: v2.y + offsetY },
+    ];
+  }
+
+  const apexX = midX + nx * TRI_HEIGHT;
+  const apexY = midY + ny * TRI_HEIGHT;
+  return [
+    { x: apexX, y: apexY },
+    { x: v2.x, y: v2.y },
+    { x: v1.x, y: v1.y },
+  ];
+};
+
+// =====================================================
+// OVERLAP PRIMITIVES
+// =====================================================
+
+// Ray-casting point-in-polygon test (boundary points may go either way)
+export const pointInPolygon = (px, py, verts) => {
+  let inside = false;
+  for (let i = 0, j = verts.length - 1; i < verts.length; j = i++) {
+    const xi = verts[i].x, yi = verts[i].y;
+    const xj = verts[j].x, yj = verts[j].y;
+    if (((yi > py) !== (yj > py)) && (px < (xj - xi) * (py - yi) / (yj - yi) + xi)) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// True only for points clearly inside the polygon; points on (or within EDGE_TOLERANCE of)
+// its edges and vertices are allowed so neighbouring pieces can share them
+export const pointStrictlyInPolygon = (px, py, verts) => {
+  // First, determine if point is inside using ray casting
+  let inside = false;
+  for (let i = 0, j = verts.length - 1; i < verts.length; j = i++) {
+    const xi = verts[i].x, yi = verts[i].y;
+    const xj = verts[j].x, yj = verts[j].y;
+    if (((yi > py) !== (yj > py)) && (px < (xj - xi) * (py - yi) / (yj - yi) + xi)) {
+      inside = !inside;
+    }
+  }
+
+  // If not inside by ray casting, definitely not inside
+  if (!inside) return false;
+
+  // Check if point is very close to any vertex (shared vertices OK)
+  for (const v of verts) {
+    if (Math.hypot(px - v.x, py - v.y) < EDGE_TOLERANCE) {
+      return false;
+    }
+  }
+
+  // Check if point is very close to any edge (shared edges OK)
+  for (let i = 0; i < verts.length; i++) {
+    const v1 = verts[i];
+    const v2 = verts[(i + 1) % verts.length];
+    const dx = v2.x - v1.x, dy = v2.y - v1.y;
+    const lenSq = dx * dx + dy * dy;
+    if (lenSq > 0.001) {
+      const t = Math.max(0, Math.min(1, ((px - v1.x) * dx + (py - v1.y) * dy) / lenSq));
+      const dist = Math.hypot(px - (v1.x + t * dx), py - (v1.y + t * dy));
+      if (dist < EDGE_TOLERANCE) return false;
+    }
+  }
+
+  // Point is clearly inside the polygon interior - this is an overlap
+  return true;
+};
+
+// Proper crossing of two segments; touching or shared endpoints do not count
+export const segmentsIntersect = (a1, a2, b1, b2) => {
+  // First check if segments share an endpoint (common at shape junctions)
+  const shareEndpoint = (
+    (Math.hypot(a1.x - b1.x, a1.y - b1.y) < 1) ||
+    (Math.hypot(a1.x - b2.x, a1.y - b2.y) < 1) ||
+    (Math.hypot(a2.x - b1.x, a2.y - b1.y) < 1) ||
+    (Math.hypot(a2.x - b2.x, a2.y - b2.y) < 1)
+  );
+  if (shareEndpoint) return false;
+
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const d1 = cross(b1, b2, a1), d2 = cross(b1, b2, a2);
+  const d3 = cross(a1, a2, b1), d4 = cross(a1, a2, b2);
+  const eps = 0.1;
+  return ((d1 > eps && d2 < -eps) || (d1 < -eps && d2 > eps)) &&
+         ((d3 > eps && d4 < -eps) || (d3 < -eps && d4 > eps));
+};
+
+// =====================================================
+// OVERLAP DETECTION & HIT TESTING
+// =====================================================
+
+// Would a new piece with these vertices overlap a shape in the index? Pieces may share edges and
+// vertices. `building` is the new piece's building type, which decides a corner's collision outline.
+export const checkOverlap = (index, newVerts, newType, building = 'atreides') => {
+  const newCollisionVerts = newType === 'corner'
+    ? getCornerCollisionVerts(newVerts[0], newVerts[1], newVerts[2], getCornerStyle(building))
+    : newVerts;
+
+  // Calculate centroid of new shape for coincidence check
+  const newCx = newVerts.reduce((s, v) => s + v.x, 0) / newVerts.length;
+  const newCy = newVerts.reduce((s, v) => s + v.y, 0) / newVerts.length;
+
+  // Only shapes whose bounds reach the new shape can touch it (padding covers the coincidence check)
+  const candidates = queryShapes(index, getPointsBounds([newVerts, newCollisionVerts], EDGE_TOLERANCE * 3));
+  for (const { polygon: existingVerts } of candidates) {
+    // Nearly coincident centroids mean a duplicate placement, even when every vertex lies on an edge
+    const existingCx = existingVerts.reduce((s, v) => s + v.x, 0) / existingVerts.length;
+    const existingCy = existingVerts.reduce((s, v) => s + v.y, 0) / existingVerts.length;
+    if (Math.hypot(newCx - existingCx, newCy - existingCy) < EDGE_TOLERANCE * 3) return true;
+
+    // Check if any vertex of either shape is strictly inside the other
+    for (const v of newCollisionVerts) {
+      if (pointStrictlyInPolygon(v.x, v.y, existingVerts)) return true;
+    }
+    for (const v of existingVerts) {
+      if (pointStrictlyInPolygon(v.x, v.y, newCollisionVerts)) return true;
+    }
+
+    // Check for edge intersections
+    for (let i = 0; i < newCollisionVerts.length; i++) {
+      const a1 = newCollisionVerts[i];
+      const a2 = newCollisionVerts[(i + 1) % newCollisionVerts.length];
+      for (let j = 0; j < existingVerts.length; j++) {
+        const b1 = existingVerts[j];
+        const b2 = existingVerts[(j + 1) % existingVerts.length];
+        if (segmentsIntersect(a1, a2, b1, b2)) return true;
+      }
+    }
+
+    // Interior sampling: centroids catch overlaps where vertices land exactly on edges
+    if (pointStrictlyInPolygon(newCx, newCy, existingVerts)) return true;
+    if (pointStrictlyInPolygon(existingCx, existingCy, newCollisionVerts)) return true;
+
+    // Sample edge midpoints of both shapes to catch partial overlaps
+    for (let i = 0; i < newCollisionVerts.length; i++) {
+      const v1 = newCollisionVerts[i];
+      const v2 = newCollisionVerts[(i + 1) % newCollisionVerts.length];
+      if (pointStrictlyInPolygon((v1.x + v2.x) / 2, (v1.y + v2.y) / 2, existingVerts)) return true;
+    }
+    for (let i = 0; i < existingVerts.length; i++) {
+      const v1 = existingVerts[i];
+      const v2 = existingVerts[(i + 1) % existingVerts.length];
+      if (pointStrictlyInPolygon((v1.x + v2.x) / 2, (v1.y + v2.y) / 2, newCollisionVerts)) return true;
+    }
+  }
+  return false;
+};
+
+// Topmost (last placed) shape whose collision outline contains the point, or null
+export const findShapeAtPoint = (index, px, py) => {
+  const candidates = queryShapes(index, { minX: px, minY: py, maxX: px, maxY: py });
+  for (let i = candidates.length - 1; i >= 0; i--) {
+    if (pointInPolygon(px, py, candidates[i].polygon)) return candidates[i].shape;
+  }
+  return null;
+};
+
+// =====================================================
+// GROUP OPERATIONS (lock mode; run on the main thread or in the geometry worker)
+// =====================================================
+// Transformed shapes are shapes with `newVerts` holding their proposed vertices.
+
+// Check if two shapes share an edge (not just a point)
+export const shapesShareEdge = (shape1, shape2) => {
+  const verts1 = shape1._verts || getShapeVertices(shape1);
+  const verts2 = shape2._verts || getShapeVertices(shape2);
+  const tolerance = EDGE_TOLERANCE * 2;
+
+  for (let i = 0; i < verts1.length; i++) {
+    const a1 = verts1[i];
+    const a2 = verts1[(i + 1) % verts1.length];
+
+    for (let j = 0; j < verts2.length; j++) {
+      const b1 = verts2[j];
+      const b2 = verts2[(j + 1) % verts2.length];
+
+      // Edges share if endpoints match (in either direction)
+      const a1MatchesB1 = Math.hypot(a1.x - b1.x, a1.y - b1.y) < tolerance;
+      const a1MatchesB2 = Math.hypot(a1.x - b2.x, a1.y - b2.y) < tolerance;
+      const a2MatchesB1 = Math.hypot(a2.x - b1.x, a2.y - b1.y) < tolerance;
+      const a2MatchesB2 = Math.hypot(a2.x - b2.x, a2.y - b2.y) < tolerance;
+      if ((a1MatchesB1 && a2MatchesB2) || (a1MatchesB2 && a2MatchesB1)) {
+        return true;
+      }
+    }
+  }
+  return false;
+};
+
+// Ids of all shapes connected to startShape through shared edges (flood-fill), startShape first
+export const findConnectedGroup = (index, startShape) => {
+  const group = new Set([startShape.id]);
+  const queue = [startShape];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    const bounds = getPointsBounds([current._verts || getShapeVertices(current)], EDGE_TOLERANCE * 2);
+
+    for (const { shape: other } of queryShapes(index, bounds)) {
+      if (group.has(other.id)) continue;
+      if (shapesShareEdge(current, other)) {
+        group.add(other.id);
+        queue.push(other);
+      }
+    }
+  }
+
+  return Array.from(group);
+};
+
+// Snap a group to external vertices (vertex-to-vertex snapping for perfect tessellation)
+export const snapGroupToEdges = (index, transformedShapes, groupIds) => {
+  if (transformedShapes.length === 0) return transformedShapes;
+
+  // Collect all vertices from the group
+  const groupVertices = transformedShapes.flatMap(shape => shape.newVerts);
+
+  // Vertices of nearby shapes NOT in the group
+  const groupIdSet = new Set(groupIds);
+  const nearby = queryShapes(index, getPointsBounds([groupVertices], SNAP_THRESHOLD));
+  const externalVertices = nearby
+    .filter(({ shape }) => !groupIdSet.has(shape.id))
+    .flatMap(({ shape }) => shape._verts || getShapeVertices(shape));
+
+  if (externalVertices.length === 0) return transformedShapes;
+
+  // Find the closest external vertex to any group vertex
+  let bestSnap = null;
+  let minDist = SNAP_THRESHOLD;
+
+  for (const gv of groupVertices) {
+    for (const ev of externalVertices) {
+      const dist = Math.sqrt((gv.x - ev.x) ** 2 + (gv.y - ev.y) ** 2);
+      if (dist < minDist) {
+        minDist = dist;
+        bestSnap = { dx: ev.x - gv.x, dy: ev.y - gv.y };
+      }
+    }
+  }
+
+  // If we found a snap, apply it to all shapes
+  if (!bestSnap) return transformedShapes;
+  return transformedShapes.map(shape => ({
+    ...shape,
+    newVerts: shape.newVerts.map(v => ({ x: v.x + bestSnap.dx, y: v.y + bestSnap.dy })),
+  }));
+};
+
+// Check if transformed group shapes overlap with any shapes outside the group
+export const checkGroupOverlap = (index, transformedShapes, groupIds) => {
+  const groupIdSet = new Set(groupIds);
+  for (const transformed of transformedShapes) {
+    const newVerts = transformed.newVerts;
+    const newCollisionVerts = transformed.type === 'corner'
+      ? getCornerCollisionVerts(newVerts[0], newVerts[1], newVerts[2], getCornerStyle(transformed.building))
+      : newVerts;
+    const newCx = newVerts.reduce((s, v) => s + v.x, 0) / newVerts.length;
+    const newCy = newVerts.reduce((s, v) => s + v.y, 0) / newVerts.length;
+
+    const candidates = queryShapes(index, getPointsBounds([newVerts, newCollisionVerts], EDGE_TOLERANCE * 3));
+    for (const { shape: other, polygon: existingVerts } of candidates) {
+      if (groupIdSet.has(other.id)) continue;
+
+      // Check vertex containment
+      for (const v of newCollisionVerts) {
+        if (pointStrictlyInPolygon(v.x, v.y, existingVerts)) return true;
+      }
+      for (const v of existingVerts) {
+        if (pointStrictlyInPolygon(v.x, v.y, newCollisionVerts)) return true;
+      }
+
+      // Check edge intersections
+      for (let i = 0; i < newCollisionVerts.length; i++) {
+        const a1 = newCollisionVerts[i];
+        const a2 = newCollisionVerts[(i + 1) % newCollisionVerts.length];
+        for (let j = 0; j < existingVerts.length; j++) {
+          const b1 = existingVerts[j];
+          const b2 = existingVerts[(j + 1) % existingVerts.length];
+          if (segmentsIntersect(a1, a2, b1, b2)) return true;
+        }
+      }
+
+      // Check for coincident shapes (centroids nearly identical = duplicate)
+      const existingCx = existingVerts.reduce((s, v) => s + v.x, 0) / existingVerts.length;
+      const existingCy = existingVerts.reduce((s, v) => s + v.y, 0) / existingVerts.length;
+      if (Math.hypot(newCx - existingCx, newCy - existingCy) < EDGE_TOLERANCE * 3) {
+        return true;
+      }
+    }
+  }
+  return false;
+};
+
+// Where a dragged or rotated group would land: snapped to nearby vertices when dragging,
+// unless the snap itself causes an overlap. Returns { transformedShapes, hasOverlap }.
+export const resolveGroupTransform = (index, transformedShapes, groupIds, { snap = false } = {}) => {
+  if (snap) {
+    const snapped = snapGroupToEdges(index, transformedShapes, groupIds);
+    if (!checkGroupOverlap(index, snapped, groupIds)) return { transformedShapes: snapped, hasOverlap: false };
+  }
+  return { transformedShapes, hasOverlap: checkGroupOverlap(index, transformedShapes, groupIds) };
+};
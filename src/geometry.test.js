@@ -0,0 +1,232 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getShapeVertices, getCornerCollisionVerts, getCollisionVertices, getShapeEdges, calculateSnappedVertices,
+  checkOverlap, mirrorVertices, verticesToShape, describeShapeGeometry,
+} from './geometry.js';
+import { createSpatialIndex, syncSpatialIndex } from './spatialIndex.js';
+import { SHAPE_SIZE, TRI_HEIGHT, ARC_SEGMENTS, CORNER_STEPS, DIAGONAL_FLAT_RATIO } from './constants.js';
+
+const indexOf = (shapes) => syncSpatialIndex(createSpatialIndex(), shapes, describeShapeGeometry);
+
+const centroid = (verts) => ({
+  x: verts.reduce((s, v) => s + v.x, 0) / verts.length,
+  y: verts.reduce((s, v) => s + v.y, 0) / verts.length,
+});
+
+// Positive for clockwise winding on screen (y grows downwards)
+const signedArea = (verts) => verts.reduce((sum, p, i) => {
+  const q = verts[(i + 1) % verts.length];
+  return sum + (p.x * q.y - q.x * p.y);
+}, 0) / 2;
+
+const expectPoint = (actual, expected) => {
+  expect(actual.x).toBeCloseTo(expected.x, 6);
+  expect(actual.y).toBeCloseTo(expected.y, 6);
+};
+
+const TYPES = ['square', 'triangle', 'corner', 'stair'];
+const ROTATIONS = [0, 30, 90, 135, 180, 270];
+
+describe('corner collision outlines', () => {
+  const corner = { x: 0, y: 0 };
+  const end1 = { x: SHAPE_SIZE, y: 0 };
+  const end2 = { x: 0, y: SHAPE_SIZE };
+
+  it('steps from end1 back to end2 (Atreides)', () => {
+    const verts = getCornerCollisionVerts(corner, end1, end2, 'stepped');
+    expect(verts).toHaveLength(2 + CORNER_STEPS * 2);
+    expect(verts.slice(0, 2)).toEqual([corner, end1]);
+    expectPoint(verts[verts.length - 1], end2);
+    // Every step lies inside the square the corner fills part of
+    for (const v of verts) {
+      expect(v.x).toBeGreaterThanOrEqual(-1e-9);
+      expect(v.y).toBeGreaterThanOrEqual(-1e-9);
+      expect(v.x + v.y).toBeLessThanOrEqual(SHAPE_SIZE * 2);
+    }
+  });
+
+  it('follows a quarter circle around the right angle (Harkonnen, Choam Shelter)', () => {
+    const verts = getCornerCollisionVerts(corner, end1, end2, 'round');
+    expect(verts).toHaveLength(ARC_SEGMENTS + 2);
+    expect(verts[0]).toEqual(corner);
+    expectPoint(verts[1], end1);
+    expectPoint(verts[verts.length - 1], end2);
+    for (const v of verts.slice(1)) expect(Math.hypot(v.x, v.y)).toBeCloseTo(SHAPE_SIZE, 6);
+  });
+
+  it('clips the far corner with two short flats (Choam Facility)', () => {
+    const verts = getCornerCollisionVerts(corner, end1, end2, 'diagonal');
+    expect(verts).toHaveLength(5);
+    expectPoint(verts[2], { x: SHAPE_SIZE, y: SHAPE_SIZE * DIAGONAL_FLAT_RATIO });
+    expectPoint(verts[3], { x: SHAPE_SIZE * DIAGONAL_FLAT_RATIO, y: SHAPE_SIZE });
+    expect(verts[4]).toEqual(end2);
+  });
+
+  it('defaults to round', () => {
+    expect(getCornerCollisionVerts(corner, end1, end2)).toEqual(getCornerCollisionVerts(corner, end1, end2, 'round'));
+  });
+
+  it.each([
+    ['atreides', 'stepped'],
+    ['harkonnen', 'round'],
+    ['choamShelter', 'round'],
+    ['choamFacility', 'diagonal'],
+  ])('gives %s corners the %s outline', (building, style) => {
+    const shape = { id: 1, type: 'corner', x: 0, y: 0, rotation: 0, building };
+    const [c, e1, e2] = getShapeVertices(shape);
+    expect(getCollisionVertices(shape)).toEqual(getCornerCollisionVerts(c, e1, e2, style));
+  });
+
+  it('uses the vertices themselves for every other piece', () => {
+    for (const type of ['square', 'triangle', 'stair']) {
+      const shape = { id: 1, type, x: 10, y: 20, rotation: 45, building: 'atreides' };
+      expect(getCollisionVertices(shape)).toEqual(getShapeVertices(shape));
+    }
+  });
+});
+
+describe('getShapeEdges', () => {
+  it.each(TYPES.flatMap(type => ROTATIONS.map(rotation => [type, rotation])))(
+    'gives a %s at %i° unit normals pointing away from the piece',
+    (type, rotation) => {
+      const shape = { id: 7, type, x: 100, y: -40, rotation, building: 'atreides' };
+      const centre = centroid(getShapeVertices(shape));
+      for (const edge of getShapeEdges(shape)) {
+        expect(Math.hypot(edge.nx, edge.ny)).toBeCloseTo(1, 9);
+        expect(edge.nx * edge.ux + edge.ny * edge.uy).toBeCloseTo(0, 9);
+        expect(edge.nx * (edge.midX - centre.x) + edge.ny * (edge.midY - centre.y)).toBeGreaterThan(0);
+        expect(edge.shapeId).toBe(7);
+      }
+    },
+  );
+
+  it('has one edge per side, and only the two straight sides of a corner', () => {
+    const edgeCount = (type) => getShapeEdges({ id: 1, type, x: 0, y: 0, rotation: 0 }).length;
+    expect(edgeCount('square')).toBe(4);
+    expect(edgeCount('stair')).toBe(4);
+    expect(edgeCount('triangle')).toBe(3);
+    expect(getShapeEdges({ id: 1, type: 'corner', x: 0, y: 0, rotation: 0 }).map(e => e.edgeIndex)).toEqual([0, 2]);
+  });
+
+  it('keeps normals outward on mirrored pieces', () => {
+    for (const type of TYPES) {
+      for (const direction of ['horizontal', 'vertical']) {
+        const verts = mirrorVertices(getShapeVertices({ type, x: 0, y: 0, rotation: 30 }), direction, 60, 60);
+        const shape = verticesToShape(verts, type, 1, 'atreides');
+        const centre = centroid(verts);
+        for (const edge of getShapeEdges(shape)) {
+          expect(edge.nx * (edge.midX - centre.x) + edge.ny * (edge.midY - centre.y)).toBeGreaterThan(0);
+        }
+      }
+    }
+  });
+});
+
+describe('calculateSnappedVertices', () => {
+  const base = { id: 1, type: 'square', x: 0, y: 0, rotation: 0, building: 'atreides' };
+  const topEdge = getShapeEdges(base)[0]; // (-25,-25) -> (25,-25), normal (0,-1)
+
+  it('attaches squares and stairs on the outside, sharing the edge', () => {
+    for (const type of ['square', 'stair']) {
+      const verts = calculateSnappedVertices(topEdge, type);
+      expect(verts).toHaveLength(4);
+      expect(verts[0]).toEqual(topEdge.v2);
+      expect(verts[1]).toEqual(topEdge.v1);
+      expectPoint(centroid(verts), { x: 0, y: -SHAPE_SIZE });
+      expect(signedArea(verts)).toBeGreaterThan(0);
+    }
+  });
+
+  it('puts a triangle apex one triangle height out from the edge midpoint', () => {
+    const verts = calculateSnappedVertices(topEdge, 'triangle');
+    expectPoint(verts[0], { x: 0, y: -SHAPE_SIZE / 2 - TRI_HEIGHT });
+    expect(verts.slice(1)).toEqual([topEdge.v2, topEdge.v1]);
+  });
+
+  it('orients corners from the mouse position', () => {
+    // Outside, towards v1: right angle at v1, pointing away from the piece
+    expect(calculateSnappedVertices(topEdge, 'corner', -20, -40)).toEqual([
+      topEdge.v1, topEdge.v2, { x: -25, y: -25 - SHAPE_SIZE },
+    ]);
+    // Outside, towards v2: right angle at v2
+    expect(calculateSnappedVertices(topEdge, 'corner', 20, -40)).toEqual([
+      topEdge.v2, topEdge.v1, { x: 25, y: -25 - SHAPE_SIZE },
+    ]);
+    // Inside: the corner folds back over the piece
+    expect(calculateSnappedVertices(topEdge, 'corner', -20, -10)[2]).toEqual({ x: -25, y: -25 + SHAPE_SIZE });
+  });
+
+  it.each(['square', 'triangle', 'corner', 'stair'])('never overlaps the piece it snaps to (%s)', (type) => {
+    const index = indexOf([base]);
+    for (const edge of getShapeEdges(base)) {
+      expect(checkOverlap(index, calculateSnappedVertices(edge, type), type, 'atreides')).toBe(false);
+    }
+  });
+});
+
+describe('checkOverlap', () => {
+  const square = { id: 1, type: 'square', x: 0, y: 0, rotation: 0, building: 'atreides' };
+  const index = indexOf([square]);
+  const at = (type, x, y, rotation = 0) => getShapeVertices({ type, x, y, rotation });
+
+  it('allows pieces that share an edge or a vertex', () => {
+    expect(checkOverlap(index, at('square', SHAPE_SIZE, 0), 'square')).toBe(false);
+    expect(checkOverlap(index, at('square', SHAPE_SIZE, SHAPE_SIZE), 'square')).toBe(false);
+  });
+
+  it('rejects a piece placed on top of another', () => {
+    expect(checkOverlap(index, at('square', 0, 0), 'square')).toBe(true);
+    expect(checkOverlap(index, at('square', 0, 0, 90), 'square')).toBe(true);
+  });
+
+  it('rejects partial overlaps', () => {
+    expect(checkOverlap(index, at('square', SHAPE_SIZE / 2, 0), 'square')).toBe(true);
+    expect(checkOverlap(index, at('triangle', 0, 10), 'triangle')).toBe(true);
+  });
+
+  it('allows an empty floor', () => {
+    expect(checkOverlap(indexOf([]), at('square', 0, 0), 'square')).toBe(false);
+  });
+
+  it('collides corners by their building outline', () => {
+    // A block just past the first step of a stepped corner, but inside a round corner's arc
+    // and under a diagonal corner's clipped edge
+    const cornerVerts = [{ x: 0, y: 0 }, { x: SHAPE_SIZE, y: 0 }, { x: 0, y: SHAPE_SIZE }];
+    const block = [{ x: 38, y: 20 }, { x: 46, y: 20 }, { x: 46, y: 26 }, { x: 38, y: 26 }];
+    const blockIndex = indexOf([verticesToShape(block, 'square', 2, 'atreides')]);
+    expect(checkOverlap(blockIndex, cornerVerts, 'corner', 'atreides')).toBe(false);
+    expect(checkOverlap(blockIndex, cornerVerts, 'corner', 'harkonnen')).toBe(true);
+    expect(checkOverlap(blockIndex, cornerVerts, 'corner', 'choamFacility')).toBe(true);
+  });
+});
+
+describe('mirrorVertices', () => {
+  it.each(TYPES.flatMap(type => ['horizontal', 'vertical'].map(direction => [type, direction])))(
+    'reflects a %s %sly and keeps it clockwise',
+    (type, direction) => {
+      const verts = getShapeVertices({ type, x: 30, y: 10, rotation: 30 });
+      const mirrored = mirrorVertices(verts, direction, 0, 0);
+      expect(Math.sign(signedArea(mirrored))).toBe(Math.sign(signedArea(verts)));
+      const reflect = (v) => (direction === 'horizontal' ? { x: -v.x, y: v.y } : { x: v.x, y: -v.y });
+      // Same point set as the plain reflection
+      const key = (v) => `${v.x.toFixed(6)},${v.y.toFixed(6)}`;
+      expect(mirrored.map(key).sort()).toEqual(verts.map(reflect).map(key).sort());
+      // Mirroring twice gives the original back
+      mirrorVertices(mirrored, direction, 0, 0).forEach((v, i) => expectPoint(v, verts[i]));
+    },
+  );
+
+  it('keeps the right angle first on corners', () => {
+    const verts = getShapeVertices({ type: 'corner', x: 0, y: 0, rotation: 0 });
+    const mirrored = mirrorVertices(verts, 'horizontal', 100, 0);
+    expectPoint(mirrored[0], { x: 200 - verts[0].x, y: verts[0].y });
+    expectPoint(mirrored[1], { x: 200 - verts[2].x, y: verts[2].y });
+  });
+
+  it('keeps the first edge of a stair, so it climbs the same way', () => {
+    const verts = getShapeVertices({ type: 'stair', x: 0, y: 0, rotation: 0 });
+    const mirrored = mirrorVertices(verts, 'vertical', 0, 0);
+    expectPoint(mirrored[0], { x: verts[1].x, y: -verts[1].y });
+    expectPoint(mirrored[1], { x: verts[0].x, y: -verts[0].y });
+  });
+});
@@ -0,0 +1,14 @@
+import { createGeometryState, runGeometryTask } from './geometryTasks.js';
+
+// Runs geometry tasks off the main thread. Messages are { id, task }; every task with an id
+// is answered with { id, result } or { id, error }.
+const state = createGeometryState();
+
+self.onmessage = ({ data: { id, task } }) => {
+  try {
+    const result = runGeometryTask(state, task);
+    if (id != null) self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
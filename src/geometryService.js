@@ -0,0 +1,75 @@
+import { createGeometryState, diffShapes, runGeometryTask } from './geometryTasks.js';
+
+// =====================================================
+// GEOMETRY SERVICE (async lock-mode geometry, backed by a Web Worker)
+// =====================================================
+// Connected-group flood fills and group drop validation on large bases are too slow to run on
+// every mouse move, so they run in src/geometry.worker.js. Where workers are unavailable (or the
+// worker fails to start) the same tasks run in-thread, and every method still returns a promise.
+export const createGeometryService = () => {
+  let worker = null;
+  let localState = null;
+  let lastShapes = [];
+  let nextRequestId = 1;
+  const pending = new Map(); // request id -> { resolve, reject }
+
+  // Requests the worker will never answer are rejected, so no caller waits forever
+  const rejectPending = (message) => {
+    for (const { reject } of pending.values()) reject(new Error(message));
+    pending.clear();
+  };
+
+  const switchToLocal = () => {
+    worker?.terminate();
+    worker = null;
+    localState = createGeometryState();
+    runGeometryTask(localState, { type: 'setShapes', shapes: lastShapes });
+    rejectPending('Geometry worker stopped');
+  };
+
+  try {
+    worker = new Worker(new URL('./geometry.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data: { id, result, error } }) => {
+      const request = pending.get(id);
+      if (!request) return;
+      pending.delete(id);
+      if (error) request.reject(new Error(error));
+      else request.resolve(result);
+    };
+    worker.onerror = (e) => {
+      console.warn('Geometry worker failed, running geometry on the main thread:', e.message);
+      switchToLocal();
+    };
+  } catch (e) {
+    console.warn('Geometry worker unavailable, running geometry on the main thread:', e);
+    switchToLocal();
+  }
+
+  const run = (task) => {
+    if (!worker) return Promise.resolve().then(() => runGeometryTask(localState, task));
+    return new Promise((resolve, reject) => {
+      const id = nextRequestId++;
+      pending.set(id, { resolve, reject });
+      worker.postMessage({ id, task });
+    });
+  };
+
+  return {
+    // Call whenever the current floor's shapes change; later requests see these shapes.
+    // The worker only receives the shapes that changed since the last call.
+    setShapes: (shapes) => {
+      const previous = lastShapes;
+      lastShapes = shapes;
+      if (worker) worker.postMessage({ id: null, task: { type: 'updateShapes', ...diffShapes(previous, shapes) } });
+      else runGeometryTask(localState, { type: 'setShapes', shapes });
+    },
+    findConnectedGroup: (shapeId) => run({ type: 'connectedGroup', shapeId }),
+    resolveGroupTransform: (transformedShapes, groupIds, { snap = false } = {}) => (
+      run({ type: 'resolveGroupTransform', transformedShapes, groupIds, snap })
+    ),
+    terminate: () => {
+      worker?.terminate();
+      rejectPending('Geometry service terminated');
+    },
+  };
+};
@@ -0,0 +1,58 @@
+import { createSpatialIndex, syncSpatialIndex } from './spatialIndex.js';
+import { getCollisionVertices, findConnectedGroup, resolveGroupTransform } from './geometry.js';
+
+// =====================================================
+// GEOMETRY TASKS (shared by the geometry worker and its in-thread fallback)
+// =====================================================
+// Tasks are plain objects { type, ...args } so they can be posted to a worker unchanged:
+//   { type: 'setShapes', shapes }                                   replace the floor's shapes
+//   { type: 'updateShapes', changed, removedIds, ids }              patch them (see diffShapes)
+//   { type: 'connectedGroup', shapeId }                             -> ids of the shape's connected group
+//   { type: 'resolveGroupTransform', transformedShapes, groupIds, snap } -> { transformedShapes, hasOverlap }
+
+// Group tasks never snap to single edges, so only collision polygons are indexed
+const describeForCollision = (shape) => ({ polygon: getCollisionVertices(shape), edges: [] });
+
+export const createGeometryState = () => ({ index: createSpatialIndex(), shapes: [] });
+
+// What changed between two shapes arrays, by id: shapes that are new or a different object, ids that
+// are gone, and the new order. Posting this instead of the whole array keeps unchanged shapes' worker
+// copies (and so their index entries) alive, since every posted shape arrives as a fresh clone.
+export const diffShapes = (previous, shapes) => {
+  const previousById = new Map(previous.map(shape => [shape.id, shape]));
+  const ids = shapes.map(shape => shape.id);
+  const current = new Set(ids);
+  return {
+    changed: shapes.filter(shape => previousById.get(shape.id) !== shape),
+    removedIds: previous.filter(shape => !current.has(shape.id)).map(shape => shape.id),
+    ids,
+  };
+};
+
+const applyShapesDiff = (shapes, { changed, removedIds, ids }) => {
+  const byId = new Map(shapes.map(shape => [shape.id, shape]));
+  for (const id of removedIds) byId.delete(id);
+  for (const shape of changed) byId.set(shape.id, shape);
+  return ids.map(id => byId.get(id)).filter(Boolean);
+};
+
+export const runGeometryTask = (state, { type, ...args }) => {
+  switch (type) {
+    case 'setShapes':
+      state.shapes = args.shapes;
+      syncSpatialIndex(state.index, state.shapes, describeForCollision);
+      return null;
+    case 'updateShapes':
+      state.shapes = applyShapesDiff(state.shapes, args);
+      syncSpatialIndex(state.index, state.shapes, describeForCollision);
+      return null;
+    case 'connectedGroup': {
+      const shape = state.index.entries.get(args.shapeId)?.shape;
+      return shape ? findConnectedGroup(state.index, shape) : [];
+    }
+    case 'resolveGroupTransform':
+      return resolveGroupTransform(state.index, args.transformedShapes, args.groupIds, { snap: args.snap });
+    default:
+      throw new Error(`Unknown geometry task "${type}"`);
+  }
+};
@@ -0,0 +1,216 @@
+import { COLOR_SCHEMES } from './constants.js';
+import { ITEM_CATEGORIES, BASE_ITEMS, getItemSize } from './items.js';
+import { getCollisionVertices } from './geometry.js';
+import { getNonEmptyFloors } from './materials.js';
+import { getFloorLabel } from './floors.js';
+import { getWallBlocks } from './walls.js';
+import { escapeXml } from './designSvg.js';
+
+// =====================================================
+// ISOMETRIC PREVIEW (every floor stacked, pure SVG string output)
+// =====================================================
+// Each floor's pieces are drawn as slabs at the floor's height with items as low boxes and walls as upright
+// blocks on top, and roofs as slabs at the height of the floor above. The plan is turned in 90° steps about the centre of the whole base, then projected with the usual 30° isometric
+// axes, so world +x runs down-right and +y down-left on screen. Faces are painted back to front: floors
+// bottom-up, then by distance from the viewer within a floor.
+
+export const FLOOR_HEIGHT = 60; // Vertical distance between floors, in world units (a cell is 50)
+const SLAB_THICKNESS = 8;
+const ITEM_HEIGHT = 12;
+const WALL_HEIGHT = FLOOR_HEIGHT - SLAB_THICKNESS; // Walls reach the underside of the floor above
+const COS_30 = Math.cos(Math.PI / 6);
+const SIN_30 = 0.5;
+const BACKGROUND = '#1e293b';
+const LABEL_COLOR = '#94a3b8';
+
+// Scale a #rrggbb colour's channels (factor < 1 darkens)
+const shade = (hex, factor) => {
+  const value = parseInt(hex.slice(1), 16);
+  const channel = shift => Math.min(255, Math.round(((value >> shift) & 0xff) * factor));
+  return `rgb(${channel(16)}, ${channel(8)}, ${channel(0)})`;
+};
+
+// Signed area of a plan polygon; its sign gives the winding, so outward side normals work for any vertex order
+const signedArea = (points) => points.reduce((sum, p, i) => {
+  const q = points[(i + 1) % points.length];
+  return sum + (p.x * q.y - q.x * p.y);
+}, 0) / 2;
+
+// Prism faces for a plan polygon between heights z0 and z1: visible sides (facing +x/+y after the turn)
+// plus the top. Each face is { points: [{ x, y, z }], fill, depth }.
+const extrudePolygon = (points, z0, z1, fill) => {
+  const winding = Math.sign(signedArea(points)) || 1;
+  const faces = [];
+  points.forEach((p, i) => {
+    const q = points[(i + 1) % points.length];
+    // Outward normal of edge p->q for this winding (y points down)
+    const nx = (q.y - p.y) * winding;
+    const ny = -(q.x - p.x) * winding;
+    if (nx + ny <= 0) return;
+    // Lit from the left: faces turned towards +y (screen left) are brighter than those towards +x
+    const light = 0.55 + 0.25 * (ny / (Math.abs(nx) + Math.abs(ny)));
+    faces.push({
+      points: [{ ...p, z: z1 }, { ...q, z: z1 }, { ...q, z: z0 }, { ...p, z: z0 }],
+      fill: shade(fill, light),
+      depth: (p.x + p.y + q.x + q.y) / 2,
+    });
+  });
+  faces.sort((a, b) => a.depth - b.depth);
+  const depth = points.reduce((max, p) => Math.max(max, p.x + p.y), -Infinity);
+  return { sides: faces, top: { points: points.map(p => ({ ...p, z: z1 })), fill, depth } };
+};
+
+// Plan outlines of a wall's blocks, each { points, bottom, top, fill } with heights above the floor
+const getWallOutlines = (wall) => {
+  const dx = wall.x2 - wall.x1, dy = wall.y2 - wall.y1;
+  const length = Math.hypot(dx, dy) || 1;
+  const at = (t) => ({ x: wall.x1 + dx * t, y: wall.y1 + dy * t });
+  return getWallBlocks(wall).map(block => {
+    // Half the block's thickness either side of the edge
+    const ox = (-dy / length) * block.thickness / 2, oy = (dx / length) * block.thickness / 2;
+    const a = at(block.from), b = at(block.to);
+    return {
+      points: [
+        { x: a.x + ox, y: a.y + oy }, { x: b.x + ox, y: b.y + oy },
+        { x: b.x - ox, y: b.y - oy }, { x: a.x - ox, y: a.y - oy },
+      ],
+      bottom: block.bottom * WALL_HEIGHT,
+      top: block.top * WALL_HEIGHT,
+      fill: block.color,
+    };
+  });
+};
+
+// Turn a plan point by quarterTurns × 90° clockwise about (cx, cy)
+const turnPoint = (p, quarterTurns, cx, cy) => {
+  const dx = p.x - cx, dy = p.y - cy;
+  switch (((quarterTurns % 4) + 4) % 4) {
+    case 1: return { x: cx - dy, y: cy + dx };
+    case 2: return { x: cx - dx, y: cy - dy };
+    case 3: return { x: cx + dy, y: cy - dx };
+    default: return { x: p.x, y: p.y };
+  }
+};
+
+const project = (p) => ({ x: (p.x - p.y) * COS_30, y: (p.x + p.y) * SIN_30 - p.z });
+
+// Standalone isometric SVG of every non-empty floor.
+// Walls and roofs (allFloorWalls, allFloorRoofs) are drawn on the floors of the pieces under them.
+// Options: quarterTurns (view rotation in 90° steps), highlightFloor (other floors are faded),
+// floorNames (labels), scale (output pixels per world unit), margin (in projected units).
+export const buildIsometricSvg = ({
+  allFloorShapes = {},
+  allFloorItems = {},
+  allFloorWalls = {},
+  allFloorRoofs = {},
+  floorNames = {},
+  quarterTurns = 0,
+  highlightFloor = null,
+  scale = 1,
+  margin = 30,
+}) => {
+  const floors = getNonEmptyFloors(allFloorShapes, allFloorItems);
+
+  // Outlines of everything, so the turn is about the centre of the whole base
+  const outlines = floors.map(floor => ({
+    floor,
+    shapes: (allFloorShapes[floor] || []).map(shape => ({ shape, points: getCollisionVertices(shape) })),
+    items: (allFloorItems[floor] || []).filter(item => BASE_ITEMS[item.itemType]).map(item => {
+      const { width, height } = getItemSize(item);
+      return {
+        item,
+        points: [
+          { x: item.x, y: item.y }, { x: item.x + width, y: item.y },
+          { x: item.x + width, y: item.y + height }, { x: item.x, y: item.y + height },
+        ],
+      };
+    }),
+    walls: (allFloorWalls[floor] || []).flatMap(getWallOutlines),
+    roofs: (allFloorRoofs[floor] || []).map(roof => ({ roof, points: getCollisionVertices(roof) })),
+  }));
+  // Bounds by loop: a large base has too many points to spread into Math.min / Math.max
+  let planMinX = Infinity, planMinY = Infinity, planMaxX = -Infinity, planMaxY = -Infinity;
+  for (const { shapes, items } of outlines) {
+    for (const entry of [...shapes, ...items]) {
+      for (const p of entry.points) {
+        planMinX = Math.min(planMinX, p.x); planMaxX = Math.max(planMaxX, p.x);
+        planMinY = Math.min(planMinY, p.y); planMaxY = Math.max(planMaxY, p.y);
+      }
+    }
+  }
+  const cx = planMinX === Infinity ? 0 : (planMinX + planMaxX) / 2;
+  const cy = planMinY === Infinity ? 0 : (planMinY + planMaxY) / 2;
+  const turn = points => points.map(p => turnPoint(p, quarterTurns, cx, cy));
+
+  const layers = outlines.map(({ floor, shapes, items, walls, roofs }) => {
+    const base = floor * FLOOR_HEIGHT;
+    const slabs = shapes.map(({ shape, points }) => {
+      const building = shape.building || 'atreides';
+      const colors = COLOR_SCHEMES[building]?.[shape.type] || COLOR_SCHEMES.atreides.square;
+      return extrudePolygon(turn(points), base - SLAB_THICKNESS, base, colors.fill);
+    });
+    const boxes = items.map(({ item, points }) => {
+      const color = ITEM_CATEGORIES[BASE_ITEMS[item.itemType].category]?.color || '#888888';
+      return extrudePolygon(turn(points), base, base + ITEM_HEIGHT, color.startsWith('#') && color.length === 7 ? color : '#888888');
+    });
+    const wallBlocks = walls.map(({ points, bottom, top, fill }) => extrudePolygon(turn(points), base + bottom, base + top, fill));
+    const roofSlabs = roofs.map(({ roof, points }) => {
+      const colors = COLOR_SCHEMES[roof.building] || COLOR_SCHEMES.atreides;
+      return extrudePolygon(turn(points), base + WALL_HEIGHT, base + FLOOR_HEIGHT, colors.square.stroke);
+    });
+    // Sides of every slab, then every top, so neighbouring slabs hide each other's inner sides; items and
+    // walls back to front; roofs last, as they sit over everything else on the floor
+    const faces = [
+      ...slabs.flatMap(s => s.sides).sort((a, b) => a.depth - b.depth),
+      ...slabs.map(s => s.top).sort((a, b) => a.depth - b.depth),
+      ...[...boxes, ...wallBlocks].sort((a, b) => a.top.depth - b.top.depth).flatMap(b => [...b.sides, b.top]),
+      ...roofSlabs.flatMap(s => s.sides).sort((a, b) => a.depth - b.depth),
+      ...roofSlabs.map(s => s.top).sort((a, b) => a.depth - b.depth),
+    ];
+    return { floor, faces };
+  });
+
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  const projectedLayers = layers.map(({ floor, faces }) => {
+    const projected = faces.map(face => ({ ...face, points: face.points.map(project) }));
+    let left = null;
+    for (const face of projected) {
+      for (const p of face.points) {
+        minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x);
+        minY = Math.min(minY, p.y); maxY = Math.max(maxY, p.y);
+        if (!left || p.x < left.x) left = p;
+      }
+    }
+    return { floor, faces: projected, labelAt: left };
+  });
+  if (minX === Infinity) {
+    minX = 0; minY = 0; maxX = 400; maxY = 300;
+  }
+  // Room for the floor labels left of the base
+  const labelWidth = 140;
+  const viewX = minX - margin - labelWidth;
+  const viewY = minY - margin;
+  const viewW = maxX - minX + margin * 2 + labelWidth;
+  const viewH = maxY - minY + margin * 2;
+  const width = Math.ceil(viewW * scale);
+  const height = Math.ceil(viewH * scale);
+
+  const body = projectedLayers.map(({ floor, faces, labelAt }) => {
+    const faded = highlightFloor !== null && floor !== highlightFloor;
+    const polygons = faces.map(face => (
+      `<polygon points="${face.points.map(p => `${Math.round(p.x * 10) / 10},${Math.round(p.y * 10) / 10}`).join(' ')}" fill="${face.fill}" stroke="#0f172a" stroke-width="0.75" stroke-linejoin="round"/>`
+    )).join('');
+    const label = labelAt
+      ? `<text x="${labelAt.x - 12}" y="${labelAt.y}" fill="${LABEL_COLOR}" font-family="sans-serif" font-size="13" text-anchor="end" dominant-baseline="middle">${escapeXml(getFloorLabel(floor, floorNames))}</text>`
+      : '';
+    return `<g${faded ? ' opacity="0.35"' : ''}>${polygons}${label}</g>`;
+  }).join('');
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${viewX} ${viewY} ${viewW} ${viewH}">` +
+    `<rect x="${viewX}" y="${viewY}" width="${viewW}" height="${viewH}" fill="${BACKGROUND}"/>` +
+    body +
+    '</svg>';
+
+  return { svg, width, height };
+};
+
@@ -0,0 +1,306 @@
+// =====================================================
+// BASE MANAGEMENT ITEMS CATALOG
+// =====================================================
+export const ITEM_CATEGORIES = {
+  generator: { label: 'Generators', color: '#eab308' },    // yellow - produces power
+  refiner: { label: 'Refiners', color: '#3b82f6' },        // blue - consumes power, produces water
+  utilities: { label: 'Utilities', color: '#a855f7' },     // purple - windtraps, deathstills
+  fabricator: { label: 'Fabricators', color: '#10b981' },  // green - consumes power
+  storage: { label: 'Storage', color: '#06b6d4' },         // cyan - stores water
+};
+
+export const BASE_ITEMS = {
+  'spice-generator': {
+    id: 'spice-generator',
+    name: 'Spice-Powered Generator',
+    category: 'generator',
+    icon: '/items/spice-generator.webp',
+    size: { width: 1, height: 1 },
+    stats: {
+      powerConsumption: 0,
+      powerGeneration: 1000,
+      waterPerMinute: 0,
+      waterStorage: 0,
+    },
+    materials: [
+      { name: 'Plastanium Ingot', amount: 430 },
+      { name: 'Silicone Block', amount: 180 },
+      { name: 'Spice Melange', amount: 270 },
+      { name: 'Complex Machinery', amount: 100 },
+      { name: 'Cobalt Paste', amount: 300 },
+      { name: 'Advanced Machinery', amount: 40 },
+    ],
+  },
+  'wind-turbine': {
+    id: 'wind-turbine',
+    name: 'Wind Turbine Directional',
+    category: 'generator',
+    icon: '/items/wind-turbine.webp',
+    size: { width: 1, height: 1 },
+    stats: {
+      powerConsumption: 0,
+      powerGeneration: 350,
+      waterPerMinute: 0,
+      waterStorage: 0,
+    },
+    materials: [
+      { name: 'Duraluminum Ingot', amount: 120 },
+      { name: 'Cobalt Paste', amount: 160 },
+      { name: 'Calibrated Servok', amount: 50 },
+      { name: 'Spice Melange', amount: 3 },
+    ],
+  },
+  'wind-turbine-omni': {
+    id: 'wind-turbine-omni',
+    name: 'Wind Turbine Omnidirectional',
+    category: 'generator',
+    icon: '/items/wind-turbine-omni.webp',
+    size: { width: 1, height: 1 },
+    stats: {
+      powerConsumption: 0,
+      powerGeneration: 150,
+      waterPerMinute: 0,
+      waterStorage: 0,
+    },
+    materials: [
+      { name: 'Steel Ingot', amount: 45 },
+      { name: 'Cobalt Paste', amount: 65 },
+      { name: 'Calibrated Servok', amount: 20 },
+    ],
+  },
+  'fuel-powered-generator': {
+    id: 'fuel-powered-generator',
+    name: 'Fuel-Powered Generator',
+    category: 'generator',
+    icon: '/items/fuel-powered-generator.webp',
+    size: { width: 1, height: 1 },
+    stats: {
+      powerConsumption: 0,
+      powerGeneration: 75,
+      waterPerMinute: 0,
+      waterStorage: 0,
+    },
+    materials: [
+      { name: 'Salvaged Metal', amount: 45 },
+    ],
+  },
+  'windtrap': {
+    id: 'windtrap',
+    name: 'Windtrap',
+    category: 'utilities',
+    icon: '/items/windtrap.webp',
+    size: { width: 1, height: 1 },
+    stats: {
+      powerConsumption: 75,
+      powerGeneration: 0,
+      waterPerMinute: 45,
+      waterStorage: 500,
+    },
+    materials: [
+      { name: 'Steel Ingot', amount: 90 },
+      { name: 'Silicone Block', amount: 30 },
+      { name: 'Calibrated Servok', amount: 2 },
+    ],
+  },
+  'large-windtrap': {
+    id: 'large-windtrap',
+    name: 'Large Windtrap',
+    category: 'utilities',
+    icon: '/items/large-windtrap.webp',
+    size: { width: 1, height: 1 },
+    stats: {
+      powerConsumption: 135,
+      powerGeneration: 0,
+      waterPerMinute: 105,
+      waterStorage: 500,
+    },
+    materials: [
+      { name: 'Duraluminum Ingot', amount: 240 },
+      { name: 'Silicone Block', amount: 250 },
+      { name: 'Calibrated Servok', amount: 70 },
+      { name: 'Spice Melange', amount: 5 },
+    ],
+  },
+  'deathstill': {
+    id: 'deathstill',
+    name: 'Fremen Deathstill',
+    category: 'utilities',
+    icon: '/items/deathstill.webp',
+    size: { width: 1, height: 1 },
+    stats: {
+      powerConsumption: 200,
+      powerGeneration: 0,
+      waterPerMinute: 416.67,
+      waterStorage: 0,
+      totalYield: 25000,
+      processingTime: 60,
+    },
+    materials: [
+      { name: 'Steel Ingot', amount: 60 },
+      { name: 'Silicone Block', amount: 28 },
+      { name: 'Complex Machinery', amount: 32 },
+    ],
+  },
+  'deathstill-advanced': {
+    id: 'deathstill-advanced',
+    name: 'Advanced Fremen Deathstill',
+    category: 'utilities',
+    icon: '/items/deathstill-advanced.webp',
+    size: { width: 1, height: 1 },
+    stats: {
+      powerConsumption: 350,
+      powerGeneration: 0,
+      waterPerMinute: 900,
+      waterStorage: 0,
+      totalYield: 45000,
+      processingTime: 50,
+    },
+    materials: [
+      { name: 'Duraluminum Ingot', amount: 240 },
+      { name: 'Silicone Block', amount: 170 },
+      { name: 'Complex Machinery', amount: 70 },
+    ],
+  },
+  'water-cistern-medium': {
+    id: 'water-cistern-medium',
+    name: 'Medium Water Cistern',
+    category: 'storage',
+    icon: '/items/water-cistern-medium.webp',
+    size: { width: 1, height: 1 },
+    stats: {
+      powerConsumption: 0,
+      powerGeneration: 0,
+      waterPerMinute: 0,
+      waterStorage: 25000,
+    },
+    materials: [
+      { name: 'Steel Ingot', amount: 60 },
+      { name: 'Silicone Block', amount: 30 },
+    ],
+  },
+  'water-cistern-large': {
+    id: 'water-cistern-large',
+    name: 'Large Water Cistern',
+    category: 'storage',
+    icon: '/items/water-cistern-large.webp',
+    size: { width: 1, height: 1 },
+    stats: {
+      powerConsumption: 0,
+      powerGeneration: 0,
+      waterPerMinute: 0,
+      waterStorage: 100000,
+    },
+    materials: [
+      { name: 'Duraluminum Ingot', amount: 150 },
+      { name: 'Silicone Block', amount: 160 },
+      { name: 'Industrial Pump', amount: 25 },
+    ],
+  },
+  'large-spice-refinery': {
+    id: 'large-spice-refinery',
+    name: 'Large Spice Refinery',
+    category: 'refiner',
+    icon: '/items/large-spice-refinery.webp',
+    size: { width: 1, height: 1 },
+    stats: {
+      powerConsumption: 500,
+      powerGeneration: 0,
+      waterPerMinute: 0,
+      waterStorage: 0,
+    },
+    materials: [
+      { name: 'Plastanium Ingot', amount: 950 },
+      { name: 'Silicone Block', amount: 1080 },
+      { name: 'Complex Machinery', amount: 350 },
+      { name: 'Spice Melange', amount: 1000 },
+      { name: 'Cobalt Paste', amount: 1110 },
+      { name: 'Advanced Machinery', amount: 55 },
+    ],
+  },
+  'large-ore-refinery': {
+    id: 'large-ore-refinery',
+    name: 'Large Ore Refinery',
+    category: 'refiner',
+    icon: '/items/large-ore-refinery.webp',
+    size: { width: 1, height: 1 },
+    stats: {
+      powerConsumption: 350,
+      powerGeneration: 0,
+      waterPerMinute: 0,
+      waterStorage: 0,
+    },
+    materials: [
+      { name: 'Plastanium Ingot', amount: 380 },
+      { name: 'Silicone Block', amount: 540 },
+      { name: 'Spice Melange', amount: 400 },
+      { name: 'Complex Machinery', amount: 200 },
+      { name: 'Cobalt Paste', amount: 745 },
+      { name: 'Advanced Machinery', amount: 40 },
+    ],
+  },
+  'medium-spice-refinery': {
+    id: 'medium-spice-refinery',
+    name: 'Medium Spice Refinery',
+    category: 'refiner',
+    icon: '/items/medium-spice-refinery.webp',
+    size: { width: 1, height: 1 },
+    stats: {
+      powerConsumption: 350,
+      powerGeneration: 0,
+      waterPerMinute: 0,
+      waterStorage: 0,
+    },
+    materials: [
+      { name: 'Plastanium Ingot', amount: 285 },
+      { name: 'Silicone Block', amount: 225 },
+      { name: 'Spice Melange', amount: 135 },
+      { name: 'Complex Machinery', amount: 100 },
+      { name: 'Cobalt Paste', amount: 190 },
+    ],
+  },
+  'medium-ore-refinery': {
+    id: 'medium-ore-refinery',
+    name: 'Medium Ore Refinery',
+    category: 'refiner',
+    icon: '/items/medium-ore-refinery.webp',
+    size: { width: 1, height: 1 },
+    stats: {
+      powerConsumption: 45,
+      powerGeneration: 0,
+      waterPerMinute: 0,
+      waterStorage: 0,
+    },
+    materials: [
+      { name: 'Steel Ingot', amount: 125 },
+      { name: 'Cobalt Paste', amount: 60 },
+      { name: 'Complex Machinery', amount: 50 },
+    ],
+  },
+  'medium-chemical-refinery': {
+    id: 'medium-chemical-refinery',
+    name: 'Medium Chemical Refinery',
+    category: 'refiner',
+    icon: '/items/medium-chemical-refinery.webp',
+    size: { width: 1, height: 1 },
+    stats: {
+      powerConsumption: 350,
+      powerGeneration: 0,
+      waterPerMinute: 0,
+      waterStorage: 0,
+    },
+    materials: [
+      { name: 'Duraluminum Ingot', amount: 150 },
+      { name: 'Silicone Block', amount: 90 },
+      { name: 'Complex Machinery', amount: 50 },
+      { name: 'Spice Melange', amount: 35 },
+    ],
+  },
+};
+
+export const ITEM_GRID_SIZE = 50; // Size of one item grid unit in pixels
+
+// World size of a placed item (unknown item types take one grid unit)
+export const getItemSize = (item) => {
+  const size = BASE_ITEMS[item.itemType]?.size;
+  return { width: (size?.width || 1) * ITEM_GRID_SIZE, height: (size?.height || 1) * ITEM_GRID_SIZE };
+};
@@ -0,0 +1,101 @@
+import { PIECE_COSTS, FIEF_DEFAULTS } from './constants.js';
+import { BASE_ITEMS } from './items.js';
+
+// =====================================================
+// BILL OF MATERIALS (pure helpers shared by the footer, print sheet and exports)
+// =====================================================
+
+// Piece counts by type for a list of shapes
+export const countPieces = (shapes) => {
+  const counts = { square: 0, triangle: 0, corner: 0, stair: 0, total: shapes.length };
+  for (const shape of shapes) {
+    if (counts[shape.type] !== undefined) counts[shape.type]++;
+  }
+  return counts;
+};
+
+// Materials for one piece of a building style: { [material]: amount }. pieceType is a shape type,
+// a wall type or 'roof'.
+export const getPieceCost = (building, pieceType) => (PIECE_COSTS[building] || PIECE_COSTS.atreides)[pieceType] || {};
+
+// Building material cost per material type, based on each shape's, wall's and roof's own building style
+export const getBuildingCosts = (shapes, walls = [], roofs = []) => {
+  const acc = {};
+  const add = (building, pieceType) => {
+    for (const [material, amount] of Object.entries(getPieceCost(building, pieceType))) {
+      acc[material] = (acc[material] || 0) + amount;
+    }
+  };
+  shapes.forEach(shape => add(shape.building, shape.type));
+  walls.forEach(wall => add(wall.building, wall.type));
+  roofs.forEach(roof => add(roof.building, 'roof'));
+  return acc;
+};
+
+// "1,234 plastone + 56 granite", or "0" when nothing is built
+export const formatBuildingCosts = (costs) => {
+  const parts = Object.entries(costs).filter(([, amount]) => amount > 0).map(([material, amount]) => `${amount.toLocaleString()} ${material}`);
+  return parts.length > 0 ? parts.join(' + ') : '0';
+};
+
+// Crafting materials for placed items as [name, amount] pairs, largest first
+export const getItemMaterialTotals = (items) => {
+  const totals = {};
+  items.forEach(placedItem => {
+    const itemDef = BASE_ITEMS[placedItem.itemType];
+    if (!itemDef || !itemDef.materials) return;
+
+    itemDef.materials.forEach(mat => {
+      totals[mat.name] = (totals[mat.name] || 0) + mat.amount;
+    });
+  });
+  // Sort by amount descending
+  return Object.entries(totals).sort((a, b) => b[1] - a[1]);
+};
+
+// Power and water totals for placed items; an active fief adds its own power draw
+export const getResourceTotals = (items, { fiefMode = false, fiefType = 'standard' } = {}) => {
+  const totals = items.reduce((totals, placedItem) => {
+    const itemDef = BASE_ITEMS[placedItem.itemType];
+    if (!itemDef) return totals;
+
+    totals.powerGenerated += itemDef.stats.powerGeneration || 0;
+    totals.powerConsumed += itemDef.stats.powerConsumption || 0;
+    totals.waterPerMinute += itemDef.stats.waterPerMinute || 0;
+    totals.waterStorage += itemDef.stats.waterStorage || 0;
+    return totals;
+  }, {
+    powerGenerated: 0,
+    powerConsumed: 0,
+    waterPerMinute: 0,
+    waterStorage: 0,
+  });
+
+  if (fiefMode) {
+    totals.powerConsumed += FIEF_DEFAULTS[fiefType]?.power || 0;
+  }
+
+  return totals;
+};
+
+// Placed item counts as [itemType, count] pairs, most common first
+export const countItems = (items) => {
+  const counts = {};
+  for (const item of items) {
+    if (!BASE_ITEMS[item.itemType]) continue;
+    counts[item.itemType] = (counts[item.itemType] || 0) + 1;
+  }
+  return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+};
+
+// Floors that have shapes or items, lowest first
+export const getNonEmptyFloors = (allFloorShapes, allFloorItems) => {
+  const floors = new Set();
+  for (const [floor, floorShapes] of Object.entries(allFloorShapes || {})) {
+    if (floorShapes.length > 0) floors.add(Number(floor));
+  }
+  for (const [floor, floorItems] of Object.entries(allFloorItems || {})) {
+    if (floorItems.length > 0) floors.add(Number(floor));
+  }
+  return [...floors].sort((a, b) => a - b);
+};
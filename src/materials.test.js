@@ -0,0 +1,54 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { getPieceCost, getBuildingCosts, formatBuildingCosts } from './materials.js';
+import { PIECE_COSTS } from './constants.js';
+
+const piece = (type, building = 'atreides') => ({ type, building });
+
+describe('getPieceCost', () => {
+  it('costs each piece type separately within a style', () => {
+    expect(getPieceCost('atreides', 'square')).toEqual({ plastone: 18 });
+    expect(getPieceCost('atreides', 'triangle')).toEqual({ plastone: 9 });
+    expect(getPieceCost('atreides', 'corner')).toEqual({ plastone: 14 });
+    expect(getPieceCost('choamShelter', 'triangle')).toEqual({ granite: 6 });
+    expect(getPieceCost('choamFacility', 'corner')).toEqual({ granite: 12 });
+  });
+
+  it('falls back to Atreides for an unknown style and to nothing for an unknown piece', () => {
+    expect(getPieceCost('unknown', 'triangle')).toEqual({ plastone: 9 });
+    expect(getPieceCost('atreides', 'unknown')).toEqual({});
+  });
+});
+
+describe('getBuildingCosts', () => {
+  it('totals a triangle-heavy base by piece type', () => {
+    const shapes = [piece('square'), ...Array.from({ length: 6 }, () => piece('triangle'))];
+    expect(getBuildingCosts(shapes)).toEqual({ plastone: 18 + 6 * 9 });
+  });
+
+  it('totals corners by style', () => {
+    const shapes = [piece('corner'), piece('corner', 'harkonnen'), piece('corner', 'choamShelter'), piece('corner', 'choamFacility')];
+    expect(getBuildingCosts(shapes)).toEqual({ plastone: 14 + 14, granite: 9 + 12 });
+  });
+
+  it('adds walls by wall type and roofs', () => {
+    const walls = [{ type: 'wall', building: 'atreides' }, { type: 'door', building: 'choamShelter' }];
+    const roofs = [{ building: 'choamFacility' }];
+    expect(getBuildingCosts([piece('stair')], walls, roofs)).toEqual({ plastone: 27 + 18, granite: 9 + 15 });
+  });
+
+  it('formats every material in the totals', () => {
+    expect(formatBuildingCosts({ plastone: 1234, granite: 56 })).toBe('1,234 plastone + 56 granite');
+    expect(formatBuildingCosts({})).toBe('0');
+  });
+});
+
+describe('pieces made of several materials', () => {
+  const original = PIECE_COSTS.atreides.stair;
+  beforeEach(() => { PIECE_COSTS.atreides.stair = { plastone: 20, steel: 4 }; });
+  afterEach(() => { PIECE_COSTS.atreides.stair = original; });
+
+  it('adds up every material a piece uses', () => {
+    expect(getPieceCost('atreides', 'stair')).toEqual({ plastone: 20, steel: 4 });
+    expect(getBuildingCosts([piece('stair'), piece('stair'), piece('square')])).toEqual({ plastone: 58, steel: 8 });
+  });
+});
@@ -0,0 +1,162 @@
+import { FIEF_DEFAULTS } from './constants.js';
+
+// =====================================================
+// PROJECT FILES (.json export / import)
+// =====================================================
+// A project file carries the full planner state plus the saved pattern library, with none of the
+// share link's URL length limits:
+//   { format: PROJECT_FILE_FORMAT, version, name, exportedAt, state, savedPatterns }
+// `state` has the same shape as getSaveState() / library projects; `savedPatterns` is the pattern library.
+export const PROJECT_FILE_FORMAT = 'dune-base-planner-project';
+export const PROJECT_FILE_VERSION = 1;
+
+const SHAPE_TYPES = ['square', 'triangle', 'corner', 'stair'];
+const BUILDINGS = ['atreides', 'harkonnen', 'choamShelter', 'choamFacility'];
+const MOUSE_ACTIONS = ['square', 'triangle', 'corner', 'delete', 'stair'];
+const DIRECTIONS = ['top', 'bottom', 'left', 'right'];
+const WALL_TYPES = ['wall', 'door', 'window'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isPoint = (value) => isPlainObject(value) && isFiniteNumber(value.x) && isFiniteNumber(value.y);
+
+export const serializeProjectFile = ({ name, state, savedPatterns }) => JSON.stringify({
+  format: PROJECT_FILE_FORMAT,
+  version: PROJECT_FILE_VERSION,
+  name,
+  exportedAt: new Date().toISOString(),
+  state,
+  savedPatterns,
+}, null, 2);
+
+// File name for a project download, e.g. "Sietch Tabr" -> "sietch-tabr.json"
+export const projectFileName = (name, extension = 'json') => `${(name || 'dune-base').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'dune-base'}.${extension}`;
+
+// Each check throws an Error naming the first offending field, so the user knows what is wrong with the file
+// Selection, hit tests, the spatial index and wall pruning all look entries up by id, so every entry
+// needs a numeric id that no other entry of its kind uses, on any floor
+const validateId = (entry, path, seenIds) => {
+  if (!isFiniteNumber(entry.id)) throw new Error(`${path} needs a numeric id`);
+  if (seenIds.has(entry.id)) throw new Error(`${path} reuses id ${entry.id}`);
+  seenIds.add(entry.id);
+};
+
+const validateFloors = (floors, field, validateEntry) => {
+  if (!isPlainObject(floors)) throw new Error(`"${field}" must be an object keyed by floor number`);
+  const seenIds = new Set();
+  for (const [floor, entries] of Object.entries(floors)) {
+    if (!/^\d+$/.test(floor)) throw new Error(`"${field}" has an invalid floor "${floor}"`);
+    if (!Array.isArray(entries)) throw new Error(`"${field}.${floor}" must be a list`);
+    entries.forEach((entry, i) => {
+      validateEntry(entry, `${field}.${floor}[${i}]`);
+      validateId(entry, `${field}.${floor}[${i}]`, seenIds);
+    });
+  }
+};
+
+const validateShape = (shape, path) => {
+  if (!isPlainObject(shape)) throw new Error(`${path} is not a shape`);
+  if (!SHAPE_TYPES.includes(shape.type)) throw new Error(`${path} has unknown type "${shape.type}"`);
+  if (shape.building !== undefined && !BUILDINGS.includes(shape.building)) {
+    throw new Error(`${path} has unknown building "${shape.building}"`);
+  }
+  if (!isFiniteNumber(shape.x) || !isFiniteNumber(shape.y) || !isFiniteNumber(shape.rotation)) {
+    throw new Error(`${path} needs numeric x, y and rotation`);
+  }
+  if (shape._verts != null) {
+    const expected = shape.type === 'square' || shape.type === 'stair' ? 4 : 3;
+    if (!Array.isArray(shape._verts) || shape._verts.length !== expected || !shape._verts.every(isPoint)) {
+      throw new Error(`${path} has malformed vertices`);
+    }
+  }
+};
+
+const validateItem = (item, path) => {
+  if (!isPlainObject(item) || typeof item.itemType !== 'string') throw new Error(`${path} is not an item`);
+  if (!isFiniteNumber(item.x) || !isFiniteNumber(item.y)) throw new Error(`${path} needs numeric x and y`);
+};
+
+const validateWall = (wall, path) => {
+  if (!isPlainObject(wall) || !WALL_TYPES.includes(wall.type)) throw new Error(`${path} is not a wall`);
+  if (wall.building !== undefined && !BUILDINGS.includes(wall.building)) {
+    throw new Error(`${path} has unknown building "${wall.building}"`);
+  }
+  if (![wall.x1, wall.y1, wall.x2, wall.y2].every(isFiniteNumber)) throw new Error(`${path} needs numeric x1, y1, x2 and y2`);
+};
+
+const validateState = (state) => {
+  if (!isPlainObject(state)) throw new Error('"state" is missing');
+  validateFloors(state.allFloorShapes ?? {}, 'allFloorShapes', validateShape);
+  validateFloors(state.allFloorItems ?? {}, 'allFloorItems', validateItem);
+  validateFloors(state.allFloorWalls ?? {}, 'allFloorWalls', validateWall);
+  validateFloors(state.allFloorRoofs ?? {}, 'allFloorRoofs', validateShape);
+  if (state.floorNames !== undefined) {
+    if (!isPlainObject(state.floorNames)) throw new Error('"floorNames" must be an object keyed by floor number');
+    for (const [floor, name] of Object.entries(state.floorNames)) {
+      if (!/^\d+$/.test(floor) || typeof name !== 'string') throw new Error(`"floorNames" has an invalid entry for floor "${floor}"`);
+    }
+  }
+  if (state.buildingType !== undefined && !BUILDINGS.includes(state.buildingType)) {
+    throw new Error(`Unknown building type "${state.buildingType}"`);
+  }
+  for (const key of ['leftClickShape', 'rightClickShape', 'middleClickAction']) {
+    if (state[key] !== undefined && !MOUSE_ACTIONS.includes(state[key])) throw new Error(`"${key}" has unknown value "${state[key]}"`);
+  }
+  if (state.fiefType !== undefined && !FIEF_DEFAULTS[state.fiefType]) throw new Error(`Unknown fief type "${state.fiefType}"`);
+  if (state.fiefPosition != null && !isPoint(state.fiefPosition)) throw new Error('"fiefPosition" must have numeric x and y');
+  for (const key of ['currentFloor', 'fiefWidth', 'fiefHeight', 'fiefPadding', 'stakesInventory']) {
+    if (state[key] !== undefined && !isFiniteNumber(state[key])) throw new Error(`"${key}" must be a number`);
+  }
+  if (state.claimedAreas !== undefined) {
+    if (!Array.isArray(state.claimedAreas)) throw new Error('"claimedAreas" must be a list');
+    // Claims are laid out in order, so a claim can only extend the main fief or an earlier claim
+    const seenIds = new Set();
+    state.claimedAreas.forEach((area, i) => {
+      if (!isPlainObject(area) || !DIRECTIONS.includes(area.direction) || area.parentId === undefined) {
+        throw new Error(`claimedAreas[${i}] is malformed`);
+      }
+      if (area.parentId !== 'main' && !seenIds.has(area.parentId)) {
+        throw new Error(`claimedAreas[${i}] extends claim ${area.parentId}, which does not come before it`);
+      }
+      validateId(area, `claimedAreas[${i}]`, seenIds);
+    });
+  }
+};
+
+const validatePatterns = (patterns) => {
+  if (!Array.isArray(patterns)) throw new Error('"savedPatterns" must be a list');
+  patterns.forEach((pattern, i) => {
+    if (!isPlainObject(pattern) || typeof pattern.name !== 'string' || !Array.isArray(pattern.shapes)) {
+      throw new Error(`savedPatterns[${i}] is malformed`);
+    }
+    pattern.shapes.forEach((ps, j) => {
+      if (!isPlainObject(ps) || !SHAPE_TYPES.includes(ps.type) || !isFiniteNumber(ps.relX) || !isFiniteNumber(ps.relY)) {
+        throw new Error(`savedPatterns[${i}].shapes[${j}] is malformed`);
+      }
+    });
+  });
+};
+
+// Parse and validate the text of a project file. Returns { name, state, savedPatterns }.
+export const parseProjectFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+  if (!isPlainObject(data) || data.format !== PROJECT_FILE_FORMAT) {
+    throw new Error('File is not a Dune base planner project');
+  }
+  if (!Number.isInteger(data.version) || data.version > PROJECT_FILE_VERSION) {
+    throw new Error(`Project file version ${data.version} is not supported by this planner; reload the page to update`);
+  }
+  validateState(data.state);
+  validatePatterns(data.savedPatterns ?? []);
+
+  return {
+    name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Imported base',
+    state: data.state,
+    savedPatterns: data.savedPatterns ?? [],
+  };
+};
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { serializeProjectFile, parseProjectFile } from './projectFile.js';
+
+const shape = (id, x = 0) => ({ id, type: 'square', x, y: 0, rotation: 0, building: 'atreides' });
+
+const validState = () => ({
+  allFloorShapes: { 0: [shape(1), shape(2, 50)], 1: [shape(3)] },
+  allFloorItems: { 0: [{ id: 1, itemType: 'windTrap', x: 0, y: 0 }] },
+  allFloorWalls: { 0: [{ id: 4, type: 'wall', building: 'atreides', x1: 0, y1: 0, x2: 50, y2: 0 }] },
+  allFloorRoofs: {},
+  claimedAreas: [
+    { id: 10, direction: 'top', parentId: 'main' },
+    { id: 11, direction: 'left', parentId: 10 },
+  ],
+});
+
+const fileWith = (changes) => serializeProjectFile({ name: 'Test base', state: { ...validState(), ...changes }, savedPatterns: [] });
+
+describe('parseProjectFile', () => {
+  it('accepts a valid project, where different kinds of entries may share an id', () => {
+    const { name, state } = parseProjectFile(fileWith({}));
+    expect(name).toBe('Test base');
+    expect(state).toEqual(validState());
+  });
+
+  it('rejects entries without an id', () => {
+    const { id: _id, ...noId } = shape(5);
+    expect(() => parseProjectFile(fileWith({ allFloorShapes: { 0: [noId] } }))).toThrow('allFloorShapes.0[0] needs a numeric id');
+    expect(() => parseProjectFile(fileWith({ allFloorItems: { 0: [{ itemType: 'windTrap', x: 0, y: 0 }] } })))
+      .toThrow('allFloorItems.0[0] needs a numeric id');
+  });
+
+  it('rejects ids used twice on one floor or across floors', () => {
+    expect(() => parseProjectFile(fileWith({ allFloorShapes: { 0: [shape(1), shape(1, 50)] } }))).toThrow('allFloorShapes.0[1] reuses id 1');
+    expect(() => parseProjectFile(fileWith({ allFloorShapes: { 0: [shape(1)], 2: [shape(1)] } }))).toThrow('allFloorShapes.2[0] reuses id 1');
+  });
+
+  it('rejects duplicate claim ids', () => {
+    const claimedAreas = [
+      { id: 10, direction: 'top', parentId: 'main' },
+      { id: 10, direction: 'left', parentId: 'main' },
+    ];
+    expect(() => parseProjectFile(fileWith({ claimedAreas }))).toThrow('claimedAreas[1] reuses id 10');
+  });
+
+  it('rejects claims extending a claim that is missing or comes later', () => {
+    expect(() => parseProjectFile(fileWith({ claimedAreas: [{ id: 10, direction: 'top', parentId: 99 }] })))
+      .toThrow('claimedAreas[0] extends claim 99');
+    const claimedAreas = [
+      { id: 11, direction: 'left', parentId: 10 },
+      { id: 10, direction: 'top', parentId: 'main' },
+    ];
+    expect(() => parseProjectFile(fileWith({ claimedAreas }))).toThrow('claimedAreas[0] extends claim 10');
+  });
+
+  it('rejects files that are not projects', () => {
+    expect(() => parseProjectFile('{')).toThrow('File is not valid JSON');
+    expect(() => parseProjectFile('{}')).toThrow('File is not a Dune base planner project');
+  });
+});
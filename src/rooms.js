@@ -0,0 +1,164 @@
+import { CELL_SIZE } from './constants.js';
+import { describeShapeGeometry, findShapeAtPoint, getCollisionVertices, getShapeEdges, getShapeVertices } from './geometry.js';
+import { createSpatialIndex, syncSpatialIndex } from './spatialIndex.js';
+import { getEdgeKey, getWallKey } from './walls.js';
+
+// =====================================================
+// ROOFS AND ENCLOSED ROOMS (shelter from sandstorms)
+// =====================================================
+// A roof covers one foundation piece and is stored like a piece of its own: same type and vertices,
+// with the roof's building style. Like walls, roofs move, mirror and get copied along with the piece
+// under them, and go away when that piece is deleted.
+//
+// A room is a set of pieces on one floor joined through edges without a wall, doorway or window on
+// them. It is enclosed when every outside edge carries one of those and every piece has a ceiling:
+// its own roof or a piece of the floor above over its middle. Doorways and windows count as closed,
+// since doors and glass are fitted into them, and a corner's curved side cannot carry a wall and
+// counts as closed. ENCLOSED_RULE says this to users.
+
+export const ROOM_SHADE_COLOR = '#38bdf8';
+
+export const ENCLOSED_RULE = 'Enclosed: every outside edge has a wall, doorway or window (openings count as closed, '
+  + "like a corner's curved side) and every piece is roofed or under the floor above";
+
+const roundCoord = (value) => Math.round(value * 10) / 10;
+
+// Room areas are in cells: one square foundation is 1
+export const formatRoomArea = (area) => `${Math.round(area * 10) / 10} cell${area === 1 ? '' : 's'}`;
+
+// Identifies a footprint regardless of vertex order
+export const getFootprintKey = (shape) => `${shape.type}:${(shape._verts || getShapeVertices(shape))
+  .map(v => `${roundCoord(v.x)},${roundCoord(v.y)}`)
+  .sort()
+  .join('|')}`;
+
+// Roofs left after deleting pieces: a roof over a deleted piece goes, unless a remaining piece of the
+// floor has the same footprint (the same list when none were lost)
+export const pruneRoofs = (roofs, shapes, deletedShapes) => {
+  if (roofs.length === 0 || deletedShapes.length === 0) return roofs;
+  const deletedKeys = new Set(deletedShapes.map(getFootprintKey));
+  const keptKeys = new Set(shapes.map(getFootprintKey));
+  const kept = roofs.filter(roof => !deletedKeys.has(getFootprintKey(roof)) || keptKeys.has(getFootprintKey(roof)));
+  return kept.length === roofs.length ? roofs : kept;
+};
+
+export const findRoofOverShape = (roofs, shape) => {
+  const key = getFootprintKey(shape);
+  return roofs.find(roof => getFootprintKey(roof) === key) || null;
+};
+
+// A roof of the given style fitted over a piece
+export const buildRoofOverShape = (shape, building, id) => ({
+  id,
+  type: shape.type,
+  x: shape.x,
+  y: shape.y,
+  rotation: shape.rotation,
+  building,
+  _verts: (shape._verts || getShapeVertices(shape)).map(v => ({ ...v })),
+});
+
+// Clicking a piece: roofs it, swaps a roof of another style for this one, or removes the same roof
+export const toggleRoofOverShape = (roofs, shape, building, id) => {
+  const existing = findRoofOverShape(roofs, shape);
+  if (existing && existing.building === building) {
+    return roofs.filter(roof => roof !== existing);
+  }
+  const roof = buildRoofOverShape(shape, building, existing ? existing.id : id);
+  return existing ? roofs.map(other => (other === existing ? roof : other)) : [...roofs, roof];
+};
+
+// Roofs refitted over pieces that moved: moves are [{ from, to }], a piece before and after
+// (the same list when no roof moved)
+export const moveRoofsWithShapes = (roofs, moves) => {
+  if (roofs.length === 0 || moves.length === 0) return roofs;
+  const targets = new Map(moves.map(({ from, to }) => [getFootprintKey(from), to]));
+  let moved = false;
+  const next = roofs.map(roof => {
+    const to = targets.get(getFootprintKey(roof));
+    if (!to) return roof;
+    moved = true;
+    return buildRoofOverShape(to, roof.building, roof.id);
+  });
+  return moved ? next : roofs;
+};
+
+const polygonArea = (points) => Math.abs(points.reduce((sum, p, i) => {
+  const q = points[(i + 1) % points.length];
+  return sum + (p.x * q.y - q.x * p.y);
+}, 0)) / 2;
+
+const polygonCentre = (points) => ({
+  x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+  y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+});
+
+// Rooms of one floor, largest first:
+//   [{ shapes, area (in cells), centre, enclosed, openEdges: [{ v1, v2 }], uncovered: shape[] }]
+export const findRooms = (shapes, walls = [], roofs = [], aboveShapes = []) => {
+  if (shapes.length === 0) return [];
+  const wallKeys = new Set(walls.map(getWallKey));
+  const roofKeys = new Set(roofs.map(getFootprintKey));
+  const aboveIndex = syncSpatialIndex(createSpatialIndex(), aboveShapes, describeShapeGeometry);
+
+  // Straight edges by key, with the pieces that share them
+  const edges = new Map();
+  shapes.forEach((shape, i) => {
+    for (const edge of getShapeEdges(shape)) {
+      const key = getEdgeKey(edge.v1.x, edge.v1.y, edge.v2.x, edge.v2.y);
+      if (!edges.has(key)) edges.set(key, { v1: edge.v1, v2: edge.v2, owners: [] });
+      edges.get(key).owners.push(i);
+    }
+  });
+
+  // Pieces meeting along an edge without a wall are one room
+  const parent = shapes.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (const [key, edge] of edges) {
+    if (wallKeys.has(key)) continue;
+    for (const other of edge.owners.slice(1)) parent[find(other)] = find(edge.owners[0]);
+  }
+
+  const rooms = new Map();
+  shapes.forEach((shape, i) => {
+    const root = find(i);
+    if (!rooms.has(root)) rooms.set(root, { shapes: [], area: 0, weighted: { x: 0, y: 0 }, openEdges: [], uncovered: [] });
+    const room = rooms.get(root);
+    const polygon = getCollisionVertices(shape);
+    const area = polygonArea(polygon);
+    const centre = polygonCentre(polygon);
+    room.shapes.push(shape);
+    room.area += area;
+    room.weighted.x += centre.x * area;
+    room.weighted.y += centre.y * area;
+    if (!roofKeys.has(getFootprintKey(shape)) && !findShapeAtPoint(aboveIndex, centre.x, centre.y)) {
+      room.uncovered.push(shape);
+    }
+  });
+
+  // An edge of a single piece opens its room to the outside unless something stands on it
+  for (const [key, edge] of edges) {
+    if (edge.owners.length === 1 && !wallKeys.has(key)) {
+      rooms.get(find(edge.owners[0])).openEdges.push({ v1: edge.v1, v2: edge.v2 });
+    }
+  }
+
+  return [...rooms.values()]
+    .map(({ weighted, area, ...room }) => ({
+      ...room,
+      area: area / (CELL_SIZE * CELL_SIZE),
+      centre: { x: weighted.x / (area || 1), y: weighted.y / (area || 1) },
+      enclosed: room.openEdges.length === 0 && room.uncovered.length === 0,
+    }))
+    .sort((a, b) => b.area - a.area);
+};
+
+// Rooms of every floor with pieces: [{ floor, rooms }], lowest floor first
+export const getRoomReport = (allFloorShapes, allFloorWalls = {}, allFloorRoofs = {}) => Object.keys(allFloorShapes || {})
+  .map(Number)
+  .sort((a, b) => a - b)
+  .filter(floor => (allFloorShapes[floor] || []).length > 0)
+  .map(floor => ({
+    floor,
+    rooms: findRooms(allFloorShapes[floor], allFloorWalls[floor] || [], allFloorRoofs[floor] || [], allFloorShapes[floor + 1] || []),
+  }));
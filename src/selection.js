@@ -0,0 +1,95 @@
+import { getItemSize } from './items.js';
+import { queryShapes } from './spatialIndex.js';
+import { getShapeVertices, rotateVerticesAroundPoint } from './geometry.js';
+
+// =====================================================
+// LOCK MODE SELECTION (marquee / shift-click multi-select of shapes and items)
+// =====================================================
+// A selection is a list of shape ids plus a list of item ids on the current floor. Items are
+// axis-aligned rectangles anchored at their top-left corner, so they move with the selection and
+// orbit its centre when it is rotated, but never rotate themselves.
+
+const getItemCentre = (item) => {
+  const { width, height } = getItemSize(item);
+  return { x: item.x + width / 2, y: item.y + height / 2 };
+};
+
+const getVertsCentre = (verts) => ({
+  x: verts.reduce((sum, v) => sum + v.x, 0) / verts.length,
+  y: verts.reduce((sum, v) => sum + v.y, 0) / verts.length,
+});
+
+// Rotation / paste centre: the average shape vertex (like a lone group), or the item centres when
+// only items are selected
+export const getSelectionCentre = (shapes, items) => {
+  const shapeVerts = shapes.flatMap(shape => shape._verts || getShapeVertices(shape));
+  if (shapeVerts.length > 0) return getVertsCentre(shapeVerts);
+  if (items.length > 0) return getVertsCentre(items.map(getItemCentre));
+  return { x: 0, y: 0 };
+};
+
+// Normalized bounds of a marquee dragged from start to end
+export const getMarqueeBounds = (start, end) => ({
+  minX: Math.min(start.x, end.x),
+  minY: Math.min(start.y, end.y),
+  maxX: Math.max(start.x, end.x),
+  maxY: Math.max(start.y, end.y),
+});
+
+const containsPoint = (bounds, p) => p.x >= bounds.minX && p.x <= bounds.maxX && p.y >= bounds.minY && p.y <= bounds.maxY;
+
+// Shapes and items whose centre lies inside the bounds, so a box can take half of a building
+// without also grabbing every neighbour it grazes
+export const selectInBounds = (index, items, bounds) => ({
+  shapeIds: queryShapes(index, bounds)
+    .filter(entry => containsPoint(bounds, getVertsCentre(entry.shape._verts || entry.polygon)))
+    .map(entry => entry.shape.id),
+  itemIds: items.filter(item => containsPoint(bounds, getItemCentre(item))).map(item => item.id),
+});
+
+// Topmost (last placed) item under a point
+export const findItemAtPoint = (items, px, py) => {
+  for (let i = items.length - 1; i >= 0; i--) {
+    const item = items[i];
+    const { width, height } = getItemSize(item);
+    if (px >= item.x && px <= item.x + width && py >= item.y && py <= item.y + height) return item;
+  }
+  return null;
+};
+
+// Add or remove one id, keeping the rest of the list in order
+export const toggleId = (ids, id) => (ids.includes(id) ? ids.filter(other => other !== id) : [...ids, id]);
+
+export const mergeIds = (ids, moreIds) => [...ids, ...moreIds.filter(id => !ids.includes(id))];
+
+export const translateItems = (items, dx, dy) => items.map(item => ({ ...item, x: item.x + dx, y: item.y + dy }));
+
+// Move item centres around (cx, cy); the item footprints stay axis-aligned
+export const rotateItemsAroundPoint = (items, cx, cy, angleDeg) => items.map(item => {
+  const { width, height } = getItemSize(item);
+  const [centre] = rotateVerticesAroundPoint([getItemCentre(item)], cx, cy, angleDeg);
+  return { ...item, x: centre.x - width / 2, y: centre.y - height / 2 };
+});
+
+// Mirror item footprints across a line through (cx, cy) ('horizontal' flips left-right)
+export const mirrorItems = (items, direction, cx, cy) => items.map(item => {
+  const { width, height } = getItemSize(item);
+  return direction === 'horizontal'
+    ? { ...item, x: 2 * cx - item.x - width }
+    : { ...item, y: 2 * cy - item.y - height };
+});
+
+const itemsOverlap = (a, b) => {
+  const sizeA = getItemSize(a), sizeB = getItemSize(b);
+  return a.x < b.x + sizeB.width && a.x + sizeA.width > b.x && a.y < b.y + sizeB.height && a.y + sizeA.height > b.y;
+};
+
+// Whether moved items land clear of every item that is not moving (and of each other)
+export const doItemsFit = (movedItems, allItems) => {
+  const movingIds = new Set(movedItems.map(item => item.id));
+  const others = allItems.filter(item => !movingIds.has(item.id));
+  return movedItems.every((item, i) => (
+    !others.some(other => itemsOverlap(item, other)) &&
+    !movedItems.slice(i + 1).some(other => itemsOverlap(item, other))
+  ));
+};
@@ -0,0 +1,413 @@
+import LZString from 'lz-string';
+import { FIEF_DEFAULTS, MAX_STAKES } from './constants.js';
+import { getShapeVertices, verticesToShape } from './geometry.js';
+
+// =====================================================
+// SHARE LINK FORMAT
+// =====================================================
+// A share link is `?d=<payload>`, where payload is LZString.compressToEncodedURIComponent(JSON).
+// Every link written today carries `v: SHARE_FORMAT_VERSION`; links without `v` predate versioning
+// and are upgraded by the migrations below before decoding, so every historical link still opens.
+//
+// Version 4 (current). Optional keys are omitted when they hold the default shown in brackets.
+//   v   format version (number, required)
+//   fs  { [floor]: shape[] }  shape = [typeCode, buildingCode, x1, y1, x2, y2, ...] (integer world coords)
+//         typeCode: 0=square 1=triangle 2=corner 3=stair
+//         buildingCode: 0=atreides 1=harkonnen 2=choamShelter 3=choamFacility
+//         vertex order is the shape's _verts order (corners: corner vertex, edge 1 end, edge 2 end)
+//         stairs climb away from their first edge, so the order also carries a stair's up-direction
+//   fi  { [floor]: item[] }   item = [itemType, x, y]
+//   rf  { [floor]: roof[] }   roof = shape encoding of the piece it covers, with the roof's building code [none]
+//   w   { [floor]: wall[] }   wall = [wallTypeCode, buildingCode, x1, y1, x2, y2] (the edge it stands on) [none]
+//         wallTypeCode: 0=wall 1=door 2=window
+//   fn  { [floor]: name } for named floors [none]
+//   cf  current floor [0]
+//   b   building type code of the palette [0]
+//   l, r, m  left/right/middle mouse action: 0=square 1=triangle 2=corner 3=delete 4=stair [0, 1, 3]
+//   fm  1 when fief mode is on; fx, fy fief position; ft 1 for advanced fief [standard]
+//   fw, fh  fief size in cells [FIEF_DEFAULTS]; fp fief padding percent [0]
+//   si  stakes left in inventory [MAX_STAKES]
+//   ca  claimed areas: [directionCode, parent] with directionCode 0=top 1=bottom 2=left 3=right,
+//       parent 0 for the main fief, otherwise 1 + the index in `ca` of the claim it extends
+//       (parents always come before their children)
+//   g   1 when grid snap is on [off]
+//
+// Version 3 was version 4 without roofs (rf), and version 2 was version 3 without walls (w).
+//
+// Version 1 (no `v` key) had two layouts, told apart by which keys are present:
+//   single floor  s: shape[], pi: item[]
+//   multi floor   fs / fi as above, cf
+// and two shape encodings, told apart by whether the first shape is an array:
+//   ultra-compact [typeCode, buildingCode?, x1, y1, ...] where the building code was added later
+//   compact       { t: 's'|'t'|'c'|'st', v: [x1, y1, ...], b?: code or 'a'|'h'|'cs'|'cf' }
+// Top-level b, l and r were numeric codes or the character codes above; ft was 1 or 'a';
+// ca entries were arrays or { d: 't'|'b'|'l'|'r', p: 'm' | parentId }, where parentId was the runtime
+// id of the parent claim. Version 1 links did not carry the claims' own ids, so claims extending
+// other claims cannot be placed again: they are dropped and their stakes go back to the inventory.
+//
+// Version 0 (no `v` key, long key names) stored React state directly: shapes, placedItems,
+// buildingType, leftClickShape, rightClickShape, middleClickAction, fiefMode, fiefType,
+// fiefWidth, fiefHeight, fiefPadding, stakesInventory, claimedAreas. Claims kept their own ids,
+// so their parentIds can be turned into positions and chained claims survive.
+export const SHARE_FORMAT_VERSION = 4;
+
+const SHAPE_TYPES = ['square', 'triangle', 'corner', 'stair'];
+const BUILDINGS = ['atreides', 'harkonnen', 'choamShelter', 'choamFacility'];
+const MOUSE_ACTIONS = ['square', 'triangle', 'corner', 'delete', 'stair'];
+const DIRECTIONS = ['top', 'bottom', 'left', 'right'];
+const WALL_TYPES = ['wall', 'door', 'window'];
+const VERTEX_COUNTS = { square: 4, stair: 4, triangle: 3, corner: 3 };
+
+// Character codes used by version 1 compact links
+const SHAPE_TYPE_CHARS = { s: 'square', t: 'triangle', c: 'corner', st: 'stair' };
+const BUILDING_CHARS = { a: 'atreides', h: 'harkonnen', cs: 'choamShelter', cf: 'choamFacility' };
+const MOUSE_ACTION_CHARS = { s: 'square', t: 'triangle', c: 'corner', d: 'delete', st: 'stair' };
+const DIRECTION_CHARS = { t: 'top', b: 'bottom', l: 'left', r: 'right' };
+
+const V0_KEYS = ['shapes', 'placedItems', 'buildingType', 'leftClickShape', 'rightClickShape', 'middleClickAction',
+  'fiefMode', 'fiefType', 'fiefWidth', 'fiefHeight', 'fiefPadding', 'stakesInventory', 'claimedAreas'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Index of `value` in `codes`, accepting either the numeric code or a character/name alias
+const toCode = (value, codes, chars, what) => {
+  if (typeof value === 'number' && codes[value] !== undefined) return value;
+  if (typeof value === 'string') {
+    const name = chars[value] || value;
+    const code = codes.indexOf(name);
+    if (code !== -1) return code;
+  }
+  throw new Error(`Unknown ${what} "${value}"`);
+};
+
+// =====================================================
+// VERSION DETECTION & MIGRATIONS
+// =====================================================
+export const detectShareVersion = (payload) => {
+  if (!isPlainObject(payload)) throw new Error('Share data is not an object');
+  if (payload.v !== undefined) {
+    if (!Number.isInteger(payload.v) || payload.v < 1) throw new Error(`Invalid share format version "${payload.v}"`);
+    if (payload.v > SHARE_FORMAT_VERSION) {
+      throw new Error(`This link was made by a newer planner (format v${payload.v}); reload the page to update`);
+    }
+    return payload.v;
+  }
+  return V0_KEYS.some(key => key in payload) ? 0 : 1;
+};
+
+const flattenVerts = (verts) => verts.flatMap(pt => [pt.x, pt.y]);
+
+// v0 -> v2: convert raw React state to the compact single-floor layout, then on through the version 1
+// migration. Claims skip version 1, which could not say which claim a claim extends.
+const migrateV0 = (state) => {
+  const out = {};
+  // Shapes become ultra-compact arrays; old shapes may predate _verts and only carry x/y/rotation
+  out.s = (state.shapes || []).map(shape => [
+    toCode(shape.type, SHAPE_TYPES, SHAPE_TYPE_CHARS, 'shape type'),
+    ...(shape.building ? [toCode(shape.building, BUILDINGS, BUILDING_CHARS, 'building type')] : []),
+    ...flattenVerts(shape._verts || getShapeVertices(shape)),
+  ]);
+  if (state.placedItems) out.pi = state.placedItems.map(item => [item.itemType, item.x, item.y]);
+  if (state.buildingType) out.b = state.buildingType;
+  if (state.leftClickShape) out.l = state.leftClickShape;
+  if (state.rightClickShape) out.r = state.rightClickShape;
+  if (state.middleClickAction) out.m = toCode(state.middleClickAction, MOUSE_ACTIONS, MOUSE_ACTION_CHARS, 'mouse action');
+  if (state.fiefMode !== undefined) out.fm = state.fiefMode ? 1 : 0;
+  if (state.fiefPosition) {
+    out.fx = state.fiefPosition.x;
+    out.fy = state.fiefPosition.y;
+  }
+  if (state.fiefType) out.ft = state.fiefType === 'advanced' ? 1 : 0;
+  if (state.fiefWidth) out.fw = state.fiefWidth;
+  if (state.fiefHeight) out.fh = state.fiefHeight;
+  if (state.fiefPadding !== undefined) out.fp = state.fiefPadding;
+  if (state.stakesInventory !== undefined) out.si = state.stakesInventory;
+  const migrated = migrateV1(out);
+  if (state.claimedAreas) {
+    // Place each claim once its parent is placed; claims whose parent is missing are dropped and refunded
+    const positions = new Map();
+    const ca = [];
+    let remaining = state.claimedAreas;
+    let placedAny = true;
+    while (placedAny) {
+      placedAny = false;
+      remaining = remaining.filter(a => {
+        const parent = a.parentId === 'main' ? 0 : positions.has(a.parentId) ? positions.get(a.parentId) + 1 : null;
+        if (parent === null) return true;
+        positions.set(a.id, ca.length);
+        ca.push([toCode(a.direction, DIRECTIONS, DIRECTION_CHARS, 'claim direction'), parent]);
+        placedAny = true;
+        return false;
+      });
+    }
+    if (remaining.length > 0) migrated.si = (state.stakesInventory ?? MAX_STAKES) + remaining.length;
+    if (ca.length > 0) migrated.ca = ca;
+  }
+  return migrated;
+};
+
+// v1 -> v2: one layout (fs/fi), one shape encoding with an explicit building, numeric codes everywhere
+const migrateV1 = (state) => {
+  const defaultBuilding = state.b !== undefined ? toCode(state.b, BUILDINGS, BUILDING_CHARS, 'building type') : 0;
+
+  const migrateShape = (s) => {
+    if (Array.isArray(s)) {
+      const typeCode = toCode(s[0], SHAPE_TYPES, SHAPE_TYPE_CHARS, 'shape type');
+      // The vertex count is fixed per type, so the length says whether a building code is present
+      const coordCount = VERTEX_COUNTS[SHAPE_TYPES[typeCode]] * 2;
+      if (s.length === coordCount + 2) return [typeCode, toCode(s[1], BUILDINGS, BUILDING_CHARS, 'building type'), ...s.slice(2)];
+      if (s.length === coordCount + 1) return [typeCode, defaultBuilding, ...s.slice(1)];
+      throw new Error(`Malformed ${SHAPE_TYPES[typeCode]} in share data`);
+    }
+    if (!isPlainObject(s)) throw new Error('Malformed shape in share data');
+    const typeCode = toCode(s.t, SHAPE_TYPES, SHAPE_TYPE_CHARS, 'shape type');
+    const buildingCode = s.b !== undefined ? toCode(s.b, BUILDINGS, BUILDING_CHARS, 'building type') : defaultBuilding;
+    return [typeCode, buildingCode, ...(s.v || [])];
+  };
+
+  const migrateFloors = (floors, migrateEntry) => {
+    const out = {};
+    for (const [floor, entries] of Object.entries(floors)) {
+      if (!Array.isArray(entries)) throw new Error(`Malformed floor ${floor} in share data`);
+      if (entries.length > 0) out[floor] = entries.map(migrateEntry);
+    }
+    return out;
+  };
+
+  const out = { v: 2 };
+  const fs = state.fs || state.fi ? (state.fs || {}) : { 0: state.s || [] };
+  const fi = state.fs || state.fi ? (state.fi || {}) : { 0: state.pi || [] };
+  const shapeFloors = migrateFloors(fs, migrateShape);
+  const itemFloors = migrateFloors(fi, item => item);
+  if (Object.keys(shapeFloors).length > 0) out.fs = shapeFloors;
+  if (Object.keys(itemFloors).length > 0) out.fi = itemFloors;
+  if (state.cf !== undefined) out.cf = state.cf;
+  if (state.b !== undefined) out.b = defaultBuilding;
+  if (state.l !== undefined) out.l = toCode(state.l, MOUSE_ACTIONS, MOUSE_ACTION_CHARS, 'mouse action');
+  if (state.r !== undefined) out.r = toCode(state.r, MOUSE_ACTIONS, MOUSE_ACTION_CHARS, 'mouse action');
+  if (state.m !== undefined) out.m = toCode(state.m, MOUSE_ACTIONS, MOUSE_ACTION_CHARS, 'mouse action');
+  for (const key of ['fm', 'fx', 'fy', 'fw', 'fh', 'fp', 'si']) {
+    if (state[key] !== undefined) out[key] = state[key];
+  }
+  if (state.ft !== undefined) out.ft = state.ft === 1 || state.ft === 'a' ? 1 : 0;
+  if (state.ca) {
+    // Only claims on the main fief survive; see the version 1 notes above
+    const claims = state.ca.map(a => Array.isArray(a)
+      ? a
+      : [toCode(a.d, DIRECTIONS, DIRECTION_CHARS, 'claim direction'), a.p === 'm' ? 0 : a.p]);
+    const kept = claims.filter(a => a[1] === 0);
+    if (kept.length < claims.length) out.si = (state.si ?? MAX_STAKES) + claims.length - kept.length;
+    if (kept.length > 0) out.ca = kept;
+  }
+  return out;
+};
+
+// v2 -> v3: walls were added, so a version 2 link is a version 3 link without them
+const migrateV2 = (state) => ({ ...state, v: 3 });
+
+// v3 -> v4: the same for roofs
+const migrateV3 = (state) => ({ ...state, v: 4 });
+
+// MIGRATIONS[n] upgrades a version n payload to a later version (n + 1, or 2 for version 0)
+const MIGRATIONS = {
+  0: migrateV0,
+  1: migrateV1,
+  2: migrateV2,
+  3: migrateV3,
+};
+
+// Upgrade a parsed payload of any version to the current format (input is not mutated)
+export const migrateSharePayload = (payload) => {
+  let version = detectShareVersion(payload);
+  let migrated = payload;
+  while (version < SHARE_FORMAT_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version = detectShareVersion(migrated);
+  }
+  return migrated;
+};
+
+// =====================================================
+// ENCODE / DECODE
+// =====================================================
+const encodeShape = (s) => [
+  SHAPE_TYPES.indexOf(s.type) === -1 ? 0 : SHAPE_TYPES.indexOf(s.type),
+  BUILDINGS.indexOf(s.building) === -1 ? 0 : BUILDINGS.indexOf(s.building),
+  ...flattenVerts(s._verts || getShapeVertices(s)).map(Math.round),
+];
+
+// `what` names the entry in the error for a malformed one ("shape", "roof")
+const decodeShape = (s, id, what, floor) => {
+  const type = SHAPE_TYPES[s[0]];
+  const building = BUILDINGS[s[1]];
+  const coords = s.slice(2);
+  if (!type || !building || coords.length !== VERTEX_COUNTS[type] * 2 || !coords.every(isFiniteNumber)) {
+    throw new Error(`Malformed ${what} on floor ${parseInt(floor) + 1}`);
+  }
+  const verts = [];
+  for (let j = 0; j < coords.length; j += 2) {
+    verts.push({ x: coords[j], y: coords[j + 1] });
+  }
+  return verticesToShape(verts, type, id, building);
+};
+
+// Current-format payload for a planner state (the same shape getSaveState and projects use)
+export const encodeSharePayload = (state) => {
+  const payload = { v: SHARE_FORMAT_VERSION };
+
+  const fs = {};
+  for (const [floor, floorShapes] of Object.entries(state.allFloorShapes || {})) {
+    if (floorShapes.length === 0) continue;
+    fs[floor] = floorShapes.map(encodeShape);
+  }
+  const fi = {};
+  for (const [floor, floorItems] of Object.entries(state.allFloorItems || {})) {
+    if (floorItems.length === 0) continue;
+    fi[floor] = floorItems.map(item => [item.itemType, Math.round(item.x), Math.round(item.y)]);
+  }
+  if (Object.keys(fs).length > 0) payload.fs = fs;
+  if (Object.keys(fi).length > 0) payload.fi = fi;
+  const w = {};
+  for (const [floor, floorWalls] of Object.entries(state.allFloorWalls || {})) {
+    if (floorWalls.length === 0) continue;
+    w[floor] = floorWalls.map(wall => [
+      Math.max(0, WALL_TYPES.indexOf(wall.type)),
+      Math.max(0, BUILDINGS.indexOf(wall.building)),
+      ...[wall.x1, wall.y1, wall.x2, wall.y2].map(Math.round),
+    ]);
+  }
+  if (Object.keys(w).length > 0) payload.w = w;
+  const rf = {};
+  for (const [floor, floorRoofs] of Object.entries(state.allFloorRoofs || {})) {
+    if (floorRoofs.length > 0) rf[floor] = floorRoofs.map(encodeShape);
+  }
+  if (Object.keys(rf).length > 0) payload.rf = rf;
+  const fn = Object.fromEntries(Object.entries(state.floorNames || {}).filter(([, name]) => name));
+  if (Object.keys(fn).length > 0) payload.fn = fn;
+  if (state.currentFloor) payload.cf = state.currentFloor;
+
+  const buildingCode = BUILDINGS.indexOf(state.buildingType);
+  if (buildingCode > 0) payload.b = buildingCode;
+
+  // Only include if different from defaults
+  if (state.leftClickShape && state.leftClickShape !== 'square') payload.l = MOUSE_ACTIONS.indexOf(state.leftClickShape);
+  if (state.rightClickShape && state.rightClickShape !== 'triangle') payload.r = MOUSE_ACTIONS.indexOf(state.rightClickShape);
+  if (state.middleClickAction && state.middleClickAction !== 'delete') payload.m = MOUSE_ACTIONS.indexOf(state.middleClickAction);
+
+  if (state.fiefMode && state.fiefPosition) {
+    const fiefType = state.fiefType === 'advanced' ? 'advanced' : 'standard';
+    payload.fm = 1;
+    payload.fx = Math.round(state.fiefPosition.x);
+    payload.fy = Math.round(state.fiefPosition.y);
+    if (fiefType !== 'standard') payload.ft = 1;
+    if (state.fiefWidth !== FIEF_DEFAULTS[fiefType].width) payload.fw = state.fiefWidth;
+    if (state.fiefHeight !== FIEF_DEFAULTS[fiefType].height) payload.fh = state.fiefHeight;
+    if (state.fiefPadding) payload.fp = Math.round(state.fiefPadding * 10) / 10;
+    if (state.stakesInventory !== undefined && state.stakesInventory !== MAX_STAKES) payload.si = state.stakesInventory;
+    // Parents are referenced by position so the link does not depend on runtime ids
+    const indexById = new Map();
+    const ca = [];
+    for (const a of state.claimedAreas || []) {
+      const parent = a.parentId === 'main' ? 0 : (indexById.has(a.parentId) ? indexById.get(a.parentId) + 1 : -1);
+      if (parent === -1) continue; // Its parent claim was removed, so it is not drawn either
+      indexById.set(a.id, ca.length);
+      ca.push([DIRECTIONS.indexOf(a.direction), parent]);
+    }
+    if (ca.length > 0) payload.ca = ca;
+  }
+  if (state.gridEnabled) payload.g = 1;
+
+  return payload;
+};
+
+export const encodeShareString = (state) => LZString.compressToEncodedURIComponent(JSON.stringify(encodeSharePayload(state)));
+
+// Planner state from a current-format payload. Ids are assigned sequentially from idBase.
+export const decodeSharePayload = (payload, { idBase = Date.now() } = {}) => {
+  let nextId = idBase;
+
+  const allFloorShapes = { 0: [] };
+  for (const [floor, floorShapes] of Object.entries(payload.fs || {})) {
+    allFloorShapes[parseInt(floor)] = floorShapes.map(s => decodeShape(s, nextId++, 'shape', floor));
+  }
+
+  const allFloorItems = { 0: [] };
+  for (const [floor, floorItems] of Object.entries(payload.fi || {})) {
+    allFloorItems[parseInt(floor)] = floorItems.map(item => {
+      if (!Array.isArray(item) || typeof item[0] !== 'string' || !isFiniteNumber(item[1]) || !isFiniteNumber(item[2])) {
+        throw new Error(`Malformed item on floor ${parseInt(floor) + 1}`);
+      }
+      return { id: nextId++, itemType: item[0], x: item[1], y: item[2] };
+    });
+  }
+
+  const allFloorWalls = {};
+  for (const [floor, floorWalls] of Object.entries(payload.w || {})) {
+    allFloorWalls[parseInt(floor)] = floorWalls.map(wall => {
+      if (!Array.isArray(wall) || !WALL_TYPES[wall[0]] || !BUILDINGS[wall[1]] || wall.length !== 6 || !wall.slice(2).every(isFiniteNumber)) {
+        throw new Error(`Malformed wall on floor ${parseInt(floor) + 1}`);
+      }
+      return { id: nextId++, type: WALL_TYPES[wall[0]], building: BUILDINGS[wall[1]], x1: wall[2], y1: wall[3], x2: wall[4], y2: wall[5] };
+    });
+  }
+
+  const allFloorRoofs = {};
+  for (const [floor, floorRoofs] of Object.entries(payload.rf || {})) {
+    allFloorRoofs[parseInt(floor)] = floorRoofs.map(roof => decodeShape(roof, nextId++, 'roof', floor));
+  }
+
+  const floorNames = {};
+  for (const [floor, name] of Object.entries(payload.fn || {})) {
+    if (!/^\d+$/.test(floor) || typeof name !== 'string') throw new Error(`Malformed name for floor ${floor}`);
+    floorNames[parseInt(floor)] = name;
+  }
+
+  const claimedAreas = [];
+  (payload.ca || []).forEach((a, i) => {
+    if (!Array.isArray(a) || !DIRECTIONS[a[0]] || !Number.isInteger(a[1]) || a[1] < 0 || a[1] > i) {
+      throw new Error(`Malformed claimed area ${i + 1}`);
+    }
+    claimedAreas.push({
+      id: nextId++,
+      direction: DIRECTIONS[a[0]],
+      parentId: a[1] === 0 ? 'main' : claimedAreas[a[1] - 1].id,
+    });
+  });
+
+  const fiefType = payload.ft === 1 ? 'advanced' : 'standard';
+  return {
+    allFloorShapes,
+    allFloorItems,
+    allFloorWalls,
+    allFloorRoofs,
+    floorNames,
+    currentFloor: payload.cf ?? 0,
+    buildingType: BUILDINGS[payload.b ?? 0] || 'atreides',
+    leftClickShape: MOUSE_ACTIONS[payload.l ?? 0] || 'square',
+    rightClickShape: MOUSE_ACTIONS[payload.r ?? 1] || 'triangle',
+    middleClickAction: MOUSE_ACTIONS[payload.m ?? 3] || 'delete',
+    fiefMode: payload.fm === 1,
+    fiefType,
+    fiefWidth: payload.fw ?? FIEF_DEFAULTS[fiefType].width,
+    fiefHeight: payload.fh ?? FIEF_DEFAULTS[fiefType].height,
+    fiefPosition: payload.fx !== undefined && payload.fy !== undefined ? { x: payload.fx, y: payload.fy } : null,
+    fiefPadding: payload.fp ?? 0,
+    stakesInventory: payload.si ?? MAX_STAKES,
+    claimedAreas,
+    gridEnabled: payload.g === 1,
+  };
+};
+
+// Full pipeline for the `d` URL parameter: decompress, parse, migrate to the current version, decode
+export const decodeShareString = (encoded, options) => {
+  const json = LZString.decompressFromEncodedURIComponent(encoded);
+  if (!json) throw new Error('Share link is incomplete or corrupted');
+  let payload;
+  try {
+    payload = JSON.parse(json);
+  } catch {
+    throw new Error('Share link is incomplete or corrupted');
+  }
+  return decodeSharePayload(migrateSharePayload(payload), options);
+};
@@ -0,0 +1,341 @@
+import { describe, it, expect } from 'vitest';
+import LZString from 'lz-string';
+import {
+  SHARE_FORMAT_VERSION, detectShareVersion, migrateSharePayload, encodeSharePayload, encodeShareString,
+  decodeSharePayload, decodeShareString,
+} from './shareCodec.js';
+import { verticesToShape } from './geometry.js';
+import { FIEF_DEFAULTS, MAX_STAKES } from './constants.js';
+
+const square = (id, x, y, building = 'atreides') => verticesToShape(
+  [{ x, y }, { x: x + 50, y }, { x: x + 50, y: y + 50 }, { x, y: y + 50 }], 'square', id, building,
+);
+const triangle = (id, x, y, building = 'atreides') => verticesToShape(
+  [{ x, y }, { x: x + 50, y }, { x: x + 25, y: y - 43 }], 'triangle', id, building,
+);
+const corner = (id, x, y, building = 'atreides') => verticesToShape(
+  [{ x, y }, { x: x + 50, y }, { x, y: y + 50 }], 'corner', id, building,
+);
+const stair = (id, x, y, building = 'atreides') => verticesToShape(
+  [{ x, y: y + 50 }, { x, y }, { x: x + 50, y }, { x: x + 50, y: y + 50 }], 'stair', id, building,
+);
+
+const withoutId = ({ id: _id, ...rest }) => rest;
+const withoutIds = (floors) => Object.fromEntries(Object.entries(floors).map(([floor, list]) => [floor, list.map(withoutId)]));
+
+// A claim tree described by directions and parent positions, independent of runtime ids
+const claimTree = (claimedAreas) => claimedAreas.map(a => [
+  a.direction,
+  a.parentId === 'main' ? 'main' : claimedAreas.findIndex(other => other.id === a.parentId),
+]);
+
+const fullState = () => ({
+  allFloorShapes: {
+    0: [square(1, 0, 0), triangle(2, 0, 0, 'harkonnen'), corner(3, 100, 0, 'choamShelter'), stair(4, 200, 0, 'choamFacility')],
+    1: [square(5, 0, 0, 'harkonnen')],
+  },
+  allFloorItems: { 0: [{ id: 6, itemType: 'windTrap', x: 10, y: 20 }], 1: [{ id: 7, itemType: 'storageContainer', x: 0, y: 0 }] },
+  allFloorWalls: { 0: [{ id: 8, type: 'door', building: 'harkonnen', x1: 0, y1: 0, x2: 50, y2: 0 }] },
+  allFloorRoofs: { 1: [{ ...square(9, 0, 0, 'choamFacility') }] },
+  floorNames: { 0: 'Ground', 1: 'Loft' },
+  currentFloor: 1,
+  buildingType: 'choamShelter',
+  leftClickShape: 'corner',
+  rightClickShape: 'stair',
+  middleClickAction: 'square',
+  fiefMode: true,
+  fiefType: 'advanced',
+  fiefWidth: 8,
+  fiefHeight: 6.5,
+  fiefPosition: { x: -125, y: 75 },
+  fiefPadding: 2.5,
+  stakesInventory: 2,
+  claimedAreas: [
+    { id: 100, direction: 'top', parentId: 'main' },
+    { id: 101, direction: 'left', parentId: 100 },
+    { id: 102, direction: 'bottom', parentId: 101 },
+  ],
+  gridEnabled: true,
+});
+
+describe('encode -> decode round trip', () => {
+  const state = fullState();
+  const payload = encodeSharePayload(state);
+  const decoded = decodeShareString(encodeShareString(state));
+
+  it.each([
+    'v', 'fs', 'fi', 'w', 'rf', 'fn', 'cf', 'b', 'l', 'r', 'm', 'fm', 'fx', 'fy', 'ft', 'fw', 'fh', 'fp', 'si', 'ca', 'g',
+  ])('writes the %s key for a non-default state', (key) => {
+    expect(payload).toHaveProperty(key);
+  });
+
+  it('stamps the current format version', () => {
+    expect(payload.v).toBe(SHARE_FORMAT_VERSION);
+  });
+
+  it('keeps every shape with its type, building and vertex order (fs)', () => {
+    expect(withoutIds(decoded.allFloorShapes)).toEqual(withoutIds(state.allFloorShapes));
+  });
+
+  it('keeps items (fi)', () => {
+    expect(withoutIds(decoded.allFloorItems)).toEqual(withoutIds(state.allFloorItems));
+  });
+
+  it('keeps walls (w)', () => {
+    expect(withoutIds(decoded.allFloorWalls)).toEqual(withoutIds(state.allFloorWalls));
+  });
+
+  it('keeps roofs (rf)', () => {
+    expect(withoutIds(decoded.allFloorRoofs)).toEqual(withoutIds(state.allFloorRoofs));
+  });
+
+  it('keeps floor names (fn) and the current floor (cf)', () => {
+    expect(decoded.floorNames).toEqual(state.floorNames);
+    expect(decoded.currentFloor).toBe(1);
+  });
+
+  it('keeps the palette building and mouse bindings (b, l, r, m)', () => {
+    expect(decoded.buildingType).toBe('choamShelter');
+    expect(decoded.leftClickShape).toBe('corner');
+    expect(decoded.rightClickShape).toBe('stair');
+    expect(decoded.middleClickAction).toBe('square');
+  });
+
+  it('keeps the fief (fm, fx, fy, ft, fw, fh, fp, si)', () => {
+    expect(decoded.fiefMode).toBe(true);
+    expect(decoded.fiefPosition).toEqual({ x: -125, y: 75 });
+    expect(decoded.fiefType).toBe('advanced');
+    expect(decoded.fiefWidth).toBe(8);
+    expect(decoded.fiefHeight).toBe(6.5);
+    expect(decoded.fiefPadding).toBe(2.5);
+    expect(decoded.stakesInventory).toBe(2);
+  });
+
+  it('keeps claimed areas including claims chained off other claims (ca)', () => {
+    expect(claimTree(decoded.claimedAreas)).toEqual(claimTree(state.claimedAreas));
+  });
+
+  it('keeps grid snap (g)', () => {
+    expect(decoded.gridEnabled).toBe(true);
+  });
+
+  it('gives every decoded entry a distinct id', () => {
+    const ids = [
+      ...Object.values(decoded.allFloorShapes).flat(),
+      ...Object.values(decoded.allFloorItems).flat(),
+      ...Object.values(decoded.allFloorWalls).flat(),
+      ...Object.values(decoded.allFloorRoofs).flat(),
+      ...decoded.claimedAreas,
+    ].map(entry => entry.id);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+});
+
+describe('defaults', () => {
+  const defaults = {
+    allFloorShapes: { 0: [] },
+    allFloorItems: { 0: [] },
+    currentFloor: 0,
+    buildingType: 'atreides',
+    leftClickShape: 'square',
+    rightClickShape: 'triangle',
+    middleClickAction: 'delete',
+    fiefMode: false,
+    gridEnabled: false,
+  };
+
+  it('omits every optional key that holds its default', () => {
+    expect(encodeSharePayload(defaults)).toEqual({ v: SHARE_FORMAT_VERSION });
+  });
+
+  it('decodes a bare payload to the defaults', () => {
+    const decoded = decodeSharePayload({ v: SHARE_FORMAT_VERSION });
+    expect(decoded).toMatchObject({
+      allFloorShapes: { 0: [] },
+      allFloorItems: { 0: [] },
+      allFloorWalls: {},
+      allFloorRoofs: {},
+      floorNames: {},
+      currentFloor: 0,
+      buildingType: 'atreides',
+      leftClickShape: 'square',
+      rightClickShape: 'triangle',
+      middleClickAction: 'delete',
+      fiefMode: false,
+      fiefType: 'standard',
+      fiefWidth: FIEF_DEFAULTS.standard.width,
+      fiefHeight: FIEF_DEFAULTS.standard.height,
+      fiefPosition: null,
+      fiefPadding: 0,
+      stakesInventory: MAX_STAKES,
+      claimedAreas: [],
+      gridEnabled: false,
+    });
+  });
+
+  it('omits fief keys while fief mode is off', () => {
+    const payload = encodeSharePayload({ ...fullState(), fiefMode: false });
+    for (const key of ['fm', 'fx', 'fy', 'ft', 'fw', 'fh', 'fp', 'si', 'ca']) expect(payload).not.toHaveProperty(key);
+  });
+});
+
+describe('version detection', () => {
+  it('tells versions apart by the v key, then by the v0 key names', () => {
+    expect(detectShareVersion({ v: SHARE_FORMAT_VERSION })).toBe(SHARE_FORMAT_VERSION);
+    expect(detectShareVersion({ shapes: [] })).toBe(0);
+    expect(detectShareVersion({ s: [] })).toBe(1);
+  });
+
+  it('rejects links from a newer planner', () => {
+    expect(() => detectShareVersion({ v: SHARE_FORMAT_VERSION + 1 })).toThrow(/newer planner/);
+  });
+
+  it('rejects corrupted links', () => {
+    expect(() => decodeShareString('not a link')).toThrow(/incomplete or corrupted/);
+  });
+});
+
+describe('migration from version 0', () => {
+  const v0 = {
+    shapes: [
+      { id: 1, type: 'square', x: 25, y: 25, rotation: 0, building: 'harkonnen' },
+      { id: 2, ...square(2, 100, 0) },
+    ],
+    placedItems: [{ id: 3, itemType: 'windTrap', x: 5, y: 5 }],
+    buildingType: 'harkonnen',
+    leftClickShape: 'triangle',
+    rightClickShape: 'corner',
+    middleClickAction: 'stair',
+    fiefMode: true,
+    fiefPosition: { x: 50, y: 50 },
+    fiefType: 'advanced',
+    fiefWidth: 9,
+    fiefHeight: 7,
+    fiefPadding: 1,
+    stakesInventory: 3,
+    claimedAreas: [
+      { id: 10, direction: 'right', parentId: 'main' },
+      { id: 11, direction: 'top', parentId: 10 },
+      { id: 12, direction: 'left', parentId: 11 },
+    ],
+  };
+  const decoded = decodeSharePayload(migrateSharePayload(v0));
+
+  it('moves shapes and items to floor 0', () => {
+    expect(decoded.allFloorShapes[0].map(s => [s.type, s.building])).toEqual([['square', 'harkonnen'], ['square', 'atreides']]);
+    expect(withoutIds(decoded.allFloorShapes)[0][1]).toEqual(withoutId(square(2, 100, 0)));
+    expect(withoutIds(decoded.allFloorItems)).toEqual({ 0: [{ itemType: 'windTrap', x: 5, y: 5 }] });
+  });
+
+  it('keeps the palette, bindings and fief', () => {
+    expect(decoded).toMatchObject({
+      buildingType: 'harkonnen',
+      leftClickShape: 'triangle',
+      rightClickShape: 'corner',
+      middleClickAction: 'stair',
+      fiefMode: true,
+      fiefPosition: { x: 50, y: 50 },
+      fiefType: 'advanced',
+      fiefWidth: 9,
+      fiefHeight: 7,
+      fiefPadding: 1,
+    });
+  });
+
+  it('keeps claims chained off other claims', () => {
+    expect(claimTree(decoded.claimedAreas)).toEqual([['right', 'main'], ['top', 0], ['left', 1]]);
+    expect(decoded.stakesInventory).toBe(3);
+  });
+
+  it('places claims listed before their parent', () => {
+    const claims = [
+      { id: 21, direction: 'top', parentId: 20 },
+      { id: 20, direction: 'right', parentId: 'main' },
+    ];
+    const { claimedAreas } = decodeSharePayload(migrateSharePayload({ ...v0, claimedAreas: claims }));
+    expect(claimTree(claimedAreas)).toEqual([['right', 'main'], ['top', 0]]);
+  });
+
+  it('drops claims whose parent is missing and refunds their stakes', () => {
+    const claims = [
+      { id: 20, direction: 'right', parentId: 'main' },
+      { id: 21, direction: 'top', parentId: 99 },
+    ];
+    const decodedClaims = decodeSharePayload(migrateSharePayload({ ...v0, claimedAreas: claims }));
+    expect(claimTree(decodedClaims.claimedAreas)).toEqual([['right', 'main']]);
+    expect(decodedClaims.stakesInventory).toBe(4);
+  });
+
+  it('does not mutate the payload', () => {
+    expect(v0.shapes[0]).toEqual({ id: 1, type: 'square', x: 25, y: 25, rotation: 0, building: 'harkonnen' });
+  });
+});
+
+describe('migration from version 1', () => {
+  it('reads single floor compact links with character codes', () => {
+    const v1 = {
+      s: [{ t: 's', v: [0, 0, 50, 0, 50, 50, 0, 50], b: 'cf' }, { t: 't', v: [0, 0, 50, 0, 25, -43] }],
+      pi: [['windTrap', 1, 2]],
+      b: 'h',
+      l: 'c',
+      r: 'st',
+      m: 'd',
+      fm: 1,
+      fx: 0,
+      fy: 0,
+      ft: 'a',
+      ca: [{ d: 'b', p: 'm' }, { d: 'l', p: 12345 }],
+    };
+    const decoded = decodeShareString(LZString.compressToEncodedURIComponent(JSON.stringify(v1)));
+    expect(decoded.allFloorShapes[0].map(s => [s.type, s.building])).toEqual([['square', 'choamFacility'], ['triangle', 'harkonnen']]);
+    expect(withoutIds(decoded.allFloorItems)).toEqual({ 0: [{ itemType: 'windTrap', x: 1, y: 2 }] });
+    expect(decoded).toMatchObject({
+      buildingType: 'harkonnen',
+      leftClickShape: 'corner',
+      rightClickShape: 'stair',
+      middleClickAction: 'delete',
+      fiefType: 'advanced',
+    });
+    expect(claimTree(decoded.claimedAreas)).toEqual([['bottom', 'main']]);
+    expect(decoded.stakesInventory).toBe(MAX_STAKES + 1);
+  });
+
+  it('reads multi floor ultra-compact links with and without building codes', () => {
+    const v1 = {
+      fs: { 0: [[0, 1, 0, 0, 50, 0, 50, 50, 0, 50]], 2: [[2, 0, 0, 50, 0, 0, 50]] },
+      fi: { 2: [['windTrap', 0, 0]] },
+      cf: 2,
+      b: 2,
+    };
+    const decoded = decodeSharePayload(migrateSharePayload(v1));
+    expect(decoded.allFloorShapes[0].map(s => [s.type, s.building])).toEqual([['square', 'harkonnen']]);
+    expect(decoded.allFloorShapes[2].map(s => [s.type, s.building])).toEqual([['corner', 'choamShelter']]);
+    expect(decoded.allFloorItems[2]).toHaveLength(1);
+    expect(decoded.currentFloor).toBe(2);
+  });
+
+  it('rejects shapes with the wrong number of coordinates', () => {
+    expect(() => migrateSharePayload({ s: [[0, 0, 0, 50]] })).toThrow(/Malformed square/);
+  });
+});
+
+describe('migration from versions 2 and 3', () => {
+  it('opens links written before walls existed', () => {
+    const v2 = { v: 2, fs: { 0: [[0, 1, 0, 0, 50, 0, 50, 50, 0, 50]] }, cf: 0, g: 1 };
+    expect(detectShareVersion(v2)).toBe(2);
+    const migrated = migrateSharePayload(v2);
+    expect(migrated.v).toBe(SHARE_FORMAT_VERSION);
+    const decoded = decodeSharePayload(migrated);
+    expect(decoded.allFloorShapes[0].map(s => [s.type, s.building])).toEqual([['square', 'harkonnen']]);
+    expect(decoded.allFloorWalls).toEqual({});
+    expect(decoded.gridEnabled).toBe(true);
+  });
+
+  it('opens links written before roofs existed', () => {
+    const v3 = { v: 3, fs: { 0: [[0, 0, 0, 0, 50, 0, 50, 50, 0, 50]] }, w: { 0: [[1, 0, 0, 0, 50, 0]] } };
+    expect(detectShareVersion(v3)).toBe(3);
+    const decoded = decodeSharePayload(migrateSharePayload(v3));
+    expect(withoutIds(decoded.allFloorWalls)).toEqual({ 0: [{ type: 'door', building: 'atreides', x1: 0, y1: 0, x2: 50, y2: 0 }] });
+    expect(decoded.allFloorRoofs).toEqual({});
+  });
+});
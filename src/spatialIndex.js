@@ -0,0 +1,112 @@
+import { SHAPE_SIZE } from './constants.js';
+
+// =====================================================
+// SPATIAL INDEX (uniform grid hash over shapes)
+// =====================================================
+// Overlap checks, edge snapping and hit testing only need the shapes near one point or polygon,
+// so shapes are bucketed by the grid cells their bounding box covers. Each entry caches the
+// shape's collision polygon and snap edges, and syncSpatialIndex only recomputes entries for
+// shapes whose object changed, which is the case for every shape touched by an immutable update.
+
+const DEFAULT_CELL_SIZE = SHAPE_SIZE * 2;
+
+// Axis-aligned bounds of one or more point lists, grown by padding on every side
+export const getPointsBounds = (pointLists, padding = 0) => {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const points of pointLists) {
+    for (const p of points) {
+      if (p.x < minX) minX = p.x;
+      if (p.y < minY) minY = p.y;
+      if (p.x > maxX) maxX = p.x;
+      if (p.y > maxY) maxY = p.y;
+    }
+  }
+  return { minX: minX - padding, minY: minY - padding, maxX: maxX + padding, maxY: maxY + padding };
+};
+
+const boundsOverlap = (a, b) => a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+
+export const createSpatialIndex = (cellSize = DEFAULT_CELL_SIZE) => ({
+  cellSize,
+  cells: new Map(),   // "cx,cy" -> Set of entries
+  entries: new Map(), // shape id -> { shape, polygon, edges, bounds, cellKeys, order }
+  describe: null,
+});
+
+// Visit the keys of every cell that a bounds rectangle touches
+const forEachCellKey = (index, bounds, visit) => {
+  const x0 = Math.floor(bounds.minX / index.cellSize), x1 = Math.floor(bounds.maxX / index.cellSize);
+  const y0 = Math.floor(bounds.minY / index.cellSize), y1 = Math.floor(bounds.maxY / index.cellSize);
+  for (let cx = x0; cx <= x1; cx++) {
+    for (let cy = y0; cy <= y1; cy++) visit(`${cx},${cy}`);
+  }
+};
+
+const removeEntry = (index, id) => {
+  const entry = index.entries.get(id);
+  if (!entry) return;
+  for (const key of entry.cellKeys) {
+    const cell = index.cells.get(key);
+    cell.delete(entry);
+    if (cell.size === 0) index.cells.delete(key);
+  }
+  index.entries.delete(id);
+};
+
+const insertEntry = (index, shape, order) => {
+  const { polygon, edges } = index.describe(shape);
+  const entry = { shape, polygon, edges, bounds: getPointsBounds([polygon, shape._verts || polygon]), cellKeys: [], order };
+  forEachCellKey(index, entry.bounds, key => {
+    if (!index.cells.has(key)) index.cells.set(key, new Set());
+    index.cells.get(key).add(entry);
+    entry.cellKeys.push(key);
+  });
+  index.entries.set(shape.id, entry);
+};
+
+// Bring the index in line with a shapes array. describe(shape) returns { polygon, edges } for a shape;
+// passing a different describe function rebuilds every entry. Returns a fresh handle on the same
+// storage so memoized queries can tell the contents changed.
+export const syncSpatialIndex = (index, shapes, describe) => {
+  if (index.describe !== describe) {
+    index.cells.clear();
+    index.entries.clear();
+    index.describe = describe;
+  }
+
+  const seen = new Set();
+  shapes.forEach((shape, order) => {
+    seen.add(shape.id);
+    const entry = index.entries.get(shape.id);
+    if (entry && entry.shape === shape) {
+      entry.order = order;
+      return;
+    }
+    removeEntry(index, shape.id);
+    insertEntry(index, shape, order);
+  });
+  for (const id of [...index.entries.keys()]) {
+    if (!seen.has(id)) removeEntry(index, id);
+  }
+
+  return { ...index };
+};
+
+// Entries whose bounds overlap the given bounds, in shapes-array order
+export const queryShapes = (index, bounds) => {
+  const found = new Set();
+  forEachCellKey(index, bounds, key => {
+    const cell = index.cells.get(key);
+    if (!cell) return;
+    for (const entry of cell) {
+      if (!found.has(entry) && boundsOverlap(entry.bounds, bounds)) found.add(entry);
+    }
+  });
+  return [...found].sort((a, b) => a.order - b.order);
+};
+
+// Snap edges of every shape whose bounds come within radius of a point
+export const queryEdges = (index, x, y, radius) => (
+  queryShapes(index, { minX: x - radius, minY: y - radius, maxX: x + radius, maxY: y + radius })
+    .flatMap(entry => entry.edges)
+);
@@ -0,0 +1,64 @@
+import { CELL_SIZE } from './constants.js';
+import { describeShapeGeometry, findShapeAtPoint, getShapeVertices } from './geometry.js';
+import { createSpatialIndex, syncSpatialIndex } from './spatialIndex.js';
+import { getNonEmptyFloors } from './materials.js';
+
+// =====================================================
+// STAIRS (up-direction and floor-to-floor circulation)
+// =====================================================
+// A stair climbs from its first edge (verts[0] -> verts[1]) towards the opposite edge. The direction
+// lives in the vertex order, so it travels with the piece through moves, rotations, mirrors, the
+// clipboard, share links and project files. Turning a stair shifts that order by one vertex.
+//
+// A stair on floor N leads to floor N + 1 when the spot just past its top edge is on a piece of
+// floor N + 1. Floor 1 is the entrance; every other floor with content has to be reachable from it.
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+// Unit vector of the way up, plus the midpoints of the bottom and top edges
+export const getStairDirection = (verts) => {
+  const bottom = midpoint(verts[0], verts[1]);
+  const top = midpoint(verts[2], verts[3]);
+  const length = Math.hypot(top.x - bottom.x, top.y - bottom.y) || 1;
+  return { x: (top.x - bottom.x) / length, y: (top.y - bottom.y) / length, bottom, top };
+};
+
+// Same footprint, climbing 90° clockwise (on screen) from before
+export const turnStairVertices = (verts) => [verts[1], verts[2], verts[3], verts[0]];
+
+// Where the stair lets you off on the floor above: half a cell past the middle of its top edge
+export const getStairLanding = (verts) => {
+  const { x, y, top } = getStairDirection(verts);
+  return { x: top.x + x * CELL_SIZE / 2, y: top.y + y * CELL_SIZE / 2 };
+};
+
+// Circulation of a whole base:
+//   stairs      [{ floor, shape, landing, ok }] every stair, ok when it lands on a piece of the floor above
+//   unreachable floors with pieces or items that cannot be walked up to from floor 1
+export const checkStairs = (allFloorShapes, allFloorItems) => {
+  const indexes = new Map();
+  const floorIndex = (floor) => {
+    if (!indexes.has(floor)) {
+      indexes.set(floor, syncSpatialIndex(createSpatialIndex(), allFloorShapes[floor] || [], describeShapeGeometry));
+    }
+    return indexes.get(floor);
+  };
+
+  const stairs = [];
+  for (const floor of Object.keys(allFloorShapes || {}).map(Number).sort((a, b) => a - b)) {
+    for (const shape of allFloorShapes[floor] || []) {
+      if (shape.type !== 'stair') continue;
+      const landing = getStairLanding(shape._verts || getShapeVertices(shape));
+      stairs.push({ floor, shape, landing, ok: Boolean(findShapeAtPoint(floorIndex(floor + 1), landing.x, landing.y)) });
+    }
+  }
+
+  const floors = getNonEmptyFloors(allFloorShapes, allFloorItems);
+  const topFloor = floors.length > 0 ? floors[floors.length - 1] : 0;
+  const reachable = new Set([0]);
+  for (let floor = 0; floor < topFloor && reachable.has(floor); floor++) {
+    if (stairs.some(stair => stair.floor === floor && stair.ok)) reachable.add(floor + 1);
+  }
+
+  return { stairs, unreachable: floors.filter(floor => !reachable.has(floor)) };
+};
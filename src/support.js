@@ -0,0 +1,25 @@
+import { checkOverlap, describeShapeGeometry, getShapeVertices } from './geometry.js';
+import { createSpatialIndex, syncSpatialIndex } from './spatialIndex.js';
+
+// =====================================================
+// STRUCTURAL SUPPORT (upper floor pieces need something underneath)
+// =====================================================
+// A piece above the ground floor is supported when its footprint overlaps a piece on the floor directly
+// below it. Touching a piece below only along an edge or at a corner is not support, and neither is
+// being connected to a supported neighbour on the same floor. Ground floor pieces are always supported.
+
+// Pieces of `shapes` with nothing under them on `belowShapes`
+export const findUnsupportedShapes = (shapes, belowShapes) => {
+  if (shapes.length === 0) return [];
+  const belowIndex = syncSpatialIndex(createSpatialIndex(), belowShapes, describeShapeGeometry);
+  return shapes.filter(shape => !checkOverlap(belowIndex, shape._verts || getShapeVertices(shape), shape.type, shape.building));
+};
+
+// Unsupported pieces of every upper floor: [{ floor, shapes }], lowest floor first, floors without
+// problems left out
+export const getSupportReport = (allFloorShapes) => Object.keys(allFloorShapes || {})
+  .map(Number)
+  .filter(floor => floor > 0)
+  .sort((a, b) => a - b)
+  .map(floor => ({ floor, shapes: findUnsupportedShapes(allFloorShapes[floor] || [], allFloorShapes[floor - 1] || []) }))
+  .filter(entry => entry.shapes.length > 0);
@@ -0,0 +1,161 @@
+import { COLOR_SCHEMES } from './constants.js';
+import { getShapeEdges, rotateVerticesAroundPoint } from './geometry.js';
+
+// =====================================================
+// WALLS, DOORWAYS AND WINDOWS (a layer on foundation edges)
+// =====================================================
+// A wall stands on one straight edge of a foundation piece:
+//   { id, type: 'wall' | 'door' | 'window', building, x1, y1, x2, y2 }
+// Two pieces sharing an edge share its wall, so walls are matched to edges by their endpoints in
+// either order. Walls move, mirror and get copied along with the pieces under them, and go away
+// when the last piece with their edge is deleted.
+
+export const WALL_TYPES = {
+  wall: { label: 'Wall', icon: '▬' },
+  door: { label: 'Doorway', icon: '⊓' },
+  window: { label: 'Window', icon: '▭' },
+};
+
+const WALL_THICKNESS = 6;
+const GLASS_THICKNESS = 2;
+const DOOR_GAP = 0.5; // Fraction of the edge left open by a doorway
+const WINDOW_PANE = 0.6; // Fraction of the edge glazed by a window
+const GLASS_COLOR = '#bae6fd';
+const DOOR_HEIGHT = 0.75; // Fraction of the wall's height under a doorway's lintel
+const WINDOW_SILL = 0.35; // Fractions of the wall's height at a window's sill and lintel
+const WINDOW_TOP = 0.75;
+
+const roundCoord = (value) => Math.round(value * 10) / 10;
+
+// Direction-independent key of an edge
+export const getEdgeKey = (x1, y1, x2, y2) => {
+  const a = `${roundCoord(x1)},${roundCoord(y1)}`;
+  const b = `${roundCoord(x2)},${roundCoord(y2)}`;
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+};
+
+export const getWallKey = (wall) => getEdgeKey(wall.x1, wall.y1, wall.x2, wall.y2);
+
+const getShapesEdgeKeys = (shapes) => new Set(
+  shapes.flatMap(shape => getShapeEdges(shape).map(e => getEdgeKey(e.v1.x, e.v1.y, e.v2.x, e.v2.y))),
+);
+
+// Walls left after deleting pieces: those on an edge of a deleted piece go, unless a remaining piece
+// of the floor has the edge too (the same list when none were lost)
+export const pruneWalls = (walls, shapes, deletedShapes) => {
+  if (walls.length === 0 || deletedShapes.length === 0) return walls;
+  const deletedKeys = getShapesEdgeKeys(deletedShapes);
+  const keptKeys = getShapesEdgeKeys(shapes);
+  const kept = walls.filter(wall => !deletedKeys.has(getWallKey(wall)) || keptKeys.has(getWallKey(wall)));
+  return kept.length === walls.length ? walls : kept;
+};
+
+// Walls on an edge of any of the pieces, skipping edges shared with one of `exceptShapes`
+// (a wall between a moving piece and one that stays put stays with the second)
+export const getWallsOnShapes = (walls, shapes, exceptShapes = []) => {
+  if (walls.length === 0 || shapes.length === 0) return [];
+  const keys = getShapesEdgeKeys(shapes);
+  const exceptKeys = getShapesEdgeKeys(exceptShapes);
+  return walls.filter(wall => keys.has(getWallKey(wall)) && !exceptKeys.has(getWallKey(wall)));
+};
+
+// Walls plus the new ones on edges that have none yet (a wall already standing there is kept)
+export const addWalls = (walls, newWalls) => {
+  const keys = new Set(walls.map(getWallKey));
+  const added = newWalls.filter(wall => {
+    const key = getWallKey(wall);
+    if (keys.has(key)) return false;
+    keys.add(key);
+    return true;
+  });
+  return added.length > 0 ? [...walls, ...added] : walls;
+};
+
+const mapWallEnds = (walls, mapPoint) => walls.map(wall => {
+  const a = mapPoint({ x: wall.x1, y: wall.y1 });
+  const b = mapPoint({ x: wall.x2, y: wall.y2 });
+  return { ...wall, x1: a.x, y1: a.y, x2: b.x, y2: b.y };
+});
+
+export const translateWalls = (walls, dx, dy) => mapWallEnds(walls, p => ({ x: p.x + dx, y: p.y + dy }));
+
+export const rotateWallsAroundPoint = (walls, cx, cy, angleDeg) => (
+  mapWallEnds(walls, p => rotateVerticesAroundPoint([p], cx, cy, angleDeg)[0])
+);
+
+// Mirror across a line through (cx, cy) ('horizontal' flips left-right), like mirrorVertices
+export const mirrorWalls = (walls, direction, cx, cy) => mapWallEnds(walls, p => (
+  direction === 'horizontal' ? { x: 2 * cx - p.x, y: p.y } : { x: p.x, y: 2 * cy - p.y }
+));
+
+export const findWallOnEdge = (walls, edge) => {
+  const key = getEdgeKey(edge.v1.x, edge.v1.y, edge.v2.x, edge.v2.y);
+  return walls.find(wall => getWallKey(wall) === key) || null;
+};
+
+// Clicking an edge with a wall type: builds it, swaps a different wall there for it, or removes the
+// same wall when it is already there
+export const toggleWallOnEdge = (walls, edge, type, building, id) => {
+  const existing = findWallOnEdge(walls, edge);
+  if (existing && existing.type === type && existing.building === building) {
+    return walls.filter(wall => wall !== existing);
+  }
+  const wall = { id: existing ? existing.id : id, type, building, x1: edge.v1.x, y1: edge.v1.y, x2: edge.v2.x, y2: edge.v2.y };
+  return existing ? walls.map(other => (other === existing ? wall : other)) : [...walls, wall];
+};
+
+// Counts by type for a list of walls
+export const countWalls = (walls) => {
+  const counts = { wall: 0, door: 0, window: 0, total: walls.length };
+  for (const wall of walls) {
+    if (counts[wall.type] !== undefined) counts[wall.type]++;
+  }
+  return counts;
+};
+
+// The darkest shade of the building's palette stands out on its own foundations
+const getWallColor = (wall) => (COLOR_SCHEMES[wall.building] || COLOR_SCHEMES.atreides).stair.fill;
+
+// Line segments a wall is drawn with: { x1, y1, x2, y2, color, width }. A doorway leaves its middle
+// open; a window is a wall with a pane of glass along its middle.
+export const getWallSegments = (wall) => {
+  const { x1, y1, x2, y2 } = wall;
+  const at = (t) => ({ x: x1 + (x2 - x1) * t, y: y1 + (y2 - y1) * t });
+  const color = getWallColor(wall);
+  const segment = (from, to, glass = false) => {
+    const a = at(from), b = at(to);
+    return { x1: a.x, y1: a.y, x2: b.x, y2: b.y, color: glass ? GLASS_COLOR : color, width: glass ? GLASS_THICKNESS : WALL_THICKNESS };
+  };
+  if (wall.type === 'door') {
+    return [segment(0, (1 - DOOR_GAP) / 2), segment((1 + DOOR_GAP) / 2, 1)];
+  }
+  if (wall.type === 'window') {
+    return [segment(0, 1), segment((1 - WINDOW_PANE) / 2, (1 + WINDOW_PANE) / 2, true)];
+  }
+  return [segment(0, 1)];
+};
+
+// Upright blocks a wall is built from in the 3D preview: { from, to, bottom, top, color, thickness }, where
+// from/to are fractions along the edge and bottom/top fractions of the wall's height. A doorway is open
+// under its lintel; a window has its pane between a sill and a lintel.
+export const getWallBlocks = (wall) => {
+  const color = getWallColor(wall);
+  const block = (from, to, bottom, top, glass = false) => (
+    { from, to, bottom, top, color: glass ? GLASS_COLOR : color, thickness: glass ? GLASS_THICKNESS : WALL_THICKNESS }
+  );
+  if (wall.type === 'door') {
+    const gapFrom = (1 - DOOR_GAP) / 2, gapTo = (1 + DOOR_GAP) / 2;
+    return [block(0, gapFrom, 0, 1), block(gapTo, 1, 0, 1), block(gapFrom, gapTo, DOOR_HEIGHT, 1)];
+  }
+  if (wall.type === 'window') {
+    const paneFrom = (1 - WINDOW_PANE) / 2, paneTo = (1 + WINDOW_PANE) / 2;
+    return [
+      block(0, 1, 0, WINDOW_SILL),
+      block(0, paneFrom, WINDOW_SILL, WINDOW_TOP),
+      block(paneFrom, paneTo, WINDOW_SILL, WINDOW_TOP, true),
+      block(paneTo, 1, WINDOW_SILL, WINDOW_TOP),
+      block(0, 1, WINDOW_TOP, 1),
+    ];
+  }
+  return [block(0, 1, 0, 1)];
+};